@@ -1,32 +1,181 @@
 #!/usr/bin/env node
-const { program } = require('commander');
+const fs = require('fs');
+const { program, Option } = require('commander');
+const chalk = require('chalk');
 const db = require('./services/db');
+const { OUTPUT_FORMATS, isMachineReadable, reserveStdout, logInfo } = require('./utils/outputUtils');
+const { printsCredentials } = require('./utils/credentialUtils');
 const { registerUserCommands } = require('./commands/userCommands');
 const { registerRoleCommands } = require('./commands/roleCommands');
 const { registerPermissionCommands } = require('./commands/permissionCommands');
+const { registerProfileCommands } = require('./commands/profileCommands');
+const { registerPolicyCommands } = require('./commands/policyCommands');
+const { registerPlanCommands } = require('./commands/planCommands');
+const { registerAuditCommands } = require('./commands/auditCommands');
+const { registerDependencyCommands } = require('./commands/dependencyCommands');
+const { registerAttributeCommands } = require('./commands/attributeCommands');
+const { registerImportCommands } = require('./commands/importCommands');
+const { registerVaultCommands } = require('./commands/vaultCommands');
+const { registerCredentialCommands } = require('./commands/credentialCommands');
+const { registerSecurityCommands } = require('./commands/securityCommands');
+const profileService = require('./services/profileService');
+const auditService = require('./services/auditService');
+const { displayProductionBanner } = require('./utils/displayUtils');
+const { formatSqlScript } = require('./utils/sqlUtils');
 
 // Initialize connection checking middleware
 async function connectionCheck() {
   return await db.testConnection();
 }
 
+// Commands that change the database; a warning banner is shown before they run on production
+const MUTATING_COMMANDS = new Set([
+  'create-user',
+  'update-user-password',
+  'rotate-passwords',
+  'migrate-to-scram',
+  'import-users',
+  'delete-user',
+  'alter-user',
+  'create-role',
+  'delete-role',
+  'alter-role',
+  'assign-user-to-role',
+  'remove-user-from-role',
+  'grant-read-permissions',
+  'grant-write-permissions',
+  'revoke-permissions',
+  'grant-execute-permissions',
+  'revoke-execute-permissions',
+  'grant-table-permissions',
+  'revoke-table-permissions',
+  'grant-column-permissions',
+  'revoke-column-permissions',
+  'enable-rls',
+  'disable-rls',
+  'create-policy',
+  'drop-policy',
+  'apply',
+  'audit install'
+]);
+
+// Full name of a command including its parent commands (e.g. "profile add")
+function getCommandPath(command) {
+  const names = [];
+  for (let current = command; current && current.parent; current = current.parent) {
+    names.unshift(current.name());
+  }
+  return names.join(' ');
+}
+
 // Initialize the CLI with more detailed help
 program
   .version('1.0.0')
   .description('PostgreSQL User Management CLI - A tool for managing users, roles and permissions in PostgreSQL databases')
+  .addOption(
+    new Option('-o, --output <format>', 'Output format for list commands')
+      .choices(OUTPUT_FORMATS)
+      .default('table')
+  )
+  .option('-p, --profile <name>', 'Connection profile to use (see "profile list")')
+  .option('--dry-run', 'Print the SQL that would change the database instead of executing it')
+  .option('--sql-file <path>', 'Save the dry-run SQL script to a file (implies --dry-run)')
   .on('--help', () => {
     console.log('\nExamples:');
     console.log('  $ pg-user-manager list-users');
     console.log('  $ pg-user-manager create-user');
     console.log('  $ pg-user-manager grant-read-permissions');
+    console.log('  $ pg-user-manager grant-read-permissions --role app_read_only --schema public --database app');
+    console.log('  $ pg-user-manager list-users --output json');
+    console.log('  $ pg-user-manager --profile staging list-roles');
+    console.log('  $ pg-user-manager --dry-run revoke-permissions --role app_read_only --all-schemas --yes');
     console.log('\nFor more details on each command, run:');
     console.log('  $ pg-user-manager [command] --help');
   });
 
+// Whether a command prints credentials to stdout, to be piped to other tools (kubectl apply -f -...):
+// export-credentials without --file, or --credential-format without --credential-file
+const printsCredentialsToStdout = (command) => (command.name() === 'export-credentials'
+  ? !command.opts().file
+  : printsCredentials(command.opts()));
+
+// Machine-readable output must not contain colors or informational banners
+program.hook('preAction', (thisCommand, actionCommand) => {
+  if (isMachineReadable(program.opts().output)) {
+    chalk.level = 0;
+    db.setQuiet(true);
+    reserveStdout();
+  } else if (printsCredentialsToStdout(actionCommand)) {
+    db.setQuiet(true);
+    reserveStdout();
+  }
+});
+
+// Select the connection profile and warn before changing a production cluster
+program.hook('preAction', (thisCommand, actionCommand) => {
+  db.useProfile(program.opts().profile);
+
+  if (MUTATING_COMMANDS.has(getCommandPath(actionCommand))) {
+    try {
+      const connection = db.getConnectionInfo();
+      if (profileService.isProductionProfile(connection)) {
+        displayProductionBanner(connection);
+      }
+    } catch (err) {
+      console.error('Error:', err.message);
+      process.exit(1);
+    }
+  }
+});
+
+// Record the full command name (e.g. "profile add") in audit entries
+program.hook('preAction', (thisCommand, actionCommand) => {
+  auditService.setCommand(getCommandPath(actionCommand));
+});
+
+// In dry-run mode, changes are recorded by the db layer and printed once the command finishes
+program.hook('preAction', () => {
+  const options = program.opts();
+  if (options.dryRun || options.sqlFile) {
+    db.enableDryRun();
+  }
+});
+
+program.hook('postAction', () => {
+  if (!db.isDryRun()) return;
+
+  const statements = db.getRecordedStatements();
+  const script = formatSqlScript(
+    statements,
+    `Dry run: ${statements.length} statement(s) recorded, nothing was executed\nGenerated ${new Date().toISOString()}`
+  );
+
+  // With machine-readable output or printed credentials, stdout only carries the result
+  logInfo('\n' + script.trimEnd());
+
+  const sqlFile = program.opts().sqlFile;
+  if (sqlFile) {
+    // The script may contain password hashes; the mode only applies to new files
+    fs.writeFileSync(sqlFile, script, { mode: 0o600 });
+    fs.chmodSync(sqlFile, 0o600);
+    logInfo(`\nSQL script saved to ${sqlFile}`);
+  }
+});
+
 // Register all commands from the separate modules
 registerUserCommands();
 registerRoleCommands();
+registerDependencyCommands();
+registerAttributeCommands();
+registerImportCommands();
 registerPermissionCommands();
+registerPolicyCommands();
+registerProfileCommands();
+registerPlanCommands();
+registerAuditCommands();
+registerVaultCommands();
+registerCredentialCommands();
+registerSecurityCommands();
 
 // Add help command to show an overview of all available commands
 program
@@ -40,22 +189,74 @@ program
     console.log('  list-users              List all database users');
     console.log('  create-user             Create a new database user');
     console.log('  update-user-password    Update a user password');
+    console.log('  alter-user              Change user attributes (connection limit, expiry, CREATEDB...)');
+    console.log('  expiring-users          List users whose password expires soon or has expired');
+    console.log('  list-password-policies  List the policies available to generated passwords');
+    console.log('  rotate-passwords        Set new generated passwords and move their expiry forward');
+    console.log('  password-hash-report    Show which login users still have md5 password hashes');
+    console.log('  migrate-to-scram        Set new SCRAM-SHA-256 passwords for users with md5 hashes');
+    console.log('  import-users <file>     Create users and their role memberships from a CSV or JSON file');
     console.log('  delete-user             Delete a database user\n');
     
     console.log('Role Management:');
     console.log('  list-roles              List all database roles');
     console.log('  list-user-roles         List all roles assigned to a specific user');
     console.log('  create-role             Create a new database role');
+    console.log('  alter-role              Change role attributes (INHERIT, CREATEDB, CREATEROLE...)');
     console.log('  delete-role             Delete a database role');
     console.log('  assign-user-to-role     Assign a user to a role');
-    console.log('  remove-user-from-role   Remove a user from a role\n');
+    console.log('  remove-user-from-role   Remove a user from a role');
+    console.log('  list-dependencies       List the objects and privileges that keep a user or role from being dropped\n');
     
     console.log('Permission Management:');
     console.log('  grant-read-permissions  Grant read permissions to a role');
     console.log('  grant-write-permissions Grant write permissions to a role');
     console.log('  revoke-permissions      Revoke all permissions from a role');
+    console.log('  grant-execute-permissions  Grant EXECUTE on functions and procedures to a role');
+    console.log('  revoke-execute-permissions Revoke EXECUTE on functions and procedures from a role');
+    console.log('  grant-table-permissions    Grant chosen privileges on individual tables and sequences');
+    console.log('  revoke-table-permissions   Revoke chosen privileges on individual tables and sequences');
+    console.log('  grant-column-permissions   Grant privileges on chosen columns of a table');
+    console.log('  revoke-column-permissions  Revoke privileges on chosen columns of a table');
     console.log('  list-permissions        List permissions for a role\n');
     
+    console.log('Row-Level Security:');
+    console.log('  enable-rls              Enable row-level security on a table');
+    console.log('  disable-rls             Disable row-level security on a table');
+    console.log('  list-policies           List row-level security policies');
+    console.log('  create-policy           Create a row-level security policy');
+    console.log('  drop-policy             Drop a row-level security policy\n');
+    
+    console.log('Access as Code:');
+    console.log('  plan <file>             Show the changes needed to match a YAML desired-state file');
+    console.log('  apply <file>            Apply the changes needed to match a YAML desired-state file\n');
+    
+    console.log('Auditing:');
+    console.log('  audit-log               Show the local journal of changes made with this tool');
+    console.log('  audit install           Create the shared audit table in the database');
+    console.log('  audit show              Show the changes recorded in the audit table');
+    console.log('  security-audit          Report risky role attributes, memberships and PUBLIC grants\n');
+    
+    console.log('Credential Vault:');
+    console.log('  vault list              List the users with credentials in the vault');
+    console.log('  vault show <user>       Show the saved password of a user (--history for older ones)');
+    console.log('  vault export <file>     Export credentials from the vault to a plaintext file');
+    console.log('  vault purge             Remove credentials from the vault');
+    console.log('  vault migrate [dir]     Move the credential CSV files of earlier versions into the vault');
+    console.log('  export-credentials      Output credentials as a URL, .pgpass line, env file or Kubernetes Secret\n');
+    
+    console.log('Connection Profiles:');
+    console.log('  profile list            List connection profiles');
+    console.log('  profile add             Add or replace a connection profile');
+    console.log('  profile remove          Remove a connection profile');
+    console.log('  profile test            Test the connection of a profile\n');
+    
+    console.log('Global Options:');
+    console.log('  -o, --output <format>   Output format for list commands: table, json, yaml or csv');
+    console.log('  -p, --profile <name>    Connection profile to use');
+    console.log('  --dry-run               Print the SQL that would change the database instead of executing it');
+    console.log('  --sql-file <path>       Save the dry-run SQL script to a file (implies --dry-run)\n');
+    
     console.log('For detailed help on a specific command, run:');
     console.log('  pg-user-manager [command] --help\n');
     
@@ -0,0 +1,226 @@
+const { program, InvalidArgumentError } = require('commander');
+const roleService = require('../services/roleService');
+const userService = require('../services/userService');
+const db = require('../services/db');
+const { displayRoleDetails, displayAttributeChanges } = require('../utils/displayUtils');
+const { parseExpiry } = require('../utils/dateUtils');
+const { promptForMissing } = require('../utils/promptUtils');
+
+// Parse the --connection-limit option value (-1 means no limit)
+function parseConnectionLimit(value) {
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit) || String(limit) !== value.trim() || limit < -1) {
+    throw new InvalidArgumentError(`Invalid connection limit: ${value}. Use a number, or -1 for no limit`);
+  }
+  return limit;
+}
+
+// Parse a VALID UNTIL value: an ISO date or date-time, or "never"/"infinity" for no expiry
+function parseValidUntil(value) {
+  const expiry = parseExpiry(value);
+  if (expiry === null) {
+    throw new InvalidArgumentError(`Invalid date: ${value}. Use an ISO date such as 2025-12-31 or 2025-12-31T18:00, or "never"`);
+  }
+  return expiry;
+}
+
+// Add the attribute options shared by alter-role and alter-user
+function addAttributeOptions(command) {
+  roleService.ROLE_ATTRIBUTES.forEach(attribute => {
+    command
+      .option(`--${attribute.name}`, `Grant ${attribute.keyword}: ${attribute.description.toLowerCase()}`)
+      .option(`--no-${attribute.name}`, `Remove ${attribute.keyword}`);
+  });
+
+  return command
+    .option('--connection-limit <count>', 'Maximum concurrent connections (-1 for no limit)', parseConnectionLimit)
+    .option('--valid-until <date>', 'Date the password stops being valid ("never" for no expiry)', parseValidUntil)
+    .option('-y, --yes', 'Skip the confirmation of privileged attributes');
+}
+
+// Collect the requested attributes from flags, or ask for all of them when no flag was passed
+async function resolveAttributes(current, options) {
+  const fromFlags = {};
+  roleService.ROLE_ATTRIBUTES.forEach(attribute => {
+    fromFlags[attribute.name] = options[attribute.name];
+  });
+  fromFlags.connectionLimit = options.connectionLimit;
+  fromFlags.validUntil = options.validUntil;
+
+  if (Object.values(fromFlags).some(value => value !== undefined)) {
+    return fromFlags;
+  }
+
+  displayRoleDetails(current);
+
+  const answers = await promptForMissing([
+    {
+      type: 'checkbox',
+      name: 'enabled',
+      option: '--<attribute> or --no-<attribute>',
+      message: 'Attributes (selected ones are granted, the others removed):',
+      choices: roleService.ROLE_ATTRIBUTES.map(attribute => ({
+        name: `${attribute.keyword}${attribute.privileged ? ' (privileged)' : ''} - ${attribute.description}`,
+        value: attribute.name,
+        checked: current[attribute.column]
+      }))
+    },
+    {
+      type: 'input',
+      name: 'connectionLimit',
+      option: '--connection-limit',
+      message: 'Connection limit (-1 for no limit):',
+      default: String(current.rolconnlimit),
+      validate: input => {
+        try {
+          parseConnectionLimit(String(input));
+          return true;
+        } catch (err) {
+          return err.message;
+        }
+      }
+    },
+    {
+      type: 'input',
+      name: 'validUntil',
+      option: '--valid-until',
+      message: 'Password valid until (ISO date, or "never"):',
+      default: current.rolvaliduntil instanceof Date ? current.rolvaliduntil.toISOString() : 'never',
+      validate: input => {
+        try {
+          parseValidUntil(input);
+          return true;
+        } catch (err) {
+          return err.message;
+        }
+      }
+    }
+  ]);
+
+  const requested = {};
+  roleService.ROLE_ATTRIBUTES.forEach(attribute => {
+    requested[attribute.name] = answers.enabled.includes(attribute.name);
+  });
+  requested.connectionLimit = parseConnectionLimit(String(answers.connectionLimit));
+  requested.validUntil = parseValidUntil(answers.validUntil);
+  return requested;
+}
+
+// Show the changes, confirm privileged ones and apply them
+async function alterAttributes(rolename, kind, options) {
+  const current = await roleService.getRoleAttributes(rolename);
+  if (!current) {
+    throw new Error(`${kind === 'user' ? 'User' : 'Role'} ${rolename} does not exist`);
+  }
+
+  const requested = await resolveAttributes(current, options);
+  const changes = roleService.describeAttributeChanges(current, requested);
+  displayAttributeChanges(rolename, changes);
+
+  const privileged = changes.filter(change => change.privileged);
+  if (privileged.length > 0) {
+    const answers = await promptForMissing([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        option: '--yes',
+        message: `Grant ${privileged.map(change => change.attribute).join(', ')} to ${rolename}? These attributes give powers close to a superuser.`,
+        default: false
+      }
+    ], { confirm: options.yes });
+
+    if (!answers.confirm) {
+      console.log('Alter operation cancelled');
+      return;
+    }
+  }
+
+  const result = await roleService.alterRoleAttributes(rolename, requested, kind);
+  console.log(result.message);
+  if (!result.success) process.exitCode = 1;
+}
+
+// Help text shared by alter-role and alter-user
+function printAttributeHelp(kind) {
+  console.log(`\nShows the current attributes of the ${kind} and applies only those that change.`);
+  console.log('Without attribute options, every attribute is prompted with its current value.');
+  console.log('With at least one option, only the attributes passed are changed.');
+  console.log('Granting CREATEROLE, REPLICATION or BYPASSRLS asks for an extra confirmation (skip it with --yes).');
+}
+
+function registerAttributeCommands() {
+  // === Attribute Commands ===
+  addAttributeOptions(
+    program
+      .command('alter-role')
+      .description('Change the attributes of a role')
+      .option('-r, --role <name>', 'Role to alter')
+  )
+    .on('--help', () => {
+      printAttributeHelp('role');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager alter-role');
+      console.log('  $ pg-user-manager alter-role --role app_admin --createdb --no-inherit');
+      console.log('  $ pg-user-manager alter-role --role replicator --replication --yes');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const roles = await roleService.listRoles();
+
+          const answers = await promptForMissing([
+            {
+              type: 'list',
+              name: 'rolename',
+              option: '--role',
+              message: 'Select role to alter:',
+              choices: roles.map(role => role.rolename)
+            }
+          ], { rolename: options.role });
+
+          await alterAttributes(answers.rolename, 'role', options);
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  addAttributeOptions(
+    program
+      .command('alter-user')
+      .description('Change the attributes of a user')
+      .option('-u, --user <name>', 'User to alter')
+  )
+    .on('--help', () => {
+      printAttributeHelp('user');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager alter-user');
+      console.log('  $ pg-user-manager alter-user --user app --connection-limit 20');
+      console.log('  $ pg-user-manager alter-user --user contractor --valid-until 2025-12-31');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const users = await userService.listUsers();
+
+          const answers = await promptForMissing([
+            {
+              type: 'list',
+              name: 'username',
+              option: '--user',
+              message: 'Select user to alter:',
+              choices: users.map(user => user.username)
+            }
+          ], { username: options.user });
+
+          await alterAttributes(answers.username, 'user', options);
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+}
+
+module.exports = { registerAttributeCommands, parseValidUntil };
@@ -0,0 +1,160 @@
+const { program, InvalidArgumentError } = require('commander');
+const auditService = require('../services/auditService');
+const db = require('../services/db');
+const { displayAuditLog } = require('../utils/displayUtils');
+const { isMachineReadable, printOutput } = require('../utils/outputUtils');
+const { parseList } = require('../utils/promptUtils');
+
+// Parse a --since/--until value (ISO date or date-time)
+function parseDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new InvalidArgumentError(`Invalid date: ${value}. Use an ISO date such as 2024-05-01 or 2024-05-01T12:00:00Z`);
+  }
+  return date;
+}
+
+// Parse a --until value; a date without time includes the whole day
+function parseUntil(value) {
+  const date = parseDate(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setTime(date.getTime() - 1);
+  }
+  return date;
+}
+
+// Parse the --limit option value
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit) || limit < 1) {
+    throw new InvalidArgumentError(`Invalid limit: ${value}`);
+  }
+  return limit;
+}
+
+// Add the options used to filter audit entries to a command
+function addFilterOptions(command) {
+  return command
+    .option('--since <date>', 'Only entries at or after this date (ISO format)', parseDate)
+    .option('--until <date>', 'Only entries at or before this date (ISO format)', parseUntil)
+    .option('-u, --user <name>', 'Only entries that target this user')
+    .option('-r, --role <name>', 'Only entries that target this role')
+    .option('-c, --command <name>', 'Only entries made by this command (e.g. create-user)')
+    .option('--operator <name>', 'Only entries made by this OS user')
+    .option('-n, --limit <count>', 'Only the most recent <count> entries', parseLimit)
+    .option('--sql', 'Include the executed SQL in the table');
+}
+
+// Build the filters for the audit service from the command options
+function getFilters(options) {
+  return {
+    since: options.since,
+    until: options.until,
+    user: options.user,
+    role: options.role,
+    command: options.command,
+    operator: options.operator,
+    limit: options.limit
+  };
+}
+
+// Print audit entries in the selected output format
+function printEntries(entries, options) {
+  const format = program.opts().output;
+  if (isMachineReadable(format)) {
+    printOutput(entries, format);
+  } else {
+    displayAuditLog(entries, options.sql);
+  }
+}
+
+function registerAuditCommands() {
+  // === Audit Commands ===
+  addFilterOptions(
+    program
+      .command('audit-log')
+      .description('Show the local journal of changes made with this tool')
+  )
+    .on('--help', () => {
+      console.log(`\nEvery change made through the CLI is appended to ${auditService.getAuditPath()}`);
+      console.log('(set PGUM_AUDIT_FILE to use another file). Each entry records the time, the OS user,');
+      console.log('the connection, the command, its targets and the SQL executed, with passwords redacted.');
+      console.log('Dry runs execute nothing and are not recorded.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager audit-log');
+      console.log('  $ pg-user-manager audit-log --since 2024-05-01 --command create-user');
+      console.log('  $ pg-user-manager audit-log --role app_read_only --sql');
+      console.log('  $ pg-user-manager audit-log --user reporting --output json');
+    })
+    .action(async (options) => {
+      try {
+        printEntries(await auditService.readEntries(getFilters(options)), options);
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  const audit = program
+    .command('audit')
+    .description('Manage the shared audit table in the database')
+    .on('--help', () => {
+      console.log(`\nThe audit table (${auditService.AUDIT_TABLE}) records the changes made with this tool`);
+      console.log('from every machine. Once installed, each change and its audit row are committed');
+      console.log('in the same transaction. Failed changes are rolled back and only appear in the');
+      console.log('local audit-log of the operator who ran them.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager audit install --grant-to dba_team');
+      console.log('  $ pg-user-manager audit show --since 2024-05-01');
+    });
+
+  audit
+    .command('install')
+    .description('Create the audit schema and table in the target database')
+    .option('-g, --grant-to <roles>', 'Comma-separated roles allowed to read and insert audit rows', parseList)
+    .on('--help', () => {
+      console.log(`\nCreates the ${auditService.AUDIT_TABLE} table (and its schema) if it does not exist.`);
+      console.log('Operators that are not superusers nor the table owner need --grant-to, otherwise');
+      console.log('their changes fail because the audit row cannot be inserted.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager audit install');
+      console.log('  $ pg-user-manager --profile prod audit install --grant-to dba_team,deployer');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const result = await auditService.installAuditTable(options.grantTo || []);
+          console.log(result.message);
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  addFilterOptions(
+    audit
+      .command('show')
+      .description('Show the changes recorded in the audit table')
+  )
+    .on('--help', () => {
+      console.log(`\nQueries ${auditService.AUDIT_TABLE} in the target database, oldest first.`);
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager audit show');
+      console.log('  $ pg-user-manager audit show --operator alice --since 2024-05-01 --until 2024-05-31');
+      console.log('  $ pg-user-manager --profile prod audit show --role app_read_only --output csv');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          printEntries(await auditService.readChanges(getFilters(options)), options);
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+}
+
+module.exports = { registerAuditCommands };
@@ -0,0 +1,152 @@
+const { program } = require('commander');
+const dependencyService = require('../services/dependencyService');
+const roleService = require('../services/roleService');
+const userService = require('../services/userService');
+const db = require('../services/db');
+const { displayRoleDependencies, displayDatabaseResults } = require('../utils/displayUtils');
+const { isMachineReadable, printOutput } = require('../utils/outputUtils');
+const { promptForMissing } = require('../utils/promptUtils');
+
+// Value of the successor prompt that drops the owned objects instead of reassigning them
+const DROP_OWNED = '';
+
+// Flatten dependencies into one row per object for machine-readable output
+function flattenDependencies(dependencies) {
+  return dependencies.flatMap(entry => [
+    ...(entry.error ? [{ database: entry.database, dependency: null, object: null, error: entry.error }] : []),
+    ...entry.objects.map(object => ({ database: entry.database, ...object }))
+  ]);
+}
+
+// Guide the removal of everything that keeps a role from being dropped:
+//  1. list what it owns or has been granted in every database
+//  2. REASSIGN OWNED BY to a successor (unless the objects are to be dropped)
+//  3. DROP OWNED in each database, which also revokes its privileges
+// Returns true when the role can be dropped. Failures set the exit code.
+async function clearRoleDependencies(rolename, options) {
+  console.log(`\nStep 1/3: looking for objects and privileges of ${rolename} in every database...`);
+  const dependencies = await dependencyService.getRoleDependencies(rolename);
+  displayRoleDependencies(rolename, dependencies);
+
+  dependencies.filter(entry => entry.error).forEach(entry => {
+    console.warn(`Warning: could not inspect database ${entry.database}: ${entry.error}`);
+  });
+
+  const databases = dependencies
+    .filter(entry => !entry.shared && entry.objects.length > 0)
+    .map(entry => entry.database);
+  const shared = dependencies
+    .filter(entry => entry.shared)
+    .flatMap(entry => entry.objects);
+  const sharedOwned = shared.filter(object => object.dependency === 'owner');
+
+  if (databases.length === 0 && shared.length === 0) {
+    console.log(`${rolename} owns no objects and holds no privileges`);
+    return true;
+  }
+
+  // Shared objects (databases, tablespaces) and privileges on them can be handled from any database
+  const inDatabases = databases.length > 0 ? databases : [db.getConnectionInfo().database];
+
+  const roles = await roleService.listRoles();
+  const users = await userService.listUsers();
+  const successors = [...roles.map(role => role.rolename), ...users.map(user => user.username)]
+    .filter(name => name !== rolename);
+
+  const answers = await promptForMissing([
+    {
+      type: 'list',
+      name: 'successor',
+      option: '--reassign-to or --drop-owned',
+      message: `Reassign the objects owned by ${rolename} to:`,
+      choices: [
+        ...successors,
+        { name: 'Nobody: drop the objects it owns', value: DROP_OWNED }
+      ]
+    }
+  ], { successor: options.dropOwned ? DROP_OWNED : options.reassignTo });
+
+  if (answers.successor === DROP_OWNED && sharedOwned.length > 0) {
+    throw new Error(`${rolename} owns ${sharedOwned.map(object => object.object).join(', ')}, which DROP OWNED does not remove. Use --reassign-to instead.`);
+  }
+
+  if (answers.successor !== DROP_OWNED) {
+    console.log(`\nStep 2/3: reassigning objects owned by ${rolename} to ${answers.successor}...`);
+    const reassigned = await dependencyService.reassignOwned(rolename, answers.successor, inDatabases);
+    displayDatabaseResults(reassigned.results);
+    console.log(reassigned.message);
+    if (!reassigned.success) {
+      process.exitCode = 1;
+      return false;
+    }
+  } else {
+    console.log('\nStep 2/3: skipped, the objects will be dropped');
+  }
+
+  console.log(`\nStep 3/3: dropping the remaining objects and privileges of ${rolename}...`);
+  const dropped = await dependencyService.dropOwned(rolename, inDatabases);
+  displayDatabaseResults(dropped.results);
+  console.log(dropped.message);
+  if (!dropped.success) {
+    process.exitCode = 1;
+    return false;
+  }
+
+  return true;
+}
+
+// Add the options of the guided delete flow to delete-user/delete-role
+function addDependencyOptions(command) {
+  return command
+    .option('--reassign-to <role>', 'Role or user that takes over the objects owned by the deleted one')
+    .option('--drop-owned', 'Drop the objects owned by the deleted role instead of reassigning them');
+}
+
+function registerDependencyCommands() {
+  // === Dependency Commands ===
+  program
+    .command('list-dependencies')
+    .description('List the objects a user or role owns and the privileges it holds in every database')
+    .option('-r, --role <name>', 'User or role to inspect')
+    .on('--help', () => {
+      console.log('\nLists what keeps a user or role from being dropped: the objects it owns, the');
+      console.log('privileges it has been granted and the policies that name it, in every database');
+      console.log('of the cluster that accepts connections. Shared objects (databases, tablespaces)');
+      console.log('are listed under (cluster).');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager list-dependencies');
+      console.log('  $ pg-user-manager list-dependencies --role app --output json');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const roles = await roleService.listRoles();
+          const users = await userService.listUsers();
+
+          const answers = await promptForMissing([
+            {
+              type: 'list',
+              name: 'rolename',
+              option: '--role',
+              message: 'Select user or role:',
+              choices: [...users.map(user => user.username), ...roles.map(role => role.rolename)]
+            }
+          ], { rolename: options.role });
+
+          const dependencies = await dependencyService.getRoleDependencies(answers.rolename);
+
+          const format = program.opts().output;
+          if (isMachineReadable(format)) {
+            printOutput(flattenDependencies(dependencies), format);
+          } else {
+            displayRoleDependencies(answers.rolename, dependencies);
+          }
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+}
+
+module.exports = { registerDependencyCommands, addDependencyOptions, clearRoleDependencies, flattenDependencies };
@@ -0,0 +1,122 @@
+const { program, Option } = require('commander');
+const importService = require('../services/importService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const db = require('../services/db');
+const { parseValidUntil } = require('./attributeCommands');
+const { parseDays, parseLength, getPolicyOption } = require('./userCommands');
+const { offerToSaveCredentials } = require('./vaultCommands');
+const { displayImportPreview, displayUserResults } = require('../utils/displayUtils');
+const { isMachineReadable, logInfo, printOutput } = require('../utils/outputUtils');
+const { addDays } = require('../utils/dateUtils');
+const { promptForMissing } = require('../utils/promptUtils');
+
+function registerImportCommands() {
+  // === Import Commands ===
+  program
+    .command('import-users <file>')
+    .description('Create users and their role memberships from a CSV or JSON file')
+    .option('--valid-until <date>', 'Expiry of the passwords of entries without one (ISO date, or "never")', parseValidUntil)
+    .option('--expires-in <duration>', 'Make the passwords of entries without an expiry expire after a duration such as 90d', parseDays)
+    .option('--policy <name>', 'Password policy of the generated passwords (default: the default policy)')
+    .option('--length <number>', 'Length of the generated passwords, instead of a policy', parseLength)
+    .option('--no-special', 'Do not include special characters in the generated passwords')
+    .option('--no-password-check', 'Accept passwords in the file that fail the password validation rules')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .option('--save', 'Save the credentials of the imported users to the secret store')
+    .option('--no-save', 'Do not save the credentials (they are printed instead)')
+    .addOption(new Option('--save-csv').hideHelp())
+    .addOption(new Option('--no-save-csv').hideHelp())
+    .on('--help', () => {
+      console.log('\nReads one user per CSV line (with a header line) or per element of a JSON array.');
+      console.log('\nColumns:');
+      console.log('  username     Login name of the new user (required)');
+      console.log('  roles        Roles to assign, separated by ";" in CSV or as a JSON list');
+      console.log('  password     Password to set; empty or "generate" for a generated one');
+      console.log('  valid_until  Password expiry date (ISO date, or "never")');
+      console.log('  expires_in   Password lifetime such as 90d, instead of valid_until');
+      console.log('\nEvery entry is validated before anything is created: reserved pg_/rds_ prefixes,');
+      console.log('names that already exist or are repeated, unknown roles, invalid expiries and passwords');
+      console.log('that fail the validation rules of password-policies.yaml.');
+      console.log('If any entry is invalid, nothing is created. Otherwise a preview is shown and, after');
+      console.log('confirmation, each user is created with its memberships in its own transaction.');
+      console.log('A failed entry does not stop the others.');
+      console.log('\nExample file (team.csv):');
+      console.log('  username,roles,password,expires_in');
+      console.log('  alice,analyst;reporting_ro,generate,90d');
+      console.log('  bob,analyst,,');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager import-users team.csv');
+      console.log('  $ pg-user-manager import-users team.json --expires-in 90d --yes --save');
+      console.log('  $ pg-user-manager --dry-run import-users team.csv --yes');
+    })
+    .action(async (file, options) => {
+      try {
+        if (options.validUntil !== undefined && options.expiresIn !== undefined) {
+          throw new Error('Use either --valid-until or --expires-in, not both');
+        }
+        const policy = getPolicyOption(options);
+
+        if (await db.testConnection()) {
+          const entries = await importService.validateEntries(importService.readImportFile(file), {
+            validUntil: options.expiresIn !== undefined ? addDays(options.expiresIn) : options.validUntil,
+            passwordRules: options.passwordCheck === false ? null : passwordPolicyService.getValidationRules()
+          });
+          displayImportPreview(entries);
+
+          if (entries.length === 0) {
+            logInfo(`No users found in ${file}`);
+            return;
+          }
+
+          const invalid = entries.filter(entry => entry.errors.length > 0);
+          if (invalid.length > 0) {
+            console.error(`\n${invalid.length} invalid entr${invalid.length === 1 ? 'y' : 'ies'}; fix the file and run the import again. Nothing was created.`);
+            process.exitCode = 1;
+            return;
+          }
+
+          const answers = await promptForMissing([
+            {
+              type: 'confirm',
+              name: 'confirm',
+              option: '--yes',
+              message: `Create ${entries.length} user(s)?`,
+              default: false
+            }
+          ], { confirm: options.yes });
+
+          if (!answers.confirm) {
+            logInfo('Import operation cancelled');
+            return;
+          }
+
+          const result = await importService.importUsers(entries, policy);
+
+          const format = program.opts().output;
+          if (isMachineReadable(format)) {
+            printOutput(result.results, format);
+          } else {
+            displayUserResults(result.results);
+          }
+          logInfo(result.message);
+
+          if (result.credentials.length > 0) {
+            const unsaved = await offerToSaveCredentials(options, result.credentials, 'import-users');
+            if (unsaved.length > 0) {
+              logInfo('');
+              unsaved.forEach(credentials => {
+                logInfo(`Password for ${credentials.username}: ${credentials.password}`);
+              });
+            }
+          }
+
+          if (!result.success) process.exitCode = 1;
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+}
+
+module.exports = { registerImportCommands };
@@ -1,403 +1,751 @@
 const { program } = require('commander');
-const inquirer = require('inquirer');
 const roleService = require('../services/roleService');
 const permissionService = require('../services/permissionService');
 const db = require('../services/db');
-const { displayRoleInformation } = require('../utils/displayUtils');
+const { displayRoleInformation, displaySchemaResults } = require('../utils/displayUtils');
+const { isMachineReadable, printOutput } = require('../utils/outputUtils');
+const { promptForMissing, parseList, matchGlobs } = require('../utils/promptUtils');
+
+// Resolve the role and the database of a grant/revoke command from flags or prompts.
+// Schemas, tables and columns are then listed from that database, where the statements run too.
+async function selectRoleAndDatabase(options) {
+  const roles = await roleService.listRoles();
+
+  return promptForMissing([
+    {
+      type: 'list',
+      name: 'rolename',
+      option: '--role',
+      message: 'Select role:',
+      choices: roles.map(role => role.rolename)
+    },
+    {
+      type: 'input',
+      name: 'database',
+      option: '--database',
+      message: 'Database name:',
+      default: db.getConnectionInfo().database,
+      required: false
+    }
+  ], { rolename: options.role, database: options.database });
+}
+
+// Resolve the role, database and schemas for a grant/revoke command from flags or prompts
+async function selectRoleDatabaseAndSchemas(options) {
+  if (options.schema && options.allSchemas) {
+    throw new Error('Use either --schema or --all-schemas, not both');
+  }
+
+  // Get the database name first
+  const dbAnswer = await selectRoleAndDatabase(options);
+  
+  // Now get the list of schemas of that database
+  const schemas = await db.withDatabase(dbAnswer.database, () => permissionService.listSchemas());
+  
+  // Ask for schema selection strategy
+  let schemaSelection = options.allSchemas ? 'ALL' : undefined;
+  let providedSchemas;
+  if (options.schema) {
+    providedSchemas = parseList(options.schema);
+    schemaSelection = 'MULTIPLE';
+  }
+  
+  const schemaAnswer = await promptForMissing([
+    {
+      type: 'list',
+      name: 'schemaSelection',
+      option: '--schema or --all-schemas',
+      message: 'How would you like to select schemas?',
+      choices: [
+        { name: 'Single schema', value: 'SINGLE' },
+        { name: 'Multiple schemas', value: 'MULTIPLE' },
+        { name: 'All schemas', value: 'ALL' }
+      ]
+    }
+  ], { schemaSelection });
+  
+  let selectedSchemas = [];
+  
+  if (schemaAnswer.schemaSelection === 'SINGLE') {
+    // Single schema selection
+    const singleAnswer = await promptForMissing([
+      {
+        type: 'list',
+        name: 'schema',
+        message: 'Select schema:',
+        choices: schemas,
+        default: 'public'
+      }
+    ]);
+    selectedSchemas = [singleAnswer.schema];
+  } 
+  else if (schemaAnswer.schemaSelection === 'MULTIPLE') {
+    // Multiple schema selection
+    const multiAnswer = await promptForMissing([
+      {
+        type: 'checkbox',
+        name: 'schemas',
+        option: '--schema',
+        message: 'Select schemas:',
+        choices: schemas,
+        validate: (answer) => {
+          if (answer.length < 1) {
+            return 'You must choose at least one schema.';
+          }
+          return true;
+        }
+      }
+    ], { schemas: providedSchemas });
+    selectedSchemas = multiAnswer.schemas;
+  }
+  else if (schemaAnswer.schemaSelection === 'ALL') {
+    // All schemas
+    selectedSchemas = schemas;
+  }
+  
+  // Ensure we have schemas to work with
+  if (selectedSchemas.length === 0) {
+    throw new Error('No schemas selected.');
+  }
+  
+  return { rolename: dbAnswer.rolename, database: dbAnswer.database, selectedSchemas };
+}
+
+// Resolve the role, database, schema, objects and privileges for a table-level grant/revoke
+async function selectRoleSchemaAndObjects(options) {
+  const target = await selectRoleAndDatabase(options);
+  return db.withDatabase(target.database, () => selectSchemaAndObjects(options, target));
+}
+
+// Resolve the schema, objects and privileges of a table-level grant/revoke in the selected database
+async function selectSchemaAndObjects(options, target) {
+  const schemas = await permissionService.listSchemas();
+
+  const answers = await promptForMissing([
+    {
+      type: 'list',
+      name: 'schema',
+      option: '--schema',
+      message: 'Select schema:',
+      choices: schemas,
+      default: 'public'
+    }
+  ], { schema: options.schema });
+
+  const relations = await permissionService.listRelations(answers.schema);
+  if (relations.length === 0) {
+    throw new Error(`Schema ${answers.schema} has no tables, views or sequences`);
+  }
+
+  // --table accepts exact names and glob patterns such as report_*
+  let providedObjects;
+  if (options.table) {
+    const { matched, unmatched } = matchGlobs(relations.map(relation => relation.name), parseList(options.table));
+    if (unmatched.length > 0) {
+      throw new Error(`No table, view or sequence in schema ${answers.schema} matches: ${unmatched.join(', ')}`);
+    }
+    providedObjects = matched;
+  }
+
+  const privileges = [...new Set([...permissionService.TABLE_PRIVILEGES, ...permissionService.SEQUENCE_PRIVILEGES])];
+
+  const selection = await promptForMissing([
+    {
+      type: 'checkbox',
+      name: 'objects',
+      option: '--table',
+      message: 'Select tables, views and sequences:',
+      choices: relations.map(relation => ({ name: `${relation.name} (${relation.type})`, value: relation.name })),
+      validate: (answer) => answer.length > 0 ? true : 'You must choose at least one object.'
+    },
+    {
+      type: 'checkbox',
+      name: 'privileges',
+      option: '--privileges',
+      message: 'Select privileges:',
+      choices: privileges.map(privilege => ({ name: privilege, value: privilege, checked: privilege === 'SELECT' })),
+      validate: (answer) => answer.length > 0 ? true : 'You must choose at least one privilege.'
+    }
+  ], {
+    objects: providedObjects,
+    privileges: options.privileges ? parseList(options.privileges).map(privilege => privilege.toUpperCase()) : undefined
+  });
+
+  return { ...target, ...answers, objects: selection.objects, privileges: selection.privileges };
+}
+
+// Resolve the role, database, table, columns and privileges for a column-level grant/revoke
+async function selectRoleTableAndColumns(options) {
+  const target = await selectRoleAndDatabase(options);
+  return db.withDatabase(target.database, () => selectTableAndColumns(options, target));
+}
+
+// Resolve the table, columns and privileges of a column-level grant/revoke in the selected database
+async function selectTableAndColumns(options, target) {
+  const schemas = await permissionService.listSchemas();
+
+  const answers = await promptForMissing([
+    {
+      type: 'list',
+      name: 'schema',
+      option: '--schema',
+      message: 'Select schema:',
+      choices: schemas,
+      default: 'public'
+    }
+  ], { schema: options.schema });
+
+  const tables = (await permissionService.listRelations(answers.schema))
+    .filter(relation => relation.type !== 'sequence');
+  if (tables.length === 0) {
+    throw new Error(`Schema ${answers.schema} has no tables or views`);
+  }
+
+  const tableAnswer = await promptForMissing([
+    {
+      type: 'list',
+      name: 'table',
+      option: '--table',
+      message: 'Select table:',
+      choices: tables.map(table => ({ name: `${table.name} (${table.type})`, value: table.name }))
+    }
+  ], { table: options.table });
+
+  const columns = await permissionService.listColumns(answers.schema, tableAnswer.table);
+
+  const selection = await promptForMissing([
+    {
+      type: 'checkbox',
+      name: 'columns',
+      option: '--columns',
+      message: 'Select columns:',
+      choices: columns.map(column => ({ name: `${column.name} (${column.data_type})`, value: column.name })),
+      validate: (answer) => answer.length > 0 ? true : 'You must choose at least one column.'
+    },
+    {
+      type: 'checkbox',
+      name: 'privileges',
+      option: '--privileges',
+      message: 'Select privileges:',
+      choices: permissionService.COLUMN_PRIVILEGES.map(privilege => ({ name: privilege, value: privilege, checked: privilege === 'SELECT' })),
+      validate: (answer) => answer.length > 0 ? true : 'You must choose at least one privilege.'
+    }
+  ], {
+    columns: options.columns ? parseList(options.columns) : undefined,
+    privileges: options.privileges ? parseList(options.privileges).map(privilege => privilege.toUpperCase()) : undefined
+  });
+
+  return { ...target, ...answers, table: tableAnswer.table, columns: selection.columns, privileges: selection.privileges };
+}
+
+// Print the outcome of a grant/revoke, with a per-schema summary when some schemas failed
+function reportResult(result) {
+  if (result.results && result.results.some(schemaResult => !schemaResult.success)) {
+    displaySchemaResults(result.results);
+  }
+  console.log(result.message);
+  (result.warnings || []).forEach(warning => console.warn(`Warning: ${warning}`));
+  if (!result.success) process.exitCode = 1;
+}
 
 function registerPermissionCommands() {
   // === Permission Commands ===
   program
     .command('grant-read-permissions')
     .description('Grant read permissions to a role')
+    .option('-r, --role <name>', 'Role to grant permissions to')
+    .option('-d, --database <name>', 'Database to grant or revoke in (defaults to the connection database)')
+    .option('-s, --schema <schemas>', 'Comma-separated list of schemas')
+    .option('--all-schemas', 'Apply to all non-system schemas')
+    .option('--continue-on-error', 'Keep going when a schema fails and report a per-schema summary')
     .on('--help', () => {
-      console.log('\nInteractively grants READ permissions to a role for all tables in one or more schemas.');
+      console.log('\nGrants READ permissions to a role for all tables in one or more schemas.');
       console.log('The following permissions will be granted:');
       console.log('  - CONNECT on the database');
       console.log('  - USAGE on the schema(s)');
       console.log('  - SELECT on all tables in the schema(s)');
       console.log('  - SELECT on all future tables (ALTER DEFAULT PRIVILEGES)');
-      console.log('\nYou will be prompted to:');
+      console.log('\nAll statements run in a single transaction: if any schema fails, nothing is changed.');
+      console.log('With --continue-on-error, each schema is applied on its own and a per-schema');
+      console.log('summary of successes and failures is shown.');
+      console.log('\nYou will be prompted for any value not passed as an option:');
       console.log('  - Select a role from a list of existing roles');
-      console.log('  - Enter the database name (defaults to the one in .env)');
+      console.log('  - Enter the database name (defaults to the one of the active connection)');
       console.log('  - Choose schema options: specific schema, multiple schemas, or all schemas');
-      console.log('\nExample:');
+      console.log('\nExamples:');
       console.log('  $ pg-user-manager grant-read-permissions');
+      console.log('  $ pg-user-manager grant-read-permissions --role app_read_only --database app --schema public,sales');
     })
-    .action(async () => {
+    .action(async (options) => {
       try {
         if (await db.testConnection()) {
-          const roles = await roleService.listRoles();
-          const rolenames = roles.map(role => role.rolename);
-          
-          // Get the database name first
-          const dbAnswer = await inquirer.prompt([
-            {
-              type: 'list',
-              name: 'rolename',
-              message: 'Select role:',
-              choices: rolenames
-            },
-            {
-              type: 'input',
-              name: 'database',
-              message: 'Database name:',
-              default: process.env.DB_NAME
-            }
-          ]);
-          
-          // Now get the list of schemas
-          const schemas = await permissionService.listSchemas();
-          
-          // Add "All schemas" option to the beginning of the list
-          const schemaChoices = [
-            { name: 'All schemas', value: 'ALL' },
-            new inquirer.Separator('---------- Individual schemas ----------')
-          ].concat(schemas);
-          
-          // Ask for schema selection strategy
-          const schemaAnswer = await inquirer.prompt([
-            {
-              type: 'list',
-              name: 'schemaSelection',
-              message: 'How would you like to select schemas?',
-              choices: [
-                { name: 'Single schema', value: 'SINGLE' },
-                { name: 'Multiple schemas', value: 'MULTIPLE' },
-                { name: 'All schemas', value: 'ALL' }
-              ]
-            }
-          ]);
-          
-          let selectedSchemas = [];
-          
-          if (schemaAnswer.schemaSelection === 'SINGLE') {
-            // Single schema selection
-            const singleAnswer = await inquirer.prompt([
-              {
-                type: 'list',
-                name: 'schema',
-                message: 'Select schema:',
-                choices: schemas,
-                default: 'public'
-              }
-            ]);
-            selectedSchemas = [singleAnswer.schema];
-          } 
-          else if (schemaAnswer.schemaSelection === 'MULTIPLE') {
-            // Multiple schema selection
-            const multiAnswer = await inquirer.prompt([
-              {
-                type: 'checkbox',
-                name: 'schemas',
-                message: 'Select schemas:',
-                choices: schemas,
-                validate: (answer) => {
-                  if (answer.length < 1) {
-                    return 'You must choose at least one schema.';
-                  }
-                  return true;
-                }
-              }
-            ]);
-            selectedSchemas = multiAnswer.schemas;
-          }
-          else if (schemaAnswer.schemaSelection === 'ALL') {
-            // All schemas
-            selectedSchemas = schemas;
-          }
-          
-          // Ensure we have schemas to work with
-          if (selectedSchemas.length === 0) {
-            console.log('Error: No schemas selected.');
-            return;
-          }
+          const { rolename, database, selectedSchemas } = await selectRoleDatabaseAndSchemas(options);
           
           // If only one schema is selected, use the regular function
           let result;
           if (selectedSchemas.length === 1) {
             result = await permissionService.grantReadPermissions(
-              dbAnswer.rolename,
-              dbAnswer.database,
+              rolename,
+              database,
               selectedSchemas[0]
             );
           } else {
             // For multiple schemas, use the multi version
             result = await permissionService.grantReadPermissionsMulti(
-              dbAnswer.rolename,
-              dbAnswer.database,
-              selectedSchemas
+              rolename,
+              database,
+              selectedSchemas,
+              { continueOnError: options.continueOnError }
             );
           }
           
-          console.log(result.message);
+          reportResult(result);
         }
       } catch (err) {
         console.error('Error:', err.message);
+        process.exitCode = 1;
       }
     });
 
   program
     .command('grant-write-permissions')
     .description('Grant write permissions to a role')
+    .option('-r, --role <name>', 'Role to grant permissions to')
+    .option('-d, --database <name>', 'Database to grant or revoke in (defaults to the connection database)')
+    .option('-s, --schema <schemas>', 'Comma-separated list of schemas')
+    .option('--all-schemas', 'Apply to all non-system schemas')
+    .option('--continue-on-error', 'Keep going when a schema fails and report a per-schema summary')
     .on('--help', () => {
-      console.log('\nInteractively grants WRITE (and READ) permissions to a role for all tables in one or more schemas.');
+      console.log('\nGrants WRITE (and READ) permissions to a role for all tables in one or more schemas.');
       console.log('The following permissions will be granted:');
       console.log('  - All READ permissions (CONNECT, USAGE, SELECT)');
       console.log('  - INSERT, UPDATE, DELETE on all tables in the schema(s)');
       console.log('  - INSERT, UPDATE, DELETE on all future tables (ALTER DEFAULT PRIVILEGES)');
       console.log('  - USAGE on all sequences in the schema(s)');
       console.log('  - USAGE on all future sequences (ALTER DEFAULT PRIVILEGES)');
-      console.log('\nYou will be prompted to:');
+      console.log('\nAll statements run in a single transaction: if any schema fails, nothing is changed.');
+      console.log('With --continue-on-error, each schema is applied on its own and a per-schema');
+      console.log('summary of successes and failures is shown.');
+      console.log('\nYou will be prompted for any value not passed as an option:');
       console.log('  - Select a role from a list of existing roles');
-      console.log('  - Enter the database name (defaults to the one in .env)');
+      console.log('  - Enter the database name (defaults to the one of the active connection)');
       console.log('  - Choose schema options: specific schema, multiple schemas, or all schemas');
-      console.log('\nExample:');
+      console.log('\nExamples:');
       console.log('  $ pg-user-manager grant-write-permissions');
+      console.log('  $ pg-user-manager grant-write-permissions --role app_read_only --database app --schema public,sales');
     })
-    .action(async () => {
+    .action(async (options) => {
       try {
         if (await db.testConnection()) {
-          const roles = await roleService.listRoles();
-          const rolenames = roles.map(role => role.rolename);
-          
-          // Get the database name first
-          const dbAnswer = await inquirer.prompt([
-            {
-              type: 'list',
-              name: 'rolename',
-              message: 'Select role:',
-              choices: rolenames
-            },
-            {
-              type: 'input',
-              name: 'database',
-              message: 'Database name:',
-              default: process.env.DB_NAME
-            }
-          ]);
-          
-          // Now get the list of schemas
-          const schemas = await permissionService.listSchemas();
-          
-          // Ask for schema selection strategy
-          const schemaAnswer = await inquirer.prompt([
-            {
-              type: 'list',
-              name: 'schemaSelection',
-              message: 'How would you like to select schemas?',
-              choices: [
-                { name: 'Single schema', value: 'SINGLE' },
-                { name: 'Multiple schemas', value: 'MULTIPLE' },
-                { name: 'All schemas', value: 'ALL' }
-              ]
-            }
-          ]);
-          
-          let selectedSchemas = [];
-          
-          if (schemaAnswer.schemaSelection === 'SINGLE') {
-            // Single schema selection
-            const singleAnswer = await inquirer.prompt([
-              {
-                type: 'list',
-                name: 'schema',
-                message: 'Select schema:',
-                choices: schemas,
-                default: 'public'
-              }
-            ]);
-            selectedSchemas = [singleAnswer.schema];
-          } 
-          else if (schemaAnswer.schemaSelection === 'MULTIPLE') {
-            // Multiple schema selection
-            const multiAnswer = await inquirer.prompt([
-              {
-                type: 'checkbox',
-                name: 'schemas',
-                message: 'Select schemas:',
-                choices: schemas,
-                validate: (answer) => {
-                  if (answer.length < 1) {
-                    return 'You must choose at least one schema.';
-                  }
-                  return true;
-                }
-              }
-            ]);
-            selectedSchemas = multiAnswer.schemas;
-          }
-          else if (schemaAnswer.schemaSelection === 'ALL') {
-            // All schemas
-            selectedSchemas = schemas;
-          }
-          
-          // Ensure we have schemas to work with
-          if (selectedSchemas.length === 0) {
-            console.log('Error: No schemas selected.');
-            return;
-          }
+          const { rolename, database, selectedSchemas } = await selectRoleDatabaseAndSchemas(options);
           
           // If only one schema is selected, use the regular function
           let result;
           if (selectedSchemas.length === 1) {
             result = await permissionService.grantWritePermissions(
-              dbAnswer.rolename,
-              dbAnswer.database,
+              rolename,
+              database,
               selectedSchemas[0]
             );
           } else {
             // For multiple schemas, use the multi version
             result = await permissionService.grantWritePermissionsMulti(
-              dbAnswer.rolename,
-              dbAnswer.database,
-              selectedSchemas
+              rolename,
+              database,
+              selectedSchemas,
+              { continueOnError: options.continueOnError }
             );
           }
           
-          console.log(result.message);
+          reportResult(result);
         }
       } catch (err) {
         console.error('Error:', err.message);
+        process.exitCode = 1;
       }
     });
 
   program
     .command('revoke-permissions')
     .description('Revoke all permissions from a role')
+    .option('-r, --role <name>', 'Role to revoke permissions from')
+    .option('-d, --database <name>', 'Database to grant or revoke in (defaults to the connection database)')
+    .option('-s, --schema <schemas>', 'Comma-separated list of schemas')
+    .option('--all-schemas', 'Apply to all non-system schemas')
+    .option('--continue-on-error', 'Keep going when a schema fails and report a per-schema summary')
+    .option('-y, --yes', 'Skip the confirmation prompt')
     .on('--help', () => {
-      console.log('\nInteractively revokes ALL permissions from a role for all tables in one or more schemas.');
+      console.log('\nRevokes ALL permissions from a role for all tables in one or more schemas.');
       console.log('This includes:');
       console.log('  - ALL PRIVILEGES on all tables in the schema(s)');
       console.log('  - ALL PRIVILEGES on all sequences in the schema(s)');
       console.log('  - ALL PRIVILEGES on the schema(s)');
       console.log('  - ALL PRIVILEGES on the database');
       console.log('  - ALL PRIVILEGES on all future tables and sequences (ALTER DEFAULT PRIVILEGES)');
-      console.log('\nYou will be prompted to:');
+      console.log('\nAll statements run in a single transaction: if any schema fails, nothing is changed.');
+      console.log('With --continue-on-error, each schema is applied on its own and a per-schema');
+      console.log('summary of successes and failures is shown.');
+      console.log('\nYou will be prompted for any value not passed as an option:');
       console.log('  - Select a role from a list of existing roles');
-      console.log('  - Enter the database name (defaults to the one in .env)');
+      console.log('  - Enter the database name (defaults to the one of the active connection)');
       console.log('  - Choose schema options: specific schema, multiple schemas, or all schemas');
       console.log('  - Confirm the revocation of all permissions');
-      console.log('\nExample:');
+      console.log('\nExamples:');
       console.log('  $ pg-user-manager revoke-permissions');
+      console.log('  $ pg-user-manager revoke-permissions --role app_read_only --database app --schema public,sales --yes');
     })
-    .action(async () => {
+    .action(async (options) => {
       try {
         if (await db.testConnection()) {
-          const roles = await roleService.listRoles();
-          const rolenames = roles.map(role => role.rolename);
+          const { rolename, database, selectedSchemas } = await selectRoleDatabaseAndSchemas(options);
           
-          // Get the database name first
-          const dbAnswer = await inquirer.prompt([
-            {
-              type: 'list',
-              name: 'rolename',
-              message: 'Select role:',
-              choices: rolenames
-            },
+          // Confirmation
+          const confirmAnswer = await promptForMissing([
             {
-              type: 'input',
-              name: 'database',
-              message: 'Database name:',
-              default: process.env.DB_NAME
+              type: 'confirm',
+              name: 'confirm',
+              option: '--yes',
+              message: `Are you sure you want to revoke all permissions from ${selectedSchemas.length} schema(s)?`,
+              default: false
             }
-          ]);
+          ], { confirm: options.yes });
           
-          // Now get the list of schemas
-          const schemas = await permissionService.listSchemas();
-          
-          // Ask for schema selection strategy
-          const schemaAnswer = await inquirer.prompt([
-            {
-              type: 'list',
-              name: 'schemaSelection',
-              message: 'How would you like to select schemas?',
-              choices: [
-                { name: 'Single schema', value: 'SINGLE' },
-                { name: 'Multiple schemas', value: 'MULTIPLE' },
-                { name: 'All schemas', value: 'ALL' }
-              ]
+          if (confirmAnswer.confirm) {
+            // If only one schema is selected, use the regular function
+            let result;
+            if (selectedSchemas.length === 1) {
+              result = await permissionService.revokeAllPermissions(
+                rolename, 
+                database, 
+                selectedSchemas[0]
+              );
+            } else {
+              // For multiple schemas, use the multi version
+              result = await permissionService.revokeAllPermissionsMulti(
+                rolename,
+                database,
+                selectedSchemas,
+                { continueOnError: options.continueOnError }
+              );
             }
-          ]);
-          
-          let selectedSchemas = [];
-          
-          if (schemaAnswer.schemaSelection === 'SINGLE') {
-            // Single schema selection
-            const singleAnswer = await inquirer.prompt([
-              {
-                type: 'list',
-                name: 'schema',
-                message: 'Select schema:',
-                choices: schemas,
-                default: 'public'
-              }
-            ]);
-            selectedSchemas = [singleAnswer.schema];
-          } 
-          else if (schemaAnswer.schemaSelection === 'MULTIPLE') {
-            // Multiple schema selection
-            const multiAnswer = await inquirer.prompt([
-              {
-                type: 'checkbox',
-                name: 'schemas',
-                message: 'Select schemas:',
-                choices: schemas,
-                validate: (answer) => {
-                  if (answer.length < 1) {
-                    return 'You must choose at least one schema.';
-                  }
-                  return true;
-                }
-              }
-            ]);
-            selectedSchemas = multiAnswer.schemas;
-          }
-          else if (schemaAnswer.schemaSelection === 'ALL') {
-            // All schemas
-            selectedSchemas = schemas;
+            reportResult(result);
+          } else {
+            console.log('Revoke operation cancelled');
           }
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  program
+    .command('grant-execute-permissions')
+    .description('Grant execute permissions on functions and procedures to a role')
+    .option('-r, --role <name>', 'Role to grant permissions to')
+    .option('-d, --database <name>', 'Database to grant or revoke in (defaults to the connection database)')
+    .option('-s, --schema <schemas>', 'Comma-separated list of schemas')
+    .option('--all-schemas', 'Apply to all non-system schemas')
+    .option('--continue-on-error', 'Keep going when a schema fails and report a per-schema summary')
+    .on('--help', () => {
+      console.log('\nGrants EXECUTE permissions to a role on all functions and procedures in one or more schemas.');
+      console.log('The following permissions will be granted:');
+      console.log('  - CONNECT on the database');
+      console.log('  - USAGE on the schema(s)');
+      console.log('  - EXECUTE on all functions and procedures in the schema(s)');
+      console.log('  - EXECUTE on all future functions and procedures (ALTER DEFAULT PRIVILEGES)');
+      console.log('\nNote that PostgreSQL lets PUBLIC execute new functions by default; this grant only');
+      console.log('makes a difference for functions on which EXECUTE was revoked from PUBLIC.');
+      console.log('\nAll statements run in a single transaction: if any schema fails, nothing is changed.');
+      console.log('With --continue-on-error, each schema is applied on its own and a per-schema');
+      console.log('summary of successes and failures is shown.');
+      console.log('\nYou will be prompted for any value not passed as an option:');
+      console.log('  - Select a role from a list of existing roles');
+      console.log('  - Enter the database name (defaults to the one of the active connection)');
+      console.log('  - Choose schema options: specific schema, multiple schemas, or all schemas');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager grant-execute-permissions');
+      console.log('  $ pg-user-manager grant-execute-permissions --role app_api --database app --schema api');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const { rolename, database, selectedSchemas } = await selectRoleDatabaseAndSchemas(options);
           
-          // Ensure we have schemas to work with
-          if (selectedSchemas.length === 0) {
-            console.log('Error: No schemas selected.');
-            return;
+          let result;
+          if (selectedSchemas.length === 1) {
+            result = await permissionService.grantExecutePermissions(
+              rolename,
+              database,
+              selectedSchemas[0]
+            );
+          } else {
+            result = await permissionService.grantExecutePermissionsMulti(
+              rolename,
+              database,
+              selectedSchemas,
+              { continueOnError: options.continueOnError }
+            );
           }
           
-          // Confirmation
-          const confirmAnswer = await inquirer.prompt([
+          reportResult(result);
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  program
+    .command('revoke-execute-permissions')
+    .description('Revoke execute permissions on functions and procedures from a role')
+    .option('-r, --role <name>', 'Role to revoke permissions from')
+    .option('-d, --database <name>', 'Database to grant or revoke in (defaults to the connection database)')
+    .option('-s, --schema <schemas>', 'Comma-separated list of schemas')
+    .option('--all-schemas', 'Apply to all non-system schemas')
+    .option('--continue-on-error', 'Keep going when a schema fails and report a per-schema summary')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .on('--help', () => {
+      console.log('\nRevokes EXECUTE permissions from a role on all functions and procedures in one or more schemas.');
+      console.log('This includes:');
+      console.log('  - EXECUTE on all functions and procedures in the schema(s)');
+      console.log('  - EXECUTE on all future functions and procedures (ALTER DEFAULT PRIVILEGES)');
+      console.log('\nUSAGE on the schema and CONNECT on the database are kept, as other grants may need them.');
+      console.log('The role can still execute functions that PUBLIC can execute.');
+      console.log('\nAll statements run in a single transaction: if any schema fails, nothing is changed.');
+      console.log('With --continue-on-error, each schema is applied on its own and a per-schema');
+      console.log('summary of successes and failures is shown.');
+      console.log('\nYou will be prompted for any value not passed as an option:');
+      console.log('  - Select a role from a list of existing roles');
+      console.log('  - Enter the database name (defaults to the one of the active connection)');
+      console.log('  - Choose schema options: specific schema, multiple schemas, or all schemas');
+      console.log('  - Confirm the revocation');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager revoke-execute-permissions');
+      console.log('  $ pg-user-manager revoke-execute-permissions --role app_api --schema api --yes');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const { rolename, database, selectedSchemas } = await selectRoleDatabaseAndSchemas(options);
+          
+          const confirmAnswer = await promptForMissing([
             {
               type: 'confirm',
               name: 'confirm',
-              message: `Are you sure you want to revoke all permissions from ${selectedSchemas.length} schema(s)?`,
+              option: '--yes',
+              message: `Are you sure you want to revoke execute permissions from ${selectedSchemas.length} schema(s)?`,
               default: false
             }
-          ]);
+          ], { confirm: options.yes });
           
           if (confirmAnswer.confirm) {
-            // If only one schema is selected, use the regular function
             let result;
             if (selectedSchemas.length === 1) {
-              result = await permissionService.revokeAllPermissions(
-                dbAnswer.rolename, 
-                dbAnswer.database, 
+              result = await permissionService.revokeExecutePermissions(
+                rolename,
+                database,
                 selectedSchemas[0]
               );
             } else {
-              // For multiple schemas, use the multi version
-              result = await permissionService.revokeAllPermissionsMulti(
-                dbAnswer.rolename,
-                dbAnswer.database,
-                selectedSchemas
+              result = await permissionService.revokeExecutePermissionsMulti(
+                rolename,
+                database,
+                selectedSchemas,
+                { continueOnError: options.continueOnError }
               );
             }
-            console.log(result.message);
+            reportResult(result);
           } else {
             console.log('Revoke operation cancelled');
           }
         }
       } catch (err) {
         console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  program
+    .command('grant-table-permissions')
+    .description('Grant chosen privileges on individual tables, views and sequences to a role')
+    .option('-r, --role <name>', 'Role to grant permissions to')
+    .option('-d, --database <name>', 'Database to grant or revoke in (defaults to the connection database)')
+    .option('-s, --schema <name>', 'Schema containing the objects')
+    .option('-t, --table <names>', 'Comma-separated tables, views or sequences; glob patterns such as report_* are allowed')
+    .option('--privileges <list>', 'Comma-separated privileges (SELECT, INSERT, UPDATE, DELETE, TRUNCATE, REFERENCES, TRIGGER, USAGE)')
+    .on('--help', () => {
+      console.log('\nGrants the chosen privileges on individual tables, views and sequences of a schema,');
+      console.log('instead of the read/write bundles that cover all tables in the schema.');
+      console.log('CONNECT on the database and USAGE on the schema are granted as well.');
+      console.log('\nTable privileges: SELECT, INSERT, UPDATE, DELETE, TRUNCATE, REFERENCES, TRIGGER');
+      console.log('Sequence privileges: USAGE, SELECT, UPDATE');
+      console.log('Each privilege is applied only to the selected objects that support it.');
+      console.log('Only existing objects are affected; tables created later are not.');
+      console.log('\nYou will be prompted for any value not passed as an option:');
+      console.log('  - Select a role from a list of existing roles');
+      console.log('  - Enter the database name (defaults to the one of the active connection)');
+      console.log('  - Select the schema');
+      console.log('  - Select the tables, views and sequences');
+      console.log('  - Select the privileges (SELECT by default)');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager grant-table-permissions');
+      console.log('  $ pg-user-manager grant-table-permissions --role analyst --schema reporting --table "report_*" --privileges SELECT');
+      console.log('  $ pg-user-manager grant-table-permissions --role app --schema public --table orders,orders_id_seq --privileges SELECT,INSERT,USAGE');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const { rolename, database, schema, objects, privileges } = await selectRoleSchemaAndObjects(options);
+          const result = await permissionService.grantObjectPermissions(rolename, database, schema, objects, privileges);
+          reportResult(result);
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  program
+    .command('revoke-table-permissions')
+    .description('Revoke chosen privileges on individual tables, views and sequences from a role')
+    .option('-r, --role <name>', 'Role to revoke permissions from')
+    .option('-d, --database <name>', 'Database to grant or revoke in (defaults to the connection database)')
+    .option('-s, --schema <name>', 'Schema containing the objects')
+    .option('-t, --table <names>', 'Comma-separated tables, views or sequences; glob patterns such as report_* are allowed')
+    .option('--privileges <list>', 'Comma-separated privileges (SELECT, INSERT, UPDATE, DELETE, TRUNCATE, REFERENCES, TRIGGER, USAGE)')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .on('--help', () => {
+      console.log('\nRevokes the chosen privileges on individual tables, views and sequences of a schema.');
+      console.log('USAGE on the schema and CONNECT on the database are kept.');
+      console.log('\nYou will be prompted for any value not passed as an option:');
+      console.log('  - Select a role from a list of existing roles');
+      console.log('  - Enter the database name (defaults to the one of the active connection)');
+      console.log('  - Select the schema');
+      console.log('  - Select the tables, views and sequences');
+      console.log('  - Select the privileges (SELECT by default)');
+      console.log('  - Confirm the revocation');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager revoke-table-permissions');
+      console.log('  $ pg-user-manager revoke-table-permissions --role analyst --schema reporting --table "report_*" --privileges SELECT --yes');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const { rolename, database, schema, objects, privileges } = await selectRoleSchemaAndObjects(options);
+
+          const confirmAnswer = await promptForMissing([
+            {
+              type: 'confirm',
+              name: 'confirm',
+              option: '--yes',
+              message: `Are you sure you want to revoke ${privileges.join(', ')} on ${objects.length} object(s) from ${rolename}?`,
+              default: false
+            }
+          ], { confirm: options.yes });
+
+          if (confirmAnswer.confirm) {
+            const result = await permissionService.revokeObjectPermissions(rolename, database, schema, objects, privileges);
+            reportResult(result);
+          } else {
+            console.log('Revoke operation cancelled');
+          }
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  program
+    .command('grant-column-permissions')
+    .description('Grant privileges on chosen columns of a table to a role')
+    .option('-r, --role <name>', 'Role to grant permissions to')
+    .option('-d, --database <name>', 'Database to grant or revoke in (defaults to the connection database)')
+    .option('-s, --schema <name>', 'Schema containing the table')
+    .option('-t, --table <name>', 'Table or view')
+    .option('-c, --columns <names>', 'Comma-separated list of columns')
+    .option('--privileges <list>', 'Comma-separated privileges (SELECT, INSERT, UPDATE, REFERENCES)')
+    .on('--help', () => {
+      console.log('\nGrants SELECT, INSERT, UPDATE or REFERENCES on chosen columns of a table, e.g. to let');
+      console.log('support staff read the email column of a table but not the ssn column.');
+      console.log('CONNECT on the database and USAGE on the schema are granted as well.');
+      console.log('\nA table-level privilege (granted to the role, to a role it belongs to, or to PUBLIC)');
+      console.log('gives access to every column and overrides the column restriction. A warning is');
+      console.log('shown when that is the case; use revoke-table-permissions to remove it.');
+      console.log('\nYou will be prompted for any value not passed as an option:');
+      console.log('  - Select a role from a list of existing roles');
+      console.log('  - Enter the database name (defaults to the one of the active connection)');
+      console.log('  - Select the schema and the table');
+      console.log('  - Select the columns');
+      console.log('  - Select the privileges (SELECT by default)');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager grant-column-permissions');
+      console.log('  $ pg-user-manager grant-column-permissions --role support --schema crm --table customers --columns id,name,email --privileges SELECT');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const { rolename, database, schema, table, columns, privileges } = await selectRoleTableAndColumns(options);
+          const result = await permissionService.grantColumnPermissions(rolename, database, schema, table, columns, privileges);
+          reportResult(result);
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  program
+    .command('revoke-column-permissions')
+    .description('Revoke privileges on chosen columns of a table from a role')
+    .option('-r, --role <name>', 'Role to revoke permissions from')
+    .option('-d, --database <name>', 'Database to grant or revoke in (defaults to the connection database)')
+    .option('-s, --schema <name>', 'Schema containing the table')
+    .option('-t, --table <name>', 'Table or view')
+    .option('-c, --columns <names>', 'Comma-separated list of columns')
+    .option('--privileges <list>', 'Comma-separated privileges (SELECT, INSERT, UPDATE, REFERENCES)')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .on('--help', () => {
+      console.log('\nRevokes SELECT, INSERT, UPDATE or REFERENCES on chosen columns of a table.');
+      console.log('A warning is shown when the role still has the privilege on the whole table,');
+      console.log('in which case it can still access the columns.');
+      console.log('\nYou will be prompted for any value not passed as an option:');
+      console.log('  - Select a role from a list of existing roles');
+      console.log('  - Enter the database name (defaults to the one of the active connection)');
+      console.log('  - Select the schema and the table');
+      console.log('  - Select the columns');
+      console.log('  - Select the privileges (SELECT by default)');
+      console.log('  - Confirm the revocation');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager revoke-column-permissions');
+      console.log('  $ pg-user-manager revoke-column-permissions --role support --schema crm --table customers --columns ssn --privileges SELECT --yes');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const { rolename, database, schema, table, columns, privileges } = await selectRoleTableAndColumns(options);
+
+          const confirmAnswer = await promptForMissing([
+            {
+              type: 'confirm',
+              name: 'confirm',
+              option: '--yes',
+              message: `Are you sure you want to revoke ${privileges.join(', ')} on ${columns.length} column(s) of ${table} from ${rolename}?`,
+              default: false
+            }
+          ], { confirm: options.yes });
+
+          if (confirmAnswer.confirm) {
+            const result = await permissionService.revokeColumnPermissions(rolename, database, schema, table, columns, privileges);
+            reportResult(result);
+          } else {
+            console.log('Revoke operation cancelled');
+          }
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
       }
     });
 
@@ -411,15 +759,17 @@ function registerPermissionCommands() {
       console.log('  - Column-level permissions');
       console.log('  - Schema permissions (USAGE, CREATE)');
       console.log('  - Database permissions (CONNECT, CREATE, TEMP)');
-      console.log('  - Function permissions (for system roles)');
+      console.log('  - Function and procedure EXECUTE permissions granted to the role');
       console.log('  - Role memberships');
       console.log('  - Special notes for system roles');
-      console.log('\nYou will be prompted to:');
+      console.log('\nYou will be prompted to (unless --role is passed):');
       console.log('  - Select a role from a list of existing roles');
-      console.log('\nExample:');
+      console.log('\nExamples:');
       console.log('  $ pg-user-manager list-permissions');
+      console.log('  $ pg-user-manager list-permissions --role app_read_only --output json');
     })
     .option('-s, --system-roles', 'List system roles only')
+    .option('-r, --role <name>', 'Role whose permissions are listed')
     .action(async (options) => {
       try {
         if (await db.testConnection()) {
@@ -435,22 +785,29 @@ function registerPermissionCommands() {
             return;
           }
 
-          const answers = await inquirer.prompt([
+          const answers = await promptForMissing([
             {
               type: 'list',
               name: 'rolename',
+              option: '--role',
               message: 'Select role:',
               choices: rolenames
             }
-          ]);
+          ], { rolename: options.role });
 
           const permissions = await permissionService.listPermissions(answers.rolename);
 
-          // Use the new display utility instead of console.log
-          displayRoleInformation(answers.rolename, permissions);
+          const format = program.opts().output;
+          if (isMachineReadable(format)) {
+            printOutput(permissions, format);
+          } else {
+            // Use the new display utility instead of console.log
+            displayRoleInformation(answers.rolename, permissions);
+          }
         }
       } catch (err) {
         console.error('Error:', err.message);
+        process.exitCode = 1;
       }
     });
 }
@@ -0,0 +1,135 @@
+const { program, Option } = require('commander');
+const planService = require('../services/planService');
+const db = require('../services/db');
+const { displayPlan } = require('../utils/displayUtils');
+const { isMachineReadable, printOutput } = require('../utils/outputUtils');
+const { offerToSaveCredentials } = require('./vaultCommands');
+const { promptForMissing } = require('../utils/promptUtils');
+
+// Add a readable description to each plan action
+function describePlan(actions) {
+  return actions.map(item => ({ ...item, description: planService.describeAction(item) }));
+}
+
+function registerPlanCommands() {
+  // === Desired-state Commands ===
+  program
+    .command('plan <file>')
+    .description('Show the changes needed to match a YAML desired-state file')
+    .option('--prune', 'Also remove users, roles, memberships and grants missing from the file')
+    .option('--reassign-to <role>', 'With --prune, role or user that takes over the objects owned by dropped ones')
+    .on('--help', () => {
+      console.log('\nCompares a YAML desired-state file with the live catalog and lists the changes');
+      console.log('that "apply" would make. Nothing is changed in the database.');
+      console.log('\nBy default, objects that exist in the database but not in the file are ignored.');
+      console.log('With --prune they are planned for removal (superusers and the connected user are never dropped).');
+      console.log('Before a user or role is dropped, the privileges it holds in every database are removed');
+      console.log('with DROP OWNED. If it owns objects in any database, the plan is refused unless --reassign-to');
+      console.log('names the user or role that takes them over (REASSIGN OWNED).');
+      console.log('\nFile format:');
+      console.log('  database: app            # optional, must match the connection');
+      console.log('  roles:');
+      console.log('    - name: app_read_only');
+      console.log('      grants:');
+      console.log('        - schema: public');
+      console.log('          access: read       # read or write');
+      console.log('  users:');
+      console.log('    - name: reporting');
+      console.log('      roles: [app_read_only]');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager plan access.yaml');
+      console.log('  $ pg-user-manager plan access.yaml --prune --output json');
+      console.log('  $ pg-user-manager plan access.yaml --prune --reassign-to app_owner');
+    })
+    .action(async (file, options) => {
+      try {
+        if (await db.testConnection()) {
+          const actions = describePlan(await planService.plan(file, { prune: options.prune, reassignTo: options.reassignTo }));
+          const format = program.opts().output;
+          if (isMachineReadable(format)) {
+            printOutput(actions, format);
+          } else {
+            displayPlan(actions);
+          }
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  program
+    .command('apply <file>')
+    .description('Apply the changes needed to match a YAML desired-state file')
+    .option('--prune', 'Also remove users, roles, memberships and grants missing from the file')
+    .option('--reassign-to <role>', 'With --prune, role or user that takes over the objects owned by dropped ones')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .option('--save', 'Save the credentials of created users to the secret store')
+    .option('--no-save', 'Do not save the credentials of created users (they are printed instead)')
+    .addOption(new Option('--save-csv').hideHelp())
+    .addOption(new Option('--no-save-csv').hideHelp())
+    .on('--help', () => {
+      console.log('\nComputes the same plan as "plan" and, after confirmation, runs only the needed');
+      console.log('CREATE/GRANT/REVOKE/DROP statements. Execution stops at the first failed change.');
+      console.log('New users get a generated password that can be saved to the secret store of the profile.');
+      console.log('\nWith --prune, users and roles that own objects are only dropped when --reassign-to names');
+      console.log('a successor for those objects; otherwise the plan is refused before anything is changed.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager apply access.yaml');
+      console.log('  $ pg-user-manager apply access.yaml --prune --yes --save');
+      console.log('  $ pg-user-manager apply access.yaml --prune --reassign-to app_owner --yes');
+    })
+    .action(async (file, options) => {
+      try {
+        if (await db.testConnection()) {
+          const actions = describePlan(await planService.plan(file, { prune: options.prune, reassignTo: options.reassignTo }));
+          displayPlan(actions);
+
+          if (actions.length === 0) {
+            return;
+          }
+
+          const answers = await promptForMissing([
+            {
+              type: 'confirm',
+              name: 'confirm',
+              option: '--yes',
+              message: `Apply ${actions.length} change(s)?`,
+              default: false
+            }
+          ], { confirm: options.yes });
+
+          if (!answers.confirm) {
+            console.log('Apply operation cancelled');
+            return;
+          }
+
+          const result = await planService.applyPlan(actions);
+          const applied = actions.map((item, index) => ({ ...item, ...result.results[index] }));
+          displayPlan(applied);
+
+          if (result.credentials.length > 0) {
+            const unsaved = await offerToSaveCredentials(options, result.credentials, 'apply');
+            if (unsaved.length > 0) {
+              console.log('');
+              unsaved.forEach(credentials => {
+                console.log(`Generated password for ${credentials.username}: ${credentials.password}`);
+              });
+            }
+          }
+
+          if (result.success) {
+            console.log(`\nApplied ${actions.length} change(s)`);
+          } else {
+            console.error('\nApply stopped at the first failed change; later changes were not run');
+            process.exitCode = 1;
+          }
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+}
+
+module.exports = { registerPlanCommands };
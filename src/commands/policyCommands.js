@@ -0,0 +1,325 @@
+const { program, Option } = require('commander');
+const policyService = require('../services/policyService');
+const permissionService = require('../services/permissionService');
+const roleService = require('../services/roleService');
+const userService = require('../services/userService');
+const db = require('../services/db');
+const { displayPolicies } = require('../utils/displayUtils');
+const { checkSqlExpression } = require('../utils/sqlUtils');
+const { isMachineReadable, printOutput } = require('../utils/outputUtils');
+const { promptForMissing, parseList } = require('../utils/promptUtils');
+
+// Resolve the schema and table of an RLS command from flags or prompts
+async function selectTable(options) {
+  const schemas = await permissionService.listSchemas();
+  const schemaAnswer = await promptForMissing([
+    {
+      type: 'list',
+      name: 'schema',
+      option: '--schema',
+      message: 'Select schema:',
+      choices: schemas,
+      default: 'public'
+    }
+  ], { schema: options.schema });
+
+  const tables = await policyService.listTableSecurity(schemaAnswer.schema);
+  if (tables.length === 0) {
+    throw new Error(`Schema ${schemaAnswer.schema} has no tables`);
+  }
+
+  const tableAnswer = await promptForMissing([
+    {
+      type: 'list',
+      name: 'table',
+      option: '--table',
+      message: 'Select table:',
+      choices: tables.map(table => ({
+        name: `${table.table_name} (RLS ${table.rls_enabled ? 'enabled' : 'disabled'}, ${table.policies} policies)`,
+        value: table.table_name
+      }))
+    }
+  ], { table: options.table });
+
+  return { schema: schemaAnswer.schema, table: tableAnswer.table };
+}
+
+function registerPolicyCommands() {
+  // === Row-Level Security Commands ===
+  program
+    .command('enable-rls')
+    .description('Enable row-level security on a table')
+    .option('-s, --schema <name>', 'Schema containing the table')
+    .option('-t, --table <name>', 'Table to protect')
+    .option('--force', 'Also apply the policies to the table owner (FORCE ROW LEVEL SECURITY)')
+    .option('--no-force', 'Let the table owner bypass the policies (NO FORCE ROW LEVEL SECURITY)')
+    .on('--help', () => {
+      console.log('\nEnables row-level security on a table. Once enabled, roles other than the owner');
+      console.log('and superusers only see and change the rows allowed by the table policies;');
+      console.log('without any policy, they see no rows at all.');
+      console.log('With --force, the policies also apply to the table owner.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager enable-rls');
+      console.log('  $ pg-user-manager enable-rls --schema app --table invoices --force');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const { schema, table } = await selectTable(options);
+          const result = await policyService.setRowLevelSecurity(schema, table, true, options.force);
+          console.log(result.message);
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  program
+    .command('disable-rls')
+    .description('Disable row-level security on a table')
+    .option('-s, --schema <name>', 'Schema containing the table')
+    .option('-t, --table <name>', 'Table to stop protecting')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .on('--help', () => {
+      console.log('\nDisables row-level security on a table. Its policies are kept but no longer');
+      console.log('applied, so every role with table privileges sees all rows.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager disable-rls');
+      console.log('  $ pg-user-manager disable-rls --schema app --table invoices --yes');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const { schema, table } = await selectTable(options);
+
+          const answers = await promptForMissing([
+            {
+              type: 'confirm',
+              name: 'confirm',
+              option: '--yes',
+              message: `Disable row-level security on ${schema}.${table}? All rows become visible to roles with table privileges.`,
+              default: false
+            }
+          ], { confirm: options.yes });
+
+          if (answers.confirm) {
+            const result = await policyService.setRowLevelSecurity(schema, table, false);
+            console.log(result.message);
+          } else {
+            console.log('Disable operation cancelled');
+          }
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  program
+    .command('list-policies')
+    .description('List row-level security policies')
+    .option('-r, --role <name>', 'Only policies that apply to this role or user')
+    .option('-s, --schema <name>', 'Only policies on tables of this schema')
+    .option('-t, --table <name>', 'Only policies on this table')
+    .on('--help', () => {
+      console.log('\nDisplays the row-level security policies with their command, target roles,');
+      console.log('USING and WITH CHECK expressions, and whether RLS is enabled on the table.');
+      console.log('With --role, only policies that apply to the role are shown: those targeting it,');
+      console.log('a role it belongs to, or PUBLIC.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager list-policies');
+      console.log('  $ pg-user-manager list-policies --role app_tenant --output json');
+      console.log('  $ pg-user-manager list-policies --schema app --table invoices');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const policies = await policyService.listPolicies({
+            rolename: options.role,
+            schema: options.schema,
+            table: options.table
+          });
+
+          const format = program.opts().output;
+          if (isMachineReadable(format)) {
+            printOutput(policies, format);
+          } else {
+            displayPolicies(policies);
+          }
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  program
+    .command('create-policy')
+    .description('Create a row-level security policy on a table')
+    .option('-s, --schema <name>', 'Schema containing the table')
+    .option('-t, --table <name>', 'Table the policy applies to')
+    .option('-n, --name <name>', 'Policy name')
+    .addOption(new Option('--command <command>', 'Command the policy applies to').choices(policyService.POLICY_COMMANDS))
+    .option('--roles <roles>', 'Comma-separated roles the policy applies to (default: public)')
+    .option('--using <expression>', 'USING expression: which existing rows are visible')
+    .option('--with-check <expression>', 'WITH CHECK expression: which new rows may be written')
+    .option('--restrictive', 'Create a RESTRICTIVE policy (combined with AND instead of OR)')
+    .on('--help', () => {
+      console.log('\nCreates a row-level security policy. Permissive policies are combined with OR,');
+      console.log('restrictive policies with AND. The policy only takes effect when RLS is enabled');
+      console.log('on the table (see enable-rls).');
+      console.log('\nCommands and expressions:');
+      console.log('  - SELECT and DELETE policies take a USING expression');
+      console.log('  - INSERT policies take a WITH CHECK expression');
+      console.log('  - ALL and UPDATE policies take either or both');
+      console.log('\nExpressions are SQL evaluated for each row and are sent to the server as written.');
+      console.log('Outside of quotes and comments, they cannot contain semicolons or unbalanced parentheses.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager create-policy');
+      console.log('  $ pg-user-manager create-policy --schema app --table invoices --name tenant_isolation \\');
+      console.log('      --roles app_tenant --using "tenant_id = current_setting(\'app.tenant_id\')::int"');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const { schema, table } = await selectTable(options);
+          const roles = await roleService.listRoles();
+          const users = await userService.listUsers();
+          const targets = ['public', ...roles.map(role => role.rolename), ...users.map(user => user.username)];
+
+          const answers = await promptForMissing([
+            {
+              type: 'input',
+              name: 'name',
+              option: '--name',
+              message: 'Policy name:',
+              validate: input => input.length > 0 ? true : 'Policy name cannot be empty'
+            },
+            {
+              type: 'list',
+              name: 'command',
+              option: '--command',
+              message: 'Command the policy applies to:',
+              choices: policyService.POLICY_COMMANDS,
+              default: 'ALL',
+              required: false
+            },
+            {
+              type: 'checkbox',
+              name: 'roles',
+              option: '--roles',
+              message: 'Roles the policy applies to (none selected means public):',
+              choices: targets,
+              default: [],
+              required: false
+            }
+          ], {
+            name: options.name,
+            command: options.command,
+            roles: options.roles ? parseList(options.roles) : undefined
+          });
+
+          // Which expressions are needed depends on the command; passing either flag skips both prompts
+          const expressionGiven = options.using !== undefined || options.withCheck !== undefined;
+          const expressions = await promptForMissing([
+            {
+              type: 'input',
+              name: 'using',
+              option: '--using',
+              message: 'USING expression (leave empty for none):',
+              default: '',
+              required: false,
+              validate: input => checkSqlExpression(input) || true,
+              when: () => answers.command !== 'INSERT'
+            },
+            {
+              type: 'input',
+              name: 'withCheck',
+              option: '--with-check',
+              message: 'WITH CHECK expression (leave empty for none):',
+              default: '',
+              required: false,
+              validate: input => checkSqlExpression(input) || true,
+              when: () => answers.command !== 'SELECT' && answers.command !== 'DELETE'
+            }
+          ], {
+            using: expressionGiven ? options.using || '' : undefined,
+            withCheck: expressionGiven ? options.withCheck || '' : undefined
+          });
+
+          const result = await policyService.createPolicy({
+            schema,
+            table,
+            name: answers.name,
+            command: answers.command,
+            permissive: !options.restrictive,
+            roles: answers.roles,
+            using: expressions.using,
+            withCheck: expressions.withCheck
+          });
+
+          console.log(result.message);
+          if (!result.success) process.exitCode = 1;
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  program
+    .command('drop-policy')
+    .description('Drop a row-level security policy from a table')
+    .option('-s, --schema <name>', 'Schema containing the table')
+    .option('-t, --table <name>', 'Table the policy belongs to')
+    .option('-n, --name <name>', 'Policy name')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .on('--help', () => {
+      console.log('\nDrops a row-level security policy. If it was the last permissive policy of a table');
+      console.log('with RLS enabled, roles other than the owner lose access to every row.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager drop-policy');
+      console.log('  $ pg-user-manager drop-policy --schema app --table invoices --name tenant_isolation --yes');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const { schema, table } = await selectTable(options);
+          const policies = await policyService.listPolicies({ schema, table });
+          if (policies.length === 0) {
+            throw new Error(`Table ${schema}.${table} has no policies`);
+          }
+
+          const answers = await promptForMissing([
+            {
+              type: 'list',
+              name: 'name',
+              option: '--name',
+              message: 'Select policy:',
+              choices: policies.map(policy => policy.policy_name)
+            },
+            {
+              type: 'confirm',
+              name: 'confirm',
+              option: '--yes',
+              message: 'Are you sure you want to drop this policy?',
+              default: false
+            }
+          ], { name: options.name, confirm: options.yes });
+
+          if (answers.confirm) {
+            const result = await policyService.dropPolicy(schema, table, answers.name);
+            console.log(result.message);
+          } else {
+            console.log('Drop operation cancelled');
+          }
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+}
+
+module.exports = { registerPolicyCommands };
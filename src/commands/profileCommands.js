@@ -0,0 +1,222 @@
+const { program, InvalidArgumentError } = require('commander');
+const profileService = require('../services/profileService');
+const db = require('../services/db');
+const { displayProfilesList } = require('../utils/displayUtils');
+const { isMachineReadable, printOutput } = require('../utils/outputUtils');
+const { promptForMissing, readStdin } = require('../utils/promptUtils');
+
+// Parse the --port option value
+function parsePort(value) {
+  const port = parseInt(value, 10);
+  if (Number.isNaN(port) || port < 1 || port > 65535) {
+    throw new InvalidArgumentError(`Invalid port: ${value}`);
+  }
+  return port;
+}
+
+function registerProfileCommands() {
+  // === Profile Commands ===
+  const profile = program
+    .command('profile')
+    .description('Manage named connection profiles')
+    .on('--help', () => {
+      console.log(`\nProfiles are stored in ${profileService.getProfilesPath()}`);
+      console.log('Select a profile for any command with the global --profile option,');
+      console.log('or with the PGUM_PROFILE environment variable. Without either, the default');
+      console.log('profile (set with profile add --default) is used, and without one the DB_*');
+      console.log('variables from .env.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager profile list');
+      console.log('  $ pg-user-manager profile add staging --host db.staging --database app --user admin');
+      console.log('  $ pg-user-manager --profile staging list-users');
+    });
+
+  profile
+    .command('list')
+    .description('List connection profiles')
+    .on('--help', () => {
+      console.log('\nDisplays all connection profiles. Passwords are never shown.');
+      console.log('\nExample:');
+      console.log('  $ pg-user-manager profile list');
+    })
+    .action(() => {
+      try {
+        const profiles = profileService.listProfiles();
+        const format = program.opts().output;
+        if (isMachineReadable(format)) {
+          printOutput(profiles, format);
+        } else {
+          displayProfilesList(profiles);
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  profile
+    .command('add <name>')
+    .description('Add or replace a connection profile')
+    .option('--host <host>', 'Database server host')
+    .option('--port <port>', 'Database server port', parsePort)
+    .option('-d, --database <name>', 'Database to connect to')
+    .option('-u, --user <name>', 'User to connect as')
+    .option('--password-stdin', 'Read the connection password from stdin')
+    .option('--no-password', 'Do not store a password (use PGPASSWORD or ~/.pgpass)')
+    .option('-e, --environment <env>', `Environment of the cluster (${profileService.ENVIRONMENTS.join(', ')})`)
+    .option('--ssl', 'Connect using SSL')
+    .option('--default', 'Make this the default profile')
+    .on('--help', () => {
+      console.log('\nAdds a connection profile. You will be prompted for any value not passed as an option.');
+      console.log('Profiles with the "prod" or "production" environment show a warning banner before');
+      console.log('any command that changes the database.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager profile add dev');
+      console.log('  $ echo "$PROD_PASSWORD" | pg-user-manager profile add prod --host db.prod --port 5432 \\');
+      console.log('      --database app --user admin --environment production --password-stdin');
+    })
+    .action(async (name, options) => {
+      try {
+        const password = options.passwordStdin ? await readStdin() : undefined;
+
+        const answers = await promptForMissing([
+          {
+            type: 'input',
+            name: 'host',
+            option: '--host',
+            message: 'Host:',
+            default: 'localhost',
+            required: false
+          },
+          {
+            type: 'number',
+            name: 'port',
+            option: '--port',
+            message: 'Port:',
+            default: 5432,
+            required: false
+          },
+          {
+            type: 'input',
+            name: 'database',
+            option: '--database',
+            message: 'Database:',
+            validate: input => input.length > 0 ? true : 'Database cannot be empty'
+          },
+          {
+            type: 'input',
+            name: 'user',
+            option: '--user',
+            message: 'User:',
+            validate: input => input.length > 0 ? true : 'User cannot be empty'
+          },
+          {
+            type: 'password',
+            name: 'password',
+            option: '--password-stdin',
+            message: 'Password (leave empty to use PGPASSWORD or ~/.pgpass):',
+            default: '',
+            required: false
+          },
+          {
+            type: 'list',
+            name: 'environment',
+            option: '--environment',
+            message: 'Environment:',
+            choices: profileService.ENVIRONMENTS,
+            default: 'dev',
+            required: false
+          }
+        ], {
+          host: options.host,
+          port: options.port,
+          database: options.database,
+          user: options.user,
+          password: options.password === false ? '' : password,
+          environment: options.environment
+        });
+
+        const newProfile = {
+          host: answers.host,
+          port: answers.port,
+          database: answers.database,
+          user: answers.user,
+          environment: answers.environment
+        };
+        if (answers.password) newProfile.password = answers.password;
+        if (options.ssl) newProfile.ssl = true;
+
+        const result = profileService.addProfile(name, newProfile, options.default);
+        console.log(result.message);
+        if (!result.success) process.exitCode = 1;
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  profile
+    .command('remove <name>')
+    .description('Remove a connection profile')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .on('--help', () => {
+      console.log('\nRemoves a connection profile from the profiles file.');
+      console.log('\nExample:');
+      console.log('  $ pg-user-manager profile remove staging --yes');
+    })
+    .action(async (name, options) => {
+      try {
+        const answers = await promptForMissing([
+          {
+            type: 'confirm',
+            name: 'confirm',
+            option: '--yes',
+            message: `Are you sure you want to remove profile ${name}?`,
+            default: false
+          }
+        ], { confirm: options.yes });
+
+        if (answers.confirm) {
+          const result = profileService.removeProfile(name);
+          console.log(result.message);
+          if (!result.success) process.exitCode = 1;
+        } else {
+          console.log('Remove operation cancelled');
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  profile
+    .command('test [name]')
+    .description('Test the connection of a profile')
+    .on('--help', () => {
+      console.log('\nConnects with the given profile (or the active connection when no name is given)');
+      console.log('and shows the server version, user and database.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager profile test');
+      console.log('  $ pg-user-manager profile test staging');
+    })
+    .action(async (name) => {
+      try {
+        const target = name ? profileService.getProfile(name) : db.getConnection();
+        const result = await db.testProfileConnection(target);
+        const label = target.name ? `Profile ${target.name}` : 'Connection from .env';
+
+        if (result.success) {
+          console.log(`${label}: connected to ${result.database} as ${result.user}`);
+          console.log(result.version);
+        } else {
+          console.error(`${label}: connection failed: ${result.message}`);
+          process.exitCode = 1;
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+}
+
+module.exports = { registerProfileCommands, parsePort };
@@ -1,9 +1,11 @@
 const { program } = require('commander');
-const inquirer = require('inquirer');
 const roleService = require('../services/roleService');
 const userService = require('../services/userService');
 const db = require('../services/db');
+const { addDependencyOptions, clearRoleDependencies } = require('./dependencyCommands');
 const { displayRolesList, displayUserRoles } = require('../utils/displayUtils');
+const { isMachineReadable, printOutput } = require('../utils/outputUtils');
+const { promptForMissing } = require('../utils/promptUtils');
 
 function registerRoleCommands() {
   // === Role Commands ===
@@ -16,146 +18,187 @@ function registerRoleCommands() {
       console.log('  - is_superuser: Whether the role has superuser privileges');
       console.log('  - can_create_role: Whether the role can create new roles');
       console.log('  - can_login: Whether the role can log in (always false for roles in this list)');
-      console.log('\nExample:');
+      console.log('\nExamples:');
       console.log('  $ pg-user-manager list-roles');
+      console.log('  $ pg-user-manager list-roles --output csv');
     })
     .action(async () => {
       try {
         if (await db.testConnection()) {
           const roles = await roleService.listRoles();
-          displayRolesList(roles);
+          const format = program.opts().output;
+          if (isMachineReadable(format)) {
+            printOutput(roles, format);
+          } else {
+            displayRolesList(roles);
+          }
         }
       } catch (err) {
         console.error('Error:', err.message);
+        process.exitCode = 1;
       }
     });
 
   program
     .command('list-user-roles')
     .description('List all roles assigned to a specific user')
+    .option('-u, --user <name>', 'User whose roles are listed')
     .on('--help', () => {
       console.log('\nDisplays a table of all PostgreSQL roles assigned to a specific user:');
       console.log('  - rolename: The role name');
       console.log('  - is_superuser: Whether the role has superuser privileges');
       console.log('  - can_create_role: Whether the role can create new roles');
-      console.log('\nYou will be prompted to:');
+      console.log('\nYou will be prompted to (unless --user is passed):');
       console.log('  - Select a user from a list of existing users');
-      console.log('\nExample:');
+      console.log('\nExamples:');
       console.log('  $ pg-user-manager list-user-roles');
+      console.log('  $ pg-user-manager list-user-roles --user app --output yaml');
     })
-    .action(async () => {
+    .action(async (options) => {
       try {
         if (await db.testConnection()) {
           const users = await userService.listUsers();
           const usernames = users.map(user => user.username);
           
-          const answers = await inquirer.prompt([
+          const answers = await promptForMissing([
             {
               type: 'list',
               name: 'username',
+              option: '--user',
               message: 'Select user:',
               choices: usernames
             }
-          ]);
+          ], { username: options.user });
           
           const roles = await roleService.listUserRoles(answers.username);
-          displayUserRoles(answers.username, roles);
+          const format = program.opts().output;
+          if (isMachineReadable(format)) {
+            printOutput(roles, format);
+          } else {
+            displayUserRoles(answers.username, roles);
+          }
         }
       } catch (err) {
         console.error('Error:', err.message);
+        process.exitCode = 1;
       }
     });
 
   program
     .command('create-role')
     .description('Create a new database role')
+    .option('-r, --role <name>', 'Name for the new role')
     .on('--help', () => {
-      console.log('\nInteractively creates a new PostgreSQL role without login privileges.');
-      console.log('You will be prompted to enter:');
+      console.log('\nCreates a new PostgreSQL role without login privileges.');
+      console.log('You will be prompted for any value not passed as an option:');
       console.log('  - Role name: The name for the new role');
       console.log('\nRoles are used to group privileges that can be granted to users.');
-      console.log('\nExample:');
+      console.log('\nExamples:');
       console.log('  $ pg-user-manager create-role');
+      console.log('  $ pg-user-manager create-role --role app_read_only');
     })
-    .action(async () => {
+    .action(async (options) => {
       try {
         if (await db.testConnection()) {
-          const answers = await inquirer.prompt([
+          const answers = await promptForMissing([
             {
               type: 'input',
               name: 'rolename',
+              option: '--role',
               message: 'Enter role name:',
               validate: input => input.length > 0 ? true : 'Role name cannot be empty'
             }
-          ]);
+          ], { rolename: options.role });
           
           const result = await roleService.createRole(answers.rolename);
           console.log(result.message);
+          if (!result.success) process.exitCode = 1;
         }
       } catch (err) {
         console.error('Error:', err.message);
+        process.exitCode = 1;
       }
     });
 
-  program
-    .command('delete-role')
-    .description('Delete a database role')
+  addDependencyOptions(
+    program
+      .command('delete-role')
+      .description('Delete a database role')
+      .option('-r, --role <name>', 'Role to delete')
+  )
+    .option('-y, --yes', 'Skip the confirmation prompt')
     .on('--help', () => {
-      console.log('\nInteractively deletes an existing PostgreSQL role.');
-      console.log('You will be prompted to:');
+      console.log('\nDeletes an existing PostgreSQL role.');
+      console.log('You will be prompted for any value not passed as an option:');
       console.log('  - Select a role from a list of existing roles');
       console.log('  - Confirm the deletion');
-      console.log('\nWarning: This action cannot be undone. Make sure the role is not assigned to any users');
-      console.log('         and does not own any database objects.');
-      console.log('\nExample:');
+      console.log('  - Choose who takes over the objects the role owns, if any');
+      console.log('\nBefore dropping the role, every database of the cluster is searched for objects it');
+      console.log('owns and privileges it holds. Its objects are reassigned to the chosen successor');
+      console.log('(REASSIGN OWNED), then its remaining objects and privileges are dropped in each');
+      console.log('database (DROP OWNED). With --drop-owned, the objects it owns are dropped as well.');
+      console.log('Members of the role lose the privileges they inherited from it.');
+      console.log('\nWarning: This action cannot be undone.');
+      console.log('\nExamples:');
       console.log('  $ pg-user-manager delete-role');
+      console.log('  $ pg-user-manager delete-role --role app_read_only --yes');
+      console.log('  $ pg-user-manager delete-role --role legacy_owner --reassign-to app_owner --yes');
     })
-    .action(async () => {
+    .action(async (options) => {
       try {
         if (await db.testConnection()) {
           const roles = await roleService.listRoles();
           const rolenames = roles.map(role => role.rolename);
           
-          const answers = await inquirer.prompt([
+          const answers = await promptForMissing([
             {
               type: 'list',
               name: 'rolename',
+              option: '--role',
               message: 'Select role to delete:',
               choices: rolenames
             },
             {
               type: 'confirm',
               name: 'confirm',
+              option: '--yes',
               message: 'Are you sure you want to delete this role?',
               default: false
             }
-          ]);
+          ], { rolename: options.role, confirm: options.yes });
           
           if (answers.confirm) {
+            if (!(await clearRoleDependencies(answers.rolename, options))) return;
+
             const result = await roleService.deleteRole(answers.rolename);
             console.log(result.message);
+            if (!result.success) process.exitCode = 1;
           } else {
             console.log('Delete operation cancelled');
           }
         }
       } catch (err) {
         console.error('Error:', err.message);
+        process.exitCode = 1;
       }
     });
 
   program
     .command('assign-user-to-role')
     .description('Assign a user to a role')
+    .option('-u, --user <name>', 'User to assign')
+    .option('-r, --role <name>', 'Role to assign the user to')
     .on('--help', () => {
-      console.log('\nInteractively assigns an existing user to an existing role.');
-      console.log('You will be prompted to:');
+      console.log('\nAssigns an existing user to an existing role.');
+      console.log('You will be prompted for any value not passed as an option:');
       console.log('  - Select a user from a list of existing users');
       console.log('  - Select a role from a list of existing roles');
       console.log('\nThis grants the user all privileges associated with the role.');
-      console.log('\nExample:');
+      console.log('\nExamples:');
       console.log('  $ pg-user-manager assign-user-to-role');
+      console.log('  $ pg-user-manager assign-user-to-role --user readonly_user --role app_read_only');
     })
-    .action(async () => {
+    .action(async (options) => {
       try {
         if (await db.testConnection()) {
           const users = await userService.listUsers();
@@ -164,42 +207,48 @@ function registerRoleCommands() {
           const roles = await roleService.listRoles();
           const rolenames = roles.map(role => role.rolename);
           
-          const answers = await inquirer.prompt([
+          const answers = await promptForMissing([
             {
               type: 'list',
               name: 'username',
+              option: '--user',
               message: 'Select user:',
               choices: usernames
             },
             {
               type: 'list',
               name: 'rolename',
+              option: '--role',
               message: 'Select role:',
               choices: rolenames
             }
-          ]);
+          ], { username: options.user, rolename: options.role });
           
           const result = await roleService.assignUserToRole(answers.username, answers.rolename);
           console.log(result.message);
         }
       } catch (err) {
         console.error('Error:', err.message);
+        process.exitCode = 1;
       }
     });
 
   program
     .command('remove-user-from-role')
     .description('Remove a user from a role')
+    .option('-u, --user <name>', 'User to remove')
+    .option('-r, --role <name>', 'Role to remove the user from')
     .on('--help', () => {
-      console.log('\nInteractively removes a user from a role.');
-      console.log('You will be prompted to:');
+      console.log('\nRemoves a user from a role.');
+      console.log('You will be prompted for any value not passed as an option:');
       console.log('  - Select a user from a list of existing users');
       console.log('  - Select a role from a list of existing roles');
       console.log('\nThis revokes the privileges associated with the role from the user.');
-      console.log('\nExample:');
+      console.log('\nExamples:');
       console.log('  $ pg-user-manager remove-user-from-role');
+      console.log('  $ pg-user-manager remove-user-from-role --user readonly_user --role app_read_only');
     })
-    .action(async () => {
+    .action(async (options) => {
       try {
         if (await db.testConnection()) {
           const users = await userService.listUsers();
@@ -208,26 +257,29 @@ function registerRoleCommands() {
           const roles = await roleService.listRoles();
           const rolenames = roles.map(role => role.rolename);
           
-          const answers = await inquirer.prompt([
+          const answers = await promptForMissing([
             {
               type: 'list',
               name: 'username',
+              option: '--user',
               message: 'Select user:',
               choices: usernames
             },
             {
               type: 'list',
               name: 'rolename',
+              option: '--role',
               message: 'Select role:',
               choices: rolenames
             }
-          ]);
+          ], { username: options.user, rolename: options.role });
           
           const result = await roleService.removeUserFromRole(answers.username, answers.rolename);
           console.log(result.message);
         }
       } catch (err) {
         console.error('Error:', err.message);
+        process.exitCode = 1;
       }
     });
 }
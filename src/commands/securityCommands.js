@@ -0,0 +1,69 @@
+const { program, Option } = require('commander');
+const securityAuditService = require('../services/securityAuditService');
+const db = require('../services/db');
+const { displaySecurityFindings } = require('../utils/displayUtils');
+const { isMachineReadable, printOutput } = require('../utils/outputUtils');
+
+const { SEVERITIES, atOrAbove } = securityAuditService;
+
+function registerSecurityCommands() {
+  // === Security Commands ===
+  program
+    .command('security-audit')
+    .description('Report risky role attributes, memberships and PUBLIC grants in the cluster')
+    .addOption(new Option('--fail-on <severity>', 'Exit with status 2 when a finding has this severity or higher').choices(SEVERITIES).default('high'))
+    .addOption(new Option('--min-severity <severity>', 'Only report findings with this severity or higher').choices(SEVERITIES).default('low'))
+    .on('--help', () => {
+      console.log('\nChecks:');
+      console.log('  superuser             Roles with SUPERUSER (high for login roles, low for the bootstrap superuser)');
+      console.log('  bypassrls             Roles that ignore row-level security policies (high)');
+      console.log('  createrole            Roles with CREATEROLE (medium)');
+      console.log('  replication           Roles with REPLICATION (medium)');
+      console.log('  no-password           Login roles without a password; needs a superuser connection (medium)');
+      console.log('  no-expiry             Login roles whose password never expires (low)');
+      console.log('  pg_execute_server_program, pg_write_all_data');
+      console.log('                        Members of these predefined roles (critical, high)');
+      console.log('  public-schema-create  CREATE on schema public granted to PUBLIC, in every database (high)');
+      console.log('  public-connect        Databases PUBLIC can connect to (low)');
+      console.log('\nThe command exits with status 2 when a finding reaches --fail-on, so it can gate a CI job,');
+      console.log('and with status 1 on errors. Use --output json for the report as JSON: the findings,');
+      console.log('and the checks that were skipped for lack of privileges under "skipped".');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager security-audit');
+      console.log('  $ pg-user-manager security-audit --min-severity medium');
+      console.log('  $ pg-user-manager security-audit --fail-on critical --output json');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const { findings, skipped } = await securityAuditService.runSecurityAudit();
+          const reported = atOrAbove(findings, options.minSeverity);
+
+          const format = program.opts().output;
+          if (isMachineReadable(format)) {
+            // Skipped checks are part of the report, so an incomplete audit is not mistaken for a clean one
+            printOutput({ findings: reported, skipped }, format);
+          } else {
+            displaySecurityFindings(reported);
+          }
+
+          skipped.forEach(check => {
+            console.warn(`Warning: check ${check.check} skipped${check.database ? ` in database ${check.database}` : ''}: ${check.reason}`);
+          });
+
+          const failing = atOrAbove(findings, options.failOn);
+          if (failing.length > 0) {
+            if (!isMachineReadable(format)) {
+              console.log(`\n${failing.length} finding(s) at or above ${options.failOn} severity`);
+            }
+            process.exitCode = 2;
+          }
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+}
+
+module.exports = { registerSecurityCommands };
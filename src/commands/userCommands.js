@@ -1,9 +1,215 @@
-const { program } = require('commander');
-const inquirer = require('inquirer');
+const { program, Option, InvalidArgumentError } = require('commander');
 const userService = require('../services/userService');
+const passwordPolicyService = require('../services/passwordPolicyService');
 const db = require('../services/db');
-const { displayUsersList } = require('../utils/displayUtils');
-const { generateSecurePassword, saveUserToCSV } = require('../utils/passwordUtils');
+const { addDependencyOptions, clearRoleDependencies } = require('./dependencyCommands');
+const { parseValidUntil } = require('./attributeCommands');
+const { offerToSaveCredentials } = require('./vaultCommands');
+const { outputCredentials } = require('./credentialCommands');
+const { CREDENTIAL_FORMATS } = require('../utils/credentialUtils');
+const { displayUsersList, displayExpiringUsers, displayPasswordHashReport, displayUserResults, displayPasswordPolicies } = require('../utils/displayUtils');
+const { isMachineReadable, logInfo, printOutput } = require('../utils/outputUtils');
+const { generatePassword, validatePolicy } = require('../utils/passwordUtils');
+const { validatePassword, describeFailedRules } = require('../utils/passwordValidationUtils');
+const { parseDuration, addDays } = require('../utils/dateUtils');
+const { promptForMissing, readStdin, parseList, matchGlobs } = require('../utils/promptUtils');
+
+// Password lifetime used by rotate-passwords when --expires-in is not passed
+const DEFAULT_ROTATION_DAYS = 90;
+
+// Choice of the policy prompt that asks for the length and special characters instead
+const CUSTOM_POLICY = 'custom';
+
+// Build a policy from a length and whether to include special characters
+function customPolicy(length, includeSpecial) {
+  const policy = {
+    name: CUSTOM_POLICY,
+    length,
+    classes: ['lower', 'upper', 'digit', ...(includeSpecial ? ['special'] : [])]
+  };
+  validatePolicy(policy);
+  return policy;
+}
+
+// Get the password policy from the options: --policy, a custom policy from --length/--no-special,
+// or the default password policy
+function getPolicyOption(options) {
+  const custom = options.length !== undefined || options.special === false;
+  if (options.policy && custom) {
+    throw new Error('Use either --policy or --length/--no-special, not both');
+  }
+
+  if (options.policy) {
+    return passwordPolicyService.getPolicy(options.policy);
+  }
+  if (custom) {
+    return customPolicy(options.length !== undefined ? options.length : 16, options.special !== false);
+  }
+  return passwordPolicyService.getDefaultPolicy();
+}
+
+// Choose the policy of a generated password. Without any password option, the policy is picked
+// from the configured ones, or built from the length and special characters prompts.
+async function resolvePolicy(options) {
+  if (options.generatePassword || options.policy || options.length !== undefined || options.special === false) {
+    return getPolicyOption(options);
+  }
+
+  const policies = passwordPolicyService.listPolicies().filter(policy => !policy.error);
+  const defaultPolicy = policies.find(policy => policy.is_default);
+  const policyAnswer = await promptForMissing([
+    {
+      type: 'list',
+      name: 'policy',
+      option: '--policy',
+      message: 'Password policy:',
+      choices: [
+        ...policies.map(policy => ({
+          name: `${policy.name} (${policy.description}, ~${policy.entropy_bits} bits)`,
+          value: policy.name
+        })),
+        { name: 'Custom length and characters', value: CUSTOM_POLICY }
+      ],
+      default: defaultPolicy ? defaultPolicy.name : undefined
+    }
+  ]);
+
+  if (policyAnswer.policy !== CUSTOM_POLICY) {
+    return passwordPolicyService.getPolicy(policyAnswer.policy);
+  }
+
+  const passwordOptionsAnswer = await promptForMissing([
+    {
+      type: 'number',
+      name: 'length',
+      option: '--length',
+      message: 'Password length:',
+      default: 16,
+      validate: input => input >= 8 ? true : 'Password must be at least 8 characters'
+    },
+    {
+      type: 'confirm',
+      name: 'includeSpecial',
+      option: '--no-special',
+      message: 'Include special characters?',
+      default: true
+    }
+  ]);
+  return customPolicy(passwordOptionsAnswer.length, passwordOptionsAnswer.includeSpecial);
+}
+
+// Check a custom password against the validation rules of password-policies.yaml.
+// Returns the failed rules, one per line, or null when the password is accepted.
+function checkPassword(options, password, username) {
+  if (options.passwordCheck === false) {
+    return null;
+  }
+  const rules = passwordPolicyService.getValidationRules();
+  return describeFailedRules(validatePassword(password, { username, rules }));
+}
+
+// Resolve the password for create-user/update-user-password from flags or prompts.
+// Custom passwords are checked against the validation rules unless --no-password-check is passed.
+// Returns the password and whether it was generated.
+async function resolvePassword(options, customPasswordMessage, username) {
+  if (options.passwordStdin && (options.generatePassword || options.policy)) {
+    throw new Error('Use either --password-stdin or --generate-password/--policy, not both');
+  }
+
+  if (options.passwordStdin) {
+    const password = await readStdin();
+    if (password.length === 0) {
+      throw new Error('Password read from stdin is empty');
+    }
+    const failures = checkPassword(options, password, username);
+    if (failures) {
+      throw new Error(`Password rejected:\n${failures}\nChoose a stronger password, or pass --no-password-check to skip these checks`);
+    }
+    return { password, generated: false };
+  }
+
+  // Ask about password generation method
+  const passwordTypeAnswer = await promptForMissing([
+    {
+      type: 'list',
+      name: 'passwordType',
+      option: '--password-stdin or --generate-password',
+      message: 'How would you like to set the password?',
+      choices: [
+        { name: 'Auto-generate secure password', value: 'AUTO' },
+        { name: 'Enter custom password', value: 'CUSTOM' }
+      ]
+    }
+  ], { passwordType: options.generatePassword || options.policy ? 'AUTO' : undefined });
+
+  if (passwordTypeAnswer.passwordType === 'AUTO') {
+    // The generated password is shown once the command knows whether it was saved
+    return { password: generatePassword(await resolvePolicy(options)), generated: true };
+  }
+
+  // Ask for custom password
+  const customPasswordAnswer = await promptForMissing([
+    {
+      type: 'password',
+      name: 'password',
+      option: '--password-stdin',
+      message: customPasswordMessage,
+      validate: input => {
+        if (input.length === 0) return 'Password cannot be empty';
+        const failures = checkPassword(options, input, username);
+        return failures ? `Password rejected:\n${failures}` : true;
+      }
+    }
+  ]);
+
+  return { password: customPasswordAnswer.password, generated: false };
+}
+
+// Parse the --length option value
+function parseLength(value) {
+  const length = parseInt(value, 10);
+  if (Number.isNaN(length)) {
+    throw new InvalidArgumentError(`Invalid password length: ${value}`);
+  }
+  return length;
+}
+
+// Parse a duration option value such as 14d or 12w into a number of days
+function parseDays(value) {
+  const days = parseDuration(value);
+  if (days === null) {
+    throw new InvalidArgumentError(`Invalid duration: ${value}. Use a number of days or weeks, such as 90d or 12w`);
+  }
+  return days;
+}
+
+// Resolve the password expiry of create-user/update-user-password from flags or prompts.
+// Returns undefined when no expiry is set (the current one is kept when updating).
+async function resolveExpiry(options) {
+  if (options.validUntil !== undefined && options.expiresIn !== undefined) {
+    throw new Error('Use either --valid-until or --expires-in, not both');
+  }
+  if (options.validUntil !== undefined) {
+    return options.validUntil;
+  }
+
+  const answers = await promptForMissing([
+    {
+      type: 'input',
+      name: 'expiresIn',
+      option: '--expires-in',
+      message: 'Password valid for (e.g. 90d, leave empty to skip):',
+      default: '',
+      required: false,
+      validate: input => String(input).trim() === '' || parseDuration(input) !== null ? true : 'Use a number of days or weeks, such as 90d or 12w'
+    }
+  ], { expiresIn: options.expiresIn });
+
+  if (typeof answers.expiresIn === 'number') {
+    return addDays(answers.expiresIn);
+  }
+  return String(answers.expiresIn).trim() === '' ? undefined : addDays(parseDuration(answers.expiresIn));
+}
 
 function registerUserCommands() {
   // === User Commands ===
@@ -16,299 +222,582 @@ function registerUserCommands() {
       console.log('  - is_superuser: Whether the user has superuser privileges');
       console.log('  - can_create_role: Whether the user can create new roles');
       console.log('  - can_login: Whether the user can log in');
-      console.log('\nExample:');
+      console.log('\nExamples:');
       console.log('  $ pg-user-manager list-users');
+      console.log('  $ pg-user-manager list-users --output json');
     })
     .action(async () => {
       try {
         if (await db.testConnection()) {
           const users = await userService.listUsers();
-          displayUsersList(users);
+          const format = program.opts().output;
+          if (isMachineReadable(format)) {
+            printOutput(users, format);
+          } else {
+            displayUsersList(users);
+          }
         }
       } catch (err) {
         console.error('Error:', err.message);
+        process.exitCode = 1;
       }
     });
 
   program
     .command('create-user')
     .description('Create a new database user')
+    .option('-u, --username <name>', 'Login name for the new user')
+    .option('--password-stdin', 'Read the password from stdin')
+    .option('--no-password-check', 'Accept a custom password that fails the password validation rules')
+    .option('--generate-password', 'Auto-generate a secure password')
+    .option('--policy <name>', 'Generate the password with this password policy (see list-password-policies)')
+    .option('--length <number>', 'Length of the generated password, instead of a policy', parseLength)
+    .option('--no-special', 'Do not include special characters in the generated password')
+    .option('--save', 'Save the credentials to the secret store')
+    .option('--no-save', 'Do not save the credentials')
+    .addOption(new Option('--save-csv').hideHelp())
+    .addOption(new Option('--no-save-csv').hideHelp())
+    .option('--valid-until <date>', 'Date the password expires (ISO date, or "never")', parseValidUntil)
+    .option('--expires-in <duration>', 'Make the password expire after a duration such as 90d or 12w', parseDays)
+    .addOption(new Option('--credential-format <format>', 'Also output the credentials as a connection URL, .pgpass line, env file or Kubernetes Secret').choices(CREDENTIAL_FORMATS))
+    .option('--credential-file <path>', 'Write the formatted credentials to this file (mode 0600) instead of printing them')
     .on('--help', () => {
-      console.log('\nInteractively creates a new PostgreSQL user with login privileges.');
-      console.log('You will be prompted to enter:');
+      console.log('\nCreates a new PostgreSQL user with login privileges.');
+      console.log('You will be prompted for any value not passed as an option:');
       console.log('  - Username: The login name for the user');
-      console.log('  - Password type: Auto-generated or custom');
-      console.log('  - Save credentials to CSV: Option to save to a CSV file');
-      console.log('\nExample:');
+      console.log('  - Password type: Auto-generated (with a password policy) or custom');
+      console.log('  - Password expiry: How long the password stays valid (VALID UNTIL)');
+      console.log('  - Save credentials: Option to save them to the secret store of the profile (only with --save when stdin is not a TTY)');
+      console.log('\nCustom passwords are checked against the validation rules of password-policies.yaml');
+      console.log('(length, character classes, user name, common and breached passwords).');
+      console.log('\nWith --credential-format, the credentials are also printed (or written to --credential-file)');
+      console.log('in a format ready for the application; see "export-credentials --help" for the formats.');
+      console.log('When they are printed, other messages and prompts go to stderr, and the credentials are');
+      console.log('only saved to the secret store with --save.');
+      console.log('\nExamples:');
       console.log('  $ pg-user-manager create-user');
+      console.log('  $ pg-user-manager create-user --username app --generate-password --save');
+      console.log('  $ pg-user-manager create-user --username alice --generate-password --expires-in 90d');
+      console.log('  $ pg-user-manager create-user --username app --policy url-safe --credential-format url');
+      console.log('  $ echo "$APP_PASSWORD" | pg-user-manager create-user --username app --password-stdin --no-save');
+      console.log('  $ pg-user-manager create-user --username app --generate-password --credential-format env --credential-file .env');
     })
-    .action(async () => {
+    .action(async (options) => {
       try {
+        if (options.credentialFile && !options.credentialFormat) {
+          throw new Error('--credential-file needs --credential-format');
+        }
         if (await db.testConnection()) {
           // Ask for username first
-          const usernameAnswer = await inquirer.prompt([
+          const usernameAnswer = await promptForMissing([
             {
               type: 'input',
               name: 'username',
+              option: '--username',
               message: 'Enter username:',
               validate: input => input.length > 0 ? true : 'Username cannot be empty'
             }
-          ]);
-          
-          // Ask about password generation method
-          const passwordTypeAnswer = await inquirer.prompt([
-            {
-              type: 'list',
-              name: 'passwordType',
-              message: 'How would you like to set the password?',
-              choices: [
-                { name: 'Auto-generate secure password', value: 'AUTO' },
-                { name: 'Enter custom password', value: 'CUSTOM' }
-              ]
-            }
-          ]);
-          
-          let password = '';
-          
-          if (passwordTypeAnswer.passwordType === 'AUTO') {
-            // Ask for password generation options
-            const passwordOptionsAnswer = await inquirer.prompt([
-              {
-                type: 'number',
-                name: 'length',
-                message: 'Password length:',
-                default: 16,
-                validate: input => input >= 8 ? true : 'Password must be at least 8 characters'
-              },
-              {
-                type: 'confirm',
-                name: 'includeSpecial',
-                message: 'Include special characters?',
-                default: true
-              }
-            ]);
-            
-            // Generate the password
-            password = generateSecurePassword(
-              passwordOptionsAnswer.length,
-              passwordOptionsAnswer.includeSpecial,
-              true, // always include numbers
-              true  // always include uppercase
-            );
-            
-            // Show the generated password
-            console.log(`\nGenerated password: ${password}\n`);
-          } else {
-            // Ask for custom password
-            const customPasswordAnswer = await inquirer.prompt([
-              {
-                type: 'password',
-                name: 'password',
-                message: 'Enter password:',
-                validate: input => input.length > 0 ? true : 'Password cannot be empty'
-              }
-            ]);
-            
-            password = customPasswordAnswer.password;
-          }
-          
+          ], { username: options.username });
+
+          const { password, generated } = await resolvePassword(options, 'Enter password:', usernameAnswer.username);
+          const validUntil = await resolveExpiry(options);
+
           // Create the user
           const userData = {
             username: usernameAnswer.username,
             password: password
           };
-          
-          const result = await userService.createUser(userData.username, userData.password);
-          
+
+          const result = await userService.createUser(userData.username, userData.password, validUntil);
+
           if (result.success) {
-            console.log(result.message);
-            
-            // Ask if user wants to save credentials to CSV
-            const saveAnswer = await inquirer.prompt([
-              {
-                type: 'confirm',
-                name: 'saveToCSV',
-                message: 'Save credentials to CSV file?',
-                default: true
-              }
-            ]);
-            
-            if (saveAnswer.saveToCSV) {
-              const saveResult = saveUserToCSV(userData); // TODO: Use AWS Secrets Manager
-              console.log(saveResult.message);
+            logInfo(result.message);
+            const unsaved = await offerToSaveCredentials(options, [userData], 'create-user');
+            if (generated && unsaved.length > 0 && !options.credentialFormat) {
+              console.log(`\nGenerated password for ${userData.username}: ${userData.password}`);
+            }
+            if (options.credentialFormat && !db.isDryRun()) {
+              outputCredentials(options, userData.username, userData.password);
             }
           } else {
-            console.log(result.message);
+            logInfo(result.message);
+            process.exitCode = 1;
           }
         }
       } catch (err) {
         console.error('Error:', err.message);
+        process.exitCode = 1;
       }
     });
 
   program
     .command('update-user-password')
     .description('Update a user password')
+    .option('-u, --user <name>', 'User whose password is updated')
+    .option('--password-stdin', 'Read the new password from stdin')
+    .option('--no-password-check', 'Accept a custom password that fails the password validation rules')
+    .option('--generate-password', 'Auto-generate a secure password')
+    .option('--policy <name>', 'Generate the password with this password policy (see list-password-policies)')
+    .option('--length <number>', 'Length of the generated password, instead of a policy', parseLength)
+    .option('--no-special', 'Do not include special characters in the generated password')
+    .option('--save', 'Save the credentials to the secret store')
+    .option('--no-save', 'Do not save the credentials')
+    .addOption(new Option('--save-csv').hideHelp())
+    .addOption(new Option('--no-save-csv').hideHelp())
+    .option('--valid-until <date>', 'Date the password expires (ISO date, or "never")', parseValidUntil)
+    .option('--expires-in <duration>', 'Make the password expire after a duration such as 90d or 12w', parseDays)
+    .addOption(new Option('--credential-format <format>', 'Also output the credentials as a connection URL, .pgpass line, env file or Kubernetes Secret').choices(CREDENTIAL_FORMATS))
+    .option('--credential-file <path>', 'Write the formatted credentials to this file (mode 0600) instead of printing them')
     .on('--help', () => {
-      console.log('\nInteractively updates the password for an existing PostgreSQL user.');
-      console.log('You will be prompted to:');
+      console.log('\nUpdates the password for an existing PostgreSQL user.');
+      console.log('You will be prompted for any value not passed as an option:');
       console.log('  - Select a user from a list of existing users');
-      console.log('  - Choose password type: Auto-generated or custom');
-      console.log('  - Save credentials to CSV: Option to save to a CSV file');
-      console.log('\nExample:');
+      console.log('  - Choose password type: Auto-generated (with a password policy) or custom');
+      console.log('  - Password expiry: How long the new password stays valid (empty keeps the current expiry)');
+      console.log('  - Save credentials: Option to save them to the secret store of the profile (only with --save when stdin is not a TTY)');
+      console.log('\nCustom passwords are checked against the validation rules of password-policies.yaml.');
+      console.log('\nWhen the credentials are printed with --credential-format, other messages and prompts go to');
+      console.log('stderr, and the credentials are only saved to the secret store with --save.');
+      console.log('\nExamples:');
       console.log('  $ pg-user-manager update-user-password');
+      console.log('  $ pg-user-manager update-user-password --user app --generate-password --length 24 --save');
+      console.log('  $ pg-user-manager update-user-password --user alice --generate-password --expires-in 90d');
+      console.log('  $ pg-user-manager update-user-password --user app --generate-password --credential-format k8s | kubectl apply -f -');
     })
-    .action(async () => {
+    .action(async (options) => {
       try {
+        if (options.credentialFile && !options.credentialFormat) {
+          throw new Error('--credential-file needs --credential-format');
+        }
         if (await db.testConnection()) {
           const users = await userService.listUsers();
           const usernames = users.map(user => user.username);
-          
+
           // Ask for username first
-          const usernameAnswer = await inquirer.prompt([
+          const usernameAnswer = await promptForMissing([
             {
               type: 'list',
               name: 'username',
+              option: '--user',
               message: 'Select user:',
               choices: usernames
             }
-          ]);
-          
-          // Ask about password generation method
-          const passwordTypeAnswer = await inquirer.prompt([
-            {
-              type: 'list',
-              name: 'passwordType',
-              message: 'How would you like to set the password?',
-              choices: [
-                { name: 'Auto-generate secure password', value: 'AUTO' },
-                { name: 'Enter custom password', value: 'CUSTOM' }
-              ]
-            }
-          ]);
-          
-          let password = '';
-          
-          if (passwordTypeAnswer.passwordType === 'AUTO') {
-            // Ask for password generation options
-            const passwordOptionsAnswer = await inquirer.prompt([
-              {
-                type: 'number',
-                name: 'length',
-                message: 'Password length:',
-                default: 16,
-                validate: input => input >= 8 ? true : 'Password must be at least 8 characters'
-              },
-              {
-                type: 'confirm',
-                name: 'includeSpecial',
-                message: 'Include special characters?',
-                default: true
-              }
-            ]);
-            
-            // Generate the password
-            password = generateSecurePassword(
-              passwordOptionsAnswer.length,
-              passwordOptionsAnswer.includeSpecial,
-              true, // always include numbers
-              true  // always include uppercase
-            );
-            
-            // Show the generated password
-            console.log(`\nGenerated password: ${password}\n`);
-          } else {
-            // Ask for custom password
-            const customPasswordAnswer = await inquirer.prompt([
-              {
-                type: 'password',
-                name: 'password',
-                message: 'Enter new password:',
-                validate: input => input.length > 0 ? true : 'Password cannot be empty'
-              }
-            ]);
-            
-            password = customPasswordAnswer.password;
-          }
-          
+          ], { username: options.user });
+
+          const { password, generated } = await resolvePassword(options, 'Enter new password:', usernameAnswer.username);
+          const validUntil = await resolveExpiry(options);
+
           // Update the user password
           const userData = {
             username: usernameAnswer.username,
             password: password
           };
-          
-          const result = await userService.updateUserPassword(userData.username, userData.password);
-          
+
+          const result = await userService.updateUserPassword(userData.username, userData.password, validUntil);
+
           if (result.success) {
-            console.log(result.message);
-            
-            // Ask if user wants to save credentials to CSV
-            const saveAnswer = await inquirer.prompt([
+            logInfo(result.message);
+            const unsaved = await offerToSaveCredentials(options, [userData], 'update-user-password');
+            if (generated && unsaved.length > 0 && !options.credentialFormat) {
+              console.log(`\nGenerated password for ${userData.username}: ${userData.password}`);
+            }
+            if (options.credentialFormat && !db.isDryRun()) {
+              outputCredentials(options, userData.username, userData.password);
+            }
+          } else {
+            logInfo(result.message);
+            process.exitCode = 1;
+          }
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  program
+    .command('expiring-users')
+    .description('List users whose password expires soon or has expired')
+    .option('-w, --within <duration>', 'Expiry window, such as 14d or 2w (default: 14d)', parseDays)
+    .on('--help', () => {
+      console.log('\nLists the users whose password (VALID UNTIL) expires within the window, and the');
+      console.log('users whose password has already expired. Users without an expiry are not listed.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager expiring-users');
+      console.log('  $ pg-user-manager expiring-users --within 30d --output csv');
+    })
+    .action(async (options) => {
+      try {
+        if (await db.testConnection()) {
+          const users = await userService.listExpiringUsers(options.within !== undefined ? options.within : 14);
+          const format = program.opts().output;
+          if (isMachineReadable(format)) {
+            printOutput(users, format);
+          } else {
+            displayExpiringUsers(users);
+          }
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  program
+    .command('list-password-policies')
+    .description('List the password policies available to generated passwords')
+    .option('--sample', 'Show a sample password generated with each policy')
+    .on('--help', () => {
+      console.log(`\nPolicies are read from ${passwordPolicyService.getPoliciesPath()}`);
+      console.log('(set PGUM_PASSWORD_POLICIES_FILE to use another file), on top of the built-in');
+      console.log('default, url-safe and passphrase policies. Example file:');
+      console.log('  default: strong');
+      console.log('  policies:');
+      console.log('    strong:');
+      console.log('      length: 24');
+      console.log('      classes: [lower, upper, digit, special]');
+      console.log('      excludeAmbiguous: true');
+      console.log('    words:');
+      console.log('      mode: passphrase');
+      console.log('      words: 6');
+      console.log('      separator: "-"');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager list-password-policies --sample');
+      console.log('  $ pg-user-manager list-password-policies --output json');
+    })
+    .action(async (options) => {
+      try {
+        const policies = passwordPolicyService.listPolicies().map(policy => ({
+          ...policy,
+          ...(options.sample && !policy.error ? { sample: generatePassword(passwordPolicyService.getPolicy(policy.name)) } : {})
+        }));
+
+        const format = program.opts().output;
+        if (isMachineReadable(format)) {
+          printOutput(policies, format);
+        } else {
+          displayPasswordPolicies(policies);
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  program
+    .command('rotate-passwords')
+    .description('Set new generated passwords for a set of users and move their expiry forward')
+    .option('-u, --users <names>', 'Comma-separated users or glob patterns (e.g. "analyst_*")')
+    .option('-w, --expiring-within <duration>', 'Rotate the users whose password expires within this window, such as 14d', parseDays)
+    .option('--expires-in <duration>', `Lifetime of the new passwords (default: ${DEFAULT_ROTATION_DAYS}d)`, parseDays)
+    .option('--policy <name>', 'Password policy of the new passwords (default: the default policy)')
+    .option('--length <number>', 'Length of the generated passwords, instead of a policy', parseLength)
+    .option('--no-special', 'Do not include special characters in the generated passwords')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .option('--save', 'Save the new credentials to the secret store')
+    .option('--no-save', 'Do not save the new credentials (they are printed instead)')
+    .addOption(new Option('--save-csv').hideHelp())
+    .addOption(new Option('--no-save-csv').hideHelp())
+    .on('--help', () => {
+      console.log('\nGenerates a new password for each selected user and sets its expiry (VALID UNTIL)');
+      console.log(`${DEFAULT_ROTATION_DAYS} days from now, or after --expires-in. Users are picked from a list where the`);
+      console.log('ones expiring within 14 days are preselected, or passed with --users or --expiring-within.');
+      console.log('A failed user does not stop the others. The new passwords are saved as new versions');
+      console.log('in the secret store of the profile, or printed with --no-save.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager rotate-passwords');
+      console.log('  $ pg-user-manager rotate-passwords --expiring-within 14d --yes --save');
+      console.log('  $ pg-user-manager rotate-passwords --users "analyst_*,alice" --expires-in 90d --yes');
+      console.log('  $ pg-user-manager rotate-passwords --expiring-within 7d --policy passphrase --yes');
+    })
+    .action(async (options) => {
+      try {
+        const policy = getPolicyOption(options);
+
+        if (await db.testConnection()) {
+          const users = await userService.listUsers();
+          const usernames = users.map(user => user.username);
+
+          let selected;
+          if (options.users !== undefined) {
+            const { matched, unmatched } = matchGlobs(usernames, parseList(options.users));
+            if (unmatched.length > 0) {
+              throw new Error(`No user matches: ${unmatched.join(', ')}`);
+            }
+            selected = matched;
+          } else if (options.expiringWithin !== undefined) {
+            selected = (await userService.listExpiringUsers(options.expiringWithin)).map(user => user.username);
+          } else {
+            const expiring = (await userService.listExpiringUsers(14)).map(user => user.username);
+            const answers = await promptForMissing([
               {
-                type: 'confirm',
-                name: 'saveToCSV',
-                message: 'Save credentials to CSV file?',
-                default: true
+                type: 'checkbox',
+                name: 'users',
+                option: '--users or --expiring-within',
+                message: 'Select users to rotate (users expiring within 14 days are preselected):',
+                choices: usernames.map(username => ({ name: username, value: username, checked: expiring.includes(username) })),
+                validate: input => input.length > 0 ? true : 'Select at least one user'
               }
             ]);
-            
-            if (saveAnswer.saveToCSV) {
-              const saveResult = saveUserToCSV(userData);
-              console.log(saveResult.message);
+            selected = answers.users;
+          }
+
+          if (selected.length === 0) {
+            console.log('No users to rotate');
+            return;
+          }
+
+          const validUntil = addDays(options.expiresIn !== undefined ? options.expiresIn : DEFAULT_ROTATION_DAYS);
+          const confirmAnswer = await promptForMissing([
+            {
+              type: 'confirm',
+              name: 'confirm',
+              option: '--yes',
+              message: `Rotate the passwords of ${selected.join(', ')} (valid until ${validUntil.toISOString()})?`,
+              default: false
+            }
+          ], { confirm: options.yes });
+
+          if (!confirmAnswer.confirm) {
+            console.log('Rotate operation cancelled');
+            return;
+          }
+
+          const result = await userService.rotatePasswords(selected, validUntil, policy);
+          displayUserResults(result.results);
+          console.log(result.message);
+
+          if (result.credentials.length > 0) {
+            const unsaved = await offerToSaveCredentials(options, result.credentials, 'rotate-passwords');
+            if (unsaved.length > 0) {
+              console.log('');
+              unsaved.forEach(credentials => {
+                console.log(`New password for ${credentials.username}: ${credentials.password}`);
+              });
             }
-          } else {
-            console.log(result.message);
           }
+
+          if (!result.success) process.exitCode = 1;
         }
       } catch (err) {
         console.error('Error:', err.message);
+        process.exitCode = 1;
       }
     });
 
   program
-    .command('delete-user')
-    .description('Delete a database user')
+    .command('password-hash-report')
+    .description('Show whether each login user has an md5 or SCRAM password hash, no password, or an expired one')
     .on('--help', () => {
-      console.log('\nInteractively deletes an existing PostgreSQL user.');
-      console.log('You will be prompted to:');
+      console.log('\nReads the password hashes in pg_authid, which needs a superuser connection, and');
+      console.log('classifies each login user as md5, scram-sha-256, none (no password) or expired.');
+      console.log('Users still on md5 cannot log in once pg_hba.conf only allows scram-sha-256;');
+      console.log('migrate them first with migrate-to-scram.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager password-hash-report');
+      console.log('  $ pg-user-manager password-hash-report --output csv');
+    })
+    .action(async () => {
+      try {
+        if (await db.testConnection()) {
+          const users = await userService.getPasswordHashReport();
+          const format = program.opts().output;
+          if (isMachineReadable(format)) {
+            printOutput(users, format);
+            return;
+          }
+
+          displayPasswordHashReport(users);
+          const md5Users = users.filter(user => user.hash === 'md5');
+          if (md5Users.length > 0) {
+            console.log(`\n${md5Users.length} user(s) still have an md5 hash. Run migrate-to-scram before allowing only scram-sha-256 in pg_hba.conf.`);
+          }
+          const { method } = await userService.getPasswordEncryption();
+          if (method !== 'scram-sha-256') {
+            console.log(`The server's password_encryption is ${method}: new passwords are stored as md5 until it is set to scram-sha-256.`);
+          }
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  program
+    .command('migrate-to-scram')
+    .description('Set new generated passwords, stored as SCRAM-SHA-256 hashes, for users that still have md5 hashes')
+    .option('-u, --users <names>', 'Comma-separated md5 users or glob patterns (e.g. "legacy_*")')
+    .option('--all', 'Migrate every md5 user whose password has not expired')
+    .option('--expires-in <duration>', 'Lifetime of the new passwords (default: keep the current expiry)', parseDays)
+    .option('--policy <name>', 'Password policy of the new passwords (default: the default policy)')
+    .option('--length <number>', 'Length of the generated passwords, instead of a policy', parseLength)
+    .option('--no-special', 'Do not include special characters in the generated passwords')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .option('--save', 'Save the new credentials to the secret store')
+    .option('--no-save', 'Do not save the new credentials (they are printed instead)')
+    .on('--help', () => {
+      console.log('\nPostgreSQL cannot convert an md5 hash to SCRAM, so each selected user gets a new');
+      console.log('generated password, the same way as rotate-passwords. The expiry of each user is kept');
+      console.log('unless --expires-in is passed. Users are picked from a list of the md5 users, where');
+      console.log('those whose password has not expired are preselected, or passed with --users or --all.');
+      console.log('The server must have password_encryption = scram-sha-256, and reading the hashes');
+      console.log('needs a superuser connection. The new passwords are saved to the secret store of the');
+      console.log('profile, or printed with --no-save; hand them to the owners of the accounts.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager migrate-to-scram');
+      console.log('  $ pg-user-manager migrate-to-scram --all --yes --save');
+      console.log('  $ pg-user-manager migrate-to-scram --users "legacy_*" --expires-in 90d --yes');
+    })
+    .action(async (options) => {
+      try {
+        if (options.users !== undefined && options.all) {
+          throw new Error('Use either --users or --all, not both');
+        }
+        const policy = getPolicyOption(options);
+
+        if (await db.testConnection()) {
+          const { method } = await userService.getPasswordEncryption();
+          if (method !== 'scram-sha-256') {
+            throw new Error(`The server's password_encryption is ${method}, so new passwords would be stored as md5 again; set it to scram-sha-256 first`);
+          }
+
+          const md5Users = (await userService.getPasswordHashReport()).filter(user => user.hash === 'md5');
+          if (md5Users.length === 0) {
+            console.log('No users have an md5 password hash');
+            return;
+          }
+
+          let selected;
+          if (options.users !== undefined) {
+            const { matched, unmatched } = matchGlobs(md5Users.map(user => user.username), parseList(options.users));
+            if (unmatched.length > 0) {
+              throw new Error(`No md5 user matches: ${unmatched.join(', ')}`);
+            }
+            selected = matched;
+          } else if (options.all) {
+            selected = md5Users.filter(user => !user.expired).map(user => user.username);
+          } else {
+            const answers = await promptForMissing([
+              {
+                type: 'checkbox',
+                name: 'users',
+                option: '--users or --all',
+                message: 'Select users to migrate (users whose password has not expired are preselected):',
+                choices: md5Users.map(user => ({
+                  name: user.expired ? `${user.username} (expired)` : user.username,
+                  value: user.username,
+                  checked: !user.expired
+                })),
+                validate: input => input.length > 0 ? true : 'Select at least one user'
+              }
+            ]);
+            selected = answers.users;
+          }
+
+          if (selected.length === 0) {
+            console.log('No users to migrate');
+            return;
+          }
+
+          const validUntil = options.expiresIn !== undefined ? addDays(options.expiresIn) : undefined;
+          const confirmAnswer = await promptForMissing([
+            {
+              type: 'confirm',
+              name: 'confirm',
+              option: '--yes',
+              message: `Set new passwords for ${selected.join(', ')}? Their current passwords stop working.`,
+              default: false
+            }
+          ], { confirm: options.yes });
+
+          if (!confirmAnswer.confirm) {
+            console.log('Migrate operation cancelled');
+            return;
+          }
+
+          const result = await userService.rotatePasswords(selected, validUntil, policy);
+          displayUserResults(result.results);
+          console.log(result.message);
+
+          if (result.credentials.length > 0) {
+            const unsaved = await offerToSaveCredentials(options, result.credentials, 'migrate-to-scram');
+            if (unsaved.length > 0) {
+              console.log('');
+              unsaved.forEach(credentials => {
+                console.log(`New password for ${credentials.username}: ${credentials.password}`);
+              });
+            }
+          }
+
+          if (!result.success) process.exitCode = 1;
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  addDependencyOptions(
+    program
+      .command('delete-user')
+      .description('Delete a database user')
+      .option('-u, --user <name>', 'User to delete')
+  )
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .on('--help', () => {
+      console.log('\nDeletes an existing PostgreSQL user.');
+      console.log('You will be prompted for any value not passed as an option:');
       console.log('  - Select a user from a list of existing users');
       console.log('  - Confirm the deletion');
-      console.log('\nWarning: This action cannot be undone. Make sure the user is not the owner of any objects.');
-      console.log('\nExample:');
+      console.log('  - Choose who takes over the objects the user owns, if any');
+      console.log('\nBefore dropping the user, every database of the cluster is searched for objects it');
+      console.log('owns and privileges it holds. Its objects are reassigned to the chosen successor');
+      console.log('(REASSIGN OWNED), then its remaining objects and privileges are dropped in each');
+      console.log('database (DROP OWNED). With --drop-owned, the objects it owns are dropped as well.');
+      console.log('\nWarning: This action cannot be undone.');
+      console.log('\nExamples:');
       console.log('  $ pg-user-manager delete-user');
+      console.log('  $ pg-user-manager delete-user --user app --reassign-to app_owner --yes');
+      console.log('  $ pg-user-manager delete-user --user temp_analyst --drop-owned --yes');
     })
-    .action(async () => {
+    .action(async (options) => {
       try {
         if (await db.testConnection()) {
           const users = await userService.listUsers();
           const usernames = users.map(user => user.username);
-          
-          const answers = await inquirer.prompt([
+
+          const answers = await promptForMissing([
             {
               type: 'list',
               name: 'username',
+              option: '--user',
               message: 'Select user to delete:',
               choices: usernames
             },
             {
               type: 'confirm',
               name: 'confirm',
+              option: '--yes',
               message: 'Are you sure you want to delete this user?',
               default: false
             }
-          ]);
-          
+          ], { username: options.user, confirm: options.yes });
+
           if (answers.confirm) {
+            if (!(await clearRoleDependencies(answers.username, options))) return;
+
             const result = await userService.deleteUser(answers.username);
             console.log(result.message);
+            if (!result.success) process.exitCode = 1;
           } else {
             console.log('Delete operation cancelled');
           }
         }
       } catch (err) {
         console.error('Error:', err.message);
+        process.exitCode = 1;
       }
     });
 }
 
-module.exports = { registerUserCommands }; 
\ No newline at end of file
+module.exports = { registerUserCommands, parseDays, parseLength, getPolicyOption };
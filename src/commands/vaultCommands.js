@@ -0,0 +1,361 @@
+const fs = require('fs');
+const path = require('path');
+const { program } = require('commander');
+const vaultService = require('../services/vaultService');
+const secretService = require('../services/secretService');
+const db = require('../services/db');
+const { parseValidUntil } = require('./attributeCommands');
+const { displayVaultUsers, displayVaultEntries } = require('../utils/displayUtils');
+const { isMachineReadable, isStdoutReserved, logInfo, printOutput, formatOutput } = require('../utils/outputUtils');
+const { isInteractive, promptForMissing } = require('../utils/promptUtils');
+
+// Get the vault passphrase from PGUM_VAULT_PASSPHRASE or a prompt.
+// A new vault asks for the passphrase twice.
+async function resolvePassphrase() {
+  if (process.env.PGUM_VAULT_PASSPHRASE) {
+    return process.env.PGUM_VAULT_PASSPHRASE;
+  }
+  if (!isInteractive()) {
+    throw new Error('Set PGUM_VAULT_PASSPHRASE to use the credential vault when stdin is not a TTY');
+  }
+
+  const creating = !vaultService.vaultExists();
+  const answers = await promptForMissing([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: creating ? 'New vault passphrase:' : 'Vault passphrase:',
+      mask: '*',
+      validate: input => input.length >= 8 ? true : 'The passphrase must be at least 8 characters'
+    },
+    {
+      type: 'password',
+      name: 'confirmation',
+      message: 'Repeat the passphrase:',
+      mask: '*',
+      when: () => creating,
+      validate: (input, previous) => input === previous.passphrase ? true : 'The passphrases do not match'
+    }
+  ]);
+
+  return answers.passphrase;
+}
+
+// Offer to move the plaintext credential files of earlier versions into the vault
+async function offerLegacyMigration(passphrase) {
+  const files = vaultService.findLegacyFiles();
+  if (files.length === 0) return;
+
+  if (!isInteractive()) {
+    console.warn(`Warning: ${files.length} plaintext credential file(s) found in ./credentials. Run "vault migrate" to move them into the vault.`);
+    return;
+  }
+
+  const answers = await promptForMissing([
+    {
+      type: 'confirm',
+      name: 'migrate',
+      message: `Found ${files.length} plaintext credential file(s) in ./credentials. Import them into the vault and delete them?`,
+      default: true
+    }
+  ]);
+
+  if (answers.migrate) {
+    logInfo(vaultService.migrateLegacyFiles(passphrase, files).message);
+  }
+}
+
+// Ask whether to save new credentials (unless --save/--no-save was passed) and store them in the
+// secret store configured for the connection. The --save-csv flags of earlier versions are still accepted.
+// When stdin is not a TTY, or stdout carries the result of the command, the credentials are only
+// saved with an explicit --save. Returns the credentials that were not saved, for the caller to print them instead.
+async function offerToSaveCredentials(options, credentials, source) {
+  if (db.isDryRun()) {
+    return [];
+  }
+
+  const save = options.save !== undefined ? options.save : options.saveCsv;
+  if (save === undefined && (!isInteractive() || isStdoutReserved())) {
+    return credentials;
+  }
+
+  // The passwords are already set: a secret store that cannot be reached must not lose them,
+  // so errors are reported and the credentials are handed back to the caller
+  try {
+    const backend = secretService.getSecretBackend();
+    const who = credentials.length === 1 ? credentials[0].username : `${credentials.length} users`;
+    const answers = await promptForMissing([
+      {
+        type: 'confirm',
+        name: 'save',
+        option: '--save',
+        message: `Save the credentials of ${who} to ${secretService.describeSecretStore()}?`,
+        default: true
+      }
+    ], { save });
+
+    if (!answers.save) {
+      return credentials;
+    }
+
+    const passphrase = backend.requiresPassphrase ? await resolvePassphrase() : undefined;
+    const result = await secretService.saveCredentials(credentials, source, { passphrase });
+
+    result.results.forEach(item => {
+      if (!item.success) {
+        console.error(`  ✗ ${item.username}: ${item.error}`);
+      } else if (item.version !== undefined) {
+        logInfo(`  ✓ ${item.username}: ${item.secret} (version ${item.version})`);
+      }
+    });
+    logInfo(result.message);
+
+    if (passphrase) {
+      await offerLegacyMigration(passphrase);
+    }
+    if (!result.success) {
+      process.exitCode = 1;
+    }
+
+    const failed = new Set(result.results.filter(item => !item.success).map(item => item.username));
+    return credentials.filter(credential => failed.has(credential.username));
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exitCode = 1;
+    return credentials;
+  }
+}
+
+function registerVaultCommands() {
+  // === Vault Commands ===
+  const vault = program
+    .command('vault')
+    .description('Manage the encrypted vault of generated credentials')
+    .on('--help', () => {
+      console.log(`\nThe vault (${vaultService.getVaultPath()}) stores the passwords set by this tool,`);
+      console.log('encrypted with AES-256-GCM and a key derived from a passphrase (scrypt). Every saved');
+      console.log('password is kept, so the previous password of a user can still be found while a');
+      console.log('rotation is rolled out. Set PGUM_VAULT_FILE to use another file, and');
+      console.log('PGUM_VAULT_PASSPHRASE to avoid the passphrase prompt.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager vault list');
+      console.log('  $ pg-user-manager vault show app --history');
+      console.log('  $ pg-user-manager vault purge --before 2024-01-01 --keep-latest');
+    });
+
+  vault
+    .command('list')
+    .description('List the users with credentials in the vault')
+    .on('--help', () => {
+      console.log('\nShows one row per user with the number of saved passwords and when the latest');
+      console.log('one was saved. Passwords are not shown (see "vault show").');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager vault list');
+      console.log('  $ pg-user-manager vault list --output json');
+    })
+    .action(async () => {
+      try {
+        const users = vaultService.listUsers(await resolvePassphrase());
+        const format = program.opts().output;
+        if (isMachineReadable(format)) {
+          printOutput(users, format);
+        } else {
+          displayVaultUsers(users);
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  vault
+    .command('show <user>')
+    .description('Show the latest saved password of a user')
+    .option('--history', 'Show every saved password of the user, oldest first')
+    .on('--help', () => {
+      console.log('\nPrints the latest password saved for the user. With --history, the previous');
+      console.log('passwords are listed too, which helps while clients move to a rotated password.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager vault show app');
+      console.log('  $ pg-user-manager vault show app --history --output json');
+    })
+    .action(async (username, options) => {
+      try {
+        const entries = vaultService.getEntries(await resolvePassphrase(), username);
+        if (entries.length === 0) {
+          throw new Error(`No credentials saved for ${username}`);
+        }
+
+        const shown = options.history ? entries : entries.slice(-1);
+        const format = program.opts().output;
+        if (isMachineReadable(format)) {
+          printOutput(shown, format);
+        } else {
+          displayVaultEntries(shown);
+        }
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  vault
+    .command('export <file>')
+    .description('Export credentials from the vault to a plaintext file')
+    .option('-u, --user <name>', 'Only the credentials of this user')
+    .option('--latest', 'Only the latest password of each user')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .on('--help', () => {
+      console.log('\nWrites the credentials in plaintext, as JSON when the file name ends in .json,');
+      console.log('as YAML for .yaml/.yml, and as CSV otherwise. The file is readable by the current');
+      console.log('OS user only, and an existing file is never overwritten.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager vault export handover.csv --user app --latest');
+      console.log('  $ pg-user-manager vault export backup.json --yes');
+    })
+    .action(async (file, options) => {
+      try {
+        let entries = vaultService.getEntries(await resolvePassphrase(), options.user);
+        if (options.latest) {
+          const latest = new Map();
+          entries.forEach(entry => latest.set(entry.username, entry));
+          entries = [...latest.values()];
+        }
+        if (entries.length === 0) {
+          throw new Error('No credentials to export');
+        }
+
+        const answers = await promptForMissing([
+          {
+            type: 'confirm',
+            name: 'confirm',
+            option: '--yes',
+            message: `Write ${entries.length} password(s) in plaintext to ${file}?`,
+            default: false
+          }
+        ], { confirm: options.yes });
+
+        if (!answers.confirm) {
+          console.log('Export operation cancelled');
+          return;
+        }
+
+        const extension = path.extname(file).toLowerCase();
+        let format = 'csv';
+        if (extension === '.json') format = 'json';
+        if (extension === '.yaml' || extension === '.yml') format = 'yaml';
+
+        fs.writeFileSync(file, formatOutput(entries, format) + '\n', { mode: 0o600, flag: 'wx' });
+        console.log(`Exported ${entries.length} password(s) to ${file}`);
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  vault
+    .command('purge')
+    .description('Remove credentials from the vault')
+    .option('-u, --user <name>', 'Only the credentials of this user')
+    .option('--before <date>', 'Only the credentials saved before this date (ISO format)', parseValidUntil)
+    .option('--keep-latest', 'Keep the latest password of each user, removing only the history')
+    .option('--all', 'Remove every credential')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .on('--help', () => {
+      console.log('\nRemoves saved passwords. The filters combine: for example --before with');
+      console.log('--keep-latest removes the old passwords of every user but keeps their current one.');
+      console.log('Pass --all to remove everything.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager vault purge --user old_app');
+      console.log('  $ pg-user-manager vault purge --before 2024-01-01 --keep-latest --yes');
+    })
+    .action(async (options) => {
+      try {
+        if (!options.all && !options.user && !options.before && !options.keepLatest) {
+          throw new Error('Pass --user, --before, --keep-latest or --all to choose what to remove');
+        }
+        if (options.before === Infinity) {
+          throw new Error('--before needs a date');
+        }
+
+        const passphrase = await resolvePassphrase();
+        const answers = await promptForMissing([
+          {
+            type: 'confirm',
+            name: 'confirm',
+            option: '--yes',
+            message: 'Remove the matching credentials from the vault? They cannot be recovered.',
+            default: false
+          }
+        ], { confirm: options.yes });
+
+        if (!answers.confirm) {
+          console.log('Purge operation cancelled');
+          return;
+        }
+
+        const result = vaultService.purge(passphrase, {
+          username: options.user,
+          before: options.before,
+          keepLatest: options.keepLatest
+        });
+        console.log(result.message);
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  vault
+    .command('migrate [dir]')
+    .description('Move the plaintext credential CSV files of earlier versions into the vault')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .on('--help', () => {
+      console.log('\nEarlier versions saved each password to credentials/user_<name>_<timestamp>.csv');
+      console.log('in the directory the tool was run from. This command imports those files from');
+      console.log('<dir>/credentials (default: the current directory) into the vault, then overwrites');
+      console.log('and deletes them. A file is only deleted once its credentials are in the vault.');
+      console.log('\nExamples:');
+      console.log('  $ pg-user-manager vault migrate');
+      console.log('  $ pg-user-manager vault migrate ~/projects/app --yes');
+    })
+    .action(async (dir, options) => {
+      try {
+        const files = vaultService.findLegacyFiles(dir || process.cwd());
+        if (files.length === 0) {
+          console.log(`No credential files found in ${path.join(dir || process.cwd(), 'credentials')}`);
+          return;
+        }
+
+        const passphrase = await resolvePassphrase();
+        const answers = await promptForMissing([
+          {
+            type: 'confirm',
+            name: 'confirm',
+            option: '--yes',
+            message: `Import ${files.length} credential file(s) into the vault and delete them?`,
+            default: true
+          }
+        ], { confirm: options.yes });
+
+        if (!answers.confirm) {
+          console.log('Migrate operation cancelled');
+          return;
+        }
+
+        const result = vaultService.migrateLegacyFiles(passphrase, files);
+        result.results.forEach(item => {
+          console.log(item.success
+            ? `  ✓ ${item.file} (${item.users} user(s))`
+            : `  ✗ ${item.file}: ${item.error}`);
+        });
+        console.log(result.message);
+        if (!result.success) process.exitCode = 1;
+      } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+      }
+    });
+}
+
+module.exports = { registerVaultCommands, resolvePassphrase, offerToSaveCredentials };
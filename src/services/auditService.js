@@ -0,0 +1,298 @@
+const fs = require('fs');
+const os = require('os');
+const readline = require('readline');
+const db = require('./db');
+const { getConfigPath, ensureConfigDir } = require('../utils/configUtils');
+const { quoteIdent, redactPasswords } = require('../utils/sqlUtils');
+
+const AUDIT_FILE = 'audit.jsonl';
+const AUDIT_SCHEMA = 'pgum_audit';
+const AUDIT_TABLE = `${AUDIT_SCHEMA}.changes`;
+
+// Whether the audit table exists in the connected database (checked once per run)
+let tableInstalled = null;
+
+// Name of the CLI command being run, set by cli.js before the action starts
+let currentCommand = null;
+
+const setCommand = (command) => {
+  currentCommand = command;
+};
+
+// Path of the audit journal (can be overridden with PGUM_AUDIT_FILE)
+const getAuditPath = () => process.env.PGUM_AUDIT_FILE || getConfigPath(AUDIT_FILE);
+
+// Get the name of the OS user running the tool
+const getOsUser = () => {
+  try {
+    return os.userInfo().username;
+  } catch (err) {
+    return process.env.USER || process.env.USERNAME || null;
+  }
+};
+
+// Build an audit entry for an operation
+const buildEntry = (action, targets, statements, error) => {
+  const connection = db.getConnectionInfo();
+
+  return {
+    timestamp: new Date().toISOString(),
+    osUser: getOsUser(),
+    hostname: os.hostname(),
+    profile: connection.name || null,
+    host: connection.host || null,
+    port: connection.port || null,
+    database: connection.database || null,
+    dbUser: connection.user || null,
+    command: currentCommand,
+    action,
+    targets,
+    success: !error,
+    error: error ? error.message : undefined,
+    sql: statements.map(redactPasswords)
+  };
+};
+
+// Append an entry to the journal; the file is only ever appended to
+const appendEntry = (entry) => {
+  const filePath = getAuditPath();
+  if (!process.env.PGUM_AUDIT_FILE) {
+    ensureConfigDir();
+  }
+  fs.appendFileSync(filePath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+};
+
+// Write an entry without letting journal errors hide the outcome of the operation
+const writeEntry = (entry) => {
+  try {
+    appendEntry(entry);
+  } catch (err) {
+    console.error(`Warning: could not write audit entry to ${getAuditPath()}: ${err.message}`);
+  }
+};
+
+// Write an entry once the transaction the operation ran in ends. An operation that succeeded
+// inside a transaction that is then rolled back is recorded as failed, since nothing changed.
+const journalEntry = (entry) => {
+  db.onTransactionEnd((committed, err) => {
+    if (!committed && entry.success) {
+      entry.success = false;
+      entry.error = `Rolled back: ${err ? err.message : 'transaction aborted'}`;
+    }
+    writeEntry(entry);
+  });
+};
+
+// Check whether the audit table has been installed in the connected database
+const isTableInstalled = async () => {
+  if (tableInstalled === null) {
+    const result = await db.query('SELECT to_regclass($1) IS NOT NULL AS installed;', [AUDIT_TABLE]);
+    tableInstalled = result.rows[0].installed;
+  }
+  return tableInstalled;
+};
+
+// Insert a row in the audit table for an operation that is about to be committed
+const insertChange = async (action, targets, statements, result) => {
+  const failed = result && result.success === false;
+
+  await db.query(
+    `INSERT INTO ${AUDIT_TABLE} (os_user, hostname, profile, command, action, targets, sql, success, message)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9);`,
+    [
+      getOsUser(),
+      os.hostname(),
+      db.getConnectionInfo().name || null,
+      currentCommand,
+      action,
+      JSON.stringify(targets),
+      statements.map(redactPasswords),
+      !failed,
+      failed ? result.message : null
+    ]
+  );
+};
+
+// Run a mutating operation and record it (with the SQL it executed) in the audit journal.
+// Failed operations are recorded too, then the error is rethrown. Inside a transaction,
+// the entry is only written once the transaction commits or rolls back.
+// When the audit table is installed, the operation runs in a transaction that also inserts
+// its audit row, so a change is never committed without being recorded. The table lives in
+// the connected database: each commit on another database (see db.withDatabase) inserts a
+// row with the statements it ran right before it commits, and a failed insert rolls the change
+// back. A last row records the other statements, and the outcome when the operation failed.
+const track = async (action, targets, fn) => {
+  // Nothing is executed in dry-run mode, so there is nothing to audit
+  if (db.isDryRun()) {
+    return fn();
+  }
+
+  const statements = [];
+  let result;
+  try {
+    if (await isTableInstalled()) {
+      result = await db.transaction(async () => {
+        // Positions in statements of the ones already recorded with a database commit
+        const recorded = new Set();
+        const recordCommit = async (outcome, commit) => {
+          for (let index = statements.length - commit.statements.length; index < statements.length; index++) {
+            recorded.add(index);
+          }
+          await insertChange(action, { ...targets, database: commit.database },
+            [`\\connect ${quoteIdent(commit.database)}`, ...commit.statements], outcome);
+        };
+
+        const outcome = await db.withCommitHook(recordCommit, () => db.captureStatements(statements, fn));
+
+        const remaining = statements.filter((statement, index) => !recorded.has(index));
+        const failed = outcome && outcome.success === false;
+        if (recorded.size === 0 || failed || remaining.some(statement => !statement.startsWith('\\'))) {
+          await insertChange(action, targets, remaining, outcome);
+        }
+        return outcome;
+      });
+    } else {
+      result = await db.captureStatements(statements, fn);
+    }
+  } catch (err) {
+    journalEntry(buildEntry(action, targets, statements, err));
+    throw err;
+  }
+
+  journalEntry(buildEntry(action, targets, statements, result && result.success === false ? new Error(result.message) : null));
+  return result;
+};
+
+// Create the audit schema and table in the connected database
+const installAuditTable = async (grantTo = []) => {
+  try {
+    await db.transaction(async () => {
+      await db.query(`CREATE SCHEMA IF NOT EXISTS ${AUDIT_SCHEMA};`);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS ${AUDIT_TABLE} (
+          id bigserial PRIMARY KEY,
+          changed_at timestamptz NOT NULL DEFAULT now(),
+          db_user text NOT NULL DEFAULT current_user,
+          client_addr inet DEFAULT inet_client_addr(),
+          os_user text,
+          hostname text,
+          profile text,
+          command text,
+          action text NOT NULL,
+          targets jsonb NOT NULL DEFAULT '{}',
+          sql text[] NOT NULL DEFAULT '{}',
+          success boolean NOT NULL DEFAULT true,
+          message text
+        );`);
+      await db.query(`CREATE INDEX IF NOT EXISTS changes_changed_at_idx ON ${AUDIT_TABLE} (changed_at);`);
+
+      // Operators need to read the table and insert rows into it; nobody needs to update or delete them
+      for (const rolename of grantTo) {
+        await db.query(`GRANT USAGE ON SCHEMA ${AUDIT_SCHEMA} TO ${quoteIdent(rolename)};`);
+        await db.query(`GRANT SELECT, INSERT ON ${AUDIT_TABLE} TO ${quoteIdent(rolename)};`);
+        await db.query(`GRANT USAGE ON SEQUENCE ${AUDIT_SCHEMA}.changes_id_seq TO ${quoteIdent(rolename)};`);
+      }
+    });
+
+    tableInstalled = !db.isDryRun();
+    const granted = grantTo.length > 0 ? ` (access granted to ${grantTo.join(', ')})` : '';
+    return { success: true, message: `Audit table ${AUDIT_TABLE} installed in ${db.getConnectionInfo().database}${granted}` };
+  } catch (err) {
+    console.error('Error installing audit table:', err.message);
+    throw err;
+  }
+};
+
+// Query the audit table, keeping the rows that match the filters (oldest first)
+const readChanges = async (filters = {}) => {
+  try {
+    if (!(await isTableInstalled())) {
+      throw new Error(`Audit table ${AUDIT_TABLE} is not installed in this database. Run "audit install" first.`);
+    }
+
+    const conditions = [];
+    const params = [];
+    const addCondition = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace(/\?/g, `$${params.length}`));
+    };
+
+    if (filters.since) addCondition('changed_at >= ?', filters.since);
+    if (filters.until) addCondition('changed_at <= ?', filters.until);
+    if (filters.command) addCondition('(command = ? OR action = ?)', filters.command);
+    if (filters.operator) addCondition('os_user = ?', filters.operator);
+    if (filters.user) addCondition("targets->>'user' = ?", filters.user);
+    if (filters.role) addCondition("(targets->>'role' = ? OR COALESCE(targets->'roles', '[]') @> jsonb_build_array(?::text))", filters.role);
+
+    let query = `SELECT id, changed_at AS timestamp, os_user AS "osUser", hostname, profile,
+       host(client_addr) AS host, current_database() AS database, db_user AS "dbUser",
+       command, action, targets, success, message AS error, sql
+       FROM ${AUDIT_TABLE}`;
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    query += ' ORDER BY id DESC';
+    if (filters.limit) {
+      params.push(filters.limit);
+      query += ` LIMIT $${params.length}`;
+    }
+
+    const result = await db.query(`SELECT * FROM (${query}) changes ORDER BY id;`, params);
+    return result.rows.map(row => ({ ...row, timestamp: row.timestamp.toISOString() }));
+  } catch (err) {
+    console.error('Error reading audit table:', err.message);
+    throw err;
+  }
+};
+
+// Check whether an entry matches the given filters
+const matchesFilters = (entry, filters) => {
+  const time = new Date(entry.timestamp);
+  const targets = entry.targets || {};
+
+  if (filters.since && time < filters.since) return false;
+  if (filters.until && time > filters.until) return false;
+  if (filters.command && entry.command !== filters.command && entry.action !== filters.command) return false;
+  if (filters.operator && entry.osUser !== filters.operator) return false;
+  if (filters.user && targets.user !== filters.user) return false;
+  if (filters.role && targets.role !== filters.role && !(targets.roles || []).includes(filters.role)) return false;
+
+  return true;
+};
+
+// Read the audit journal, keeping the entries that match the filters
+const readEntries = async (filters = {}) => {
+  try {
+    const filePath = getAuditPath();
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+
+    const entries = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (line.trim().length === 0) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (matchesFilters(entry, filters)) entries.push(entry);
+      } catch (err) {
+        // Skip lines that are not valid JSON (e.g. a partially written line)
+      }
+    }
+
+    return filters.limit ? entries.slice(-filters.limit) : entries;
+  } catch (err) {
+    console.error('Error reading audit log:', err.message);
+    throw err;
+  }
+};
+
+module.exports = {
+  AUDIT_TABLE,
+  getAuditPath,
+  setCommand,
+  track,
+  readEntries,
+  installAuditTable,
+  readChanges
+};
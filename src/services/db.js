@@ -1,29 +1,281 @@
-const { Pool } = require('pg');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { Pool, Client } = require('pg');
 require('dotenv').config();
+const profileService = require('./profileService');
+const { interpolateParams, quoteIdent } = require('../utils/sqlUtils');
 
-const pool = new Pool({
-  host: process.env.DB_HOST,
-  port: process.env.DB_PORT,
-  database: process.env.DB_NAME,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
+// The pool is created on first use, once the connection profile is known
+let pool = null;
+let selectedProfile = null;
+let connection = null;
+
+// Select the connection profile to use (null falls back to the default profile or .env)
+const useProfile = (name) => {
+  if (pool) {
+    throw new Error('Cannot change the connection profile after connecting');
+  }
+  selectedProfile = name || null;
+  connection = null;
+};
+
+// Get the resolved connection settings of the active profile
+const getConnection = () => {
+  if (!connection) {
+    connection = profileService.resolveConnection(selectedProfile);
+  }
+  return connection;
+};
+
+// Get the connection settings without the password, for display purposes
+const getConnectionInfo = () => {
+  const { password, ...info } = getConnection();
+  return info;
+};
+
+// Convert a profile into pg client options
+const toClientConfig = (profile) => ({
+  host: profile.host,
+  port: profile.port,
+  database: profile.database,
+  user: profile.user,
+  password: profile.password,
+  ssl: profile.ssl
 });
 
+const getPool = () => {
+  if (!pool) {
+    pool = new Pool(toClientConfig(getConnection()));
+  }
+  return pool;
+};
+
+// In dry-run mode, statements that change the database are recorded instead of executed.
+// Read-only statements still run so commands can list roles, schemas, etc.
+let recordedStatements = null;
+
+const READ_ONLY_STATEMENT = /^\s*(SELECT|SHOW)\b/i;
+
+const enableDryRun = () => {
+  recordedStatements = [];
+};
+
+const isDryRun = () => recordedStatements !== null;
+
+const getRecordedStatements = () => (recordedStatements ? [...recordedStatements] : []);
+
+// Holds the checked-out client of the transaction running in the current async context
+const transactionStorage = new AsyncLocalStorage();
+
+// Collects the statements that change the database while an audited operation runs
+const captureStorage = new AsyncLocalStorage();
+
+const TRANSACTION_CONTROL = /^\s*(BEGIN|COMMIT|ROLLBACK|SAVEPOINT|RELEASE)\b/i;
+
+// Run fn and push every statement it sends that changes the database into statements
+const captureStatements = (statements, fn) =>
+  captureStorage.run({ statements, parent: captureStorage.getStore() }, fn);
+
+// Holds the client connected to another database of the cluster (see withDatabase)
+const databaseStorage = new AsyncLocalStorage();
+
+// Holds the callback to run before a transaction on another database commits (see withCommitHook)
+const commitHookStorage = new AsyncLocalStorage();
+
+// Run fn so that every transaction it opens on another database (see withDatabase) calls
+// hook(result, { database, statements }) right before its COMMIT, with the statements that
+// transaction ran. The hook runs in the async context it was registered in, so its queries
+// go to the connected database and its transaction.
+const withCommitHook = (hook, fn) => commitHookStorage.run(AsyncResource.bind(hook), fn);
+
+// Add a psql meta-command (such as \connect) to captured and dry-run statements
+const recordMetaCommand = (command) => {
+  for (let capture = captureStorage.getStore(); capture; capture = capture.parent) {
+    capture.statements.push(command);
+  }
+  if (isDryRun()) {
+    recordedStatements.push(command);
+  }
+};
+
+const query = (text, params) => {
+  // The switch to another database is only recorded once something is changed there
+  const other = databaseStorage.getStore();
+  if (other && !other.announced && !READ_ONLY_STATEMENT.test(text)) {
+    other.announced = true;
+    recordMetaCommand(`\\connect ${quoteIdent(other.database)}`);
+  }
+
+  if (!READ_ONLY_STATEMENT.test(text) && !TRANSACTION_CONTROL.test(text)) {
+    for (let capture = captureStorage.getStore(); capture; capture = capture.parent) {
+      capture.statements.push(interpolateParams(text, params));
+    }
+  }
+
+  if (isDryRun() && !READ_ONLY_STATEMENT.test(text)) {
+    recordedStatements.push(interpolateParams(text, params));
+    return Promise.resolve({ command: 'DRY RUN', rowCount: 0, rows: [] });
+  }
+
+  const transaction = transactionStorage.getStore();
+  if (transaction && transaction.client) {
+    return transaction.client.query(text, params);
+  }
+  if (other) {
+    return other.client.query(text, params);
+  }
+  return getPool().query(text, params);
+};
+
+// Call the callbacks registered with onTransactionEnd since position `from`, and forget them
+const endCallbacks = (store, from, committed, err) => {
+  store.callbacks.splice(from).forEach(callback => callback(committed, err));
+};
+
+// Run callback(committed, err) once the changes made so far are committed or rolled back:
+// after the outermost COMMIT, or on the ROLLBACK (to a savepoint) that undoes them.
+// Outside of a transaction, the changes are already committed and callback runs at once.
+const onTransactionEnd = (callback) => {
+  const current = transactionStorage.getStore();
+  if (current) {
+    current.callbacks.push(callback);
+  } else {
+    callback(true);
+  }
+};
+
+// Run fn inside BEGIN/COMMIT on a single client. Every query made while fn runs,
+// including from nested service calls, uses that client. Nested calls use a savepoint,
+// so a failure inside them can be caught without aborting the outer transaction.
+const transaction = async (fn) => {
+  const current = transactionStorage.getStore();
+
+  if (current) {
+    current.savepoints += 1;
+    const savepoint = `pgum_savepoint_${current.savepoints}`;
+    const registered = current.callbacks.length;
+    await query(`SAVEPOINT ${savepoint};`);
+    try {
+      const result = await fn();
+      await query(`RELEASE SAVEPOINT ${savepoint};`);
+      return result;
+    } catch (err) {
+      await query(`ROLLBACK TO SAVEPOINT ${savepoint};`);
+      endCallbacks(current, registered, false, err);
+      throw err;
+    }
+  }
+
+  // In dry-run mode no client is needed: BEGIN/COMMIT are recorded like any other statement.
+  // Inside withDatabase, the transaction runs on the client of that database.
+  const other = databaseStorage.getStore();
+  let client = null;
+  if (!isDryRun()) {
+    client = other ? other.client : await getPool().connect();
+  }
+  const store = { client, savepoints: 0, callbacks: [] };
+
+  return transactionStorage.run(store, async () => {
+    try {
+      await query('BEGIN;');
+      const hook = other ? commitHookStorage.getStore() : null;
+      const statements = [];
+      const result = hook ? await captureStatements(statements, fn) : await fn();
+      if (hook) {
+        await hook(result, { database: other.database, statements });
+      }
+      await query('COMMIT;');
+      endCallbacks(store, 0, true);
+      return result;
+    } catch (err) {
+      await query('ROLLBACK;').catch(() => {});
+      err.rolledBack = true;
+      endCallbacks(store, 0, false, err);
+      throw err;
+    } finally {
+      if (client && !other) client.release();
+    }
+  });
+};
+
+// Run fn with every query sent to another database of the cluster, using the
+// credentials of the active connection. In scripts, the switch shows up as \connect.
+const withDatabase = async (database, fn) => {
+  const current = databaseStorage.getStore();
+  const currentDatabase = current ? current.database : getConnection().database;
+  if (!database || database === currentDatabase) {
+    return fn();
+  }
+
+  const client = new Client(toClientConfig({ ...getConnection(), database }));
+  await client.connect();
+  const store = { client, database, announced: false };
+  try {
+    // A transaction open on the current database does not extend to the other one
+    return await transactionStorage.exit(() => databaseStorage.run(store, fn));
+  } finally {
+    if (store.announced) {
+      recordMetaCommand(`\\connect ${quoteIdent(currentDatabase)}`);
+    }
+    await client.end().catch(() => {});
+  }
+};
+
+// When quiet, informational messages are not printed (used for machine-readable output)
+let quiet = false;
+
+const setQuiet = (value) => {
+  quiet = value;
+};
+
 // Function to test connection
 const testConnection = async () => {
+  // Profile errors (unknown profile, unreadable file) are thrown to the caller as-is
+  const activePool = getPool();
   try {
-    const client = await pool.connect();
-    console.log('Successfully connected to PostgreSQL');
+    const client = await activePool.connect();
+    if (!quiet) {
+      console.log('Successfully connected to PostgreSQL');
+    }
     client.release();
     return true;
   } catch (err) {
     console.error('Database connection error:', err);
+    process.exitCode = 1;
     return false;
   }
 };
 
+// Test the connection settings of a profile without touching the shared pool
+const testProfileConnection = async (profile) => {
+  const client = new Client(toClientConfig(profile));
+  try {
+    await client.connect();
+    const result = await client.query('SELECT version() AS version, current_user AS user, current_database() AS database;');
+    return { success: true, ...result.rows[0] };
+  } catch (err) {
+    return { success: false, message: err.message };
+  } finally {
+    await client.end().catch(() => {});
+  }
+};
+
 module.exports = {
-  pool,
+  get pool() {
+    return getPool();
+  },
+  useProfile,
+  getConnection,
+  getConnectionInfo,
+  setQuiet,
+  enableDryRun,
+  isDryRun,
+  getRecordedStatements,
   testConnection,
-  query: (text, params) => pool.query(text, params),
-}; 
\ No newline at end of file
+  testProfileConnection,
+  query,
+  transaction,
+  onTransactionEnd,
+  captureStatements,
+  withCommitHook,
+  withDatabase,
+};
@@ -0,0 +1,131 @@
+const db = require('./db');
+const auditService = require('./auditService');
+const { quoteIdent } = require('../utils/sqlUtils');
+
+// Kinds of dependency recorded in pg_shdepend between a role and the objects of a database
+const DEPENDENCY_QUERY = `
+  SELECT
+    CASE d.deptype
+      WHEN 'o' THEN 'owner'
+      WHEN 'a' THEN 'privilege'
+      WHEN 'r' THEN 'policy'
+      WHEN 'i' THEN 'initial privilege'
+      ELSE d.deptype::text
+    END AS dependency,
+    pg_describe_object(d.classid, d.objid, d.objsubid) AS object
+  FROM pg_shdepend d
+  JOIN pg_roles r ON r.oid = d.refobjid
+  WHERE d.refclassid = 'pg_authid'::regclass
+    AND r.rolname = $1
+    AND d.dbid = $2
+  ORDER BY 1, 2;
+`;
+
+// List the databases of the cluster that accept connections
+const listDatabases = async () => {
+  try {
+    const result = await db.query(`
+      SELECT datname AS database
+      FROM pg_database
+      WHERE datallowconn AND NOT datistemplate
+      ORDER BY datname;
+    `);
+    return result.rows.map(row => row.database);
+  } catch (err) {
+    console.error('Error listing databases:', err.message);
+    throw err;
+  }
+};
+
+// List what a role owns or has been granted in every database of the cluster.
+// Shared objects (databases, tablespaces) are listed under the "(cluster)" entry.
+const getRoleDependencies = async (rolename) => {
+  try {
+    const databases = await listDatabases();
+    const oids = await db.query('SELECT datname, oid FROM pg_database;');
+    const oidByName = new Map(oids.rows.map(row => [row.datname, row.oid]));
+
+    const shared = await db.query(DEPENDENCY_QUERY, [rolename, 0]);
+    const results = [{ database: '(cluster)', shared: true, objects: shared.rows }];
+
+    for (const database of databases) {
+      try {
+        const objects = await db.withDatabase(database, async () =>
+          (await db.query(DEPENDENCY_QUERY, [rolename, oidByName.get(database)])).rows);
+        results.push({ database, objects });
+      } catch (err) {
+        results.push({ database, objects: [], error: err.message });
+      }
+    }
+
+    return results;
+  } catch (err) {
+    console.error('Error listing role dependencies:', err.message);
+    throw err;
+  }
+};
+
+// Run a statement in each database, collecting a result per database instead of stopping.
+// Each statement runs in its own transaction, a savepoint on the connected database when the
+// audit log has opened one there, so a failure does not abort the audit entry or the others.
+const runInEachDatabase = async (databases, statement) => {
+  const results = [];
+  for (const database of databases) {
+    try {
+      await db.withDatabase(database, () => db.transaction(() => db.query(statement)));
+      results.push({ database, success: true });
+    } catch (err) {
+      results.push({ database, success: false, error: err.message });
+    }
+  }
+  return results;
+};
+
+// Transfer everything a role owns to a successor, in each of the given databases
+const reassignOwned = async (rolename, successor, databases) => {
+  try {
+    return await auditService.track('reassign-owned', { role: rolename, successor, databases }, async () => {
+      const results = await runInEachDatabase(databases, `REASSIGN OWNED BY ${quoteIdent(rolename)} TO ${quoteIdent(successor)};`);
+      const failed = results.filter(result => !result.success);
+
+      return {
+        success: failed.length === 0,
+        message: failed.length === 0
+          ? `Objects owned by ${rolename} reassigned to ${successor} in ${databases.length} database(s)`
+          : `Reassigning objects owned by ${rolename} failed in: ${failed.map(result => result.database).join(', ')}`,
+        results
+      };
+    });
+  } catch (err) {
+    console.error('Error reassigning owned objects:', err.message);
+    throw err;
+  }
+};
+
+// Drop the objects a role still owns and revoke its privileges, in each of the given databases
+const dropOwned = async (rolename, databases) => {
+  try {
+    return await auditService.track('drop-owned', { role: rolename, databases }, async () => {
+      const results = await runInEachDatabase(databases, `DROP OWNED BY ${quoteIdent(rolename)};`);
+      const failed = results.filter(result => !result.success);
+
+      return {
+        success: failed.length === 0,
+        message: failed.length === 0
+          ? `Remaining objects and privileges of ${rolename} dropped in ${databases.length} database(s)`
+          : `Dropping objects and privileges of ${rolename} failed in: ${failed.map(result => result.database).join(', ')}`,
+        results
+      };
+    });
+  } catch (err) {
+    console.error('Error dropping owned objects:', err.message);
+    throw err;
+  }
+};
+
+module.exports = {
+  listDatabases,
+  getRoleDependencies,
+  reassignOwned,
+  dropOwned
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const userService = require('./userService');
+const roleService = require('./roleService');
+const passwordPolicyService = require('./passwordPolicyService');
+const { generatePassword } = require('../utils/passwordUtils');
+const { validatePassword } = require('../utils/passwordValidationUtils');
+const { parseDuration, parseExpiry, addDays } = require('../utils/dateUtils');
+const { parseCSV } = require('../utils/outputUtils');
+
+// Value of the password column that asks for a generated password
+const GENERATE = 'generate';
+
+// Normalize a column name: "Valid Until", "valid-until" and "validUntil" all become "validuntil"
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[\s_-]/g, '');
+
+// Split a roles value given as a list or as a string separated by ";", "|" or spaces
+const splitRoles = (value) => {
+  if (value === undefined || value === null) return [];
+  const roles = Array.isArray(value) ? value : String(value).split(/[;|\s]+/);
+  return roles.map(role => String(role).trim()).filter(role => role.length > 0);
+};
+
+// Read the entries of an import file (CSV with a header line, or a JSON array)
+const readImportFile = (filePath) => {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read import file ${filePath}: ${err.message}`);
+  }
+
+  let records;
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    try {
+      records = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid JSON in ${filePath}: ${err.message}`);
+    }
+    if (!Array.isArray(records)) {
+      throw new Error(`${filePath} must contain a JSON array of users`);
+    }
+  } else {
+    const [header = [], ...lines] = parseCSV(text.replace(/^\uFEFF/, ''));
+    records = lines.map(cells => Object.fromEntries(header.map((key, index) => [key.trim(), (cells[index] || '').trim()])));
+  }
+
+  // Rows are numbered as in the file: the first CSV data line is line 2, below the header
+  const offset = path.extname(filePath).toLowerCase() === '.json' ? 1 : 2;
+  return records.map((record, index) => {
+    const fields = {};
+    Object.keys(record || {}).forEach(key => {
+      fields[normalizeKey(key)] = record[key];
+    });
+
+    return {
+      row: index + offset,
+      username: fields.username !== undefined ? String(fields.username).trim() : (fields.user !== undefined ? String(fields.user).trim() : ''),
+      roles: splitRoles(fields.roles),
+      password: fields.password !== undefined && fields.password !== null ? String(fields.password) : '',
+      validUntil: fields.validuntil !== undefined && fields.validuntil !== null ? String(fields.validuntil).trim() : '',
+      expiresIn: fields.expiresin !== undefined && fields.expiresin !== null ? String(fields.expiresin).trim() : ''
+    };
+  });
+};
+
+// Check every entry before anything is created. Each entry gets its resolved expiry,
+// whether its password is generated, and the list of problems found. Passwords given in
+// the file are checked against defaults.passwordRules, when set.
+const validateEntries = async (entries, defaults = {}) => {
+  try {
+    const existing = await db.query('SELECT rolname, rolcanlogin FROM pg_roles;');
+    const existingNames = new Set(existing.rows.map(row => row.rolname));
+    const seen = new Set();
+
+    return entries.map(entry => {
+      const errors = [];
+      const { username } = entry;
+
+      if (!username) {
+        errors.push('username is empty');
+      } else if (username.startsWith('pg_') || username.startsWith('rds_')) {
+        errors.push('reserved prefix (pg_ or rds_)');
+      } else if (existingNames.has(username)) {
+        errors.push('a user or role with this name already exists');
+      } else if (seen.has(username)) {
+        errors.push('listed more than once in the file');
+      }
+      if (username) seen.add(username);
+
+      const unknownRoles = entry.roles.filter(role => !existingNames.has(role));
+      if (unknownRoles.length > 0) {
+        errors.push(`unknown role(s): ${unknownRoles.join(', ')}`);
+      }
+
+      let validUntil = defaults.validUntil;
+      if (entry.validUntil && entry.expiresIn) {
+        errors.push('use either valid_until or expires_in, not both');
+      } else if (entry.validUntil) {
+        validUntil = parseExpiry(entry.validUntil);
+        if (validUntil === null) errors.push(`invalid valid_until date: ${entry.validUntil}`);
+      } else if (entry.expiresIn) {
+        const days = parseDuration(entry.expiresIn);
+        validUntil = days === null ? null : addDays(days);
+        if (days === null) errors.push(`invalid expires_in duration: ${entry.expiresIn}`);
+      }
+
+      const generate = entry.password === '' || entry.password.toLowerCase() === GENERATE;
+      if (!generate && defaults.passwordRules) {
+        const failed = validatePassword(entry.password, { username, rules: defaults.passwordRules })
+          .filter(result => !result.passed);
+        if (failed.length > 0) {
+          errors.push(`password rejected: ${failed.map(result => result.message).join('; ')}`);
+        }
+      }
+
+      return {
+        ...entry,
+        generate,
+        validUntil: validUntil === null ? undefined : validUntil,
+        errors
+      };
+    });
+  } catch (err) {
+    console.error('Error validating import file:', err.message);
+    throw err;
+  }
+};
+
+// Create the users of validated entries and their role memberships. Each user is created in
+// its own transaction, so a failed membership does not leave a half-provisioned user behind,
+// and a failed entry does not stop the next ones. Generated passwords follow the given policy,
+// or the default password policy.
+const importUsers = async (entries, policy = passwordPolicyService.getDefaultPolicy()) => {
+  try {
+    const results = [];
+    const credentials = [];
+
+    for (const entry of entries) {
+      const password = entry.generate ? generatePassword(policy) : entry.password;
+      try {
+        await db.transaction(async () => {
+          const created = await userService.createUser(entry.username, password, entry.validUntil);
+          if (!created.success) throw new Error(created.message);
+
+          for (const rolename of entry.roles) {
+            const assigned = await roleService.assignUserToRole(entry.username, rolename);
+            if (!assigned.success) throw new Error(assigned.message);
+          }
+        });
+        results.push({ row: entry.row, username: entry.username, roles: entry.roles, success: true });
+        credentials.push({ username: entry.username, password, roles: entry.roles.join(';') });
+      } catch (err) {
+        results.push({ row: entry.row, username: entry.username, roles: entry.roles, success: false, error: err.message });
+      }
+    }
+
+    const failed = results.filter(result => !result.success).length;
+    const encryption = credentials.length > 0
+      ? userService.describeEncryption((await userService.getPasswordEncryption()).method, credentials.length)
+      : '';
+    return {
+      success: failed === 0,
+      message: `Imported ${credentials.length} user(s)${failed > 0 ? `, ${failed} failed` : ''}${encryption}`,
+      results,
+      credentials
+    };
+  } catch (err) {
+    console.error('Error importing users:', err.message);
+    throw err;
+  }
+};
+
+module.exports = {
+  readImportFile,
+  validateEntries,
+  importUsers
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const YAML = require('yaml');
+const { getConfigPath } = require('../utils/configUtils');
+const { validatePolicy, estimateEntropy } = require('../utils/passwordUtils');
+const { DEFAULT_VALIDATION_RULES } = require('../utils/passwordValidationUtils');
+
+const POLICIES_FILE = 'password-policies.yaml';
+const DEFAULT_POLICY = 'default';
+
+// Policies available without a configuration file; the file can redefine them
+const BUILT_IN_POLICIES = {
+  default: { length: 16, classes: ['lower', 'upper', 'digit', 'special'] },
+  'url-safe': { length: 24, classes: ['lower', 'upper', 'digit', 'special'], urlSafe: true },
+  passphrase: { mode: 'passphrase', words: 6, separator: '-' }
+};
+
+// Path of the policies file (can be overridden with PGUM_PASSWORD_POLICIES_FILE)
+const getPoliciesPath = () => process.env.PGUM_PASSWORD_POLICIES_FILE || getConfigPath(POLICIES_FILE);
+
+// Read the policies file, merged over the built-in policies
+const loadPolicies = () => {
+  const filePath = getPoliciesPath();
+  let data = {};
+
+  if (fs.existsSync(filePath)) {
+    try {
+      data = YAML.parse(fs.readFileSync(filePath, 'utf8')) || {};
+    } catch (err) {
+      throw new Error(`Cannot read password policies file ${filePath}: ${err.message}`);
+    }
+  }
+
+  return {
+    default: data.default || DEFAULT_POLICY,
+    policies: { ...BUILT_IN_POLICIES, ...(data.policies || {}) },
+    configured: Object.keys(data.policies || {}),
+    validation: data.validation || {}
+  };
+};
+
+// Get a policy by name, checked so that it can generate passwords
+const getPolicy = (name) => {
+  const data = loadPolicies();
+  const policy = data.policies[name];
+  if (!policy) {
+    throw new Error(`Password policy ${name} not found. Available policies: ${Object.keys(data.policies).sort().join(', ')}`);
+  }
+
+  try {
+    validatePolicy(policy);
+  } catch (err) {
+    throw new Error(`Invalid password policy ${name} in ${getPoliciesPath()}: ${err.message}`);
+  }
+  return { name, ...policy };
+};
+
+// Get the policy used when none is chosen
+const getDefaultPolicy = () => getPolicy(loadPolicies().default);
+
+// Get the rules custom passwords are checked against: the defaults, overridden by the
+// validation section of the policies file
+const getValidationRules = () => {
+  const validation = loadPolicies().validation;
+  const unknown = Object.keys(validation).filter(rule => !(rule in DEFAULT_VALIDATION_RULES));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown password validation rule in ${getPoliciesPath()}: ${unknown.join(', ')}. Use: ${Object.keys(DEFAULT_VALIDATION_RULES).join(', ')}`);
+  }
+  return { ...DEFAULT_VALIDATION_RULES, ...validation };
+};
+
+// Describe a policy in a few words, e.g. "16 characters: lower, upper, digit, special"
+const describePolicy = (policy) => {
+  if (policy.mode === 'passphrase') {
+    return `${policy.words || 6} words${policy.dictionary ? ` from ${policy.dictionary}` : ''}`;
+  }
+
+  const details = [(policy.classes || ['lower', 'upper', 'digit', 'special']).join(', ')];
+  if (policy.urlSafe) details.push('URL-safe');
+  if (policy.excludeAmbiguous) details.push('no ambiguous characters');
+  return `${policy.length || 16} characters: ${details.join(', ')}`;
+};
+
+// List all policies with their description and estimated entropy
+const listPolicies = () => {
+  const data = loadPolicies();
+  return Object.keys(data.policies).sort().map(name => {
+    const policy = data.policies[name];
+    let entropy = null;
+    let error = null;
+    try {
+      validatePolicy(policy);
+      entropy = estimateEntropy(policy);
+    } catch (err) {
+      error = err.message;
+    }
+
+    return {
+      name,
+      mode: policy.mode || 'characters',
+      description: describePolicy(policy),
+      entropy_bits: entropy,
+      source: data.configured.includes(name) ? 'config' : 'built-in',
+      is_default: data.default === name,
+      error
+    };
+  });
+};
+
+module.exports = {
+  getPoliciesPath,
+  getPolicy,
+  getDefaultPolicy,
+  getValidationRules,
+  describePolicy,
+  listPolicies
+};
@@ -1,4 +1,7 @@
 const db = require('./db');
+const auditService = require('./auditService');
+const policyService = require('./policyService');
+const { quoteIdent } = require('../utils/sqlUtils');
 
 // List all schemas in a database (excluding system schemas)
 const listSchemas = async (includeSystemSchemas = false) => {
@@ -27,71 +30,249 @@ const listSchemas = async (includeSystemSchemas = false) => {
   }
 };
 
+// Privileges that can be granted on tables (and views), and on sequences
+const TABLE_PRIVILEGES = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'TRUNCATE', 'REFERENCES', 'TRIGGER'];
+const SEQUENCE_PRIVILEGES = ['USAGE', 'SELECT', 'UPDATE'];
+
+// List the tables, views and sequences of a schema
+const listRelations = async (schema) => {
+  try {
+    const result = await db.query(`
+      SELECT c.relname AS name,
+        CASE c.relkind
+          WHEN 'r' THEN 'table'
+          WHEN 'p' THEN 'table'
+          WHEN 'v' THEN 'view'
+          WHEN 'm' THEN 'materialized view'
+          WHEN 'f' THEN 'foreign table'
+          WHEN 'S' THEN 'sequence'
+        END AS type
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = $1
+        AND c.relkind IN ('r', 'p', 'v', 'm', 'f', 'S')
+        AND NOT c.relispartition
+      ORDER BY c.relname;
+    `, [schema]);
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing tables:', err.message);
+    throw err;
+  }
+};
+
+// Privileges that can be granted on individual columns
+const COLUMN_PRIVILEGES = ['SELECT', 'INSERT', 'UPDATE', 'REFERENCES'];
+
+// List the columns of a table or view
+const listColumns = async (schema, table) => {
+  try {
+    const result = await db.query(`
+      SELECT a.attname AS name, format_type(a.atttypid, a.atttypmod) AS data_type
+      FROM pg_attribute a
+      JOIN pg_class c ON c.oid = a.attrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = $1 AND c.relname = $2
+        AND a.attnum > 0 AND NOT a.attisdropped
+      ORDER BY a.attnum;
+    `, [schema, table]);
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing columns:', err.message);
+    throw err;
+  }
+};
+
+// Find the chosen privileges that the role already has on the whole table (directly,
+// through a role it belongs to, or through PUBLIC). Those make column grants ineffective.
+const getTableLevelPrivileges = async (rolename, schema, table, privileges) => {
+  const relation = `${quoteIdent(schema)}.${quoteIdent(table)}`;
+  const result = await db.query(
+    'SELECT privilege FROM unnest($3::text[]) AS privilege WHERE has_table_privilege($1, $2::regclass, privilege);',
+    [rolename, relation, privileges]
+  );
+  return result.rows.map(row => row.privilege);
+};
+
+// Build warnings for column privileges that are overridden by table-level privileges
+const describeOverrides = (rolename, schema, table, overridden) => overridden.map(privilege =>
+  `${rolename} has table-level ${privilege} on ${schema}.${table}, which covers every column: ` +
+  `the column-level ${privilege} restriction has no effect until the table-level privilege is revoked`
+);
+
+// Build the GRANT/REVOKE statements for the chosen privileges on individual tables and sequences.
+// Each privilege is only applied to the kinds of object that support it.
+const buildObjectStatements = async (verb, rolename, schema, objectNames, privileges) => {
+  const relations = await listRelations(schema);
+  const types = new Map(relations.map(relation => [relation.name, relation.type]));
+
+  const missing = objectNames.filter(name => !types.has(name));
+  if (missing.length > 0) {
+    throw new Error(`Not found in schema ${schema}: ${missing.join(', ')}`);
+  }
+
+  const unknown = privileges.filter(privilege => !TABLE_PRIVILEGES.includes(privilege) && !SEQUENCE_PRIVILEGES.includes(privilege));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown privilege(s): ${unknown.join(', ')}`);
+  }
+
+  const preposition = verb === 'GRANT' ? 'TO' : 'FROM';
+  return objectNames.map(name => {
+    const isSequence = types.get(name) === 'sequence';
+    const allowed = isSequence ? SEQUENCE_PRIVILEGES : TABLE_PRIVILEGES;
+    const applicable = privileges.filter(privilege => allowed.includes(privilege));
+    if (applicable.length === 0) {
+      throw new Error(`None of the privileges ${privileges.join(', ')} apply to ${types.get(name)} ${name} (allowed: ${allowed.join(', ')})`);
+    }
+
+    return `${verb} ${applicable.join(', ')} ON ${isSequence ? 'SEQUENCE' : 'TABLE'} ${quoteIdent(schema)}.${quoteIdent(name)} ${preposition} ${quoteIdent(rolename)};`;
+  });
+};
+
+// Run a statement, tagging a failure with the schema and statement that caused it
+const execute = async (statement, schema = null) => {
+  try {
+    return await db.query(statement);
+  } catch (err) {
+    if (!err.statement) {
+      err.statement = statement;
+      err.schema = schema;
+      err.message = `${schema ? `Schema ${schema}: ` : ''}${err.message} (failed statement: ${statement})`;
+    }
+    throw err;
+  }
+};
+
+// Run fn in a transaction on the database being granted on, which is the connected one
+// or another database of the cluster (schemas belong to a single database)
+const inDatabase = (database, fn) => db.withDatabase(database, () => db.transaction(fn));
+
+// Run fn for every schema. Without continueOnError the first failure is thrown (and the
+// surrounding transaction rolls back); with it, each schema runs in its own savepoint
+// and the failure is recorded in the per-schema results instead.
+const forEachSchema = async (schemas, options, fn) => {
+  const results = [];
+
+  for (const schema of schemas) {
+    if (options.continueOnError) {
+      try {
+        await db.transaction(() => fn(schema));
+        results.push({ schema, success: true });
+      } catch (err) {
+        results.push({ schema, success: false, statement: err.statement, error: err.message });
+      }
+    } else {
+      await fn(schema);
+      results.push({ schema, success: true });
+    }
+  }
+
+  return results;
+};
+
+// Build the result of a multi-schema operation from its per-schema results
+const summarize = (description, database, results) => {
+  const succeeded = results.filter(result => result.success).map(result => result.schema);
+  const failed = results.filter(result => !result.success).map(result => result.schema);
+
+  let message = `${description} on ${database} schemas: ${succeeded.join(', ') || 'none'}`;
+  if (failed.length > 0) {
+    message += ` (failed: ${failed.join(', ')})`;
+  }
+
+  return { success: failed.length === 0, message, results };
+};
+
+// Add rollback information to the error of a failed transaction
+const describeRollback = (err) => {
+  if (err.rolledBack && !err.message.includes('rolled back')) {
+    err.message += '. The transaction was rolled back, no changes were applied.';
+  }
+  return err;
+};
+
+// Statements granting read access on a single schema
+const grantSchemaRead = async (rolename, schema) => {
+  await execute(`GRANT USAGE ON SCHEMA ${quoteIdent(schema)} TO ${quoteIdent(rolename)};`, schema);
+  await execute(`GRANT SELECT ON ALL TABLES IN SCHEMA ${quoteIdent(schema)} TO ${quoteIdent(rolename)};`, schema);
+  await execute(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${quoteIdent(schema)} GRANT SELECT ON TABLES TO ${quoteIdent(rolename)};`, schema);
+};
+
+// Statements granting write access on a single schema (on top of read access)
+const grantSchemaWrite = async (rolename, schema) => {
+  await execute(`GRANT INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA ${quoteIdent(schema)} TO ${quoteIdent(rolename)};`, schema);
+  await execute(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${quoteIdent(schema)} GRANT SELECT, INSERT, UPDATE, DELETE ON TABLES TO ${quoteIdent(rolename)};`, schema);
+  await execute(`GRANT USAGE ON ALL SEQUENCES IN SCHEMA ${quoteIdent(schema)} TO ${quoteIdent(rolename)};`, schema);
+  await execute(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${quoteIdent(schema)} GRANT USAGE ON SEQUENCES TO ${quoteIdent(rolename)};`, schema);
+};
+
+// Statements revoking everything on a single schema
+const revokeSchemaPrivileges = async (rolename, schema) => {
+  await execute(`REVOKE ALL PRIVILEGES ON ALL TABLES IN SCHEMA ${quoteIdent(schema)} FROM ${quoteIdent(rolename)};`, schema);
+  await execute(`REVOKE ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA ${quoteIdent(schema)} FROM ${quoteIdent(rolename)};`, schema);
+  await execute(`REVOKE ALL PRIVILEGES ON SCHEMA ${quoteIdent(schema)} FROM ${quoteIdent(rolename)};`, schema);
+  await execute(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${quoteIdent(schema)} REVOKE ALL PRIVILEGES ON TABLES FROM ${quoteIdent(rolename)};`, schema);
+  await execute(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${quoteIdent(schema)} REVOKE ALL PRIVILEGES ON SEQUENCES FROM ${quoteIdent(rolename)};`, schema);
+};
+
+// Statements granting EXECUTE on every function and procedure of a single schema
+const grantSchemaExecute = async (rolename, schema) => {
+  await execute(`GRANT USAGE ON SCHEMA ${quoteIdent(schema)} TO ${quoteIdent(rolename)};`, schema);
+  await execute(`GRANT EXECUTE ON ALL ROUTINES IN SCHEMA ${quoteIdent(schema)} TO ${quoteIdent(rolename)};`, schema);
+  await execute(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${quoteIdent(schema)} GRANT EXECUTE ON FUNCTIONS TO ${quoteIdent(rolename)};`, schema);
+};
+
+// Statements revoking EXECUTE on every function and procedure of a single schema
+const revokeSchemaExecute = async (rolename, schema) => {
+  await execute(`REVOKE EXECUTE ON ALL ROUTINES IN SCHEMA ${quoteIdent(schema)} FROM ${quoteIdent(rolename)};`, schema);
+  await execute(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${quoteIdent(schema)} REVOKE EXECUTE ON FUNCTIONS FROM ${quoteIdent(rolename)};`, schema);
+};
+
 // Grant read permissions to a role for multiple schemas
-const grantReadPermissionsMulti = async (rolename, database, schemas) => {
+const grantReadPermissionsMulti = async (rolename, database, schemas, options = {}) => {
   try {
-    // First grant connect to the database (only need to do once)
-    await db.query(`GRANT CONNECT ON DATABASE ${database} TO ${rolename};`);
-    
-    // Array to store messages
-    const messages = [];
-    
-    // Process each schema
-    for (const schema of schemas) {
-      await db.query(`GRANT USAGE ON SCHEMA ${schema} TO ${rolename};`);
-      await db.query(`GRANT SELECT ON ALL TABLES IN SCHEMA ${schema} TO ${rolename};`);
-      await db.query(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${schema} GRANT SELECT ON TABLES TO ${rolename};`);
+    return await auditService.track('grant-read-permissions', { role: rolename, database, schemas }, () => inDatabase(database, async () => {
+      // First grant connect to the database (only need to do once)
+      await execute(`GRANT CONNECT ON DATABASE ${quoteIdent(database)} TO ${quoteIdent(rolename)};`);
       
-      messages.push(`${schema}`);
-    }
-    
-    return { 
-      success: true, 
-      message: `Read permissions granted to ${rolename} on ${database} schemas: ${messages.join(', ')}`
-    };
+      // Process each schema
+      const results = await forEachSchema(schemas, options, schema => grantSchemaRead(rolename, schema));
+      
+      return summarize(`Read permissions granted to ${rolename}`, database, results);
+    }));
   } catch (err) {
     console.error('Error granting read permissions to multiple schemas:', err.message);
-    throw err;
+    throw describeRollback(err);
   }
 };
 
 // Grant write permissions to a role for multiple schemas
-const grantWritePermissionsMulti = async (rolename, database, schemas) => {
+const grantWritePermissionsMulti = async (rolename, database, schemas, options = {}) => {
   try {
-    // First grant read permissions to all schemas
-    await grantReadPermissionsMulti(rolename, database, schemas);
-    
-    // Array to store messages
-    const messages = [];
-    
-    // Process each schema for write permissions
-    for (const schema of schemas) {
-      // Add write permissions
-      await db.query(`GRANT INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA ${schema} TO ${rolename};`);
-      await db.query(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${schema} GRANT SELECT, INSERT, UPDATE, DELETE ON TABLES TO ${rolename};`);
-      await db.query(`GRANT USAGE ON ALL SEQUENCES IN SCHEMA ${schema} TO ${rolename};`);
-      await db.query(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${schema} GRANT USAGE ON SEQUENCES TO ${rolename};`);
+    return await auditService.track('grant-write-permissions', { role: rolename, database, schemas }, () => inDatabase(database, async () => {
+      await execute(`GRANT CONNECT ON DATABASE ${quoteIdent(database)} TO ${quoteIdent(rolename)};`);
       
-      messages.push(`${schema}`);
-    }
-    
-    return { 
-      success: true, 
-      message: `Write permissions granted to ${rolename} on ${database} schemas: ${messages.join(', ')}`
-    };
+      // Read and write permissions are granted together so each schema succeeds or fails as a whole
+      const results = await forEachSchema(schemas, options, async (schema) => {
+        await grantSchemaRead(rolename, schema);
+        await grantSchemaWrite(rolename, schema);
+      });
+      
+      return summarize(`Write permissions granted to ${rolename}`, database, results);
+    }));
   } catch (err) {
     console.error('Error granting write permissions to multiple schemas:', err.message);
-    throw err;
+    throw describeRollback(err);
   }
 };
 
 // Grant read permissions to a role
 const grantReadPermissions = async (rolename, database, schema = 'public') => {
   try {
-    await db.query(`GRANT CONNECT ON DATABASE ${database} TO ${rolename};`);
-    await db.query(`GRANT USAGE ON SCHEMA ${schema} TO ${rolename};`);
-    await db.query(`GRANT SELECT ON ALL TABLES IN SCHEMA ${schema} TO ${rolename};`);
-    await db.query(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${schema} GRANT SELECT ON TABLES TO ${rolename};`);
+    await auditService.track('grant-read-permissions', { role: rolename, database, schemas: [schema] }, () => inDatabase(database, async () => {
+      await execute(`GRANT CONNECT ON DATABASE ${quoteIdent(database)} TO ${quoteIdent(rolename)};`);
+      await grantSchemaRead(rolename, schema);
+    }));
     
     return { 
       success: true, 
@@ -99,21 +280,18 @@ const grantReadPermissions = async (rolename, database, schema = 'public') => {
     };
   } catch (err) {
     console.error('Error granting read permissions:', err.message);
-    throw err;
+    throw describeRollback(err);
   }
 };
 
 // Grant write permissions to a role
 const grantWritePermissions = async (rolename, database, schema = 'public') => {
   try {
-    // First grant read permissions
-    await grantReadPermissions(rolename, database, schema);
-    
-    // Add write permissions
-    await db.query(`GRANT INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA ${schema} TO ${rolename};`);
-    await db.query(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${schema} GRANT SELECT, INSERT, UPDATE, DELETE ON TABLES TO ${rolename};`);
-    await db.query(`GRANT USAGE ON ALL SEQUENCES IN SCHEMA ${schema} TO ${rolename};`);
-    await db.query(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${schema} GRANT USAGE ON SEQUENCES TO ${rolename};`);
+    await auditService.track('grant-write-permissions', { role: rolename, database, schemas: [schema] }, () => inDatabase(database, async () => {
+      await execute(`GRANT CONNECT ON DATABASE ${quoteIdent(database)} TO ${quoteIdent(rolename)};`);
+      await grantSchemaRead(rolename, schema);
+      await grantSchemaWrite(rolename, schema);
+    }));
     
     return { 
       success: true, 
@@ -121,50 +299,35 @@ const grantWritePermissions = async (rolename, database, schema = 'public') => {
     };
   } catch (err) {
     console.error('Error granting write permissions:', err.message);
-    throw err;
+    throw describeRollback(err);
   }
 };
 
 // Revoke all permissions from a role for multiple schemas
-const revokeAllPermissionsMulti = async (rolename, database, schemas) => {
+const revokeAllPermissionsMulti = async (rolename, database, schemas, options = {}) => {
   try {
-    // Array to store messages
-    const messages = [];
-    
-    // Process each schema
-    for (const schema of schemas) {
-      await db.query(`REVOKE ALL PRIVILEGES ON ALL TABLES IN SCHEMA ${schema} FROM ${rolename};`);
-      await db.query(`REVOKE ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA ${schema} FROM ${rolename};`);
-      await db.query(`REVOKE ALL PRIVILEGES ON SCHEMA ${schema} FROM ${rolename};`);
-      await db.query(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${schema} REVOKE ALL PRIVILEGES ON TABLES FROM ${rolename};`);
-      await db.query(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${schema} REVOKE ALL PRIVILEGES ON SEQUENCES FROM ${rolename};`);
+    return await auditService.track('revoke-permissions', { role: rolename, database, schemas }, () => inDatabase(database, async () => {
+      // Process each schema
+      const results = await forEachSchema(schemas, options, schema => revokeSchemaPrivileges(rolename, schema));
       
-      messages.push(`${schema}`);
-    }
-    
-    // Finally revoke database privileges
-    await db.query(`REVOKE ALL PRIVILEGES ON DATABASE ${database} FROM ${rolename};`);
-    
-    return { 
-      success: true, 
-      message: `All permissions revoked from ${rolename} on ${database} schemas: ${messages.join(', ')}`
-    };
+      // Finally revoke database privileges
+      await execute(`REVOKE ALL PRIVILEGES ON DATABASE ${quoteIdent(database)} FROM ${quoteIdent(rolename)};`);
+      
+      return summarize(`All permissions revoked from ${rolename}`, database, results);
+    }));
   } catch (err) {
     console.error('Error revoking permissions from multiple schemas:', err.message);
-    throw err;
+    throw describeRollback(err);
   }
 };
 
 // Revoke all permissions from a role
 const revokeAllPermissions = async (rolename, database, schema = 'public') => {
   try {
-    await db.query(`REVOKE ALL PRIVILEGES ON ALL TABLES IN SCHEMA ${schema} FROM ${rolename};`);
-    await db.query(`REVOKE ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA ${schema} FROM ${rolename};`);
-    await db.query(`REVOKE ALL PRIVILEGES ON SCHEMA ${schema} FROM ${rolename};`);
-    await db.query(`REVOKE ALL PRIVILEGES ON DATABASE ${database} FROM ${rolename};`);
-    
-    await db.query(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${schema} REVOKE ALL PRIVILEGES ON TABLES FROM ${rolename};`);
-    await db.query(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${schema} REVOKE ALL PRIVILEGES ON SEQUENCES FROM ${rolename};`);
+    await auditService.track('revoke-permissions', { role: rolename, database, schemas: [schema] }, () => inDatabase(database, async () => {
+      await revokeSchemaPrivileges(rolename, schema);
+      await execute(`REVOKE ALL PRIVILEGES ON DATABASE ${quoteIdent(database)} FROM ${quoteIdent(rolename)};`);
+    }));
     
     return { 
       success: true, 
@@ -172,7 +335,186 @@ const revokeAllPermissions = async (rolename, database, schema = 'public') => {
     };
   } catch (err) {
     console.error('Error revoking permissions:', err.message);
-    throw err;
+    throw describeRollback(err);
+  }
+};
+
+// Revoke everything a role was granted on a single schema. CONNECT on the database is kept,
+// since the role may still have access to other schemas.
+const revokeSchema = async (rolename, database, schema) => {
+  try {
+    await auditService.track('revoke-permissions', { role: rolename, database, schemas: [schema] }, () => inDatabase(database, async () => {
+      await revokeSchemaPrivileges(rolename, schema);
+    }));
+
+    return {
+      success: true,
+      message: `Permissions on ${database}.${schema} revoked from ${rolename}`
+    };
+  } catch (err) {
+    console.error('Error revoking schema permissions:', err.message);
+    throw describeRollback(err);
+  }
+};
+
+// Grant execute permissions on functions and procedures to a role for multiple schemas
+const grantExecutePermissionsMulti = async (rolename, database, schemas, options = {}) => {
+  try {
+    return await auditService.track('grant-execute-permissions', { role: rolename, database, schemas }, () => inDatabase(database, async () => {
+      await execute(`GRANT CONNECT ON DATABASE ${quoteIdent(database)} TO ${quoteIdent(rolename)};`);
+      
+      const results = await forEachSchema(schemas, options, schema => grantSchemaExecute(rolename, schema));
+      
+      return summarize(`Execute permissions granted to ${rolename}`, database, results);
+    }));
+  } catch (err) {
+    console.error('Error granting execute permissions to multiple schemas:', err.message);
+    throw describeRollback(err);
+  }
+};
+
+// Grant execute permissions on functions and procedures to a role
+const grantExecutePermissions = async (rolename, database, schema = 'public') => {
+  try {
+    await auditService.track('grant-execute-permissions', { role: rolename, database, schemas: [schema] }, () => inDatabase(database, async () => {
+      await execute(`GRANT CONNECT ON DATABASE ${quoteIdent(database)} TO ${quoteIdent(rolename)};`);
+      await grantSchemaExecute(rolename, schema);
+    }));
+    
+    return { 
+      success: true, 
+      message: `Execute permissions granted to ${rolename} on ${database}.${schema}`
+    };
+  } catch (err) {
+    console.error('Error granting execute permissions:', err.message);
+    throw describeRollback(err);
+  }
+};
+
+// Revoke execute permissions on functions and procedures from a role for multiple schemas
+const revokeExecutePermissionsMulti = async (rolename, database, schemas, options = {}) => {
+  try {
+    return await auditService.track('revoke-execute-permissions', { role: rolename, database, schemas }, () => inDatabase(database, async () => {
+      const results = await forEachSchema(schemas, options, schema => revokeSchemaExecute(rolename, schema));
+      
+      return summarize(`Execute permissions revoked from ${rolename}`, database, results);
+    }));
+  } catch (err) {
+    console.error('Error revoking execute permissions from multiple schemas:', err.message);
+    throw describeRollback(err);
+  }
+};
+
+// Revoke execute permissions on functions and procedures from a role
+const revokeExecutePermissions = async (rolename, database, schema = 'public') => {
+  try {
+    await auditService.track('revoke-execute-permissions', { role: rolename, database, schemas: [schema] }, () => inDatabase(database, async () => {
+      await revokeSchemaExecute(rolename, schema);
+    }));
+    
+    return { 
+      success: true, 
+      message: `Execute permissions revoked from ${rolename} on ${database}.${schema}`
+    };
+  } catch (err) {
+    console.error('Error revoking execute permissions:', err.message);
+    throw describeRollback(err);
+  }
+};
+
+// Grant the chosen privileges on individual tables, views and sequences of a schema
+const grantObjectPermissions = async (rolename, database, schema, objectNames, privileges) => {
+  try {
+    await auditService.track('grant-table-permissions', { role: rolename, database, schemas: [schema], objects: objectNames, privileges }, () => inDatabase(database, async () => {
+      const statements = await buildObjectStatements('GRANT', rolename, schema, objectNames, privileges);
+      await execute(`GRANT CONNECT ON DATABASE ${quoteIdent(database)} TO ${quoteIdent(rolename)};`);
+      await execute(`GRANT USAGE ON SCHEMA ${quoteIdent(schema)} TO ${quoteIdent(rolename)};`, schema);
+      for (const statement of statements) {
+        await execute(statement, schema);
+      }
+    }));
+
+    return {
+      success: true,
+      message: `${privileges.join(', ')} granted to ${rolename} on ${objectNames.length} object(s) in ${database}.${schema}: ${objectNames.join(', ')}`
+    };
+  } catch (err) {
+    console.error('Error granting table permissions:', err.message);
+    throw describeRollback(err);
+  }
+};
+
+// Revoke the chosen privileges on individual tables, views and sequences of a schema
+const revokeObjectPermissions = async (rolename, database, schema, objectNames, privileges) => {
+  try {
+    await auditService.track('revoke-table-permissions', { role: rolename, database, schemas: [schema], objects: objectNames, privileges }, () => inDatabase(database, async () => {
+      const statements = await buildObjectStatements('REVOKE', rolename, schema, objectNames, privileges);
+      for (const statement of statements) {
+        await execute(statement, schema);
+      }
+    }));
+
+    return {
+      success: true,
+      message: `${privileges.join(', ')} revoked from ${rolename} on ${objectNames.length} object(s) in ${database}.${schema}: ${objectNames.join(', ')}`
+    };
+  } catch (err) {
+    console.error('Error revoking table permissions:', err.message);
+    throw describeRollback(err);
+  }
+};
+
+// Reject privileges that do not apply to columns before they reach a statement
+const checkColumnPrivileges = (privileges, verb) => {
+  const unknown = privileges.filter(privilege => !COLUMN_PRIVILEGES.includes(privilege));
+  if (unknown.length > 0) {
+    throw new Error(`Privilege(s) ${unknown.join(', ')} cannot be ${verb} on columns (allowed: ${COLUMN_PRIVILEGES.join(', ')})`);
+  }
+};
+
+// Grant the chosen privileges on some columns of a table
+const grantColumnPermissions = async (rolename, database, schema, table, columns, privileges) => {
+  try {
+    checkColumnPrivileges(privileges, 'granted');
+
+    const columnList = columns.map(quoteIdent).join(', ');
+    const overridden = await auditService.track('grant-column-permissions', { role: rolename, database, schemas: [schema], objects: [table], columns, privileges }, () => inDatabase(database, async () => {
+      await execute(`GRANT CONNECT ON DATABASE ${quoteIdent(database)} TO ${quoteIdent(rolename)};`);
+      await execute(`GRANT USAGE ON SCHEMA ${quoteIdent(schema)} TO ${quoteIdent(rolename)};`, schema);
+      await execute(`GRANT ${privileges.map(privilege => `${privilege} (${columnList})`).join(', ')} ON TABLE ${quoteIdent(schema)}.${quoteIdent(table)} TO ${quoteIdent(rolename)};`, schema);
+      return getTableLevelPrivileges(rolename, schema, table, privileges);
+    }));
+
+    return {
+      success: true,
+      message: `${privileges.join(', ')} granted to ${rolename} on columns ${columns.join(', ')} of ${database}.${schema}.${table}`,
+      warnings: describeOverrides(rolename, schema, table, overridden)
+    };
+  } catch (err) {
+    console.error('Error granting column permissions:', err.message);
+    throw describeRollback(err);
+  }
+};
+
+// Revoke the chosen privileges on some columns of a table
+const revokeColumnPermissions = async (rolename, database, schema, table, columns, privileges) => {
+  try {
+    checkColumnPrivileges(privileges, 'revoked');
+
+    const columnList = columns.map(quoteIdent).join(', ');
+    const overridden = await auditService.track('revoke-column-permissions', { role: rolename, database, schemas: [schema], objects: [table], columns, privileges }, () => inDatabase(database, async () => {
+      await execute(`REVOKE ${privileges.map(privilege => `${privilege} (${columnList})`).join(', ')} ON TABLE ${quoteIdent(schema)}.${quoteIdent(table)} FROM ${quoteIdent(rolename)};`, schema);
+      return getTableLevelPrivileges(rolename, schema, table, privileges);
+    }));
+
+    return {
+      success: true,
+      message: `${privileges.join(', ')} revoked from ${rolename} on columns ${columns.join(', ')} of ${database}.${schema}.${table}`,
+      warnings: describeOverrides(rolename, schema, table, overridden)
+    };
+  } catch (err) {
+    console.error('Error revoking column permissions:', err.message);
+    throw describeRollback(err);
   }
 };
 
@@ -189,6 +531,7 @@ const listPermissions = async (rolename) => {
         rolcreatedb,
         rolcanlogin,
         rolreplication,
+        rolbypassrls,
         rolconnlimit,
         rolvaliduntil
       FROM pg_roles
@@ -204,6 +547,7 @@ const listPermissions = async (rolename) => {
       columnPermissions: [],
       functionPermissions: [],
       defaultPrivileges: [],
+      rlsPolicies: [],
       memberOf: [],
       description: null
     };
@@ -211,7 +555,7 @@ const listPermissions = async (rolename) => {
 
     // Get table permissions (standard info schema view)
     const tablePerms = await db.query(`
-      SELECT table_catalog, table_schema, table_name, privilege_type
+      SELECT table_catalog, table_schema, table_name, privilege_type, grantor
       FROM information_schema.table_privileges
       WHERE grantee = $1
       ORDER BY table_schema, table_name, privilege_type;
@@ -219,6 +563,9 @@ const listPermissions = async (rolename) => {
     
     permissions.tablePermissions = tablePerms.rows;
 
+    // Get the row-level security policies that apply to the role
+    permissions.rlsPolicies = await policyService.listPolicies({ rolename });
+
     // Get roles this role belongs to (role membership)
     const memberOf = await db.query(`
       SELECT r.rolname AS parent_role
@@ -241,25 +588,31 @@ const listPermissions = async (rolename) => {
     permissions.columnPermissions = columnPerms.rows;
 
     
-    // TODO: uncomment this when we have a way to get function permissions
-    // // Get function permissions (for system roles, they often have function privileges)
-    // const functionPerms = await db.query(`
-    //   SELECT 
-    //     n.nspname AS schema_name,
-    //     p.proname AS function_name,
-    //     pg_get_function_arguments(p.oid) AS argument_types,
-    //     CASE
-    //         WHEN has_function_privilege($1, p.oid, 'EXECUTE') THEN 'EXECUTE'
-    //         ELSE NULL
-    //       END AS privilege
-    //     FROM pg_proc p
-    //     JOIN pg_namespace n ON p.pronamespace = n.oid
-    //     WHERE has_function_privilege($1, p.oid, 'EXECUTE')
-    //       AND n.nspname NOT IN ('pg_catalog', 'information_schema')
-    //     ORDER BY n.nspname, p.proname;
-    //   `, [rolename]);
+    // Get function and procedure permissions granted explicitly to the role. The ACLs are read
+    // directly so that functions everyone can execute through PUBLIC are not listed.
+    const functionPerms = await db.query(`
+      SELECT 
+        n.nspname AS schema_name,
+        p.proname AS function_name,
+        pg_get_function_identity_arguments(p.oid) AS argument_types,
+        CASE p.prokind
+          WHEN 'p' THEN 'PROCEDURE'
+          WHEN 'a' THEN 'AGGREGATE'
+          WHEN 'w' THEN 'WINDOW'
+          ELSE 'FUNCTION'
+        END AS kind,
+        a.privilege_type AS privilege,
+        pg_get_userbyid(a.grantor) AS grantor,
+        a.is_grantable
+      FROM pg_proc p
+      JOIN pg_namespace n ON n.oid = p.pronamespace
+      CROSS JOIN LATERAL aclexplode(p.proacl) a
+      WHERE a.grantee = (SELECT oid FROM pg_roles WHERE rolname = $1)
+        AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+      ORDER BY n.nspname, p.proname, argument_types;
+    `, [rolename]);
       
-    // permissions.functionPermissions = functionPerms.rows;
+    permissions.functionPermissions = functionPerms.rows;
 
     // Get schema permissions
     const schemaPerms = await db.query(`
@@ -281,6 +634,28 @@ const listPermissions = async (rolename) => {
     
     permissions.schemaPermissions = schemaPerms.rows;
 
+    // Get default privileges (ALTER DEFAULT PRIVILEGES) granted to the role
+    const defaultPrivs = await db.query(`
+      SELECT 
+        n.nspname AS schema_name,
+        CASE d.defaclobjtype
+          WHEN 'r' THEN 'TABLES'
+          WHEN 'S' THEN 'SEQUENCES'
+          WHEN 'f' THEN 'FUNCTIONS'
+          WHEN 'T' THEN 'TYPES'
+          WHEN 'n' THEN 'SCHEMAS'
+        END AS object_type,
+        a.privilege_type,
+        pg_get_userbyid(d.defaclrole) AS grantor
+      FROM pg_default_acl d
+      LEFT JOIN pg_namespace n ON n.oid = d.defaclnamespace
+      CROSS JOIN LATERAL aclexplode(d.defaclacl) a
+      WHERE a.grantee = (SELECT oid FROM pg_roles WHERE rolname = $1)
+      ORDER BY n.nspname, object_type, a.privilege_type;
+    `, [rolename]);
+    
+    permissions.defaultPrivileges = defaultPrivs.rows;
+
     // For database permissions, need to check if role has connect privilege
     const dbPerms = await db.query(`
       SELECT 
@@ -314,12 +689,26 @@ const listPermissions = async (rolename) => {
 };
 
 module.exports = {
+  TABLE_PRIVILEGES,
+  SEQUENCE_PRIVILEGES,
+  COLUMN_PRIVILEGES,
   grantReadPermissions,
   grantWritePermissions,
   grantReadPermissionsMulti,
   grantWritePermissionsMulti,
   revokeAllPermissions,
   revokeAllPermissionsMulti,
+  revokeSchema,
+  grantExecutePermissions,
+  grantExecutePermissionsMulti,
+  revokeExecutePermissions,
+  revokeExecutePermissionsMulti,
+  grantObjectPermissions,
+  revokeObjectPermissions,
+  grantColumnPermissions,
+  revokeColumnPermissions,
   listPermissions,
-  listSchemas
+  listSchemas,
+  listRelations,
+  listColumns
 }; 
\ No newline at end of file
@@ -0,0 +1,454 @@
+const fs = require('fs');
+const YAML = require('yaml');
+const db = require('./db');
+const userService = require('./userService');
+const roleService = require('./roleService');
+const permissionService = require('./permissionService');
+const dependencyService = require('./dependencyService');
+const passwordPolicyService = require('./passwordPolicyService');
+const { generatePassword } = require('../utils/passwordUtils');
+
+const ACCESS_LEVELS = ['read', 'write'];
+const WRITE_PRIVILEGES = ['INSERT', 'UPDATE', 'DELETE'];
+
+// Order in which plan actions are applied: create before grant, revoke before drop
+const ACTION_ORDER = [
+  'create-role',
+  'create-user',
+  'grant-access',
+  'change-access',
+  'grant-membership',
+  'revoke-membership',
+  'revoke-access',
+  'reassign-owned',
+  'drop-owned',
+  'drop-user',
+  'drop-role'
+];
+
+// Check that a value is a list of objects with a non-empty name
+const validateNamedList = (list, kind, errors) => {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) {
+    errors.push(`"${kind}" must be a list`);
+    return [];
+  }
+
+  const seen = new Set();
+  list.forEach((item, index) => {
+    if (!item || typeof item.name !== 'string' || item.name.length === 0) {
+      errors.push(`${kind}[${index}] must have a name`);
+    } else if (seen.has(item.name)) {
+      errors.push(`${kind}[${index}]: ${item.name} is declared more than once`);
+    } else {
+      seen.add(item.name);
+    }
+  });
+
+  return list.filter(item => item && typeof item.name === 'string' && item.name.length > 0);
+};
+
+// Parse and validate a desired-state file
+const loadDesiredState = (filePath) => {
+  let data;
+  try {
+    data = YAML.parse(fs.readFileSync(filePath, 'utf8')) || {};
+  } catch (err) {
+    throw new Error(`Cannot read desired-state file ${filePath}: ${err.message}`);
+  }
+
+  const errors = [];
+  const roles = validateNamedList(data.roles, 'roles', errors);
+  const users = validateNamedList(data.users, 'users', errors);
+
+  const state = {
+    database: data.database || null,
+    roles: roles.map(role => {
+      const grants = role.grants || [];
+      if (!Array.isArray(grants)) {
+        errors.push(`roles.${role.name}.grants must be a list`);
+        return { name: role.name, grants: [] };
+      }
+
+      grants.forEach((grant, index) => {
+        if (!grant || typeof grant.schema !== 'string') {
+          errors.push(`roles.${role.name}.grants[${index}] must have a schema`);
+        } else if (!ACCESS_LEVELS.includes(grant.access)) {
+          errors.push(`roles.${role.name}.grants[${index}]: access must be one of ${ACCESS_LEVELS.join(', ')}`);
+        }
+      });
+
+      return {
+        name: role.name,
+        grants: grants.filter(grant => grant && typeof grant.schema === 'string')
+      };
+    }),
+    users: users.map(user => {
+      const memberOf = user.roles || [];
+      if (!Array.isArray(memberOf)) {
+        errors.push(`users.${user.name}.roles must be a list`);
+        return { name: user.name, roles: [] };
+      }
+      return { name: user.name, roles: memberOf.map(String) };
+    })
+  };
+
+  const roleNames = new Set(state.roles.map(role => role.name));
+  state.users.forEach(user => {
+    if (roleNames.has(user.name)) {
+      errors.push(`${user.name} is declared both as a user and as a role`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid desired-state file ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return state;
+};
+
+// Derive the access level (read/write) a role has on each schema from its permissions.
+// Privileges a role holds as the owner of an object (granted by itself) are not access
+// granted through this tool, so they are left out.
+const getSchemaAccess = (rolename, permissions) => {
+  const access = {};
+  const record = (schema, privilege) => {
+    if (!schema) return;
+    if (WRITE_PRIVILEGES.includes(privilege)) {
+      access[schema] = 'write';
+    } else if (privilege === 'SELECT' && access[schema] !== 'write') {
+      access[schema] = 'read';
+    }
+  };
+
+  permissions.tablePermissions
+    .filter(perm => perm.grantor !== rolename)
+    .forEach(perm => record(perm.table_schema, perm.privilege_type));
+  permissions.defaultPrivileges
+    .filter(perm => perm.object_type === 'TABLES' && perm.grantor !== rolename)
+    .forEach(perm => record(perm.schema_name, perm.privilege_type));
+
+  return access;
+};
+
+// Read the live catalog for everything the desired state (and pruning) may touch
+const readCurrentState = async (desired, prune = false) => {
+  try {
+    const users = await userService.listUsers();
+    const roles = await roleService.listRoles();
+    const currentUser = (await db.query('SELECT current_user AS name;')).rows[0].name;
+
+    const state = {
+      currentUser,
+      users: {},
+      roles: {}
+    };
+
+    for (const user of users) {
+      const memberOf = await roleService.listUserRoles(user.username);
+      state.users[user.username] = {
+        isSuperuser: user.is_superuser,
+        roles: memberOf.map(role => role.rolename)
+      };
+    }
+
+    // Grants are only read for roles that are declared, or that could be pruned
+    const desiredRoles = new Set(desired.roles.map(role => role.name));
+    for (const role of roles) {
+      const entry = { isSuperuser: role.is_superuser, access: {} };
+      if (desiredRoles.has(role.rolename) || prune) {
+        const permissions = await permissionService.listPermissions(role.rolename);
+        entry.access = getSchemaAccess(role.rolename, permissions);
+      }
+      state.roles[role.rolename] = entry;
+    }
+
+    return state;
+  } catch (err) {
+    console.error('Error reading current state:', err.message);
+    throw err;
+  }
+};
+
+// Compute the list of changes needed to go from the current to the desired state
+const computePlan = (desired, current, options = {}) => {
+  const { prune = false, database } = options;
+  const actions = [];
+  const add = (action, target, details = {}) => actions.push({ action, target, details });
+
+  const declaredUsers = new Set(desired.users.map(user => user.name));
+  const declaredRoles = new Set(desired.roles.map(role => role.name));
+  const existingRoles = new Set(Object.keys(current.roles));
+  const errors = [];
+
+  // Roles and their schema grants
+  desired.roles.forEach(role => {
+    if (current.users[role.name]) {
+      errors.push(`${role.name} is declared as a role but exists as a login user`);
+      return;
+    }
+
+    const currentAccess = existingRoles.has(role.name) ? current.roles[role.name].access : {};
+    if (!existingRoles.has(role.name)) {
+      add('create-role', role.name);
+    }
+
+    role.grants.forEach(grant => {
+      const have = currentAccess[grant.schema];
+      if (!have) {
+        add('grant-access', role.name, { schema: grant.schema, database, access: grant.access });
+      } else if (have !== grant.access) {
+        add('change-access', role.name, { schema: grant.schema, database, from: have, access: grant.access });
+      }
+    });
+
+    if (prune) {
+      const declaredSchemas = new Set(role.grants.map(grant => grant.schema));
+      Object.keys(currentAccess)
+        .filter(schema => !declaredSchemas.has(schema))
+        .forEach(schema => add('revoke-access', role.name, { schema, database, from: currentAccess[schema] }));
+    }
+  });
+
+  // Users and their role memberships
+  desired.users.forEach(user => {
+    if (existingRoles.has(user.name)) {
+      errors.push(`${user.name} is declared as a user but exists as a role without login`);
+      return;
+    }
+
+    user.roles.forEach(rolename => {
+      if (!existingRoles.has(rolename) && !declaredRoles.has(rolename)) {
+        errors.push(`User ${user.name} is a member of unknown role ${rolename}`);
+      }
+    });
+
+    const currentMemberships = current.users[user.name] ? current.users[user.name].roles : [];
+    if (!current.users[user.name]) {
+      add('create-user', user.name);
+    }
+
+    user.roles
+      .filter(rolename => !currentMemberships.includes(rolename))
+      .forEach(rolename => add('grant-membership', user.name, { role: rolename }));
+
+    if (prune) {
+      currentMemberships
+        .filter(rolename => !user.roles.includes(rolename))
+        .forEach(rolename => add('revoke-membership', user.name, { role: rolename }));
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`The desired state cannot be applied:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  // Objects that exist but are not in the file; superusers and the connected user are never dropped
+  if (prune) {
+    Object.keys(current.users)
+      .filter(name => !declaredUsers.has(name))
+      .filter(name => name !== current.currentUser && !current.users[name].isSuperuser)
+      .forEach(name => add('drop-user', name));
+
+    Object.keys(current.roles)
+      .filter(name => !declaredRoles.has(name) && !current.roles[name].isSuperuser)
+      .forEach(name => {
+        Object.keys(current.roles[name].access)
+          .forEach(schema => add('revoke-access', name, { schema, database, from: current.roles[name].access[schema], dropping: true }));
+        add('drop-role', name);
+      });
+  }
+
+  actions.sort((a, b) => ACTION_ORDER.indexOf(a.action) - ACTION_ORDER.indexOf(b.action));
+  return actions;
+};
+
+// Plan what has to happen before each pruned user or role can be dropped. Objects it owns in
+// any database are handed over to the successor (REASSIGN OWNED), then DROP OWNED revokes the
+// privileges it still holds. A role that owns objects cannot be pruned without a successor.
+const planOwnedObjects = async (actions, options = {}) => {
+  const { reassignTo, database, knownRoles = [] } = options;
+  const dropping = actions.filter(item => item.action === 'drop-user' || item.action === 'drop-role');
+  const errors = [];
+
+  if (reassignTo && !knownRoles.includes(reassignTo)) {
+    errors.push(`${reassignTo} cannot take over owned objects: no such user or role exists or is declared`);
+  } else if (reassignTo && dropping.some(item => item.target === reassignTo)) {
+    errors.push(`${reassignTo} cannot take over owned objects, since it is about to be dropped`);
+  }
+
+  const added = [];
+  for (const item of dropping) {
+    const dependencies = await dependencyService.getRoleDependencies(item.target);
+
+    const failed = dependencies.filter(entry => entry.error);
+    if (failed.length > 0) {
+      errors.push(`Cannot check what ${item.target} owns in ${failed.map(entry => entry.database).join(', ')}: ${failed[0].error}`);
+      continue;
+    }
+
+    const owned = dependencies.flatMap(entry => entry.objects.filter(object => object.dependency === 'owner'));
+    if (owned.length > 0 && !reassignTo) {
+      errors.push(`${item.target} owns ${owned.length} object(s) (${owned.slice(0, 3).map(object => object.object).join(', ')}${owned.length > 3 ? ', ...' : ''}). ` +
+        'Pass --reassign-to <role> to hand them over, or declare it in the file');
+      continue;
+    }
+
+    // Shared objects (databases, tablespaces) and privileges on them can be handled from any database
+    const databases = dependencies
+      .filter(entry => !entry.shared && entry.objects.length > 0)
+      .map(entry => entry.database);
+    const shared = dependencies.filter(entry => entry.shared).flatMap(entry => entry.objects);
+    const inDatabases = databases.length > 0 ? databases : [database];
+
+    if (owned.length > 0) {
+      added.push({ action: 'reassign-owned', target: item.target, details: { successor: reassignTo, databases: inDatabases } });
+    }
+    if (databases.length > 0 || shared.length > 0) {
+      added.push({ action: 'drop-owned', target: item.target, details: { databases: inDatabases } });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`The undeclared users and roles cannot be pruned:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return [...actions, ...added].sort((a, b) => ACTION_ORDER.indexOf(a.action) - ACTION_ORDER.indexOf(b.action));
+};
+
+// Describe a plan action in one line for display
+const describeAction = ({ action, details }) => {
+  const target = details.schema ? `${details.database}.${details.schema}` : '';
+
+  switch (action) {
+    case 'create-role':
+      return 'Create role (NOLOGIN)';
+    case 'create-user':
+      return 'Create login user with a generated password';
+    case 'grant-access':
+      return `Grant ${details.access} access on ${target}`;
+    case 'change-access':
+      return `Change access on ${target} from ${details.from} to ${details.access}`;
+    case 'revoke-access':
+      return `Revoke ${details.from} access on ${target}`;
+    case 'grant-membership':
+      return `Add to role ${details.role}`;
+    case 'revoke-membership':
+      return `Remove from role ${details.role}`;
+    case 'reassign-owned':
+      return `Reassign owned objects to ${details.successor} in ${details.databases.join(', ')}`;
+    case 'drop-owned':
+      return `Drop remaining privileges (DROP OWNED) in ${details.databases.join(', ')}`;
+    case 'drop-user':
+    case 'drop-role':
+      return 'Drop role';
+    default:
+      return action;
+  }
+};
+
+// Build the plan for a desired-state file against the connected database
+const plan = async (filePath, options = {}) => {
+  const desired = loadDesiredState(filePath);
+  const connectedDatabase = db.getConnectionInfo().database;
+
+  if (desired.database && connectedDatabase && desired.database !== connectedDatabase) {
+    throw new Error(`The file targets database ${desired.database} but the connection is to ${connectedDatabase}. Use a --profile for ${desired.database}.`);
+  }
+
+  const database = desired.database || connectedDatabase;
+  const current = await readCurrentState(desired, options.prune);
+  const actions = computePlan(desired, current, { prune: options.prune, database });
+  if (!options.prune) {
+    return actions;
+  }
+
+  const knownRoles = [
+    ...Object.keys(current.users),
+    ...Object.keys(current.roles),
+    ...desired.users.map(user => user.name),
+    ...desired.roles.map(role => role.name)
+  ];
+  return planOwnedObjects(actions, { reassignTo: options.reassignTo, database, knownRoles });
+};
+
+// Run a single plan action through the service functions
+const applyAction = async (item) => {
+  const { action, target, details } = item;
+
+  switch (action) {
+    case 'create-role':
+      return roleService.createRole(target);
+    case 'create-user': {
+      const password = generatePassword(passwordPolicyService.getDefaultPolicy());
+      const result = await userService.createUser(target, password);
+      return { ...result, credentials: result.success ? { username: target, password } : undefined };
+    }
+    case 'grant-access':
+      return details.access === 'write'
+        ? permissionService.grantWritePermissions(target, details.database, details.schema)
+        : permissionService.grantReadPermissions(target, details.database, details.schema);
+    case 'change-access':
+      if (details.access === 'read') {
+        // Downgrade: drop everything on the schema, then grant read again, as a single transaction
+        return db.transaction(async () => {
+          await permissionService.revokeSchema(target, details.database, details.schema);
+          return permissionService.grantReadPermissions(target, details.database, details.schema);
+        });
+      }
+      return permissionService.grantWritePermissions(target, details.database, details.schema);
+    case 'revoke-access':
+      // CONNECT on the database is only revoked from roles that are about to be dropped; other
+      // roles may still have access to the schemas declared for them
+      return details.dropping
+        ? permissionService.revokeAllPermissions(target, details.database, details.schema)
+        : permissionService.revokeSchema(target, details.database, details.schema);
+    case 'grant-membership':
+      return roleService.assignUserToRole(target, details.role);
+    case 'revoke-membership':
+      return roleService.removeUserFromRole(target, details.role);
+    case 'reassign-owned':
+      return dependencyService.reassignOwned(target, details.successor, details.databases);
+    case 'drop-owned':
+      return dependencyService.dropOwned(target, details.databases);
+    case 'drop-user':
+      return userService.deleteUser(target);
+    case 'drop-role':
+      return roleService.deleteRole(target);
+    default:
+      throw new Error(`Unknown plan action: ${action}`);
+  }
+};
+
+// Apply a computed plan in order, stopping at the first failure
+const applyPlan = async (actions) => {
+  const results = [];
+
+  for (const item of actions) {
+    try {
+      const result = await applyAction(item);
+      results.push({ ...item, ...result });
+      if (!result.success) break;
+    } catch (err) {
+      results.push({ ...item, success: false, message: err.message });
+      break;
+    }
+  }
+
+  return {
+    success: results.length === actions.length && results.every(result => result.success),
+    results,
+    credentials: results.filter(result => result.credentials).map(result => result.credentials)
+  };
+};
+
+module.exports = {
+  loadDesiredState,
+  getSchemaAccess,
+  readCurrentState,
+  computePlan,
+  planOwnedObjects,
+  describeAction,
+  plan,
+  applyPlan
+};
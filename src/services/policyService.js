@@ -0,0 +1,158 @@
+const db = require('./db');
+const auditService = require('./auditService');
+const { quoteIdent, checkSqlExpression } = require('../utils/sqlUtils');
+
+const POLICY_COMMANDS = ['ALL', 'SELECT', 'INSERT', 'UPDATE', 'DELETE'];
+
+// Quote a schema-qualified table name
+const qualifiedName = (schema, table) => `${quoteIdent(schema)}.${quoteIdent(table)}`;
+
+// Quote a policy target role; "public" means every role
+const quoteRole = (rolename) => (rolename.toLowerCase() === 'public' ? 'PUBLIC' : quoteIdent(rolename));
+
+// List the tables of a schema with their row-level security settings
+const listTableSecurity = async (schema) => {
+  try {
+    const result = await db.query(`
+      SELECT c.relname AS table_name,
+        c.relrowsecurity AS rls_enabled,
+        c.relforcerowsecurity AS rls_forced,
+        (SELECT count(*) FROM pg_policy p WHERE p.polrelid = c.oid)::int AS policies
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = $1 AND c.relkind IN ('r', 'p')
+      ORDER BY c.relname;
+    `, [schema]);
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing tables:', err.message);
+    throw err;
+  }
+};
+
+// List RLS policies, optionally only those that apply to a role (directly, through
+// a role it belongs to, or through PUBLIC) and only on one schema or table
+const listPolicies = async (filters = {}) => {
+  try {
+    const result = await db.query(`
+      SELECT
+        n.nspname AS schema_name,
+        c.relname AS table_name,
+        p.polname AS policy_name,
+        CASE WHEN p.polpermissive THEN 'PERMISSIVE' ELSE 'RESTRICTIVE' END AS type,
+        CASE p.polcmd
+          WHEN 'r' THEN 'SELECT'
+          WHEN 'a' THEN 'INSERT'
+          WHEN 'w' THEN 'UPDATE'
+          WHEN 'd' THEN 'DELETE'
+          ELSE 'ALL'
+        END AS command,
+        ARRAY(
+          SELECT CASE WHEN r.oid = 0 THEN 'public' ELSE pg_get_userbyid(r.oid)::text END
+          FROM unnest(p.polroles) AS r(oid)
+        ) AS roles,
+        pg_get_expr(p.polqual, p.polrelid) AS using_expression,
+        pg_get_expr(p.polwithcheck, p.polrelid) AS check_expression,
+        c.relrowsecurity AS rls_enabled,
+        c.relforcerowsecurity AS rls_forced
+      FROM pg_policy p
+      JOIN pg_class c ON c.oid = p.polrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE ($1::text IS NULL OR EXISTS (
+              SELECT 1 FROM unnest(p.polroles) AS r(oid)
+              WHERE r.oid = 0 OR pg_has_role($1, r.oid, 'MEMBER')))
+        AND ($2::text IS NULL OR n.nspname = $2)
+        AND ($3::text IS NULL OR c.relname = $3)
+      ORDER BY n.nspname, c.relname, p.polname;
+    `, [filters.rolename || null, filters.schema || null, filters.table || null]);
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing policies:', err.message);
+    throw err;
+  }
+};
+
+// Enable or disable row-level security on a table, optionally changing whether it is forced for the owner
+const setRowLevelSecurity = async (schema, table, enabled, force) => {
+  try {
+    const action = enabled ? 'enable-rls' : 'disable-rls';
+    await auditService.track(action, { schemas: [schema], objects: [table] }, () => db.transaction(async () => {
+      await db.query(`ALTER TABLE ${qualifiedName(schema, table)} ${enabled ? 'ENABLE' : 'DISABLE'} ROW LEVEL SECURITY;`);
+      if (force !== undefined) {
+        await db.query(`ALTER TABLE ${qualifiedName(schema, table)} ${force ? 'FORCE' : 'NO FORCE'} ROW LEVEL SECURITY;`);
+      }
+    }));
+
+    let message = `Row-level security ${enabled ? 'enabled' : 'disabled'} on ${schema}.${table}`;
+    if (force !== undefined) {
+      message += force ? ' (forced for the table owner)' : ' (not forced for the table owner)';
+    }
+    return { success: true, message };
+  } catch (err) {
+    console.error('Error changing row-level security:', err.message);
+    throw err;
+  }
+};
+
+// Create an RLS policy on a table
+const createPolicy = async (policy) => {
+  try {
+    const { schema, table, name, command = 'ALL', permissive = true, roles = [], using, withCheck } = policy;
+
+    if (!POLICY_COMMANDS.includes(command)) {
+      return { success: false, message: `Error: Invalid policy command ${command}. Use one of: ${POLICY_COMMANDS.join(', ')}` };
+    }
+    if (!using && !withCheck) {
+      return { success: false, message: 'Error: A policy needs a USING expression, a WITH CHECK expression, or both' };
+    }
+    if (command === 'INSERT' && using) {
+      return { success: false, message: 'Error: INSERT policies only accept a WITH CHECK expression' };
+    }
+    if ((command === 'SELECT' || command === 'DELETE') && withCheck) {
+      return { success: false, message: `Error: ${command} policies only accept a USING expression` };
+    }
+
+    // The expressions are pasted into the statement, so they must not be able to end it
+    const expressions = [['USING', using], ['WITH CHECK', withCheck]].filter(([, expression]) => expression);
+    for (const [clause, expression] of expressions) {
+      const problem = checkSqlExpression(expression);
+      if (problem) {
+        return { success: false, message: `Error: Invalid ${clause} expression: ${problem}` };
+      }
+    }
+
+    let statement = `CREATE POLICY ${quoteIdent(name)} ON ${qualifiedName(schema, table)}`;
+    statement += ` AS ${permissive ? 'PERMISSIVE' : 'RESTRICTIVE'} FOR ${command}`;
+    statement += ` TO ${roles.length > 0 ? roles.map(quoteRole).join(', ') : 'PUBLIC'}`;
+    if (using) statement += ` USING (${using})`;
+    if (withCheck) statement += ` WITH CHECK (${withCheck})`;
+
+    await auditService.track('create-policy', { schemas: [schema], objects: [table], policy: name, roles }, () =>
+      db.query(`${statement};`));
+    return { success: true, message: `Policy ${name} created on ${schema}.${table}` };
+  } catch (err) {
+    console.error('Error creating policy:', err.message);
+    throw err;
+  }
+};
+
+// Drop an RLS policy from a table
+const dropPolicy = async (schema, table, name) => {
+  try {
+    await auditService.track('drop-policy', { schemas: [schema], objects: [table], policy: name }, () =>
+      db.query(`DROP POLICY ${quoteIdent(name)} ON ${qualifiedName(schema, table)};`));
+    return { success: true, message: `Policy ${name} dropped from ${schema}.${table}` };
+  } catch (err) {
+    console.error('Error dropping policy:', err.message);
+    throw err;
+  }
+};
+
+module.exports = {
+  POLICY_COMMANDS,
+  listTableSecurity,
+  listPolicies,
+  setRowLevelSecurity,
+  createPolicy,
+  dropPolicy
+};
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const YAML = require('yaml');
+const { getConfigPath, ensureConfigDir } = require('../utils/configUtils');
+
+const PROFILES_FILE = 'profiles.yaml';
+const PRODUCTION_ENVIRONMENTS = ['prod', 'production'];
+const ENVIRONMENTS = ['dev', 'staging', ...PRODUCTION_ENVIRONMENTS];
+
+// Path of the profiles file (can be overridden with PGUM_PROFILES_FILE)
+const getProfilesPath = () => process.env.PGUM_PROFILES_FILE || getConfigPath(PROFILES_FILE);
+
+// Read the profiles file, returning an empty configuration when it does not exist
+const loadProfiles = () => {
+  const filePath = getProfilesPath();
+  if (!fs.existsSync(filePath)) {
+    return { default: null, profiles: {} };
+  }
+
+  try {
+    const data = YAML.parse(fs.readFileSync(filePath, 'utf8')) || {};
+    return {
+      default: data.default || null,
+      profiles: data.profiles || {},
+      ...(data.secrets ? { secrets: data.secrets } : {})
+    };
+  } catch (err) {
+    throw new Error(`Cannot read profiles file ${filePath}: ${err.message}`);
+  }
+};
+
+// Write the profiles file; it may contain passwords so it is only readable by the owner
+const saveProfiles = (data) => {
+  const filePath = getProfilesPath();
+  if (!process.env.PGUM_PROFILES_FILE) {
+    ensureConfigDir();
+  }
+  fs.writeFileSync(filePath, YAML.stringify(data), { mode: 0o600 });
+  fs.chmodSync(filePath, 0o600);
+};
+
+// Check whether a profile points to a production cluster
+const isProductionProfile = (profile) =>
+  Boolean(profile && profile.environment && PRODUCTION_ENVIRONMENTS.includes(String(profile.environment).toLowerCase()));
+
+// List all profiles (passwords are never returned)
+const listProfiles = () => {
+  const data = loadProfiles();
+  return Object.keys(data.profiles).sort().map(name => {
+    const { password, ...profile } = data.profiles[name];
+    return {
+      name,
+      ...profile,
+      has_password: Boolean(password),
+      is_default: data.default === name
+    };
+  });
+};
+
+// Get a single profile by name
+const getProfile = (name) => {
+  const data = loadProfiles();
+  const profile = data.profiles[name];
+  if (!profile) {
+    throw new Error(`Profile ${name} not found in ${getProfilesPath()}`);
+  }
+  return { name, ...profile };
+};
+
+// Add (or replace) a profile. It only becomes the default when asked to: otherwise commands
+// run without --profile keep using the .env connection.
+const addProfile = (name, profile, makeDefault = false) => {
+  if (!/^[A-Za-z0-9_.-]+$/.test(name)) {
+    return {
+      success: false,
+      message: 'Error: Profile names may only contain letters, numbers, dots, dashes and underscores.'
+    };
+  }
+
+  const data = loadProfiles();
+  const exists = Boolean(data.profiles[name]);
+  data.profiles[name] = profile;
+  if (makeDefault) {
+    data.default = name;
+  }
+  saveProfiles(data);
+
+  return {
+    success: true,
+    message: `Profile ${name} ${exists ? 'updated' : 'added'} in ${getProfilesPath()}`
+  };
+};
+
+// Remove a profile
+const removeProfile = (name) => {
+  const data = loadProfiles();
+  if (!data.profiles[name]) {
+    return { success: false, message: `Error: Profile ${name} does not exist.` };
+  }
+
+  delete data.profiles[name];
+  if (data.default === name) {
+    data.default = null;
+  }
+  saveProfiles(data);
+
+  return { success: true, message: `Profile ${name} removed` };
+};
+
+// Get the secret store settings shared by all profiles (the top-level "secrets" block)
+const getDefaultSecretStore = () => loadProfiles().secrets || null;
+
+// Build the connection settings from the DB_* environment variables (.env)
+const getEnvironmentConnection = () => ({
+  name: null,
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  environment: process.env.DB_ENVIRONMENT
+});
+
+// Resolve the connection to use: the given profile, PGUM_PROFILE, the default profile, or .env
+const resolveConnection = (name) => {
+  const profileName = name || process.env.PGUM_PROFILE;
+  if (profileName) {
+    return getProfile(profileName);
+  }
+
+  const data = loadProfiles();
+  if (data.default && data.profiles[data.default]) {
+    return { name: data.default, ...data.profiles[data.default] };
+  }
+
+  return getEnvironmentConnection();
+};
+
+module.exports = {
+  ENVIRONMENTS,
+  getProfilesPath,
+  isProductionProfile,
+  listProfiles,
+  getProfile,
+  addProfile,
+  removeProfile,
+  getDefaultSecretStore,
+  resolveConnection
+};
@@ -1,4 +1,16 @@
 const db = require('./db');
+const auditService = require('./auditService');
+const { quoteIdent, quoteLiteral } = require('../utils/sqlUtils');
+
+// Boolean role attributes that can be changed with alter-role/alter-user.
+// Privileged ones give powers close to a superuser and need an extra confirmation.
+const ROLE_ATTRIBUTES = [
+  { name: 'inherit', column: 'rolinherit', keyword: 'INHERIT', description: 'Inherit the privileges of the roles it belongs to' },
+  { name: 'createdb', column: 'rolcreatedb', keyword: 'CREATEDB', description: 'Create databases' },
+  { name: 'createrole', column: 'rolcreaterole', keyword: 'CREATEROLE', description: 'Create, alter and drop other roles', privileged: true },
+  { name: 'replication', column: 'rolreplication', keyword: 'REPLICATION', description: 'Stream replication and take base backups', privileged: true },
+  { name: 'bypassrls', column: 'rolbypassrls', keyword: 'BYPASSRLS', description: 'Bypass every row-level security policy', privileged: true }
+];
 
 // List all roles (excluding system roles)
 const listRoles = async (includeSystemRoles = false) => {
@@ -56,7 +68,8 @@ const createRole = async (rolename) => {
       };
     }
 
-    await db.query(`CREATE ROLE ${rolename} NOLOGIN;`);
+    await auditService.track('create-role', { role: rolename }, () =>
+      db.query(`CREATE ROLE ${quoteIdent(rolename)} NOLOGIN;`));
     return { success: true, message: `Role ${rolename} created successfully` };
   } catch (err) {
     console.error('Error creating role:', err.message);
@@ -75,7 +88,8 @@ const deleteRole = async (rolename) => {
       };
     }
 
-    await db.query(`DROP ROLE ${rolename};`);
+    await auditService.track('delete-role', { role: rolename }, () =>
+      db.query(`DROP ROLE ${quoteIdent(rolename)};`));
     return { success: true, message: `Role ${rolename} deleted successfully` };
   } catch (err) {
     console.error('Error deleting role:', err.message);
@@ -83,10 +97,103 @@ const deleteRole = async (rolename) => {
   }
 };
 
+// Get the attributes of a role (or user) from pg_roles
+const getRoleAttributes = async (rolename) => {
+  try {
+    const result = await db.query(`
+      SELECT rolname, rolsuper, rolcanlogin, rolinherit, rolcreatedb, rolcreaterole,
+        rolreplication, rolbypassrls, rolconnlimit, rolvaliduntil
+      FROM pg_roles
+      WHERE rolname = $1;
+    `, [rolename]);
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error('Error reading role attributes:', err.message);
+    throw err;
+  }
+};
+
+// Format a VALID UNTIL value; no expiry is stored as NULL or infinity
+const formatValidUntil = (value) =>
+  (value === null || value === undefined || value === Infinity ? 'never' : value.toISOString());
+
+// Compare the requested attributes with the current ones and build the ALTER ROLE clause of each change
+const describeAttributeChanges = (current, requested) => {
+  const changes = [];
+
+  ROLE_ATTRIBUTES.forEach(attribute => {
+    const value = requested[attribute.name];
+    if (value !== undefined && value !== current[attribute.column]) {
+      changes.push({
+        attribute: attribute.keyword,
+        from: current[attribute.column],
+        to: value,
+        clause: value ? attribute.keyword : `NO${attribute.keyword}`,
+        privileged: Boolean(attribute.privileged && value)
+      });
+    }
+  });
+
+  if (requested.connectionLimit !== undefined && requested.connectionLimit !== current.rolconnlimit) {
+    changes.push({
+      attribute: 'CONNECTION LIMIT',
+      from: current.rolconnlimit,
+      to: requested.connectionLimit,
+      clause: `CONNECTION LIMIT ${requested.connectionLimit}`,
+      privileged: false
+    });
+  }
+
+  if (requested.validUntil !== undefined && formatValidUntil(requested.validUntil) !== formatValidUntil(current.rolvaliduntil)) {
+    changes.push({
+      attribute: 'VALID UNTIL',
+      from: formatValidUntil(current.rolvaliduntil),
+      to: formatValidUntil(requested.validUntil),
+      clause: `VALID UNTIL ${quoteLiteral(requested.validUntil === Infinity ? 'infinity' : requested.validUntil.toISOString())}`,
+      privileged: false
+    });
+  }
+
+  return changes;
+};
+
+// Change the attributes of a role or user, only applying those that differ from the current values.
+// kind is 'role' or 'user' and selects the audit action (alter-role/alter-user).
+const alterRoleAttributes = async (rolename, requested, kind = 'role') => {
+  try {
+    const label = kind === 'user' ? 'User' : 'Role';
+
+    if (rolename.startsWith('pg_') || rolename.startsWith('rds_')) {
+      return {
+        success: false,
+        message: `Error: Cannot modify system ${kind} ${rolename}. System roles are protected.`
+      };
+    }
+
+    const current = await getRoleAttributes(rolename);
+    if (!current) {
+      return { success: false, message: `Error: ${label} ${rolename} does not exist` };
+    }
+
+    const changes = describeAttributeChanges(current, requested);
+    if (changes.length === 0) {
+      return { success: true, message: `${label} ${rolename} already has the requested attributes, nothing changed`, changes };
+    }
+
+    await auditService.track(`alter-${kind}`, { [kind]: rolename, attributes: changes.map(change => change.attribute) }, () =>
+      db.query(`ALTER ROLE ${quoteIdent(rolename)} WITH ${changes.map(change => change.clause).join(' ')};`));
+    return { success: true, message: `${label} ${rolename} updated: ${changes.map(change => change.clause).join(', ')}`, changes };
+  } catch (err) {
+    console.error('Error altering role:', err.message);
+    throw err;
+  }
+};
+
 // Assign a user to a role
 const assignUserToRole = async (username, rolename) => {
   try {
-    await db.query(`GRANT ${rolename} TO ${username};`);
+    await auditService.track('assign-user-to-role', { user: username, role: rolename }, () =>
+      db.query(`GRANT ${quoteIdent(rolename)} TO ${quoteIdent(username)};`));
     return { success: true, message: `User ${username} assigned to role ${rolename} successfully` };
   } catch (err) {
     console.error('Error assigning user to role:', err.message);
@@ -97,7 +204,8 @@ const assignUserToRole = async (username, rolename) => {
 // Remove a user from a role
 const removeUserFromRole = async (username, rolename) => {
   try {
-    await db.query(`REVOKE ${rolename} FROM ${username};`);
+    await auditService.track('remove-user-from-role', { user: username, role: rolename }, () =>
+      db.query(`REVOKE ${quoteIdent(rolename)} FROM ${quoteIdent(username)};`));
     return { success: true, message: `User ${username} removed from role ${rolename} successfully` };
   } catch (err) {
     console.error('Error removing user from role:', err.message);
@@ -106,10 +214,14 @@ const removeUserFromRole = async (username, rolename) => {
 };
 
 module.exports = {
+  ROLE_ATTRIBUTES,
   listRoles,
   listUserRoles,
   createRole,
   deleteRole,
+  getRoleAttributes,
+  describeAttributeChanges,
+  alterRoleAttributes,
   assignUserToRole,
   removeUserFromRole
 }; 
\ No newline at end of file
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+
+const SERVICE = 'secretsmanager';
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Region of the secrets: the "region" setting, AWS_REGION or AWS_DEFAULT_REGION
+const getRegion = (settings) => {
+  const region = settings.region || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION;
+  if (!region) {
+    throw new Error('Set the region of the aws-secrets-manager secret store, or AWS_REGION');
+  }
+  return region;
+};
+
+// Endpoint of the API; the "endpoint" setting or AWS_ENDPOINT_URL_SECRETS_MANAGER point it elsewhere (e.g. LocalStack)
+const getEndpoint = (settings, region) =>
+  new URL(settings.endpoint
+    || process.env.AWS_ENDPOINT_URL_SECRETS_MANAGER
+    || process.env.AWS_ENDPOINT_URL
+    || `https://${SERVICE}.${region}.amazonaws.com`);
+
+// Credentials are read from the standard environment variables only
+const getCredentials = () => {
+  const { AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN } = process.env;
+  if (!AWS_ACCESS_KEY_ID || !AWS_SECRET_ACCESS_KEY) {
+    throw new Error('Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY (and AWS_SESSION_TOKEN for temporary credentials) to save credentials to AWS Secrets Manager');
+  }
+  return { accessKeyId: AWS_ACCESS_KEY_ID, secretAccessKey: AWS_SECRET_ACCESS_KEY, sessionToken: AWS_SESSION_TOKEN };
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value, 'utf8').digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value, 'utf8').digest();
+
+// Sign a POST request with AWS Signature Version 4
+const signRequest = (headers, payload, { service = SERVICE, region, credentials, pathname, amzDate }) => {
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const signedHeaders = Object.keys(headers).sort();
+
+  const canonicalRequest = [
+    'POST',
+    pathname,
+    '',
+    ...signedHeaders.map(name => `${name}:${String(headers[name]).trim()}`),
+    '',
+    signedHeaders.join(';'),
+    sha256(payload)
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = [dateStamp, region, service, 'aws4_request']
+    .reduce((key, part) => hmac(key, part), `AWS4${credentials.secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`;
+};
+
+// Call a Secrets Manager API action. Errors carry the AWS error type in err.code.
+const callApi = async (settings, action, params) => {
+  const region = getRegion(settings);
+  const endpoint = getEndpoint(settings, region);
+  const credentials = getCredentials();
+  const payload = JSON.stringify(params);
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+  const headers = {
+    'content-type': 'application/x-amz-json-1.1',
+    host: endpoint.host,
+    'x-amz-date': amzDate,
+    'x-amz-target': `${SERVICE}.${action}`
+  };
+  if (credentials.sessionToken) {
+    headers['x-amz-security-token'] = credentials.sessionToken;
+  }
+  const authorization = signRequest(headers, payload, { region, credentials, pathname: endpoint.pathname, amzDate });
+
+  // fetch sets the Host header itself, from the same endpoint
+  const { host, ...requestHeaders } = headers;
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { ...requestHeaders, authorization },
+    body: payload,
+    signal: AbortSignal.timeout(settings.timeout || DEFAULT_TIMEOUT_MS)
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const code = String(body.__type || response.statusText).split('#').pop();
+    const error = new Error(`AWS Secrets Manager returned ${code}: ${body.message || body.Message || response.status}`);
+    error.code = code;
+    throw error;
+  }
+  return body;
+};
+
+// Store a secret value: a new version of an existing secret, or a new secret
+const putSecret = async (settings, name, value, username) => {
+  try {
+    return await callApi(settings, 'PutSecretValue', {
+      SecretId: name,
+      SecretString: value,
+      ClientRequestToken: crypto.randomUUID()
+    });
+  } catch (err) {
+    if (err.code !== 'ResourceNotFoundException') throw err;
+  }
+
+  return callApi(settings, 'CreateSecret', {
+    Name: name,
+    SecretString: value,
+    Description: `PostgreSQL credentials of ${username}, saved by pg-user-manager`,
+    ClientRequestToken: crypto.randomUUID(),
+    ...(settings.kmsKeyId ? { KmsKeyId: settings.kmsKeyId } : {})
+  });
+};
+
+// AWS Secrets Manager backend: one secret per user named <prefix>/<username>.
+// Saving the password of an existing secret adds a version and moves the AWSCURRENT label to it.
+const awsSecretsManagerBackend = {
+  name: 'aws-secrets-manager',
+  requiresPassphrase: false,
+
+  describe: (settings) => `AWS Secrets Manager (${settings.region || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'AWS_REGION not set'})`,
+
+  saveCredentials: async (settings, credentials, context) => {
+    const results = [];
+
+    for (const credential of credentials) {
+      const { username } = credential;
+      const name = `${context.prefix}/${username}`;
+      try {
+        const written = await putSecret(settings, name, JSON.stringify({ ...credential, ...context.metadata }), username);
+        results.push({ username, success: true, secret: name, version: written.VersionId });
+      } catch (err) {
+        results.push({ username, success: false, error: err.message });
+      }
+    }
+
+    return results;
+  }
+};
+
+module.exports = awsSecretsManagerBackend;
+// Exported for the tests, which check it against the AWS Signature Version 4 test suite
+module.exports.signRequest = signRequest;
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_MOUNT = 'secret';
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Address of the Vault server: the "address" setting or VAULT_ADDR
+const getAddress = (settings) => {
+  const address = settings.address || process.env.VAULT_ADDR;
+  if (!address) {
+    throw new Error('Set the address of the hashicorp-vault secret store, or VAULT_ADDR');
+  }
+  return address.replace(/\/+$/, '');
+};
+
+// Token to authenticate with: VAULT_TOKEN, or the token file written by "vault login"
+const getToken = () => {
+  if (process.env.VAULT_TOKEN) {
+    return process.env.VAULT_TOKEN;
+  }
+
+  const tokenFile = path.join(os.homedir(), '.vault-token');
+  if (fs.existsSync(tokenFile)) {
+    return fs.readFileSync(tokenFile, 'utf8').trim();
+  }
+  throw new Error('Set VAULT_TOKEN, or run "vault login", to save credentials to HashiCorp Vault');
+};
+
+// Encode each segment of a secret path, keeping the slashes between them
+const encodePath = (secretPath) => secretPath.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+
+// Write a secret to a KV version 2 engine; every write creates a new version of the secret
+const writeSecret = async (settings, secretPath, data) => {
+  const mount = settings.mount || DEFAULT_MOUNT;
+  const headers = {
+    'content-type': 'application/json',
+    'x-vault-token': getToken()
+  };
+  const namespace = settings.namespace || process.env.VAULT_NAMESPACE;
+  if (namespace) {
+    headers['x-vault-namespace'] = namespace;
+  }
+
+  const response = await fetch(`${getAddress(settings)}/v1/${encodePath(mount)}/data/${encodePath(secretPath)}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ data }),
+    signal: AbortSignal.timeout(settings.timeout || DEFAULT_TIMEOUT_MS)
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const errors = Array.isArray(body.errors) && body.errors.length > 0 ? body.errors.join('; ') : response.statusText;
+    throw new Error(`Vault returned ${response.status}: ${errors}`);
+  }
+  return body.data || {};
+};
+
+// HashiCorp Vault backend: one KV v2 secret per user at <mount>/<prefix>/<username>
+const hashicorpVaultBackend = {
+  name: 'hashicorp-vault',
+  requiresPassphrase: false,
+
+  describe: (settings) => `HashiCorp Vault (${settings.address || process.env.VAULT_ADDR || 'VAULT_ADDR not set'})`,
+
+  saveCredentials: async (settings, credentials, context) => {
+    const mount = settings.mount || DEFAULT_MOUNT;
+    const results = [];
+
+    for (const credential of credentials) {
+      const { username } = credential;
+      const secretPath = `${context.prefix}/${username}`;
+      try {
+        const written = await writeSecret(settings, secretPath, { ...credential, ...context.metadata });
+        results.push({ username, success: true, secret: `${mount}/${secretPath}`, version: written.version });
+      } catch (err) {
+        results.push({ username, success: false, error: err.message });
+      }
+    }
+
+    return results;
+  }
+};
+
+module.exports = hashicorpVaultBackend;
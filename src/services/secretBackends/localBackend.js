@@ -0,0 +1,17 @@
+const vaultService = require('../vaultService');
+
+// Local backend: the encrypted vault file, which keeps every saved password as history
+const localBackend = {
+  name: 'local',
+  requiresPassphrase: true,
+
+  describe: () => `the vault ${vaultService.getVaultPath()}`,
+
+  // The vault is written once for all the credentials, so they are saved or fail together
+  saveCredentials: async (settings, credentials, context) => {
+    vaultService.addCredentials(context.passphrase, credentials, context.source);
+    return credentials.map(({ username }) => ({ username, success: true, secret: vaultService.getVaultPath() }));
+  }
+};
+
+module.exports = localBackend;
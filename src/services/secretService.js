@@ -0,0 +1,79 @@
+const db = require('./db');
+const profileService = require('./profileService');
+const localBackend = require('./secretBackends/localBackend');
+const hashicorpVaultBackend = require('./secretBackends/hashicorpVaultBackend');
+const awsSecretsManagerBackend = require('./secretBackends/awsSecretsManagerBackend');
+
+// Every backend implements:
+//  - name: value of the "backend" setting
+//  - requiresPassphrase: whether the caller must pass the vault passphrase in the context
+//  - describe(settings): where the credentials go, for prompts and messages
+//  - saveCredentials(settings, credentials, context): save each { username, password, ... } and
+//    return one { username, success, error, secret, version } result per credential
+const BACKENDS = [localBackend, hashicorpVaultBackend, awsSecretsManagerBackend];
+
+// Settings of the secret store for the current connection: the "secrets" block of its profile,
+// otherwise the top-level "secrets" block of the profiles file, otherwise the local vault
+const getSecretStoreSettings = () => {
+  const connection = db.getConnectionInfo();
+  const settings = connection.secrets || profileService.getDefaultSecretStore() || {};
+  return { backend: localBackend.name, ...settings };
+};
+
+// Get the backend selected by the settings
+const getSecretBackend = (settings = getSecretStoreSettings()) => {
+  const backend = BACKENDS.find(item => item.name === settings.backend);
+  if (!backend) {
+    throw new Error(`Unknown secret store backend "${settings.backend}". Use one of: ${BACKENDS.map(item => item.name).join(', ')}`);
+  }
+  return backend;
+};
+
+// Describe where credentials are saved with the current settings
+const describeSecretStore = () => {
+  const settings = getSecretStoreSettings();
+  return getSecretBackend(settings).describe(settings);
+};
+
+// Save credentials to the configured secret store. Remote secrets are named <prefix>/<username>,
+// with a prefix of pg-user-manager/<profile> unless the settings give one.
+const saveCredentials = async (credentials, source, options = {}) => {
+  try {
+    const settings = getSecretStoreSettings();
+    const backend = getSecretBackend(settings);
+    const connection = db.getConnectionInfo();
+
+    const context = {
+      source,
+      passphrase: options.passphrase,
+      prefix: String(settings.prefix || `pg-user-manager/${connection.name || connection.host || 'default'}`).replace(/\/+$/, ''),
+      metadata: {
+        engine: 'postgres',
+        host: connection.host || null,
+        port: connection.port ? Number(connection.port) : null,
+        dbname: connection.database || null,
+        profile: connection.name || null,
+        source: source || null,
+        savedAt: new Date().toISOString()
+      }
+    };
+
+    const results = await backend.saveCredentials(settings, credentials, context);
+    const failed = results.filter(result => !result.success).length;
+    return {
+      success: failed === 0,
+      message: `Credentials of ${results.length - failed} user(s) saved to ${backend.describe(settings)}${failed > 0 ? `, ${failed} failed` : ''}`,
+      results
+    };
+  } catch (err) {
+    console.error('Error saving credentials:', err.message);
+    throw err;
+  }
+};
+
+module.exports = {
+  getSecretStoreSettings,
+  getSecretBackend,
+  describeSecretStore,
+  saveCredentials
+};
@@ -0,0 +1,210 @@
+const db = require('./db');
+const dependencyService = require('./dependencyService');
+
+// Severities of findings, from least to most severe
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Predefined roles whose members can change any data or run programs on the server
+const RISKY_PREDEFINED_ROLES = {
+  pg_execute_server_program: { severity: 'critical', detail: 'can run programs on the database server as the postgres OS user' },
+  pg_write_all_data: { severity: 'high', detail: 'can change the data of every table, bypassing grants' }
+};
+
+// Compare severities: a positive number when a is more severe than b
+const compareSeverity = (a, b) => SEVERITIES.indexOf(a) - SEVERITIES.indexOf(b);
+
+// Keep the findings whose severity is the given one or higher (--min-severity, --fail-on)
+const atOrAbove = (findings, severity) => findings.filter(finding => compareSeverity(finding.severity, severity) >= 0);
+
+// Role attributes, password status and expiry of every role, except predefined pg_ roles.
+// rolpassword is only readable from pg_authid; without access, has_password is null.
+const readRoles = async () => {
+  const access = await db.query(`SELECT has_table_privilege('pg_catalog.pg_authid', 'SELECT') AS allowed;`);
+  const passwordColumn = access.rows[0].allowed
+    ? '(SELECT a.rolpassword IS NOT NULL FROM pg_authid a WHERE a.oid = r.oid)'
+    : 'NULL::boolean';
+
+  const result = await db.query(`
+    SELECT r.rolname, r.oid = 10 AS is_bootstrap, r.rolsuper, r.rolcanlogin,
+      r.rolcreaterole, r.rolbypassrls, r.rolreplication,
+      ${passwordColumn} AS has_password,
+      r.rolvaliduntil IS NULL OR r.rolvaliduntil = 'infinity' AS no_expiry
+    FROM pg_roles r
+    WHERE r.rolname NOT LIKE 'pg\\_%'
+    ORDER BY r.rolname;
+  `);
+  return { roles: result.rows, canReadPasswords: access.rows[0].allowed };
+};
+
+// Superusers and roles with CREATEROLE, BYPASSRLS or REPLICATION. Superusers have every
+// privilege, so their other attributes are not reported separately.
+const checkRoleAttributes = (roles) => {
+  const findings = [];
+
+  roles.forEach(role => {
+    if (role.rolsuper) {
+      if (role.is_bootstrap) {
+        findings.push({ severity: 'low', check: 'superuser', object: role.rolname, detail: 'bootstrap superuser; keep it for maintenance only' });
+      } else {
+        findings.push({
+          severity: role.rolcanlogin ? 'high' : 'medium',
+          check: 'superuser',
+          object: role.rolname,
+          detail: role.rolcanlogin ? 'login role with SUPERUSER' : 'role with SUPERUSER, granted to its members'
+        });
+      }
+      return;
+    }
+
+    if (role.rolbypassrls) {
+      findings.push({ severity: 'high', check: 'bypassrls', object: role.rolname, detail: 'ignores every row-level security policy' });
+    }
+    if (role.rolcreaterole) {
+      findings.push({ severity: 'medium', check: 'createrole', object: role.rolname, detail: 'can create roles and manage the roles it created' });
+    }
+    if (role.rolreplication) {
+      findings.push({ severity: 'medium', check: 'replication', object: role.rolname, detail: 'can stream the WAL, and so read every database' });
+    }
+  });
+
+  return findings;
+};
+
+// Login roles without a password or whose password never expires
+const checkLoginRoles = (roles) => {
+  const findings = [];
+
+  roles.filter(role => role.rolcanlogin).forEach(role => {
+    if (role.has_password === false) {
+      findings.push({ severity: 'medium', check: 'no-password', object: role.rolname, detail: 'login role without a password; relies on pg_hba.conf (trust, peer, cert...)' });
+    } else if (role.no_expiry) {
+      findings.push({ severity: 'low', check: 'no-expiry', object: role.rolname, detail: 'password never expires (no VALID UNTIL)' });
+    }
+  });
+
+  return findings;
+};
+
+// Roles that are members, directly or not, of the risky predefined roles. Superusers are left
+// out: they already have every privilege.
+const checkPredefinedRoleMembers = async () => {
+  const result = await db.query(`
+    SELECT r.rolname, p.rolname AS predefined
+    FROM pg_roles r
+    CROSS JOIN pg_roles p
+    WHERE p.rolname = ANY($1)
+      AND r.oid <> p.oid
+      AND NOT r.rolsuper
+      AND r.rolname NOT LIKE 'pg\\_%'
+      AND pg_has_role(r.oid, p.oid, 'MEMBER')
+    ORDER BY p.rolname, r.rolname;
+  `, [Object.keys(RISKY_PREDEFINED_ROLES)]);
+
+  return result.rows.map(row => ({
+    severity: RISKY_PREDEFINED_ROLES[row.predefined].severity,
+    check: row.predefined,
+    object: row.rolname,
+    detail: `member of ${row.predefined}: ${RISKY_PREDEFINED_ROLES[row.predefined].detail}`
+  }));
+};
+
+// Databases that PUBLIC, and so every role, can connect to (the default unless revoked)
+const checkDatabaseConnect = async () => {
+  const result = await db.query(`
+    SELECT d.datname
+    FROM pg_database d
+    CROSS JOIN aclexplode(COALESCE(d.datacl, acldefault('d', d.datdba))) acl
+    WHERE d.datallowconn AND NOT d.datistemplate
+      AND acl.grantee = 0 AND acl.privilege_type = 'CONNECT'
+    ORDER BY d.datname;
+  `);
+
+  return result.rows.map(row => ({
+    severity: 'low',
+    check: 'public-connect',
+    object: row.datname,
+    database: row.datname,
+    detail: 'CONNECT granted to PUBLIC; every role can connect if pg_hba.conf allows it'
+  }));
+};
+
+// Whether PUBLIC can create objects in the public schema of the current database
+// (the default before PostgreSQL 15)
+const PUBLIC_SCHEMA_CREATE_QUERY = `
+  SELECT EXISTS (
+    SELECT 1
+    FROM pg_namespace n
+    CROSS JOIN aclexplode(COALESCE(n.nspacl, acldefault('n', n.nspowner))) acl
+    WHERE n.nspname = 'public' AND acl.grantee = 0 AND acl.privilege_type = 'CREATE'
+  ) AS public_create;
+`;
+
+// Check every database for CREATE on the public schema granted to PUBLIC.
+// Databases that cannot be inspected are returned as skipped.
+const checkPublicSchemaCreate = async () => {
+  const findings = [];
+  const skipped = [];
+
+  for (const database of await dependencyService.listDatabases()) {
+    try {
+      const result = await db.withDatabase(database, () => db.query(PUBLIC_SCHEMA_CREATE_QUERY));
+      if (result.rows[0].public_create) {
+        findings.push({
+          severity: 'high',
+          check: 'public-schema-create',
+          object: `${database}.public`,
+          database,
+          detail: 'CREATE on schema public granted to PUBLIC; any role can create objects that others may run'
+        });
+      }
+    } catch (err) {
+      skipped.push({ check: 'public-schema-create', database, reason: err.message });
+    }
+  }
+
+  return { findings, skipped };
+};
+
+// Run every check and return the findings, most severe first, and the checks that could
+// not run with the privileges of the connection
+const runSecurityAudit = async () => {
+  try {
+    const { roles, canReadPasswords } = await readRoles();
+    const publicSchema = await checkPublicSchemaCreate();
+
+    const findings = [
+      ...checkRoleAttributes(roles),
+      ...checkLoginRoles(roles),
+      ...await checkPredefinedRoleMembers(),
+      ...await checkDatabaseConnect(),
+      ...publicSchema.findings
+    ].map(finding => ({
+      severity: finding.severity,
+      check: finding.check,
+      object: finding.object,
+      database: finding.database || null,
+      detail: finding.detail
+    }));
+
+    const skipped = [...publicSchema.skipped];
+    if (!canReadPasswords) {
+      skipped.push({ check: 'no-password', database: null, reason: 'needs SELECT on pg_authid (superuser)' });
+    }
+
+    findings.sort((a, b) => compareSeverity(b.severity, a.severity) ||
+      a.check.localeCompare(b.check) || a.object.localeCompare(b.object));
+    return { findings, skipped };
+  } catch (err) {
+    console.error('Error running security audit:', err.message);
+    throw err;
+  }
+};
+
+module.exports = {
+  SEVERITIES,
+  compareSeverity,
+  atOrAbove,
+  checkRoleAttributes,
+  checkLoginRoles,
+  runSecurityAudit
+};
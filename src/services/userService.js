@@ -1,4 +1,60 @@
 const db = require('./db');
+const auditService = require('./auditService');
+const passwordPolicyService = require('./passwordPolicyService');
+const { quoteIdent, quoteLiteral } = require('../utils/sqlUtils');
+const { generatePassword } = require('../utils/passwordUtils');
+const { encryptPassword } = require('../utils/passwordHashUtils');
+
+// Build the VALID UNTIL clause of a password change; Infinity means the password never expires
+const validUntilClause = (validUntil) => {
+  if (validUntil === undefined || validUntil === null) return '';
+  return ` VALID UNTIL ${quoteLiteral(validUntil === Infinity ? 'infinity' : validUntil.toISOString())}`;
+};
+
+// Describe a password expiry for messages
+const describeExpiry = (validUntil) => {
+  if (validUntil === undefined || validUntil === null) return '';
+  return validUntil === Infinity ? ' (no expiry)' : ` (valid until ${validUntil.toISOString()})`;
+};
+
+// Password encryption of the server, read once per run
+let passwordEncryption = null;
+
+// Detect how the server stores passwords, from its password_encryption setting (and
+// scram_iterations on PostgreSQL 16 and later), as libpq's PQencryptPasswordConn does
+const getPasswordEncryption = async () => {
+  if (!passwordEncryption) {
+    const result = await db.query(`SELECT current_setting('password_encryption') AS method,
+       current_setting('scram_iterations', true) AS iterations;`);
+    const { method, iterations } = result.rows[0];
+
+    // Before PostgreSQL 10, "on" and "off" both meant md5
+    const normalized = method === 'on' || method === 'off' ? 'md5' : method;
+    if (normalized !== 'scram-sha-256' && normalized !== 'md5') {
+      throw new Error(`Unrecognized password_encryption setting on the server: ${method}`);
+    }
+    passwordEncryption = {
+      method: normalized,
+      iterations: iterations ? parseInt(iterations, 10) : undefined
+    };
+  }
+  return passwordEncryption;
+};
+
+// Hash a password client-side with the method of the server, so that only its verifier
+// is sent and the plaintext never shows up in server logs or pg_stat_statements
+const hashPassword = async (username, password) => {
+  const { method, iterations } = await getPasswordEncryption();
+  return { method, verifier: encryptPassword(password, username, method, { iterations }) };
+};
+
+// Describe how passwords were sent, for messages
+const describeEncryption = (method, count = 1) => {
+  const name = method === 'md5' ? 'MD5' : 'SCRAM-SHA-256';
+  return count === 1
+    ? `; password sent as ${method === 'md5' ? 'an' : 'a'} ${name} hash`
+    : `; passwords sent as ${name} hashes`;
+};
 
 // List all users (excluding system users by default)
 const listUsers = async (includeSystemUsers = false) => {
@@ -24,7 +80,7 @@ const listUsers = async (includeSystemUsers = false) => {
 };
 
 // Create a new user
-const createUser = async (username, password) => {
+const createUser = async (username, password, validUntil) => {
   try {
     // Validar que el nombre no comience con prefijos reservados
     if (username.startsWith('pg_') || username.startsWith('rds_')) {
@@ -34,8 +90,14 @@ const createUser = async (username, password) => {
       };
     }
     
-    await db.query(`CREATE ROLE ${username} WITH LOGIN PASSWORD '${password}';`);
-    return { success: true, message: `User ${username} created successfully` };
+    const { method, verifier } = await hashPassword(username, password);
+    await auditService.track('create-user', { user: username }, () =>
+      db.query(`CREATE ROLE ${quoteIdent(username)} WITH LOGIN PASSWORD ${quoteLiteral(verifier)}${validUntilClause(validUntil)};`));
+    return {
+      success: true,
+      message: `User ${username} created successfully${describeExpiry(validUntil)}${describeEncryption(method)}`,
+      passwordEncryption: method
+    };
   } catch (err) {
     console.error('Error creating user:', err.message);
     throw err;
@@ -43,7 +105,7 @@ const createUser = async (username, password) => {
 };
 
 // Update user password
-const updateUserPassword = async (username, newPassword) => {
+const updateUserPassword = async (username, newPassword, validUntil) => {
   try {
     // Prevenir cambios en usuarios del sistema
     if (username.startsWith('pg_') || username.startsWith('rds_')) {
@@ -53,14 +115,112 @@ const updateUserPassword = async (username, newPassword) => {
       };
     }
     
-    await db.query(`ALTER ROLE ${username} WITH PASSWORD '${newPassword}';`);
-    return { success: true, message: `Password for ${username} updated successfully` };
+    const { method, verifier } = await hashPassword(username, newPassword);
+    await auditService.track('update-user-password', { user: username }, () =>
+      db.query(`ALTER ROLE ${quoteIdent(username)} WITH PASSWORD ${quoteLiteral(verifier)}${validUntilClause(validUntil)};`));
+    return {
+      success: true,
+      message: `Password for ${username} updated successfully${describeExpiry(validUntil)}${describeEncryption(method)}`,
+      passwordEncryption: method
+    };
   } catch (err) {
     console.error('Error updating user password:', err.message);
     throw err;
   }
 };
 
+// List users whose password expires within a number of days, including those already expired
+const listExpiringUsers = async (withinDays) => {
+  try {
+    const result = await db.query(`
+      SELECT rolname AS username,
+        rolvaliduntil AS valid_until,
+        rolvaliduntil < now() AS expired,
+        ceil(extract(epoch FROM rolvaliduntil - now()) / 86400)::int AS days_left
+      FROM pg_roles
+      WHERE rolcanlogin = true
+        AND rolvaliduntil IS NOT NULL
+        AND rolvaliduntil <> 'infinity'
+        AND rolvaliduntil <= now() + make_interval(days => $1)
+        AND rolname NOT LIKE 'pg\\_%' AND rolname NOT LIKE 'rds\\_%'
+      ORDER BY rolvaliduntil, rolname;
+    `, [withinDays]);
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing expiring users:', err.message);
+    throw err;
+  }
+};
+
+// Classify the password of each login user as md5, scram-sha-256 or none, and whether it has
+// expired. The hashes are only readable from pg_authid, which needs superuser by default.
+const getPasswordHashReport = async () => {
+  try {
+    const access = await db.query(`SELECT has_table_privilege('pg_catalog.pg_authid', 'SELECT') AS allowed,
+       current_user AS username;`);
+    if (!access.rows[0].allowed) {
+      throw new Error(`Reading password hashes needs SELECT on pg_authid, which ${access.rows[0].username} does not have; connect as a superuser`);
+    }
+
+    const result = await db.query(`
+      SELECT rolname AS username,
+        CASE
+          WHEN rolpassword IS NULL THEN 'none'
+          WHEN rolpassword LIKE 'SCRAM-SHA-256$%' THEN 'scram-sha-256'
+          WHEN rolpassword ~ '^md5[0-9a-f]{32}$' THEN 'md5'
+          ELSE 'unknown'
+        END AS hash,
+        CASE WHEN rolvaliduntil = 'infinity' THEN NULL ELSE rolvaliduntil END AS valid_until,
+        COALESCE(rolvaliduntil < now(), false) AS expired
+      FROM pg_authid
+      WHERE rolcanlogin = true
+        AND rolname NOT LIKE 'pg\\_%' AND rolname NOT LIKE 'rds\\_%'
+      ORDER BY rolname;
+    `);
+    return result.rows.map(row => ({ ...row, status: row.expired ? 'expired' : row.hash }));
+  } catch (err) {
+    console.error('Error reading password hashes:', err.message);
+    throw err;
+  }
+};
+
+// Set a new generated password and expiry for each user. A failure does not stop the
+// other users; the new credentials of the users that were rotated are returned.
+// The passwords follow the given policy, or the default password policy.
+const rotatePasswords = async (usernames, validUntil, policy = passwordPolicyService.getDefaultPolicy()) => {
+  try {
+    const results = [];
+    const credentials = [];
+
+    for (const username of usernames) {
+      const password = generatePassword(policy);
+      try {
+        const result = await updateUserPassword(username, password, validUntil);
+        results.push({ username, success: result.success, error: result.success ? undefined : result.message });
+        if (result.success) {
+          credentials.push({ username, password });
+        }
+      } catch (err) {
+        results.push({ username, success: false, error: err.message });
+      }
+    }
+
+    const failed = results.filter(result => !result.success).length;
+    const encryption = credentials.length > 0
+      ? describeEncryption((await getPasswordEncryption()).method, credentials.length)
+      : '';
+    return {
+      success: failed === 0,
+      message: `Rotated ${credentials.length} password(s)${describeExpiry(validUntil)}${failed > 0 ? `, ${failed} failed` : ''}${encryption}`,
+      results,
+      credentials
+    };
+  } catch (err) {
+    console.error('Error rotating passwords:', err.message);
+    throw err;
+  }
+};
+
 // Delete a user
 const deleteUser = async (username) => {
   try {
@@ -72,7 +232,8 @@ const deleteUser = async (username) => {
       };
     }
     
-    await db.query(`DROP ROLE ${username};`);
+    await auditService.track('delete-user', { user: username }, () =>
+      db.query(`DROP ROLE ${quoteIdent(username)};`));
     return { success: true, message: `User ${username} deleted successfully` };
   } catch (err) {
     console.error('Error deleting user:', err.message);
@@ -84,5 +245,10 @@ module.exports = {
   listUsers,
   createUser,
   updateUserPassword,
-  deleteUser
+  listExpiringUsers,
+  getPasswordHashReport,
+  rotatePasswords,
+  deleteUser,
+  getPasswordEncryption,
+  describeEncryption
 }; 
\ No newline at end of file
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const { getConfigPath, ensureConfigDir } = require('../utils/configUtils');
+const { parseCSV } = require('../utils/outputUtils');
+
+const VAULT_FILE = 'vault.enc';
+const VAULT_VERSION = 1;
+
+// scrypt cost parameters; N = 2^15 needs 32 MiB, so maxmem is raised above the 32 MiB default
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+const KEY_LENGTH = 32;
+
+// Plaintext credential files written by earlier versions: credentials/user_<name>_<ts>.csv
+const LEGACY_DIR = 'credentials';
+const LEGACY_FILE = /^(user|import)_.*\.csv$/;
+
+// Path of the vault file (can be overridden with PGUM_VAULT_FILE)
+const getVaultPath = () => process.env.PGUM_VAULT_FILE || getConfigPath(VAULT_FILE);
+
+const vaultExists = () => fs.existsSync(getVaultPath());
+
+// Derive the AES-256 key of the vault from the passphrase
+const deriveKey = (passphrase, salt, params) =>
+  crypto.scryptSync(passphrase, salt, KEY_LENGTH, { ...params, maxmem: SCRYPT_MAXMEM });
+
+// Encrypt the vault contents with AES-256-GCM; a new salt and IV are used on every write
+const encrypt = (passphrase, contents) => {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT_PARAMS), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(contents), 'utf8'), cipher.final()]);
+
+  return {
+    version: VAULT_VERSION,
+    kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+};
+
+// Decrypt the vault file contents; a wrong passphrase fails the GCM authentication
+const decrypt = (passphrase, file) => {
+  if (file.version !== VAULT_VERSION || !file.kdf || file.kdf.name !== 'scrypt') {
+    throw new Error(`Unsupported vault format in ${getVaultPath()}`);
+  }
+
+  const { N, r, p } = file.kdf;
+  const key = deriveKey(passphrase, Buffer.from(file.kdf.salt, 'base64'), { N, r, p });
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(file.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+
+  try {
+    const data = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch (err) {
+    throw new Error('Cannot open the vault: wrong passphrase or corrupted file');
+  }
+};
+
+// Read and decrypt the vault; an empty vault is returned when the file does not exist yet
+const readVault = (passphrase) => {
+  const filePath = getVaultPath();
+  if (!fs.existsSync(filePath)) {
+    return { entries: [] };
+  }
+
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read vault ${filePath}: ${err.message}`);
+  }
+  return decrypt(passphrase, file);
+};
+
+// Encrypt and write the vault, replacing the previous file atomically
+const writeVault = (passphrase, contents) => {
+  const filePath = getVaultPath();
+  if (!process.env.PGUM_VAULT_FILE) {
+    ensureConfigDir();
+  }
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(encrypt(passphrase, contents), null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+};
+
+// Add credentials to the vault. Previous passwords of the same users are kept as history.
+const addCredentials = (passphrase, credentials, source) => {
+  try {
+    const vault = readVault(passphrase);
+    const connection = db.getConnectionInfo();
+    const savedAt = new Date().toISOString();
+
+    credentials.forEach(({ username, password, ...extra }) => {
+      vault.entries.push({
+        username,
+        password,
+        savedAt,
+        source: source || null,
+        profile: connection.name || null,
+        host: connection.host || null,
+        port: connection.port || null,
+        database: connection.database || null,
+        ...extra
+      });
+    });
+
+    writeVault(passphrase, vault);
+    return {
+      success: true,
+      message: `Credentials of ${credentials.length} user(s) saved to the vault ${getVaultPath()}`
+    };
+  } catch (err) {
+    console.error('Error saving credentials to the vault:', err.message);
+    throw err;
+  }
+};
+
+// Get the entries of the vault, newest last, optionally only those of one user
+const getEntries = (passphrase, username) => {
+  try {
+    const { entries } = readVault(passphrase);
+    return username ? entries.filter(entry => entry.username === username) : entries;
+  } catch (err) {
+    console.error('Error reading the vault:', err.message);
+    throw err;
+  }
+};
+
+// Get the entries of a user saved through the active connection (same profile, host and
+// database), newest last. A user of the same name on another cluster is a different role.
+const getConnectionEntries = (passphrase, username) => {
+  const connection = db.getConnectionInfo();
+  return getEntries(passphrase, username).filter(entry =>
+    entry.profile === (connection.name || null) &&
+    entry.host === (connection.host || null) &&
+    entry.database === (connection.database || null));
+};
+
+// Summarize the vault: one row per user with its latest entry and the number of saved passwords
+const listUsers = (passphrase) => {
+  const users = new Map();
+  getEntries(passphrase).forEach(entry => {
+    const current = users.get(entry.username);
+    users.set(entry.username, {
+      username: entry.username,
+      passwords: current ? current.passwords + 1 : 1,
+      lastSaved: entry.savedAt,
+      source: entry.source,
+      profile: entry.profile,
+      database: entry.database
+    });
+  });
+  return [...users.values()].sort((a, b) => a.username.localeCompare(b.username));
+};
+
+// Remove entries from the vault:
+//  - username: only the entries of this user
+//  - before: only the entries saved before this date
+//  - keepLatest: keep the latest entry of each user (drops the password history)
+const purge = (passphrase, filters = {}) => {
+  try {
+    const vault = readVault(passphrase);
+    const latest = new Map();
+    vault.entries.forEach((entry, index) => latest.set(entry.username, index));
+
+    const kept = vault.entries.filter((entry, index) => {
+      if (filters.username && entry.username !== filters.username) return true;
+      if (filters.before && new Date(entry.savedAt) >= filters.before) return true;
+      if (filters.keepLatest && latest.get(entry.username) === index) return true;
+      return false;
+    });
+
+    const removed = vault.entries.length - kept.length;
+    writeVault(passphrase, { ...vault, entries: kept });
+    return { success: true, message: `Removed ${removed} entr${removed === 1 ? 'y' : 'ies'} from the vault`, removed };
+  } catch (err) {
+    console.error('Error purging the vault:', err.message);
+    throw err;
+  }
+};
+
+// Find the plaintext credential files left by earlier versions in a directory
+const findLegacyFiles = (baseDir = process.cwd()) => {
+  const dir = path.join(baseDir, LEGACY_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => LEGACY_FILE.test(name))
+    .map(name => path.join(dir, name))
+    .sort();
+};
+
+// Overwrite a file with random bytes before deleting it, so the plaintext is not left in its blocks
+const secureDelete = (filePath) => {
+  const { size } = fs.statSync(filePath);
+  const fd = fs.openSync(filePath, 'r+');
+  try {
+    fs.writeSync(fd, crypto.randomBytes(Math.max(size, 1)), 0, Math.max(size, 1), 0);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.unlinkSync(filePath);
+};
+
+// Import the plaintext credential files into the vault, then securely delete them.
+// A file is only deleted once the vault holding its credentials has been written.
+const migrateLegacyFiles = (passphrase, files) => {
+  try {
+    const vault = readVault(passphrase);
+    const results = [];
+    const imported = [];
+
+    files.forEach(filePath => {
+      try {
+        const [header = [], ...rows] = parseCSV(fs.readFileSync(filePath, 'utf8'));
+        const columns = header.map(column => column.trim().toLowerCase());
+        const userIndex = columns.indexOf('username');
+        const passwordIndex = columns.indexOf('password');
+        if (userIndex === -1 || passwordIndex === -1) {
+          throw new Error('missing Username or Password column');
+        }
+
+        const savedAt = fs.statSync(filePath).mtime.toISOString();
+        rows.forEach(cells => {
+          vault.entries.push({
+            username: cells[userIndex],
+            password: cells[passwordIndex],
+            savedAt,
+            source: `migrated from ${path.basename(filePath)}`,
+            profile: null,
+            host: null,
+            port: null,
+            database: null
+          });
+        });
+        imported.push(filePath);
+        results.push({ file: filePath, users: rows.length, success: true });
+      } catch (err) {
+        results.push({ file: filePath, users: 0, success: false, error: err.message });
+      }
+    });
+
+    // Keep entries in chronological order so the latest password of each user comes last
+    vault.entries.sort((a, b) => new Date(a.savedAt) - new Date(b.savedAt));
+    writeVault(passphrase, vault);
+
+    imported.forEach(filePath => {
+      const result = results.find(item => item.file === filePath);
+      try {
+        secureDelete(filePath);
+      } catch (err) {
+        result.success = false;
+        result.error = `imported, but could not be deleted: ${err.message}`;
+      }
+    });
+
+    const dirs = [...new Set(imported.map(filePath => path.dirname(filePath)))];
+    dirs.filter(dir => fs.readdirSync(dir).length === 0).forEach(dir => fs.rmdirSync(dir));
+
+    const failed = results.filter(result => !result.success).length;
+    return {
+      success: failed === 0,
+      message: `Migrated ${imported.length} credential file(s) to the vault${failed > 0 ? `, ${failed} failed` : ''}`,
+      results
+    };
+  } catch (err) {
+    console.error('Error migrating credential files:', err.message);
+    throw err;
+  }
+};
+
+module.exports = {
+  getVaultPath,
+  vaultExists,
+  addCredentials,
+  getEntries,
+  getConnectionEntries,
+  listUsers,
+  purge,
+  findLegacyFiles,
+  migrateLegacyFiles
+};
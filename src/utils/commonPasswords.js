@@ -0,0 +1,43 @@
+/**
+ * Common passwords and base words rejected for custom passwords. Passwords are also compared after
+ * undoing common substitutions (p@ssw0rd) and removing leading and trailing digits and symbols
+ * (Summer2024!), so variations of these entries are rejected too.
+ */
+module.exports = [
+  '000000', '111111', '11111111', '112233', '121212', '123123', '123321', '1234', '12345', '123456',
+  '1234567', '12345678', '123456789', '1234567890', '1234qwer', '1q2w3e', '1q2w3e4r', '1qaz2wsx',
+  '654321', '666666', '987654321', 'a1b2c3', 'aaa111', 'aaaaaa', 'abc', 'abc123', 'abcd1234',
+  'abcdef', 'access', 'admin', 'admin123', 'administrator', 'africa', 'always', 'amanda', 'amazon',
+  'america', 'andrew', 'android', 'angel', 'angels', 'apple', 'apple123', 'arsenal', 'asdf',
+  'asdf1234', 'asdfgh', 'asdfghjkl', 'ashley', 'asia', 'australia', 'autumn', 'autumn1', 'azerty',
+  'baby', 'babygirl', 'backup', 'bailey', 'banana', 'barcelona', 'baseball', 'baseball1',
+  'basketball', 'batman', 'batman1', 'berlin', 'blessed', 'boston', 'brazil', 'buddy', 'business',
+  'buster', 'canada', 'change', 'changeme', 'charlie', 'charlie1', 'cheese', 'chelsea', 'cherry',
+  'chicago', 'china', 'chocolate', 'christ', 'company', 'computer', 'computer1', 'cookie',
+  'corporate', 'corvette', 'cowboys', 'crystal', 'daisy', 'dallas', 'daniel', 'database',
+  'december', 'default', 'demo', 'denmark', 'diamond', 'dolphin', 'dragon', 'dragon1', 'eagle',
+  'eagles', 'egypt', 'england', 'espana', 'europe', 'facebook', 'faith', 'falcon', 'ferrari',
+  'finance', 'finland', 'flower', 'football', 'football1', 'forever', 'france', 'freedom',
+  'freedom1', 'friday', 'germany', 'ginger', 'god', 'golden', 'google', 'guest', 'hacker', 'happy',
+  'harley', 'heaven', 'hello', 'hello123', 'hockey', 'hockey1', 'holland', 'honey', 'hope',
+  'hunter', 'hunter2', 'iloveyou', 'iloveyou1', 'india', 'internet', 'internet1', 'iphone',
+  'ireland', 'israel', 'italia', 'january', 'jennifer', 'jessica', 'jesus', 'jordan', 'jordan23',
+  'joshua', 'juventus', 'killer', 'killer1', 'lakers', 'letmein', 'letmein1', 'linux', 'lion',
+  'liverpool', 'login', 'london', 'love', 'lovely', 'loveyou', 'lucky', 'madrid', 'maggie',
+  'manager', 'master', 'master1', 'matrix', 'matrix1', 'matthew', 'mercedes', 'mexico', 'michael',
+  'michael1', 'michelle', 'microsoft', 'molly', 'monday', 'mongodb', 'monkey', 'monkey1', 'mustang',
+  'mysql', 'netflix', 'network', 'newyork', 'nicole', 'ninja', 'nokia', 'norway', 'office',
+  'oracle', 'orange', 'p@ssword', 'paris', 'pass', 'pass123', 'passw0rd', 'passwd', 'password',
+  'password1', 'password12', 'password123', 'password2', 'password3', 'peace', 'pepper', 'phoenix',
+  'pokemon', 'pokemon1', 'poland', 'porsche', 'postgres', 'postgresql', 'princess', 'princess1',
+  'princess12', 'q1w2e3r4', 'qazwsx', 'qwe123', 'qwer1234', 'qwerty', 'qwerty1', 'qwerty12',
+  'qwerty123', 'qwertyuiop', 'ranger', 'redis', 'robert', 'root', 'russia', 'sales', 'sample',
+  'samsung', 'scotland', 'seattle', 'secret', 'secret123', 'secure', 'security', 'server',
+  'service', 'services', 'shadow', 'shadow1', 'silver', 'smile', 'soccer', 'soccer1', 'spiderman',
+  'spotify', 'spring', 'spring1', 'sqlserver', 'starwars', 'starwars1', 'sugar', 'summer',
+  'summer1', 'sunday', 'sunshine', 'sunshine1', 'superman', 'superman1', 'superuser', 'support',
+  'sweden', 'sweetie', 'sweety', 'sysadmin', 'system', 'temp', 'temporary', 'test', 'test123',
+  'tester', 'testing', 'thomas', 'tiger', 'tokyo', 'toor', 'trustno1', 'turkey', 'twitter',
+  'ubuntu', 'welcome', 'welcome1', 'welcome123', 'whatever', 'whatever1', 'windows', 'winter',
+  'winter1', 'wireless', 'yankees', 'youtube', 'zaq12wsx', 'zealand', 'zxcvbn', 'zxcvbnm', 'zzzzzz'
+];
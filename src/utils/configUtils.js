@@ -0,0 +1,47 @@
+/**
+ * Utility functions for locating the tool's local configuration files
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Get the directory that holds the tool's configuration files.
+ * Defaults to ~/.config/pg-user-manager, honouring XDG_CONFIG_HOME and PGUM_CONFIG_DIR.
+ * @returns {string} - Absolute path of the configuration directory
+ */
+function getConfigDir() {
+  if (process.env.PGUM_CONFIG_DIR) {
+    return path.resolve(process.env.PGUM_CONFIG_DIR);
+  }
+
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'pg-user-manager');
+}
+
+/**
+ * Get the path of a file inside the configuration directory
+ * @param {string} filename - Name of the file
+ * @returns {string} - Absolute path of the file
+ */
+function getConfigPath(filename) {
+  return path.join(getConfigDir(), filename);
+}
+
+/**
+ * Create the configuration directory (readable by the current OS user only) if needed
+ * @returns {string} - Absolute path of the configuration directory
+ */
+function ensureConfigDir() {
+  const dir = getConfigDir();
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  }
+  return dir;
+}
+
+module.exports = {
+  getConfigDir,
+  getConfigPath,
+  ensureConfigDir
+};
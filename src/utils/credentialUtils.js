@@ -0,0 +1,203 @@
+/**
+ * Utility functions for rendering user credentials in the formats consumed by applications
+ */
+const fs = require('fs');
+const YAML = require('yaml');
+
+const CREDENTIAL_FORMATS = ['url', 'jdbc', 'pgpass', 'env', 'k8s'];
+
+const DEFAULT_HOST = 'localhost';
+const DEFAULT_PORT = 5432;
+
+/**
+ * Build the credentials of a user on a connection
+ * @param {Object} connection - Connection settings (host, port, database, ssl)
+ * @param {string} username - Login name of the user
+ * @param {string} password - Password of the user
+ * @returns {Object} - Credentials with host, port, database, username, password and ssl
+ */
+function buildCredentials(connection, username, password) {
+  return {
+    host: connection.host || DEFAULT_HOST,
+    port: Number(connection.port) || DEFAULT_PORT,
+    database: connection.database || username,
+    username,
+    password,
+    ssl: Boolean(connection.ssl)
+  };
+}
+
+/**
+ * Render credentials as a libpq connection URI
+ * @param {Object} credentials - Credentials returned by buildCredentials
+ * @returns {string} - postgresql:// URI with the user name and password percent-encoded
+ */
+function toLibpqUrl(credentials) {
+  const host = credentials.host.includes(':') ? `[${credentials.host}]` : credentials.host;
+  const userInfo = `${encodeURIComponent(credentials.username)}:${encodeURIComponent(credentials.password)}`;
+  const query = credentials.ssl ? '?sslmode=require' : '';
+  return `postgresql://${userInfo}@${host}:${credentials.port}/${encodeURIComponent(credentials.database)}${query}`;
+}
+
+/**
+ * Render credentials as a PostgreSQL JDBC URL
+ * @param {Object} credentials - Credentials returned by buildCredentials
+ * @returns {string} - jdbc:postgresql:// URL with the user name and password as parameters
+ */
+function toJdbcUrl(credentials) {
+  const host = credentials.host.includes(':') ? `[${credentials.host}]` : credentials.host;
+  const params = [
+    `user=${encodeURIComponent(credentials.username)}`,
+    `password=${encodeURIComponent(credentials.password)}`,
+    ...(credentials.ssl ? ['sslmode=require'] : [])
+  ];
+  return `jdbc:postgresql://${host}:${credentials.port}/${encodeURIComponent(credentials.database)}?${params.join('&')}`;
+}
+
+/**
+ * Render credentials as a .pgpass line (hostname:port:database:username:password)
+ * @param {Object} credentials - Credentials returned by buildCredentials
+ * @returns {string} - The line, with ":" and "\" escaped in each field
+ */
+function toPgpassLine(credentials) {
+  return [credentials.host, credentials.port, credentials.database, credentials.username, credentials.password]
+    .map(field => String(field).replace(/\\/g, '\\\\').replace(/:/g, '\\:'))
+    .join(':');
+}
+
+/**
+ * Get the libpq environment variables for credentials, plus DATABASE_URL
+ * @param {Object} credentials - Credentials returned by buildCredentials
+ * @returns {Object} - Variable names and values
+ */
+function toEnvironment(credentials) {
+  return {
+    PGHOST: credentials.host,
+    PGPORT: String(credentials.port),
+    PGDATABASE: credentials.database,
+    PGUSER: credentials.username,
+    PGPASSWORD: credentials.password,
+    ...(credentials.ssl ? { PGSSLMODE: 'require' } : {}),
+    DATABASE_URL: toLibpqUrl(credentials)
+  };
+}
+
+/**
+ * Quote a value for a dotenv file. dotenv does not unescape quotes, so the first
+ * quote character that does not appear in the value is used.
+ * @param {string} value - Value to quote
+ * @returns {string} - The quoted value
+ */
+function quoteDotenv(value) {
+  const quote = ["'", '"', '`'].find(candidate => !value.includes(candidate));
+  if (!quote || value.includes('\n')) {
+    throw new Error('The value cannot be written to a dotenv file: it contains every quote character or a line break');
+  }
+  return `${quote}${value}${quote}`;
+}
+
+/**
+ * Render credentials as a dotenv file
+ * @param {Object} credentials - Credentials returned by buildCredentials
+ * @returns {string} - One KEY='value' line per variable
+ */
+function toDotenv(credentials) {
+  return Object.entries(toEnvironment(credentials))
+    .map(([name, value]) => `${name}=${quoteDotenv(value)}`)
+    .join('\n');
+}
+
+/**
+ * Turn a user name into a valid Kubernetes object name (RFC 1123 subdomain)
+ * @param {string} name - Name to convert
+ * @returns {string} - Lowercase name made of letters, digits, "-" and "."
+ */
+function toKubernetesName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9.-]+/g, '-').replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '').slice(0, 253);
+}
+
+/**
+ * Render credentials as a Kubernetes Secret manifest with base64-encoded data
+ * @param {Object} credentials - Credentials returned by buildCredentials
+ * @param {Object} options - name (default: <username>-postgres) and namespace of the Secret
+ * @returns {string} - YAML manifest
+ */
+function toKubernetesSecret(credentials, options = {}) {
+  const name = options.name || `${toKubernetesName(credentials.username)}-postgres`;
+  const data = {};
+  Object.entries(toEnvironment(credentials)).forEach(([key, value]) => {
+    data[key] = Buffer.from(value, 'utf8').toString('base64');
+  });
+
+  return YAML.stringify({
+    apiVersion: 'v1',
+    kind: 'Secret',
+    metadata: {
+      name,
+      ...(options.namespace ? { namespace: options.namespace } : {}),
+      labels: { 'app.kubernetes.io/managed-by': 'pg-user-manager' }
+    },
+    type: 'Opaque',
+    data
+  }).trimEnd();
+}
+
+/**
+ * Render credentials in one of the supported formats
+ * @param {Object} credentials - Credentials returned by buildCredentials
+ * @param {string} format - One of CREDENTIAL_FORMATS
+ * @param {Object} options - Options of the k8s format (name, namespace)
+ * @returns {string} - The rendered credentials, without a trailing line break
+ */
+function formatCredentials(credentials, format, options = {}) {
+  switch (format) {
+    case 'url':
+      return toLibpqUrl(credentials);
+    case 'jdbc':
+      return toJdbcUrl(credentials);
+    case 'pgpass':
+      return toPgpassLine(credentials);
+    case 'env':
+      return toDotenv(credentials);
+    case 'k8s':
+      return toKubernetesSecret(credentials, options);
+    default:
+      throw new Error(`Unknown credential format: ${format}. Use one of: ${CREDENTIAL_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Write rendered credentials to a file readable by the current OS user only.
+ * A .pgpass line is appended to an existing file; other formats never overwrite one.
+ * @param {string} filePath - Path of the file
+ * @param {string} content - Rendered credentials
+ * @param {string} format - Format of the content
+ */
+function writeCredentialsFile(filePath, content, format) {
+  if (format === 'pgpass') {
+    const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+    const separator = existing.length > 0 && !existing.endsWith('\n') ? '\n' : '';
+    fs.appendFileSync(filePath, separator + content + '\n', { mode: 0o600 });
+  } else {
+    fs.writeFileSync(filePath, content + '\n', { mode: 0o600, flag: 'wx' });
+  }
+  // The mode only applies to new files; an existing .pgpass is locked down too
+  fs.chmodSync(filePath, 0o600);
+}
+
+/**
+ * Check whether a command prints the credentials it sets to stdout
+ * @param {Object} options - Command options (credentialFormat, credentialFile)
+ * @returns {boolean} - True with --credential-format and without --credential-file
+ */
+function printsCredentials(options) {
+  return Boolean(options.credentialFormat && !options.credentialFile);
+}
+
+module.exports = {
+  CREDENTIAL_FORMATS,
+  buildCredentials,
+  formatCredentials,
+  writeCredentialsFile,
+  printsCredentials
+};
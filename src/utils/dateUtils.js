@@ -0,0 +1,62 @@
+/**
+ * Utility functions for password expiry dates and durations
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Number of days in each duration unit
+const DURATION_UNITS = { d: 1, w: 7 };
+
+/**
+ * Parse a duration such as "14d" or "12w" into a number of days
+ * @param {string} value - Number followed by d (days) or w (weeks); a bare number means days
+ * @returns {number|null} - Number of days, or null when the value is not a valid duration
+ */
+function parseDuration(value) {
+  const match = /^\s*(\d+)\s*([dw]?)\s*$/i.exec(String(value));
+  if (!match) return null;
+  return parseInt(match[1], 10) * DURATION_UNITS[(match[2] || 'd').toLowerCase()];
+}
+
+// ISO date (YYYY-MM-DD), optionally followed by a time and a UTC offset
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](?:[01]\d|2[0-3]):[0-5]\d(?::[0-5]\d(?:\.\d+)?)?(?:Z|[+-](?:[01]\d|2[0-3])(?::?[0-5]\d)?)?)?$/i;
+
+/**
+ * Parse a VALID UNTIL value: an ISO date or date-time, or "never"/"infinity" for no expiry.
+ * Other formats, which Date would read in surprising ways ("1", "March"), are rejected.
+ * @param {string} value - Value to parse
+ * @returns {Date|number|null} - Date, Infinity for no expiry, or null when the value is invalid
+ */
+function parseExpiry(value) {
+  const text = String(value).trim();
+  if (['never', 'infinity'].includes(text.toLowerCase())) {
+    return Infinity;
+  }
+
+  const match = ISO_DATE.exec(text);
+  if (!match) return null;
+
+  // Reject days that do not exist in the month, which Date would roll over (2025-02-30)
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  const calendar = new Date(Date.UTC(year, month - 1, day));
+  if (calendar.getUTCMonth() !== month - 1 || calendar.getUTCDate() !== day) return null;
+
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get the date a number of days from now
+ * @param {number} days - Number of days
+ * @param {Date} from - Starting date (default: now)
+ * @returns {Date} - The resulting date
+ */
+function addDays(days, from = new Date()) {
+  return new Date(from.getTime() + days * DAY_MS);
+}
+
+module.exports = {
+  parseDuration,
+  parseExpiry,
+  addDays
+};
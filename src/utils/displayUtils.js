@@ -14,6 +14,7 @@ const ora = (...args) => {
   };
 };
 const columnify = require('columnify');
+const { logInfo } = require('./outputUtils');
 
 /**
  * Creates a formatted table with role information
@@ -60,6 +61,9 @@ function displayRoleInformation(rolename, permissions) {
     // Display table permissions
     displayTablePermissions(permissions.tablePermissions);
     
+    // Display row-level security policies
+    displayPolicies(permissions.rlsPolicies);
+    
     // Display column permissions
     displayColumnPermissions(permissions.columnPermissions);
     
@@ -203,6 +207,720 @@ function displayUserRoles(username, roles) {
   console.log(`\n${chalk.gray('Total assigned roles:')} ${chalk.white.bold(roles.length)}`);
 }
 
+/**
+ * Displays a list of connection profiles in a formatted table
+ * @param {Array} profiles - Array of profile objects (without passwords)
+ */
+function displayProfilesList(profiles) {
+  console.log('\n' + chalk.yellow.bold('🔌 Connection Profiles:'));
+
+  if (!profiles || profiles.length === 0) {
+    console.log('  ' + chalk.italic.gray('No profiles found'));
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Name'),
+      chalk.cyan.bold('Host'),
+      chalk.cyan.bold('Port'),
+      chalk.cyan.bold('Database'),
+      chalk.cyan.bold('User'),
+      chalk.cyan.bold('Environment'),
+      chalk.cyan.bold('Password')
+    ],
+    style: { head: [], border: [] },
+    chars: {
+      'top': '═', 'top-mid': '╤', 'top-left': '╔', 'top-right': '╗',
+      'bottom': '═', 'bottom-mid': '╧', 'bottom-left': '╚', 'bottom-right': '╝',
+      'left': '║', 'left-mid': '╟', 'mid': '─', 'mid-mid': '┼',
+      'right': '║', 'right-mid': '╢', 'middle': '│'
+    }
+  });
+
+  profiles.forEach(profile => {
+    const name = profile.is_default ? `${profile.name} ${chalk.gray('(default)')}` : profile.name;
+    table.push([
+      chalk.green.bold(name),
+      chalk.white(profile.host || ''),
+      chalk.white(profile.port || ''),
+      chalk.white(profile.database || ''),
+      chalk.white(profile.user || ''),
+      formatEnvironment(profile.environment),
+      formatBooleanValue(profile.has_password)
+    ]);
+  });
+
+  console.log(table.toString());
+  console.log(`\n${chalk.gray('Total profiles:')} ${chalk.white.bold(profiles.length)}`);
+}
+
+/**
+ * Displays a warning banner before a mutating command runs against production
+ * @param {Object} connection - Connection info of the active profile
+ */
+function displayProductionBanner(connection) {
+  const target = `${connection.user || ''}@${connection.host || 'localhost'}:${connection.port || 5432}/${connection.database || ''}`;
+  const label = connection.name ? `profile "${connection.name}"` : 'the .env connection';
+
+  logInfo('\n' + chalk.bgRed.white.bold(' ⚠️  PRODUCTION '));
+  logInfo(chalk.red.bold(`You are about to make changes using ${label} (${target}).`));
+  logInfo('');
+}
+
+/**
+ * Displays the changes of a desired-state plan in a formatted table
+ * @param {Array} actions - Plan actions ({ action, target, description, success? })
+ */
+function displayPlan(actions) {
+  console.log('\n' + chalk.yellow.bold('📐 Plan:'));
+
+  if (!actions || actions.length === 0) {
+    console.log('  ' + chalk.green('No changes. The database matches the desired state.'));
+    return;
+  }
+
+  const showResult = actions.some(item => item.success !== undefined);
+  const head = [chalk.cyan.bold(''), chalk.cyan.bold('Action'), chalk.cyan.bold('Target'), chalk.cyan.bold('Change')];
+  if (showResult) head.push(chalk.cyan.bold('Result'));
+
+  const table = new Table({
+    head,
+    wordWrap: true,
+    style: { head: [], border: [] },
+    chars: {
+      'top': '═', 'top-mid': '╤', 'top-left': '╔', 'top-right': '╗',
+      'bottom': '═', 'bottom-mid': '╧', 'bottom-left': '╚', 'bottom-right': '╝',
+      'left': '║', 'left-mid': '╟', 'mid': '─', 'mid-mid': '┼',
+      'right': '║', 'right-mid': '╢', 'middle': '│'
+    }
+  });
+
+  actions.forEach(item => {
+    let symbol = chalk.yellow.bold('~');
+    if (item.action.startsWith('create') || item.action.startsWith('grant')) symbol = chalk.green.bold('+');
+    if (item.action.startsWith('drop') || item.action.startsWith('revoke')) symbol = chalk.red.bold('-');
+
+    const row = [symbol, chalk.white(item.action), chalk.green.bold(item.target), chalk.white(item.description)];
+    if (showResult) {
+      if (item.success === undefined) {
+        row.push(chalk.italic.gray('not run'));
+      } else {
+        row.push(item.success ? chalk.green.bold('✓ Done') : chalk.red.bold(`✗ ${item.message}`));
+      }
+    }
+    table.push(row);
+  });
+
+  console.log(table.toString());
+
+  const count = action => actions.filter(item => item.action.startsWith(action)).length;
+  console.log(`\n${chalk.gray('Changes:')} ${chalk.green.bold(count('create') + count('grant'))} to add, ` +
+    `${chalk.yellow.bold(count('change') + count('reassign'))} to change, ${chalk.red.bold(count('revoke') + count('drop'))} to remove`);
+}
+
+/**
+ * Displays the per-schema outcome of a grant or revoke operation
+ * @param {Array} results - Array of { schema, success, statement, error } objects
+ */
+function displaySchemaResults(results) {
+  if (!results || results.length === 0) return;
+
+  console.log('\n' + chalk.yellow.bold('📋 Schema Results:'));
+
+  const table = new Table({
+    head: [chalk.cyan.bold('Schema'), chalk.cyan.bold('Result'), chalk.cyan.bold('Error')],
+    colWidths: [25, 12, 60],
+    wordWrap: true,
+    style: { head: [], border: [] },
+    chars: {
+      'top': '═', 'top-mid': '╤', 'top-left': '╔', 'top-right': '╗',
+      'bottom': '═', 'bottom-mid': '╧', 'bottom-left': '╚', 'bottom-right': '╝',
+      'left': '║', 'left-mid': '╟', 'mid': '─', 'mid-mid': '┼',
+      'right': '║', 'right-mid': '╢', 'middle': '│'
+    }
+  });
+
+  results.forEach(result => {
+    table.push([
+      chalk.white(result.schema),
+      result.success ? chalk.green.bold('✓ Success') : chalk.red.bold('✗ Failed'),
+      result.error ? chalk.red(result.error) : ''
+    ]);
+  });
+
+  console.log(table.toString());
+
+  const failed = results.filter(result => !result.success).length;
+  console.log(`\n${chalk.gray('Succeeded:')} ${chalk.green.bold(results.length - failed)}  ${chalk.gray('Failed:')} ${chalk.red.bold(failed)}`);
+}
+
+/**
+ * Displays audit journal entries in a formatted table
+ * @param {Array} entries - Audit entries, oldest first
+ * @param {boolean} showSql - Whether to include the executed SQL
+ */
+function displayAuditLog(entries, showSql = false) {
+  console.log('\n' + chalk.yellow.bold('📜 Audit Log:'));
+
+  if (!entries || entries.length === 0) {
+    console.log('  ' + chalk.italic.gray('No audit entries found'));
+    return;
+  }
+
+  const head = [
+    chalk.cyan.bold('Time'),
+    chalk.cyan.bold('Operator'),
+    chalk.cyan.bold('Connection'),
+    chalk.cyan.bold('Command'),
+    chalk.cyan.bold('Targets'),
+    chalk.cyan.bold('Result')
+  ];
+  if (showSql) head.push(chalk.cyan.bold('SQL'));
+
+  const table = new Table({
+    head,
+    wordWrap: true,
+    style: { head: [], border: [] },
+    chars: {
+      'top': '═', 'top-mid': '╤', 'top-left': '╔', 'top-right': '╗',
+      'bottom': '═', 'bottom-mid': '╧', 'bottom-left': '╚', 'bottom-right': '╝',
+      'left': '║', 'left-mid': '╟', 'mid': '─', 'mid-mid': '┼',
+      'right': '║', 'right-mid': '╢', 'middle': '│'
+    }
+  });
+
+  entries.forEach(entry => {
+    const targets = Object.entries(entry.targets || {})
+      .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+      .join('\n');
+    const connection = `${entry.profile ? `${entry.profile} ` : ''}(${entry.host || 'localhost'}/${entry.database || ''})`;
+    const command = entry.command && entry.command !== entry.action
+      ? `${entry.action}\n${chalk.gray(`via ${entry.command}`)}`
+      : entry.action;
+
+    const row = [
+      chalk.white(entry.timestamp.replace('T', ' ').replace(/\.\d+Z$/, 'Z')),
+      chalk.white(entry.osUser || ''),
+      chalk.white(connection),
+      chalk.green.bold(command),
+      chalk.white(targets),
+      entry.success ? chalk.green.bold('✓ Success') : chalk.red.bold(`✗ ${entry.error || 'Failed'}`)
+    ];
+    if (showSql) row.push(chalk.gray((entry.sql || []).join('\n')));
+    table.push(row);
+  });
+
+  console.log(table.toString());
+  console.log(`\n${chalk.gray('Total entries:')} ${chalk.white.bold(entries.length)}`);
+}
+
+/**
+ * Displays row-level security policies in a formatted table
+ * @param {Array} policies - Array of policy objects returned by listPolicies
+ */
+function displayPolicies(policies) {
+  console.log('\n' + chalk.yellow.bold('🛡️ Row-Level Security Policies:'));
+
+  if (!policies || policies.length === 0) {
+    console.log('  ' + chalk.italic.gray('None'));
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Table'),
+      chalk.cyan.bold('Policy'),
+      chalk.cyan.bold('Type'),
+      chalk.cyan.bold('Command'),
+      chalk.cyan.bold('Roles'),
+      chalk.cyan.bold('USING'),
+      chalk.cyan.bold('WITH CHECK'),
+      chalk.cyan.bold('RLS')
+    ],
+    wordWrap: true,
+    style: { head: [], border: [] },
+    chars: {
+      'top': '═', 'top-mid': '╤', 'top-left': '╔', 'top-right': '╗',
+      'bottom': '═', 'bottom-mid': '╧', 'bottom-left': '╚', 'bottom-right': '╝',
+      'left': '║', 'left-mid': '╟', 'mid': '─', 'mid-mid': '┼',
+      'right': '║', 'right-mid': '╢', 'middle': '│'
+    }
+  });
+
+  policies.forEach(policy => {
+    let rls = chalk.red.bold('✗ Disabled');
+    if (policy.rls_enabled) {
+      rls = policy.rls_forced ? chalk.green.bold('✓ Forced') : chalk.green.bold('✓ Enabled');
+    }
+
+    table.push([
+      chalk.white(`${policy.schema_name}.${policy.table_name}`),
+      chalk.green.bold(policy.policy_name),
+      policy.type === 'RESTRICTIVE' ? chalk.yellow(policy.type) : chalk.white(policy.type),
+      formatPrivilege(policy.command),
+      chalk.white(policy.roles.join(', ')),
+      chalk.white(policy.using_expression || ''),
+      chalk.white(policy.check_expression || ''),
+      rls
+    ]);
+  });
+
+  console.log(table.toString());
+}
+
+/**
+ * Displays what a role owns or has been granted in each database of the cluster
+ * @param {string} rolename - Role the dependencies belong to
+ * @param {Array} dependencies - Array of { database, objects, error } objects returned by getRoleDependencies
+ */
+function displayRoleDependencies(rolename, dependencies) {
+  console.log('\n' + chalk.yellow.bold(`🔗 Objects and Privileges of ${rolename}:`));
+
+  const rows = dependencies.filter(entry => entry.objects.length > 0 || entry.error);
+  if (rows.length === 0) {
+    console.log('  ' + chalk.italic.gray('None'));
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan.bold('Database'), chalk.cyan.bold('Dependency'), chalk.cyan.bold('Object')],
+    wordWrap: true,
+    style: { head: [], border: [] },
+    chars: {
+      'top': '═', 'top-mid': '╤', 'top-left': '╔', 'top-right': '╗',
+      'bottom': '═', 'bottom-mid': '╧', 'bottom-left': '╚', 'bottom-right': '╝',
+      'left': '║', 'left-mid': '╟', 'mid': '─', 'mid-mid': '┼',
+      'right': '║', 'right-mid': '╢', 'middle': '│'
+    }
+  });
+
+  rows.forEach(entry => {
+    if (entry.error) {
+      table.push([chalk.white(entry.database), chalk.red.bold('✗ Not inspected'), chalk.red(entry.error)]);
+    }
+    entry.objects.forEach(object => {
+      table.push([
+        chalk.white(entry.database),
+        object.dependency === 'owner' ? chalk.yellow.bold('owner') : chalk.white(object.dependency),
+        chalk.white(object.object)
+      ]);
+    });
+  });
+
+  console.log(table.toString());
+
+  const objects = dependencies.flatMap(entry => entry.objects);
+  const owned = objects.filter(object => object.dependency === 'owner').length;
+  console.log(`\n${chalk.gray('Owned objects:')} ${chalk.yellow.bold(owned)}  ${chalk.gray('Other dependencies:')} ${chalk.white.bold(objects.length - owned)}`);
+}
+
+/**
+ * Displays the per-database outcome of an operation run in several databases
+ * @param {Array} results - Array of { database, success, error } objects
+ */
+function displayDatabaseResults(results) {
+  if (!results || results.length === 0) return;
+
+  const table = new Table({
+    head: [chalk.cyan.bold('Database'), chalk.cyan.bold('Result'), chalk.cyan.bold('Error')],
+    colWidths: [25, 12, 60],
+    wordWrap: true,
+    style: { head: [], border: [] },
+    chars: {
+      'top': '═', 'top-mid': '╤', 'top-left': '╔', 'top-right': '╗',
+      'bottom': '═', 'bottom-mid': '╧', 'bottom-left': '╚', 'bottom-right': '╝',
+      'left': '║', 'left-mid': '╟', 'mid': '─', 'mid-mid': '┼',
+      'right': '║', 'right-mid': '╢', 'middle': '│'
+    }
+  });
+
+  results.forEach(result => {
+    table.push([
+      chalk.white(result.database),
+      result.success ? chalk.green.bold('✓ Success') : chalk.red.bold('✗ Failed'),
+      result.error ? chalk.red(result.error) : ''
+    ]);
+  });
+
+  console.log(table.toString());
+}
+
+/**
+ * Displays the attribute changes about to be applied to a role
+ * @param {string} rolename - Role being altered
+ * @param {Array} changes - Array of { attribute, from, to, privileged } objects returned by describeAttributeChanges
+ */
+function displayAttributeChanges(rolename, changes) {
+  console.log('\n' + chalk.yellow.bold(`✏️ Changes to ${rolename}:`));
+
+  if (!changes || changes.length === 0) {
+    console.log('  ' + chalk.italic.gray('None'));
+    return;
+  }
+
+  const formatValue = value => (typeof value === 'boolean' ? formatBooleanValue(value) : chalk.blue(String(value)));
+
+  const table = new Table({
+    head: [chalk.cyan.bold('Attribute'), chalk.cyan.bold('Current'), chalk.cyan.bold('New')],
+    style: { head: [], border: [] },
+    chars: {
+      'top': '═', 'top-mid': '╤', 'top-left': '╔', 'top-right': '╗',
+      'bottom': '═', 'bottom-mid': '╧', 'bottom-left': '╚', 'bottom-right': '╝',
+      'left': '║', 'left-mid': '╟', 'mid': '─', 'mid-mid': '┼',
+      'right': '║', 'right-mid': '╢', 'middle': '│'
+    }
+  });
+
+  changes.forEach(change => {
+    table.push([
+      change.privileged ? chalk.red.bold(change.attribute) : chalk.white(change.attribute),
+      formatValue(change.from),
+      formatValue(change.to)
+    ]);
+  });
+
+  console.log(table.toString());
+}
+
+/**
+ * Displays users whose password expires soon or has expired
+ * @param {Array} users - Array of { username, valid_until, expired, days_left } objects returned by listExpiringUsers
+ */
+function displayExpiringUsers(users) {
+  console.log('\n' + chalk.yellow.bold('⏳ Expiring Passwords:'));
+
+  if (!users || users.length === 0) {
+    console.log('  ' + chalk.italic.gray('None'));
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan.bold('User'), chalk.cyan.bold('Valid Until'), chalk.cyan.bold('Status')],
+    style: { head: [], border: [] },
+    chars: {
+      'top': '═', 'top-mid': '╤', 'top-left': '╔', 'top-right': '╗',
+      'bottom': '═', 'bottom-mid': '╧', 'bottom-left': '╚', 'bottom-right': '╝',
+      'left': '║', 'left-mid': '╟', 'mid': '─', 'mid-mid': '┼',
+      'right': '║', 'right-mid': '╢', 'middle': '│'
+    }
+  });
+
+  users.forEach(user => {
+    const status = user.expired ? chalk.red.bold('✗ Expired') : chalk.yellow.bold(`${user.days_left} day(s) left`);
+
+    table.push([
+      chalk.green.bold(user.username),
+      chalk.white(user.valid_until.toISOString()),
+      status
+    ]);
+  });
+
+  console.log(table.toString());
+  console.log(`\n${chalk.gray('Total users:')} ${chalk.white.bold(users.length)}  ${chalk.gray('Expired:')} ${chalk.red.bold(users.filter(user => user.expired).length)}`);
+}
+
+/**
+ * Displays the findings of a security audit, most severe first
+ * @param {Array} findings - Array of { severity, check, object, database, detail } objects returned by runSecurityAudit
+ */
+function displaySecurityFindings(findings) {
+  console.log('\n' + chalk.yellow.bold('🛡️  Security Audit:'));
+
+  if (!findings || findings.length === 0) {
+    console.log('  ' + chalk.italic.gray('No findings'));
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan.bold('Severity'), chalk.cyan.bold('Check'), chalk.cyan.bold('Object'), chalk.cyan.bold('Detail')],
+    style: { head: [], border: [] },
+    chars: {
+      'top': '═', 'top-mid': '╤', 'top-left': '╔', 'top-right': '╗',
+      'bottom': '═', 'bottom-mid': '╧', 'bottom-left': '╚', 'bottom-right': '╝',
+      'left': '║', 'left-mid': '╟', 'mid': '─', 'mid-mid': '┼',
+      'right': '║', 'right-mid': '╢', 'middle': '│'
+    }
+  });
+
+  const severities = {
+    critical: chalk.bgRed.white.bold(' CRITICAL '),
+    high: chalk.red.bold('HIGH'),
+    medium: chalk.yellow.bold('MEDIUM'),
+    low: chalk.gray('LOW')
+  };
+
+  findings.forEach(finding => {
+    table.push([
+      severities[finding.severity],
+      chalk.white(finding.check),
+      chalk.green.bold(finding.object),
+      chalk.white(finding.detail)
+    ]);
+  });
+
+  const count = severity => findings.filter(finding => finding.severity === severity).length;
+  console.log(table.toString());
+  console.log(`\n${chalk.gray('Critical:')} ${chalk.red.bold(count('critical'))}  ${chalk.gray('High:')} ${chalk.red.bold(count('high'))}  ${chalk.gray('Medium:')} ${chalk.yellow.bold(count('medium'))}  ${chalk.gray('Low:')} ${chalk.white.bold(count('low'))}`);
+}
+
+/**
+ * Displays the password hash type of each login user
+ * @param {Array} users - Array of { username, hash, valid_until, expired, status } objects returned by getPasswordHashReport
+ */
+function displayPasswordHashReport(users) {
+  console.log('\n' + chalk.yellow.bold('🔑 Password Hashes:'));
+
+  if (!users || users.length === 0) {
+    console.log('  ' + chalk.italic.gray('No login users found'));
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan.bold('User'), chalk.cyan.bold('Hash'), chalk.cyan.bold('Valid Until'), chalk.cyan.bold('Status')],
+    style: { head: [], border: [] },
+    chars: {
+      'top': '═', 'top-mid': '╤', 'top-left': '╔', 'top-right': '╗',
+      'bottom': '═', 'bottom-mid': '╧', 'bottom-left': '╚', 'bottom-right': '╝',
+      'left': '║', 'left-mid': '╟', 'mid': '─', 'mid-mid': '┼',
+      'right': '║', 'right-mid': '╢', 'middle': '│'
+    }
+  });
+
+  const statuses = {
+    'scram-sha-256': chalk.green.bold('✓ SCRAM'),
+    md5: chalk.red.bold('✗ md5'),
+    none: chalk.gray('No password'),
+    unknown: chalk.red.bold('✗ Unknown hash'),
+    expired: chalk.yellow.bold('⏳ Expired')
+  };
+
+  users.forEach(user => {
+    table.push([
+      chalk.green.bold(user.username),
+      chalk.white(user.hash),
+      chalk.white(user.valid_until ? user.valid_until.toISOString() : 'never'),
+      statuses[user.status]
+    ]);
+  });
+
+  const count = status => users.filter(user => user.status === status).length;
+  console.log(table.toString());
+  console.log(`\n${chalk.gray('SCRAM:')} ${chalk.green.bold(count('scram-sha-256'))}  ${chalk.gray('md5:')} ${chalk.red.bold(count('md5'))}  ${chalk.gray('No password:')} ${chalk.white.bold(count('none'))}  ${chalk.gray('Expired:')} ${chalk.yellow.bold(count('expired'))}`);
+}
+
+/**
+ * Displays the password policies with their estimated strength
+ * @param {Array} policies - Array of policies returned by listPolicies, with an optional sample password
+ */
+function displayPasswordPolicies(policies) {
+  console.log('\n' + chalk.yellow.bold('🔑 Password Policies:'));
+
+  const withSamples = policies.some(policy => policy.sample !== undefined);
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Policy'),
+      chalk.cyan.bold('Generates'),
+      chalk.cyan.bold('Entropy'),
+      chalk.cyan.bold('Source'),
+      ...(withSamples ? [chalk.cyan.bold('Sample')] : [])
+    ],
+    style: { head: [], border: [] },
+    chars: {
+      'top': '═', 'top-mid': '╤', 'top-left': '╔', 'top-right': '╗',
+      'bottom': '═', 'bottom-mid': '╧', 'bottom-left': '╚', 'bottom-right': '╝',
+      'left': '║', 'left-mid': '╟', 'mid': '─', 'mid-mid': '┼',
+      'right': '║', 'right-mid': '╢', 'middle': '│'
+    }
+  });
+
+  policies.forEach(policy => {
+    const name = policy.is_default ? `${policy.name} ${chalk.gray('(default)')}` : policy.name;
+    table.push([
+      chalk.green.bold(name),
+      policy.error ? chalk.red(policy.error) : chalk.white(policy.description),
+      policy.entropy_bits !== null ? chalk.white(`~${policy.entropy_bits} bits`) : '',
+      chalk.gray(policy.source),
+      ...(withSamples ? [chalk.white(policy.sample || '')] : [])
+    ]);
+  });
+
+  console.log(table.toString());
+}
+
+/**
+ * Displays the entries of an import file with the problems found in each one.
+ * Printed to stderr when stdout carries machine-readable output.
+ * @param {Array} entries - Array of entries returned by validateEntries
+ */
+function displayImportPreview(entries) {
+  logInfo('\n' + chalk.yellow.bold('📥 Users to Import:'));
+
+  if (!entries || entries.length === 0) {
+    logInfo('  ' + chalk.italic.gray('None'));
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Row'),
+      chalk.cyan.bold('User'),
+      chalk.cyan.bold('Roles'),
+      chalk.cyan.bold('Password'),
+      chalk.cyan.bold('Valid Until'),
+      chalk.cyan.bold('Status')
+    ],
+    wordWrap: true,
+    style: { head: [], border: [] },
+    chars: {
+      'top': '═', 'top-mid': '╤', 'top-left': '╔', 'top-right': '╗',
+      'bottom': '═', 'bottom-mid': '╧', 'bottom-left': '╚', 'bottom-right': '╝',
+      'left': '║', 'left-mid': '╟', 'mid': '─', 'mid-mid': '┼',
+      'right': '║', 'right-mid': '╢', 'middle': '│'
+    }
+  });
+
+  entries.forEach(entry => {
+    let validUntil = chalk.gray('never');
+    if (entry.validUntil instanceof Date) {
+      validUntil = chalk.white(entry.validUntil.toISOString());
+    }
+
+    table.push([
+      chalk.gray(String(entry.row)),
+      chalk.green.bold(entry.username || ''),
+      chalk.white(entry.roles.join(', ')),
+      entry.generate ? chalk.blue('generated') : chalk.white('provided'),
+      validUntil,
+      entry.errors.length > 0 ? chalk.red.bold(`✗ ${entry.errors.join('; ')}`) : chalk.green.bold('✓ Valid')
+    ]);
+  });
+
+  logInfo(table.toString());
+}
+
+/**
+ * Displays the per-user outcome of an operation run for several users
+ * @param {Array} results - Array of { username, success, error } objects, with the file row when imported
+ */
+function displayUserResults(results) {
+  if (!results || results.length === 0) return;
+
+  const withRows = results.some(result => result.row !== undefined);
+
+  const table = new Table({
+    head: [
+      ...(withRows ? [chalk.cyan.bold('Row')] : []),
+      chalk.cyan.bold('User'),
+      chalk.cyan.bold('Result'),
+      chalk.cyan.bold('Error')
+    ],
+    colWidths: [...(withRows ? [7] : []), 25, 12, 60],
+    wordWrap: true,
+    style: { head: [], border: [] },
+    chars: {
+      'top': '═', 'top-mid': '╤', 'top-left': '╔', 'top-right': '╗',
+      'bottom': '═', 'bottom-mid': '╧', 'bottom-left': '╚', 'bottom-right': '╝',
+      'left': '║', 'left-mid': '╟', 'mid': '─', 'mid-mid': '┼',
+      'right': '║', 'right-mid': '╢', 'middle': '│'
+    }
+  });
+
+  results.forEach(result => {
+    table.push([
+      ...(withRows ? [chalk.gray(String(result.row))] : []),
+      chalk.white(result.username),
+      result.success ? chalk.green.bold('✓ Success') : chalk.red.bold('✗ Failed'),
+      result.error ? chalk.red(result.error) : ''
+    ]);
+  });
+
+  console.log(table.toString());
+}
+
+/**
+ * Displays the users that have credentials in the vault
+ * @param {Array} users - Array of user summaries returned by listUsers
+ */
+function displayVaultUsers(users) {
+  console.log('\n' + chalk.yellow.bold('🔐 Credential Vault:'));
+
+  if (!users || users.length === 0) {
+    console.log('  ' + chalk.italic.gray('Empty'));
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('User'),
+      chalk.cyan.bold('Passwords'),
+      chalk.cyan.bold('Last Saved'),
+      chalk.cyan.bold('Source'),
+      chalk.cyan.bold('Profile/Database')
+    ],
+    style: { head: [], border: [] },
+    chars: {
+      'top': '═', 'top-mid': '╤', 'top-left': '╔', 'top-right': '╗',
+      'bottom': '═', 'bottom-mid': '╧', 'bottom-left': '╚', 'bottom-right': '╝',
+      'left': '║', 'left-mid': '╟', 'mid': '─', 'mid-mid': '┼',
+      'right': '║', 'right-mid': '╢', 'middle': '│'
+    }
+  });
+
+  users.forEach(user => {
+    table.push([
+      chalk.green.bold(user.username),
+      chalk.white(String(user.passwords)),
+      chalk.white(user.lastSaved),
+      chalk.gray(user.source || ''),
+      chalk.gray([user.profile, user.database].filter(Boolean).join('/'))
+    ]);
+  });
+
+  console.log(table.toString());
+  console.log(`\n${chalk.gray('Total users:')} ${chalk.white.bold(users.length)}`);
+}
+
+/**
+ * Displays saved credentials of the vault, oldest first
+ * @param {Array} entries - Array of vault entries
+ */
+function displayVaultEntries(entries) {
+  if (!entries || entries.length === 0) return;
+
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Saved At'),
+      chalk.cyan.bold('User'),
+      chalk.cyan.bold('Password'),
+      chalk.cyan.bold('Source'),
+      chalk.cyan.bold('Profile'),
+      chalk.cyan.bold('Database')
+    ],
+    style: { head: [], border: [] },
+    chars: {
+      'top': '═', 'top-mid': '╤', 'top-left': '╔', 'top-right': '╗',
+      'bottom': '═', 'bottom-mid': '╧', 'bottom-left': '╚', 'bottom-right': '╝',
+      'left': '║', 'left-mid': '╟', 'mid': '─', 'mid-mid': '┼',
+      'right': '║', 'right-mid': '╢', 'middle': '│'
+    }
+  });
+
+  entries.forEach((entry, index) => {
+    const latest = index === entries.length - 1;
+    table.push([
+      chalk.white(entry.savedAt),
+      chalk.green.bold(entry.username),
+      latest ? chalk.white.bold(entry.password) : chalk.gray(entry.password),
+      chalk.gray(entry.source || ''),
+      chalk.gray(entry.profile || ''),
+      chalk.gray(entry.database || '')
+    ]);
+  });
+
+  console.log(table.toString());
+}
+
 /**
  * Displays a quick visual summary of permissions (new function)
  * @param {Object} permissions - Permission object with all role permissions
@@ -249,10 +967,14 @@ function displayQuickSummary(permissions) {
   
   const totalColumns = permissions.columnPermissions ?
     new Set(permissions.columnPermissions.map(p => `${p.table_schema}.${p.table_name}.${p.column_name}`)).size : 0;
+
+  const totalFunctions = permissions.functionPermissions ?
+    new Set(permissions.functionPermissions.map(p => `${p.schema_name}.${p.function_name}(${p.argument_types})`)).size : 0;
   
   console.log(chalk.gray('⚡ Statistics:'));
   console.log(chalk.gray(`  • ${totalTables} tables with permissions`));
   console.log(chalk.gray(`  • ${totalColumns} columns with specific permissions`));
+  console.log(chalk.gray(`  • ${totalFunctions} functions and procedures with EXECUTE`));
 }
 
 /**
@@ -293,6 +1015,10 @@ function displayRoleDetails(roleDetails) {
     table.push(['Replication', formatBooleanValue(roleDetails.rolreplication)]);
   }
   
+  if (roleDetails.rolbypassrls) {
+    table.push(['Bypass RLS', formatBooleanValue(roleDetails.rolbypassrls)]);
+  }
+  
   if (roleDetails.rolconnlimit !== -1) {
     table.push(['Connection Limit', chalk.blue(roleDetails.rolconnlimit.toString())]);
   }
@@ -548,8 +1274,8 @@ function displayFunctionPermissions(functionPermissions) {
   }
   
   const table = new Table({
-    head: [chalk.cyan.bold('Function'), chalk.cyan.bold('Privilege')],
-    colWidths: [45, 30],
+    head: [chalk.cyan.bold('Function'), chalk.cyan.bold('Kind'), chalk.cyan.bold('Privilege'), chalk.cyan.bold('Granted By')],
+    colWidths: [45, 12, 20, 20],
     wordWrap: true,
     style: { head: [], border: [] },
     chars: {
@@ -563,7 +1289,9 @@ function displayFunctionPermissions(functionPermissions) {
   functionPermissions.forEach(perm => {
     table.push([
       chalk.white(`${perm.schema_name}.${perm.function_name}(${perm.argument_types})`),
-      formatPrivilege(perm.privilege)
+      chalk.white(perm.kind || 'FUNCTION'),
+      formatPrivilege(perm.privilege) + (perm.is_grantable ? chalk.gray(' (grantable)') : ''),
+      chalk.white(perm.grantor || '')
     ]);
   });
   
@@ -579,6 +1307,20 @@ function formatBooleanValue(value) {
   return value ? chalk.green.bold('✓ Yes') : chalk.red.bold('✗ No');
 }
 
+/**
+ * Format an environment name with a color that stands out for production
+ * @param {string} environment - Environment name (dev, staging, production...)
+ * @returns {string} - Formatted string
+ */
+function formatEnvironment(environment) {
+  if (!environment) return chalk.italic.gray('-');
+
+  const value = String(environment).toLowerCase();
+  if (value === 'prod' || value === 'production') return chalk.red.bold(environment);
+  if (value === 'staging') return chalk.yellow.bold(environment);
+  return chalk.green(environment);
+}
+
 /**
  * Format privilege with colors based on type
  * @param {string} privilege - Privilege name
@@ -608,5 +1350,23 @@ module.exports = {
   displayRoleInformation,
   displayRolesList,
   displayUsersList,
-  displayUserRoles
+  displayUserRoles,
+  displayProfilesList,
+  displayProductionBanner,
+  displayPlan,
+  displaySchemaResults,
+  displayAuditLog,
+  displayPolicies,
+  displayRoleDependencies,
+  displayDatabaseResults,
+  displayRoleDetails,
+  displayAttributeChanges,
+  displayExpiringUsers,
+  displayPasswordHashReport,
+  displaySecurityFindings,
+  displayUserResults,
+  displayPasswordPolicies,
+  displayImportPreview,
+  displayVaultUsers,
+  displayVaultEntries
 }; 
\ No newline at end of file
@@ -0,0 +1,199 @@
+/**
+ * Utility functions for printing command results in machine-readable formats
+ */
+const YAML = require('yaml');
+
+const OUTPUT_FORMATS = ['table', 'json', 'yaml', 'csv'];
+
+// Whether stdout only carries the result of the command (set by reserveStdout)
+let stdoutReserved = false;
+
+/**
+ * Check whether a format should bypass the formatted terminal tables
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {boolean} - True for json, yaml and csv
+ */
+function isMachineReadable(format) {
+  return format !== undefined && format !== 'table';
+}
+
+/**
+ * Convert a single value to its CSV cell representation
+ * @param {*} value - Value to convert
+ * @returns {string} - Escaped CSV cell
+ */
+function toCSVCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Serialize an array of row objects as CSV, using the union of their keys as header
+ * @param {Array<Object>} rows - Rows to serialize
+ * @returns {string} - CSV text including the header line
+ */
+function toCSV(rows) {
+  const columns = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+
+  const lines = [columns.map(toCSVCell).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => toCSVCell(row[column])).join(','));
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse CSV text into rows of cells. Quoted cells may contain commas, quotes and newlines.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of cells, without blank lines
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell.length > 0 || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim().length > 0));
+}
+
+/**
+ * Flatten an object of sections (like the result of listPermissions) into CSV rows.
+ * Every row gets a leading "section" column naming the key it came from.
+ * @param {Object} data - Object whose values are arrays, objects or scalars
+ * @returns {Array<Object>} - Flat rows
+ */
+function flattenSections(data) {
+  const rows = [];
+
+  Object.keys(data).forEach(section => {
+    const value = data[section];
+    if (Array.isArray(value)) {
+      value.forEach(item => rows.push({ section, ...item }));
+    } else if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+      rows.push({ section, ...value });
+    } else if (value !== null && value !== undefined) {
+      rows.push({ section, value });
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Serialize command results in the requested format
+ * @param {Array|Object} data - Rows or object returned by a service function
+ * @param {string} format - json, yaml or csv
+ * @returns {string} - Serialized text
+ */
+function formatOutput(data, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(data, null, 2);
+    case 'yaml':
+      return YAML.stringify(data).trimEnd();
+    case 'csv':
+      return toCSV(Array.isArray(data) ? data : flattenSections(data));
+    default:
+      throw new Error(`Unsupported output format: ${format}. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Print command results in the requested format to stdout
+ * @param {Array|Object} data - Rows or object returned by a service function
+ * @param {string} format - json, yaml or csv
+ */
+function printOutput(data, format) {
+  console.log(formatOutput(data, format));
+}
+
+/**
+ * Keep stdout for the result of the command, such as machine-readable output or credentials
+ * piped to another tool: informational messages and prompts go to stderr from now on
+ */
+function reserveStdout() {
+  stdoutReserved = true;
+}
+
+/**
+ * Check whether stdout is kept for the result of the command
+ * @returns {boolean} - True once reserveStdout was called
+ */
+function isStdoutReserved() {
+  return stdoutReserved;
+}
+
+/**
+ * Print an informational message: to stdout, or to stderr when stdout is reserved
+ * @param {...*} args - Values to print, as with console.log
+ */
+function logInfo(...args) {
+  if (stdoutReserved) {
+    console.error(...args);
+  } else {
+    console.log(...args);
+  }
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  isMachineReadable,
+  reserveStdout,
+  isStdoutReserved,
+  logInfo,
+  formatOutput,
+  printOutput,
+  toCSV,
+  parseCSV
+};
@@ -0,0 +1,111 @@
+/**
+ * Utility functions for hashing passwords client-side, as libpq's PQencryptPasswordConn does,
+ * so that only the verifier stored in pg_authid is sent to the server
+ */
+const crypto = require('crypto');
+
+// Password encryption methods, as named by the password_encryption setting
+const PASSWORD_ENCRYPTION_METHODS = ['scram-sha-256', 'md5'];
+
+// Defaults of libpq: 16 bytes of salt and the scram_iterations default of the server
+const SCRAM_SALT_LENGTH = 16;
+const SCRAM_DEFAULT_ITERATIONS = 4096;
+
+// Characters that SASLprep maps to nothing (RFC 3454 table B.1)
+const MAPPED_TO_NOTHING = /[\u00AD\u034F\u1806\u180B-\u180D\u200B-\u200D\u2060\uFE00-\uFE0F\uFEFF]/gu;
+
+// Non-ASCII spaces, mapped to a space (RFC 3454 table C.1.2)
+const NON_ASCII_SPACES = /[\u00A0\u1680\u2000-\u200B\u202F\u205F\u3000]/gu;
+
+// Prohibited output (RFC 3454 tables C.2 to C.9) and unassigned code points
+const PROHIBITED = /[\u0000-\u001F\u007F-\u009F\u0340\u0341\u06DD\u070F\u180E\u200C-\u200F\u2028-\u202E\u2060-\u2063\u206A-\u206F\u2FF0-\u2FFB\uD800-\uDFFF\uE000-\uF8FF\uFDD0-\uFDEF\uFEFF\uFFF9-\uFFFF\u{1D173}-\u{1D17A}\u{E0001}\u{E0020}-\u{E007F}\u{F0000}-\u{10FFFF}]|\p{Cn}/u;
+
+// Right-to-left characters (Hebrew and Arabic blocks) and other letters, for the bidirectional check
+const RIGHT_TO_LEFT = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFC]/u;
+const LEFT_TO_RIGHT = /(?![\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFC])\p{L}/u;
+
+/**
+ * Prepare a password with SASLprep (RFC 4013), as PostgreSQL does before hashing it. Like
+ * libpq, ASCII passwords are used as they are, and a password that SASLprep rejects is
+ * used unchanged instead of failing. Right-to-left characters are recognized by their block.
+ * @param {string} password - Password to prepare
+ * @returns {string} - The prepared password
+ */
+function saslprep(password) {
+  if (/^[\x00-\x7F]*$/.test(password)) {
+    return password;
+  }
+
+  const prepared = password
+    .replace(MAPPED_TO_NOTHING, '')
+    .replace(NON_ASCII_SPACES, ' ')
+    .normalize('NFKC');
+
+  if (prepared.length === 0 || PROHIBITED.test(prepared)) {
+    return password;
+  }
+
+  if (RIGHT_TO_LEFT.test(prepared)) {
+    const chars = Array.from(prepared);
+    if (LEFT_TO_RIGHT.test(prepared) || !RIGHT_TO_LEFT.test(chars[0]) || !RIGHT_TO_LEFT.test(chars[chars.length - 1])) {
+      return password;
+    }
+  }
+
+  return prepared;
+}
+
+/**
+ * Build the SCRAM-SHA-256 verifier of a password (RFC 5802 and RFC 7677)
+ * @param {string} password - Password to hash
+ * @param {Object} options - iterations (default 4096) and salt (default: 16 random bytes)
+ * @returns {string} - SCRAM-SHA-256$<iterations>:<salt>$<StoredKey>:<ServerKey>, in base64
+ */
+function scramSha256Verifier(password, options = {}) {
+  const iterations = options.iterations || SCRAM_DEFAULT_ITERATIONS;
+  const salt = options.salt || crypto.randomBytes(SCRAM_SALT_LENGTH);
+
+  const saltedPassword = crypto.pbkdf2Sync(Buffer.from(saslprep(password), 'utf8'), salt, iterations, 32, 'sha256');
+  const hmac = (key, text) => crypto.createHmac('sha256', key).update(text).digest();
+  const storedKey = crypto.createHash('sha256').update(hmac(saltedPassword, 'Client Key')).digest();
+  const serverKey = hmac(saltedPassword, 'Server Key');
+
+  return `SCRAM-SHA-256$${iterations}:${salt.toString('base64')}$${storedKey.toString('base64')}:${serverKey.toString('base64')}`;
+}
+
+/**
+ * Build the MD5 verifier of a password, for servers whose password_encryption is md5
+ * @param {string} password - Password to hash
+ * @param {string} username - Role name, used as the salt
+ * @returns {string} - "md5" followed by the hex MD5 of the password and the role name
+ */
+function md5Verifier(password, username) {
+  return 'md5' + crypto.createHash('md5').update(password + username, 'utf8').digest('hex');
+}
+
+/**
+ * Hash a password with a password encryption method
+ * @param {string} password - Password to hash
+ * @param {string} username - Role the password is for
+ * @param {string} method - One of PASSWORD_ENCRYPTION_METHODS
+ * @param {Object} options - iterations of SCRAM-SHA-256
+ * @returns {string} - The verifier to send in place of the password
+ */
+function encryptPassword(password, username, method, options = {}) {
+  switch (method) {
+    case 'scram-sha-256':
+      return scramSha256Verifier(password, options);
+    case 'md5':
+      return md5Verifier(password, username);
+    default:
+      throw new Error(`Unknown password encryption method: ${method}. Use one of: ${PASSWORD_ENCRYPTION_METHODS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  PASSWORD_ENCRYPTION_METHODS,
+  saslprep,
+  scramSha256Verifier,
+  md5Verifier,
+  encryptPassword
+};
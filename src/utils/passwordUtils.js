@@ -1,95 +1,180 @@
 /**
  * Utility functions for password generation and management
  */
+const crypto = require('crypto');
 const fs = require('fs');
-const path = require('path');
+const WORD_LIST = require('./wordList');
+
+// Character classes of generated passwords. The special characters leave out quotes, backslashes,
+// "$" and other characters that need escaping in SQL literals, shells, .pgpass files or dotenv files.
+const CHARACTER_CLASSES = {
+  lower: 'abcdefghijklmnopqrstuvwxyz',
+  upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  digit: '0123456789',
+  special: '!#%*+-.=?@^_~'
+};
+
+// Special characters that never need percent-encoding in a URL (RFC 3986 unreserved characters)
+const URL_SAFE_SPECIAL = '-._~';
+
+// Characters that are easily confused when a password is read or typed
+const AMBIGUOUS_CHARACTERS = 'Il1O0o';
+
+const MIN_LENGTH = 8;
+const MIN_WORDS = 3;
 
 /**
- * Generate a secure random password
- * @param {number} length - Length of the password to generate
- * @param {boolean} includeSpecial - Whether to include special characters
- * @param {boolean} includeNumbers - Whether to include numbers
- * @param {boolean} includeUppercase - Whether to include uppercase letters
- * @returns {string} - The generated password
+ * Pick a random element of a string or array using a cryptographically secure generator
+ * @param {string|Array} items - Characters or words to pick from
+ * @returns {string} - The chosen element
+ */
+function pickRandom(items) {
+  return items[crypto.randomInt(items.length)];
+}
+
+/**
+ * Get the characters of each class used by a character policy
+ * @param {Object} policy - Policy with classes, excludeAmbiguous and urlSafe
+ * @returns {Object} - Characters keyed by class name
+ */
+function getCharacterSets(policy) {
+  const classes = policy.classes || Object.keys(CHARACTER_CLASSES);
+  const sets = {};
+
+  classes.forEach(name => {
+    if (!CHARACTER_CLASSES[name]) {
+      throw new Error(`Unknown character class: ${name}. Use one of: ${Object.keys(CHARACTER_CLASSES).join(', ')}`);
+    }
+
+    let chars = name === 'special' && policy.urlSafe ? URL_SAFE_SPECIAL : CHARACTER_CLASSES[name];
+    if (policy.excludeAmbiguous) {
+      chars = chars.split('').filter(char => !AMBIGUOUS_CHARACTERS.includes(char)).join('');
+    }
+    sets[name] = chars;
+  });
+
+  return sets;
+}
+
+/**
+ * Read the words of a passphrase policy: its dictionary file (one word per line) or the built-in list
+ * @param {Object} policy - Passphrase policy
+ * @returns {Array<string>} - Distinct words
  */
-function generateSecurePassword(
-  length = 16,
-  includeSpecial = true,
-  includeNumbers = true,
-  includeUppercase = true
-) {
-  const lowercase = 'abcdefghijklmnopqrstuvwxyz';
-  const uppercase = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-  const numbers = '0123456789';
-  const special = '!@#$%^&*()_+-=[]{}|;:,.<>?';
-  
-  let chars = lowercase;
-  if (includeUppercase) chars += uppercase;
-  if (includeNumbers) chars += numbers;
-  if (includeSpecial) chars += special;
-  
-  let password = '';
-  
-  // Ensure the password includes at least one character from each selected set
-  if (includeUppercase) password += uppercase.charAt(Math.floor(Math.random() * uppercase.length));
-  if (includeNumbers) password += numbers.charAt(Math.floor(Math.random() * numbers.length));
-  if (includeSpecial) password += special.charAt(Math.floor(Math.random() * special.length));
-  
-  // Fill the rest of the password
-  const remainingLength = length - password.length;
-  for (let i = 0; i < remainingLength; i++) {
-    const randomIndex = Math.floor(Math.random() * chars.length);
-    password += chars.charAt(randomIndex);
+function getWords(policy) {
+  if (!policy.dictionary) {
+    return WORD_LIST;
   }
-  
-  // Shuffle the password (Fisher-Yates algorithm)
-  const passwordArray = password.split('');
-  for (let i = passwordArray.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [passwordArray[i], passwordArray[j]] = [passwordArray[j], passwordArray[i]];
+
+  let text;
+  try {
+    text = fs.readFileSync(policy.dictionary, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read dictionary ${policy.dictionary}: ${err.message}`);
   }
-  
-  return passwordArray.join('');
+  return [...new Set(text.split(/\r?\n/).map(word => word.trim()).filter(word => /^[a-z]+$/i.test(word)))];
 }
 
 /**
- * Save user credentials to a CSV file
- * @param {Object} userData - Object containing username and password
- * @returns {Object} - Result object with success status and message
+ * Check a password policy, throwing a descriptive error when it cannot be used
+ * @param {Object} policy - Policy to check
  */
-function saveUserToCSV(userData) {
-  try {
-    // Create directory if it doesn't exist
-    const credentialsDir = path.join(process.cwd(), 'credentials');
-    if (!fs.existsSync(credentialsDir)) {
-      fs.mkdirSync(credentialsDir, { recursive: true });
+function validatePolicy(policy) {
+  if (policy.mode === 'passphrase') {
+    const words = policy.words || 6;
+    if (!Number.isInteger(words) || words < MIN_WORDS) {
+      throw new Error(`A passphrase needs at least ${MIN_WORDS} words`);
     }
-    
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `user_${userData.username}_${timestamp}.csv`;
-    const filePath = path.join(credentialsDir, filename);
-    
-    // Create CSV content
-    const csvContent = `Username,Password\n"${userData.username}","${userData.password}"`;
-    
-    // Write to file
-    fs.writeFileSync(filePath, csvContent);
-    
-    return {
-      success: true,
-      filePath,
-      message: `User credentials saved to ${filePath}`
-    };
-  } catch (err) {
-    console.error('Error saving user credentials to CSV:', err);
-    return {
-      success: false,
-      message: `Error saving user credentials: ${err.message}`
-    };
+    if (getWords(policy).length < 100) {
+      throw new Error('The dictionary of a passphrase policy needs at least 100 distinct words');
+    }
+    return;
+  }
+
+  if (policy.mode && policy.mode !== 'characters') {
+    throw new Error(`Unknown password policy mode: ${policy.mode}. Use characters or passphrase`);
+  }
+
+  const sets = getCharacterSets(policy);
+  const length = policy.length || 16;
+  if (Object.keys(sets).length === 0) {
+    throw new Error('A password policy needs at least one character class');
+  }
+  if (!Number.isInteger(length) || length < Math.max(MIN_LENGTH, Object.keys(sets).length)) {
+    throw new Error(`Password length must be at least ${MIN_LENGTH} characters`);
+  }
+}
+
+/**
+ * Estimate the entropy of the passwords generated by a policy
+ * @param {Object} policy - Password policy
+ * @returns {number} - Approximate number of bits of entropy
+ */
+function estimateEntropy(policy) {
+  if (policy.mode === 'passphrase') {
+    return Math.floor((policy.words || 6) * Math.log2(getWords(policy).length));
+  }
+
+  const pool = Object.values(getCharacterSets(policy)).join('').length;
+  return Math.floor((policy.length || 16) * Math.log2(pool));
+}
+
+/**
+ * Generate a passphrase of random dictionary words
+ * @param {Object} policy - words (default 6), separator (default "-"), capitalize, dictionary
+ * @returns {string} - The generated passphrase
+ */
+function generatePassphrase(policy) {
+  const words = getWords(policy);
+  const separator = policy.separator !== undefined ? String(policy.separator) : '-';
+  const chosen = [];
+
+  for (let i = 0; i < (policy.words || 6); i++) {
+    const word = pickRandom(words).toLowerCase();
+    chosen.push(policy.capitalize ? word.charAt(0).toUpperCase() + word.slice(1) : word);
   }
+  return chosen.join(separator);
+}
+
+/**
+ * Generate a password that follows a policy, using crypto.randomInt for every random choice
+ * @param {Object} policy - Password policy:
+ *  - mode: "characters" (default) or "passphrase"
+ *  - length: number of characters (default 16)
+ *  - classes: character classes to use (lower, upper, digit, special); each appears at least once
+ *  - excludeAmbiguous: leave out characters such as I, l, 1, O and 0
+ *  - urlSafe: only use special characters that need no encoding in a URL
+ *  - words, separator, capitalize, dictionary: passphrase options
+ * @returns {string} - The generated password
+ */
+function generatePassword(policy = {}) {
+  validatePolicy(policy);
+
+  if (policy.mode === 'passphrase') {
+    return generatePassphrase(policy);
+  }
+
+  const sets = getCharacterSets(policy);
+  const pool = Object.values(sets).join('');
+
+  // Start with one character of each class, then fill the rest from all of them
+  const password = Object.values(sets).map(chars => pickRandom(chars));
+  while (password.length < (policy.length || 16)) {
+    password.push(pickRandom(pool));
+  }
+
+  // Shuffle the password (Fisher-Yates algorithm)
+  for (let i = password.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [password[i], password[j]] = [password[j], password[i]];
+  }
+
+  return password.join('');
 }
 
 module.exports = {
-  generateSecurePassword,
-  saveUserToCSV
-}; 
\ No newline at end of file
+  CHARACTER_CLASSES,
+  validatePolicy,
+  estimateEntropy,
+  generatePassword
+};
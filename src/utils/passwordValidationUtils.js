@@ -0,0 +1,219 @@
+/**
+ * Utility functions for checking custom passwords against configurable rules
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const COMMON_PASSWORDS = new Set(require('./commonPasswords'));
+
+// Rules applied when the configuration does not override them
+const DEFAULT_VALIDATION_RULES = {
+  minLength: 12,
+  minClasses: 3,
+  requiredClasses: [],
+  notUsername: true,
+  commonPasswords: true,
+  breachedHashFile: null
+};
+
+// Character classes counted by minClasses and requiredClasses
+const CLASS_PATTERNS = {
+  lower: /[a-z]/,
+  upper: /[A-Z]/,
+  digit: /[0-9]/,
+  special: /[^A-Za-z0-9]/
+};
+
+const CLASS_NAMES = {
+  lower: 'lowercase letters',
+  upper: 'uppercase letters',
+  digit: 'digits',
+  special: 'special characters'
+};
+
+// Common character substitutions, undone before comparing with the common passwords
+const SUBSTITUTIONS = { '@': 'a', '4': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+
+// Lines of a breached-hash file are at most a SHA-1 hash, a count and a line break
+const MAX_LINE_LENGTH = 512;
+
+/**
+ * Get the variations of a password compared with the common passwords
+ * @param {string} password - Password to normalize
+ * @returns {Array<string>} - The lowercase password, without leading and trailing digits and
+ *  symbols, and with common substitutions undone
+ */
+function getVariations(password) {
+  const lower = password.toLowerCase();
+  const strip = value => value.replace(/^[^a-z]+|[^a-z]+$/g, '');
+  const substitute = value => value.replace(/[@43!1$057]/g, char => SUBSTITUTIONS[char]);
+
+  return [lower, strip(lower), substitute(lower), strip(substitute(lower)), substitute(strip(lower))]
+    .filter(value => value.length > 0);
+}
+
+/**
+ * Read the line that starts at or after a byte offset of a file
+ * @param {number} fd - Open file descriptor
+ * @param {number} offset - Byte offset
+ * @param {number} size - Size of the file
+ * @returns {Object|null} - { text, start, end } with the offsets of the line, or null past the last line
+ */
+function readLineFrom(fd, offset, size) {
+  const start = Math.max(offset - 1, 0);
+  const buffer = Buffer.alloc(Math.min(MAX_LINE_LENGTH * 2, size - start));
+  const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, start);
+  const chunk = buffer.subarray(0, bytesRead);
+
+  // Unless reading from the start of the file, the line begins after the previous line break
+  let lineStart = 0;
+  if (offset > 0) {
+    const newline = chunk.indexOf(0x0a);
+    if (newline === -1) return null;
+    lineStart = newline + 1;
+  }
+  if (start + lineStart >= size) return null;
+
+  let lineEnd = chunk.indexOf(0x0a, lineStart);
+  if (lineEnd === -1) {
+    if (start + bytesRead < size) {
+      throw new Error(`Line longer than ${MAX_LINE_LENGTH} characters in breached-hash file`);
+    }
+    lineEnd = bytesRead;
+  }
+
+  return {
+    text: chunk.subarray(lineStart, lineEnd).toString('utf8').trim(),
+    start: start + lineStart,
+    end: start + lineEnd + 1
+  };
+}
+
+/**
+ * Look up a password in a breached-hash file: one SHA-1 hash per line, optionally followed by
+ * ":<count>", sorted by hash (the format of the Have I Been Pwned downloads). The file is
+ * binary-searched, so it is never loaded into memory.
+ * @param {string} password - Password to look up
+ * @param {string} filePath - Path of the file
+ * @returns {boolean} - True when the hash of the password is in the file
+ */
+function isBreachedPassword(password, filePath) {
+  const hash = crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+  const resolved = filePath.replace(/^~(?=$|\/)/, os.homedir());
+
+  let fd;
+  try {
+    fd = fs.openSync(resolved, 'r');
+  } catch (err) {
+    throw new Error(`Cannot open breached-hash file ${resolved}: ${err.message}`);
+  }
+
+  try {
+    const { size } = fs.fstatSync(fd);
+    // Search the lines that start within [low, high)
+    let low = 0;
+    let high = size;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      const line = readLineFrom(fd, middle, size);
+      if (!line || line.start >= high) {
+        high = middle;
+        continue;
+      }
+
+      const key = line.text.split(':')[0].toUpperCase();
+      if (key === hash) return true;
+      if (key < hash) {
+        low = line.end;
+      } else {
+        high = middle;
+      }
+    }
+    return false;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Check a password against validation rules
+ * @param {string} password - Password to check
+ * @param {Object} options - username: user the password is for; rules: rules overriding the defaults
+ * @returns {Array<Object>} - One { rule, passed, message } result per rule that applies
+ */
+function validatePassword(password, options = {}) {
+  const rules = { ...DEFAULT_VALIDATION_RULES, ...(options.rules || {}) };
+  const results = [];
+
+  if (rules.minLength) {
+    results.push({
+      rule: 'minLength',
+      passed: password.length >= rules.minLength,
+      message: `At least ${rules.minLength} characters (has ${password.length})`
+    });
+  }
+
+  const present = Object.keys(CLASS_PATTERNS).filter(name => CLASS_PATTERNS[name].test(password));
+  if (rules.minClasses) {
+    results.push({
+      rule: 'minClasses',
+      passed: present.length >= rules.minClasses,
+      message: `At least ${rules.minClasses} of lowercase letters, uppercase letters, digits and special characters (has ${present.length})`
+    });
+  }
+
+  (rules.requiredClasses || []).forEach(name => {
+    if (!CLASS_PATTERNS[name]) {
+      throw new Error(`Unknown character class in requiredClasses: ${name}. Use one of: ${Object.keys(CLASS_PATTERNS).join(', ')}`);
+    }
+    results.push({
+      rule: 'requiredClasses',
+      passed: present.includes(name),
+      message: `Contains ${CLASS_NAMES[name]}`
+    });
+  });
+
+  if (rules.notUsername && options.username) {
+    results.push({
+      rule: 'notUsername',
+      passed: !password.toLowerCase().includes(options.username.toLowerCase()),
+      message: 'Does not contain the user name'
+    });
+  }
+
+  if (rules.commonPasswords) {
+    results.push({
+      rule: 'commonPasswords',
+      passed: !getVariations(password).some(variation => COMMON_PASSWORDS.has(variation)),
+      message: 'Is not a common password or a variation of one'
+    });
+  }
+
+  if (rules.breachedHashFile) {
+    results.push({
+      rule: 'breachedHashFile',
+      passed: !isBreachedPassword(password, rules.breachedHashFile),
+      message: 'Does not appear in the list of breached passwords'
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Describe the rules a password failed, one per line
+ * @param {Array<Object>} results - Results returned by validatePassword
+ * @returns {string|null} - The failed rules, or null when the password passed every rule
+ */
+function describeFailedRules(results) {
+  const failed = results.filter(result => !result.passed);
+  if (failed.length === 0) return null;
+  return failed.map(result => `✗ ${result.message}`).join('\n');
+}
+
+module.exports = {
+  DEFAULT_VALIDATION_RULES,
+  validatePassword,
+  describeFailedRules,
+  isBreachedPassword
+};
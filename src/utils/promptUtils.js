@@ -0,0 +1,161 @@
+/**
+ * Utility functions for collecting command input from flags or interactive prompts
+ */
+const inquirer = require('inquirer');
+const { isStdoutReserved } = require('./outputUtils');
+
+/**
+ * Check whether the tool can ask questions on the terminal
+ * @returns {boolean} - True when stdin is attached to a TTY
+ */
+function isInteractive() {
+  return Boolean(process.stdin.isTTY);
+}
+
+/**
+ * Check a value passed as a flag against the question it replaces
+ * @param {Object} question - inquirer question object
+ * @param {*} value - Value passed on the command line
+ * @returns {Promise<void>} - Rejects with a descriptive error when the value is invalid
+ */
+async function validateProvidedValue(question, value) {
+  const flag = question.option || `--${question.name}`;
+
+  if (Array.isArray(question.choices)) {
+    const allowed = question.choices
+      .filter(choice => !(choice instanceof inquirer.Separator))
+      .map(choice => (typeof choice === 'object' ? choice.value : choice));
+    const values = Array.isArray(value) ? value : [value];
+    const unknown = values.filter(item => !allowed.includes(item));
+
+    if (unknown.length > 0) {
+      throw new Error(`Invalid value for ${flag}: ${unknown.join(', ')} (expected one of: ${allowed.join(', ')})`);
+    }
+  }
+
+  if (question.validate) {
+    const result = await question.validate(value);
+    if (result !== true) {
+      throw new Error(`Invalid value for ${flag}: ${result}`);
+    }
+  }
+}
+
+/**
+ * Ask only the questions whose values were not passed as command options.
+ *
+ * Each question may carry two extra properties:
+ *  - option: the flag that provides the value, used in error messages
+ *  - required: when false, the question's default is used if stdin is not a TTY
+ *
+ * @param {Array} questions - inquirer question objects
+ * @param {Object} provided - Values already supplied on the command line, keyed by question name
+ * @returns {Promise<Object>} - Answers for every question
+ */
+async function promptForMissing(questions, provided = {}) {
+  const answers = {};
+  const missing = [];
+
+  for (const question of questions) {
+    const value = provided[question.name];
+    if (value !== undefined) {
+      await validateProvidedValue(question, value);
+      answers[question.name] = value;
+    } else {
+      missing.push(question);
+    }
+  }
+
+  if (missing.length === 0) {
+    return answers;
+  }
+
+  if (!isInteractive()) {
+    const required = missing.filter(question => question.required !== false);
+    if (required.length > 0) {
+      const flags = required.map(question => question.option || `--${question.name}`);
+      throw new Error(`Missing required option(s): ${flags.join(', ')}. Cannot prompt because stdin is not a TTY.`);
+    }
+
+    missing.forEach(question => {
+      answers[question.name] = question.default;
+    });
+    return answers;
+  }
+
+  // Questions go to stderr when stdout carries the result of the command
+  const prompt = isStdoutReserved() ? inquirer.createPromptModule({ output: process.stderr }) : inquirer.prompt;
+  const prompted = await prompt(
+    missing.map(({ option, required, ...question }) => question),
+    answers
+  );
+
+  return { ...answers, ...prompted };
+}
+
+/**
+ * Read a secret (such as a password) piped through stdin
+ * @returns {Promise<string>} - The stdin contents without the trailing newline
+ */
+async function readStdin() {
+  if (isInteractive()) {
+    throw new Error('Expected input on stdin, but stdin is a TTY');
+  }
+
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+}
+
+/**
+ * Split a comma-separated option value into a list
+ * @param {string} value - Raw option value, e.g. "public,sales"
+ * @returns {Array<string>} - Trimmed, non-empty items
+ */
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Convert a glob pattern (* and ? wildcards) to a regular expression matching whole names
+ * @param {string} pattern - Glob pattern, e.g. "report_*"
+ * @returns {RegExp} - Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Select the names matching any of a list of glob patterns
+ * @param {Array<string>} names - Names to choose from
+ * @param {Array<string>} patterns - Exact names or glob patterns
+ * @returns {Object} - { matched: names in their original order, unmatched: patterns that matched nothing }
+ */
+function matchGlobs(names, patterns) {
+  const expressions = patterns.map(pattern => ({ pattern, regexp: globToRegExp(pattern) }));
+  const matched = names.filter(name => expressions.some(({ regexp }) => regexp.test(name)));
+  const unmatched = expressions
+    .filter(({ regexp }) => !names.some(name => regexp.test(name)))
+    .map(({ pattern }) => pattern);
+
+  return { matched, unmatched };
+}
+
+module.exports = {
+  isInteractive,
+  promptForMissing,
+  readStdin,
+  parseList,
+  matchGlobs
+};
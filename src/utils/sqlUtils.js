@@ -0,0 +1,238 @@
+/**
+ * Utility functions for safely building SQL statements
+ *
+ * PostgreSQL does not accept bind parameters in DDL (CREATE ROLE, GRANT, ...),
+ * so identifiers and literals have to be quoted before they are interpolated.
+ * These helpers follow the semantics of the server's quote_ident() and
+ * quote_literal() functions.
+ */
+
+// Keywords that cannot be used as bare identifiers (reserved, type/function
+// name and column name keywords). quote_ident() quotes all of them.
+const RESERVED_KEYWORDS = new Set([
+  'all', 'analyse', 'analyze', 'and', 'any', 'array', 'as', 'asc', 'asymmetric',
+  'authorization', 'between', 'bigint', 'binary', 'bit', 'boolean', 'both', 'case',
+  'cast', 'char', 'character', 'check', 'coalesce', 'collate', 'collation', 'column',
+  'concurrently', 'constraint', 'create', 'cross', 'current_catalog', 'current_date',
+  'current_role', 'current_schema', 'current_time', 'current_timestamp', 'current_user',
+  'dec', 'decimal', 'default', 'deferrable', 'desc', 'distinct', 'do', 'else', 'end',
+  'except', 'exists', 'extract', 'false', 'fetch', 'float', 'for', 'foreign', 'freeze',
+  'from', 'full', 'grant', 'greatest', 'group', 'grouping', 'having', 'ilike', 'in',
+  'initially', 'inner', 'inout', 'int', 'integer', 'intersect', 'interval', 'into', 'is',
+  'isnull', 'join', 'lateral', 'leading', 'least', 'left', 'like', 'limit', 'localtime',
+  'localtimestamp', 'national', 'natural', 'nchar', 'none', 'normalize', 'not', 'notnull',
+  'null', 'nullif', 'numeric', 'offset', 'on', 'only', 'or', 'order', 'out', 'outer',
+  'overlaps', 'overlay', 'placing', 'position', 'precision', 'primary', 'real',
+  'references', 'returning', 'right', 'row', 'select', 'session_user', 'setof',
+  'similar', 'smallint', 'some', 'substring', 'symmetric', 'system_user', 'table',
+  'tablesample', 'then', 'time', 'timestamp', 'to', 'trailing', 'treat', 'trim', 'true',
+  'union', 'unique', 'user', 'using', 'values', 'varchar', 'variadic', 'verbose', 'when',
+  'where', 'window', 'with', 'xmlattributes', 'xmlconcat', 'xmlelement', 'xmlexists',
+  'xmlforest', 'xmlnamespaces', 'xmlparse', 'xmlpi', 'xmlroot', 'xmlserialize', 'xmltable'
+]);
+
+/**
+ * Throw if a value cannot be safely sent to the server as part of a statement
+ * @param {*} value - Value to check
+ * @param {string} kind - Description used in the error message
+ */
+function assertQuotable(value, kind) {
+  if (typeof value !== 'string') {
+    throw new Error(`Invalid ${kind}: expected a string`);
+  }
+  if (value.includes('\0')) {
+    throw new Error(`Invalid ${kind}: null characters are not allowed`);
+  }
+}
+
+/**
+ * Quote an identifier (role, schema, database, table...) for use in SQL
+ * @param {string} name - The identifier to quote
+ * @returns {string} - The identifier, double-quoted only when required
+ */
+function quoteIdent(name) {
+  assertQuotable(name, 'identifier');
+  if (name.length === 0) {
+    throw new Error('Invalid identifier: name cannot be empty');
+  }
+
+  if (/^[a-z_][a-z0-9_$]*$/.test(name) && !RESERVED_KEYWORDS.has(name)) {
+    return name;
+  }
+
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Quote a string literal (passwords, timestamps...) for use in SQL
+ * @param {string} value - The value to quote
+ * @returns {string} - The single-quoted literal, using E'' syntax when it contains backslashes
+ */
+function quoteLiteral(value) {
+  assertQuotable(value, 'literal');
+
+  const escaped = value.replace(/'/g, "''");
+  if (escaped.includes('\\')) {
+    return `E'${escaped.replace(/\\/g, '\\\\')}'`;
+  }
+
+  return `'${escaped}'`;
+}
+
+/**
+ * Inline bind parameters ($1, $2...) into a statement, for display only
+ * @param {string} text - SQL statement
+ * @param {Array} params - Bind parameter values
+ * @returns {string} - The statement with every parameter replaced by a literal
+ */
+function interpolateParams(text, params = []) {
+  if (!params || params.length === 0) return text;
+
+  return text.replace(/\$(\d+)/g, (match, index) => {
+    const value = params[Number(index) - 1];
+    if (value === undefined) return match;
+    if (value === null) return 'NULL';
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (value instanceof Date) return quoteLiteral(value.toISOString());
+    if (typeof value === 'object') return quoteLiteral(JSON.stringify(value));
+    return quoteLiteral(String(value));
+  });
+}
+
+/**
+ * Format a list of statements as a SQL script
+ * @param {Array<string>} statements - Statements in execution order
+ * @param {string} header - Comment placed at the top of the script
+ * @returns {string} - The script, one statement per line
+ */
+function formatSqlScript(statements, header) {
+  const lines = header ? header.split('\n').map(line => `-- ${line}`) : [];
+  statements.forEach(statement => {
+    const trimmed = statement.trim();
+    // psql meta-commands (\connect) are not terminated with a semicolon
+    lines.push(trimmed.endsWith(';') || trimmed.startsWith('\\') ? trimmed : `${trimmed};`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Hide password literals (PASSWORD '...') in a statement, for logs and audit entries
+ * @param {string} statement - SQL statement
+ * @returns {string} - The statement with every password replaced by '********'
+ */
+function redactPasswords(statement) {
+  return statement.replace(/(PASSWORD\s+)E?'(?:[^']|'')*'/gi, "$1'********'");
+}
+
+/**
+ * Find the end of a quoted string, quoted identifier or comment
+ * @param {string} text - SQL text
+ * @param {number} start - Offset just after the opening delimiter
+ * @param {string} kind - "'" (with '' escapes), "E'" (with backslash escapes too), '"', '/*' or a dollar-quote tag
+ * @returns {number} - Offset just after the closing delimiter, or -1 when it is missing
+ */
+function skipQuoted(text, start, kind) {
+  if (kind === '/*') {
+    // Block comments nest in PostgreSQL
+    let depth = 1;
+    for (let i = start; i < text.length - 1; i++) {
+      if (text.startsWith('/*', i)) {
+        depth++;
+        i++;
+      } else if (text.startsWith('*/', i)) {
+        depth--;
+        i++;
+        if (depth === 0) return i + 1;
+      }
+    }
+    return -1;
+  }
+
+  if (kind.startsWith('$')) {
+    const end = text.indexOf(kind, start);
+    return end === -1 ? -1 : end + kind.length;
+  }
+
+  const quote = kind.slice(-1);
+  for (let i = start; i < text.length; i++) {
+    if (kind === "E'" && text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      if (text[i + 1] !== quote) return i + 1;
+      i++;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Check that a SQL expression (such as the USING clause of a policy) cannot end the statement it
+ * is pasted into: outside of strings, quoted identifiers and comments, it must not contain a
+ * semicolon and its parentheses must be balanced
+ * @param {string} expression - SQL expression
+ * @returns {string|null} - Why the expression is rejected, or null when it can be used
+ */
+function checkSqlExpression(expression) {
+  let depth = 0;
+  let i = 0;
+
+  while (i < expression.length) {
+    if (expression.startsWith('--', i)) {
+      const newline = expression.indexOf('\n', i);
+      i = newline === -1 ? expression.length : newline + 1;
+      continue;
+    }
+
+    const char = expression[i];
+    const previous = i > 0 ? expression[i - 1] : '';
+
+    // Strings, quoted identifiers and comments are skipped as a whole
+    let kind = null;
+    let opening = 1;
+    if (expression.startsWith('/*', i)) {
+      kind = '/*';
+      opening = 2;
+    } else if (char === "'") {
+      kind = /[Ee]/.test(previous) && !/[A-Za-z0-9_$]/.test(expression[i - 2] || '') ? "E'" : "'";
+    } else if (char === '"') {
+      kind = '"';
+    } else if (char === '$' && !/[A-Za-z0-9_$]/.test(previous)) {
+      const tag = expression.slice(i).match(/^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/);
+      if (tag) {
+        kind = tag[0];
+        opening = tag[0].length;
+      }
+    }
+
+    if (kind) {
+      const end = skipQuoted(expression, i + opening, kind);
+      if (end === -1) {
+        return kind === '/*' ? 'unterminated comment' : 'unterminated quoted string or identifier';
+      }
+      i = end;
+      continue;
+    }
+
+    if (char === ';') {
+      return 'semicolons are only allowed inside quotes';
+    }
+    if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth < 0) return 'unbalanced parentheses';
+    }
+    i++;
+  }
+
+  return depth === 0 ? null : 'unbalanced parentheses';
+}
+
+module.exports = {
+  quoteIdent,
+  quoteLiteral,
+  interpolateParams,
+  formatSqlScript,
+  redactPasswords,
+  checkSqlExpression
+};
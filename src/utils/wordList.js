@@ -0,0 +1,134 @@
+/**
+ * Word list for generated passphrases: 1363 common English words of 3 to 8 lowercase letters,
+ * so each word adds about 10.4 bits of entropy
+ */
+module.exports = [
+  'able', 'acid', 'acorn', 'acre', 'actor', 'adapt', 'admit', 'adobe', 'adult', 'affix', 'agent',
+  'agile', 'aging', 'agree', 'ahead', 'aide', 'aim', 'air', 'aisle', 'alarm', 'album', 'alert',
+  'algae', 'alibi', 'alien', 'align', 'alike', 'alive', 'alley', 'allow', 'alloy', 'aloe', 'alpha',
+  'alps', 'amber', 'amble', 'amend', 'ample', 'amuse', 'angel', 'anger', 'angle', 'ankle', 'annex',
+  'anvil', 'apart', 'apex', 'apple', 'apply', 'april', 'apron', 'aqua', 'arbor', 'arch', 'arena',
+  'argue', 'arise', 'armor', 'army', 'aroma', 'array', 'arrow', 'art', 'ascot', 'ash', 'aside',
+  'ask', 'aspen', 'asset', 'atlas', 'atom', 'attic', 'audio', 'audit', 'aunt', 'aura', 'auto',
+  'avid', 'avoid', 'awake', 'award', 'aware', 'awful', 'axis', 'bacon', 'badge', 'bagel', 'baker',
+  'balmy', 'bamboo', 'banjo', 'barn', 'baron', 'basil', 'basin', 'basis', 'batch', 'bath', 'baton',
+  'beach', 'beam', 'bean', 'bear', 'beard', 'beast', 'beat', 'beauty', 'bed', 'beech', 'beef',
+  'begin', 'beige', 'being', 'bell', 'belt', 'bench', 'berry', 'bike', 'bind', 'birch', 'bird',
+  'bison', 'black', 'blade', 'blank', 'blast', 'blaze', 'blend', 'bless', 'blimp', 'blind', 'bliss',
+  'block', 'bloom', 'blue', 'blunt', 'blur', 'blush', 'board', 'boast', 'boat', 'body', 'boil',
+  'bold', 'bolt', 'bond', 'bone', 'bonus', 'book', 'boost', 'boot', 'booth', 'border', 'boss',
+  'botany', 'bottle', 'bounce', 'bowl', 'box', 'brain', 'brake', 'branch', 'brand', 'brass',
+  'brave', 'bread', 'break', 'brick', 'bride', 'brief', 'bring', 'brisk', 'broad', 'brook', 'broom',
+  'brown', 'brush', 'bubble', 'bucket', 'buddy', 'budget', 'buffet', 'bugle', 'build', 'bulb',
+  'bulk', 'bunch', 'bundle', 'bunny', 'burst', 'bush', 'butter', 'button', 'buyer', 'cabin',
+  'cable', 'cactus', 'cadet', 'cake', 'calf', 'call', 'calm', 'camel', 'camera', 'camp', 'canal',
+  'candle', 'candy', 'canoe', 'canvas', 'canyon', 'cape', 'card', 'cargo', 'carol', 'carpet',
+  'carrot', 'cart', 'carve', 'case', 'cash', 'castle', 'catch', 'cattle', 'cause', 'cave', 'cedar',
+  'celery', 'cello', 'cement', 'cereal', 'chain', 'chair', 'chalk', 'champ', 'chant', 'chaos',
+  'charm', 'chart', 'chase', 'cheek', 'cheer', 'cheese', 'chef', 'cherry', 'chess', 'chest', 'chew',
+  'chick', 'chief', 'child', 'chili', 'chime', 'chip', 'chirp', 'choice', 'choir', 'chord',
+  'chorus', 'chunk', 'cider', 'cigar', 'cinema', 'circle', 'citrus', 'city', 'civic', 'claim',
+  'clam', 'clap', 'clash', 'clasp', 'class', 'clay', 'clean', 'clerk', 'click', 'cliff', 'climb',
+  'clock', 'close', 'cloth', 'cloud', 'clover', 'clown', 'club', 'clue', 'coach', 'coast', 'coat',
+  'cobalt', 'cocoa', 'coconut', 'code', 'coffee', 'coil', 'coin', 'cold', 'comet', 'comic', 'comma',
+  'coral', 'cord', 'core', 'cork', 'corn', 'couch', 'cougar', 'count', 'court', 'cousin', 'cover',
+  'cow', 'coyote', 'crab', 'craft', 'crane', 'crash', 'crate', 'crawl', 'crayon', 'cream', 'credit',
+  'creek', 'crest', 'crew', 'cricket', 'crisp', 'crop', 'cross', 'crowd', 'crown', 'crumb', 'crust',
+  'cube', 'cuddle', 'cup', 'curb', 'curl', 'curry', 'curve', 'cushion', 'cycle', 'daily', 'dairy',
+  'daisy', 'dance', 'dandy', 'dash', 'data', 'dawn', 'deal', 'debut', 'decade', 'decal', 'deck',
+  'decor', 'decoy', 'deep', 'deer', 'delta', 'demo', 'denim', 'dense', 'depot', 'depth', 'derby',
+  'desert', 'design', 'desk', 'detail', 'dial', 'diary', 'diesel', 'digit', 'dime', 'diner',
+  'dinner', 'disco', 'dish', 'ditch', 'dive', 'dock', 'doctor', 'dodge', 'dollar', 'dolphin',
+  'domain', 'dome', 'donkey', 'donor', 'door', 'dose', 'dove', 'draft', 'dragon', 'drama', 'drape',
+  'draw', 'dream', 'dress', 'drift', 'drill', 'drink', 'drive', 'drone', 'drum', 'duck', 'duet',
+  'dune', 'dusk', 'dust', 'duty', 'eager', 'eagle', 'early', 'earth', 'easel', 'east', 'echo',
+  'eclipse', 'edge', 'edit', 'eight', 'elbow', 'elder', 'elite', 'elk', 'elm', 'ember', 'emblem',
+  'emerald', 'empty', 'enamel', 'endure', 'energy', 'engine', 'enjoy', 'entry', 'envoy', 'equal',
+  'equip', 'era', 'erode', 'errand', 'essay', 'ethics', 'event', 'exact', 'exam', 'exit', 'expert',
+  'extra', 'fable', 'fabric', 'face', 'facet', 'fact', 'fade', 'fair', 'fairy', 'faith', 'falcon',
+  'fame', 'fancy', 'fang', 'farm', 'fawn', 'feast', 'feather', 'fence', 'fern', 'ferry', 'fetch',
+  'fever', 'fiber', 'fiddle', 'field', 'fiesta', 'fifty', 'fig', 'film', 'final', 'finch', 'find',
+  'fine', 'finger', 'fire', 'firm', 'fish', 'fist', 'flag', 'flake', 'flame', 'flash', 'flask',
+  'fleet', 'flick', 'flint', 'float', 'flock', 'flood', 'floor', 'flour', 'flow', 'fluid', 'flute',
+  'foam', 'focus', 'fog', 'foil', 'folk', 'font', 'food', 'forest', 'forge', 'fork', 'form', 'fort',
+  'forum', 'fossil', 'fox', 'frame', 'fresh', 'friend', 'fringe', 'frog', 'frost', 'fruit', 'fudge',
+  'fuel', 'funny', 'fur', 'gadget', 'galaxy', 'gallon', 'game', 'garage', 'garden', 'garlic',
+  'gate', 'gauge', 'gazebo', 'gear', 'gecko', 'gem', 'genius', 'ghost', 'giant', 'gift', 'ginger',
+  'giraffe', 'glad', 'glass', 'glide', 'globe', 'glory', 'glove', 'glow', 'glue', 'goal', 'goat',
+  'gold', 'golf', 'goose', 'gorge', 'gospel', 'gown', 'grace', 'grade', 'grain', 'grand', 'grape',
+  'graph', 'grass', 'gravel', 'gravy', 'great', 'green', 'grid', 'grill', 'grin', 'grip', 'grove',
+  'growl', 'guard', 'guava', 'guess', 'guest', 'guide', 'guitar', 'gulf', 'gull', 'gust', 'habit',
+  'hair', 'half', 'hall', 'halo', 'hammer', 'hand', 'happy', 'harbor', 'hard', 'harp', 'hatch',
+  'hawk', 'hazel', 'head', 'health', 'heart', 'heat', 'hedge', 'heel', 'height', 'helmet', 'help',
+  'herb', 'hero', 'heron', 'hill', 'hint', 'hippo', 'hobby', 'hockey', 'holly', 'home', 'honey',
+  'hood', 'hook', 'hope', 'horn', 'horse', 'hose', 'host', 'hotel', 'hour', 'house', 'hover',
+  'humor', 'hunt', 'husky', 'hut', 'hymn', 'icon', 'idea', 'igloo', 'image', 'inch', 'index', 'ink',
+  'inlet', 'input', 'insect', 'iris', 'iron', 'island', 'item', 'ivory', 'ivy', 'jacket', 'jaguar',
+  'jam', 'jar', 'jazz', 'jeans', 'jelly', 'jewel', 'jigsaw', 'job', 'jockey', 'join', 'joke',
+  'jolly', 'journey', 'joy', 'judge', 'juice', 'jumbo', 'jump', 'jungle', 'junior', 'jury', 'kayak',
+  'keen', 'kettle', 'key', 'kick', 'kidney', 'kind', 'king', 'kiosk', 'kit', 'kite', 'kitten',
+  'kiwi', 'knee', 'knife', 'knock', 'koala', 'label', 'lace', 'ladder', 'lake', 'lamb', 'lamp',
+  'land', 'lane', 'lantern', 'laptop', 'large', 'laser', 'latch', 'lava', 'lawn', 'layer', 'leaf',
+  'learn', 'leash', 'leather', 'lemon', 'lens', 'level', 'lever', 'liberty', 'light', 'lilac',
+  'lily', 'limb', 'lime', 'limit', 'linen', 'lion', 'liquid', 'list', 'lizard', 'llama', 'lobby',
+  'lobster', 'local', 'lock', 'lodge', 'logic', 'lotus', 'loud', 'lucky', 'lumber', 'lunar',
+  'lunch', 'lyric', 'macro', 'magic', 'magnet', 'maize', 'major', 'mango', 'manor', 'maple',
+  'marble', 'march', 'margin', 'marine', 'market', 'mask', 'match', 'meadow', 'medal', 'melon',
+  'member', 'memo', 'mentor', 'menu', 'merit', 'mesh', 'metal', 'meter', 'middle', 'mild', 'mile',
+  'milk', 'mill', 'mimic', 'mind', 'mineral', 'minor', 'mint', 'minute', 'mirror', 'mist', 'mixer',
+  'model', 'modem', 'molar', 'moment', 'monk', 'month', 'moon', 'moose', 'morning', 'mosaic',
+  'moss', 'motel', 'motor', 'mound', 'mount', 'mouse', 'mouth', 'movie', 'muffin', 'mule', 'mural',
+  'muscle', 'museum', 'music', 'mustard', 'nacho', 'nail', 'name', 'napkin', 'narrow', 'nation',
+  'nature', 'navy', 'nebula', 'nectar', 'needle', 'neon', 'nerve', 'nest', 'net', 'never', 'nickel',
+  'night', 'ninja', 'noble', 'noise', 'noodle', 'normal', 'north', 'notch', 'note', 'novel',
+  'number', 'nurse', 'nutmeg', 'oak', 'oasis', 'oat', 'object', 'ocean', 'octave', 'odor', 'office',
+  'olive', 'omega', 'onion', 'online', 'opal', 'open', 'opera', 'orange', 'orbit', 'orchid',
+  'order', 'organ', 'otter', 'ounce', 'outer', 'oval', 'oven', 'owl', 'owner', 'oxygen', 'oyster',
+  'pace', 'paddle', 'page', 'paint', 'palace', 'palm', 'panda', 'panel', 'panic', 'pantry', 'paper',
+  'parade', 'parcel', 'park', 'parrot', 'party', 'pasta', 'patch', 'path', 'patio', 'pause',
+  'peach', 'peak', 'peanut', 'pear', 'pearl', 'pebble', 'pecan', 'pedal', 'pelican', 'pencil',
+  'pepper', 'perch', 'permit', 'piano', 'picnic', 'piece', 'pier', 'pigeon', 'pillow', 'pilot',
+  'pine', 'pinto', 'pioneer', 'pipe', 'pirate', 'pitch', 'pivot', 'pixel', 'pizza', 'place',
+  'plaid', 'plain', 'planet', 'plank', 'plant', 'plate', 'plaza', 'plenty', 'plot', 'plum', 'plume',
+  'poem', 'poet', 'point', 'polar', 'pond', 'pony', 'pool', 'poppy', 'porch', 'port', 'possum',
+  'potato', 'pouch', 'powder', 'power', 'prairie', 'press', 'price', 'pride', 'prism', 'prize',
+  'proof', 'prose', 'proud', 'prune', 'pulse', 'puma', 'pump', 'pupil', 'puppy', 'purple', 'puzzle',
+  'pyramid', 'quail', 'quake', 'quart', 'queen', 'quest', 'quick', 'quiet', 'quilt', 'quote',
+  'rabbit', 'racket', 'radar', 'radio', 'raft', 'rain', 'rake', 'rally', 'ranch', 'range', 'rapid',
+  'raven', 'razor', 'ready', 'realm', 'recipe', 'record', 'reef', 'relax', 'relic', 'remedy',
+  'rent', 'reply', 'rescue', 'resin', 'result', 'retro', 'rhino', 'rhythm', 'ribbon', 'rice',
+  'rider', 'ridge', 'ring', 'ripple', 'river', 'road', 'robin', 'robot', 'rocket', 'rodeo', 'roof',
+  'room', 'root', 'rope', 'rose', 'rotor', 'round', 'route', 'rover', 'royal', 'ruby', 'rudder',
+  'rug', 'rugby', 'ruler', 'rumor', 'rural', 'saddle', 'safari', 'saga', 'sail', 'salad', 'salmon',
+  'salon', 'salsa', 'salt', 'sample', 'sand', 'sandal', 'sauce', 'sauna', 'scale', 'scarf', 'scene',
+  'school', 'scoop', 'scout', 'scrap', 'screen', 'script', 'scroll', 'sea', 'seal', 'season',
+  'seat', 'second', 'secret', 'seed', 'sensor', 'sequel', 'series', 'shade', 'shadow', 'shape',
+  'share', 'shark', 'sheep', 'shelf', 'shell', 'shield', 'shift', 'shine', 'ship', 'shirt', 'shore',
+  'shovel', 'shrimp', 'sierra', 'signal', 'silk', 'silver', 'simple', 'siren', 'sister', 'skate',
+  'sketch', 'ski', 'skill', 'skirt', 'sky', 'slate', 'sled', 'sleep', 'slice', 'slide', 'slope',
+  'smile', 'smoke', 'snack', 'snail', 'snake', 'snow', 'soap', 'soccer', 'sock', 'sofa', 'soil',
+  'solar', 'solid', 'sonar', 'song', 'sort', 'sound', 'soup', 'south', 'space', 'spark', 'spice',
+  'spider', 'spike', 'spine', 'spiral', 'spoon', 'sport', 'spray', 'spring', 'sprout', 'spruce',
+  'square', 'squid', 'stable', 'stage', 'stair', 'stamp', 'star', 'state', 'steam', 'steel', 'stem',
+  'step', 'stereo', 'stick', 'still', 'stock', 'stone', 'stool', 'storm', 'story', 'stove', 'straw',
+  'stream', 'street', 'stripe', 'studio', 'sugar', 'suit', 'summer', 'summit', 'sun', 'sunny',
+  'super', 'surf', 'swamp', 'swan', 'sweet', 'swift', 'swing', 'sword', 'symbol', 'syrup', 'table',
+  'tablet', 'taco', 'tail', 'talent', 'tango', 'tank', 'tape', 'target', 'task', 'taste', 'tavern',
+  'taxi', 'teacup', 'team', 'teapot', 'tempo', 'tennis', 'tent', 'term', 'test', 'text', 'theme',
+  'thorn', 'thread', 'throne', 'thumb', 'thunder', 'ticket', 'tide', 'tiger', 'tile', 'timber',
+  'time', 'tint', 'tiny', 'toast', 'today', 'token', 'tomato', 'tone', 'tool', 'topaz', 'topic',
+  'torch', 'total', 'totem', 'tower', 'town', 'toy', 'track', 'trade', 'trail', 'train', 'trap',
+  'tray', 'treat', 'tree', 'trend', 'trial', 'tribe', 'trick', 'trio', 'trophy', 'truck', 'trumpet',
+  'trunk', 'trust', 'truth', 'tube', 'tulip', 'tuna', 'tundra', 'tunnel', 'turkey', 'turtle',
+  'tutor', 'tuxedo', 'twig', 'twin', 'type', 'umbrella', 'uncle', 'union', 'unit', 'update',
+  'upper', 'urban', 'usage', 'usher', 'vacuum', 'valley', 'value', 'valve', 'vanilla', 'vapor',
+  'vase', 'vault', 'vector', 'velvet', 'vendor', 'venue', 'verb', 'verse', 'vessel', 'vest',
+  'video', 'view', 'villa', 'vine', 'violet', 'violin', 'visa', 'visit', 'visor', 'vista', 'vivid',
+  'vocal', 'voice', 'volume', 'voter', 'voyage', 'wafer', 'wagon', 'waist', 'walk', 'wall',
+  'walnut', 'walrus', 'wand', 'warm', 'wave', 'wax', 'wealth', 'weasel', 'weather', 'web', 'wedge',
+  'weekend', 'well', 'whale', 'wheat', 'wheel', 'whisk', 'whistle', 'width', 'wild', 'willow',
+  'wind', 'window', 'wing', 'winter', 'wire', 'wisdom', 'wise', 'wish', 'wizard', 'wolf', 'wonder',
+  'wood', 'wool', 'word', 'work', 'world', 'worth', 'wrap', 'wren', 'wrist', 'yacht', 'yard',
+  'yarn', 'year', 'yellow', 'yoga', 'yogurt', 'young', 'zebra', 'zero', 'zest', 'zigzag', 'zinc',
+  'zipper', 'zone', 'zoom'
+];
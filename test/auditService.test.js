@@ -0,0 +1,144 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pg = require('pg');
+const db = require('../src/services/db');
+const auditService = require('../src/services/auditService');
+const dependencyService = require('../src/services/dependencyService');
+
+// The audit table is installed in the connected database; every query goes to a fake server
+describe('auditService with the audit table installed', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgum-test-'));
+  const saved = {};
+  let log;
+
+  before(() => {
+    ['PGUM_PROFILES_FILE', 'PGUM_PROFILE', 'PGUM_AUDIT_FILE', 'DB_NAME'].forEach(name => {
+      saved[name] = process.env[name];
+    });
+    process.env.PGUM_PROFILES_FILE = path.join(dir, 'profiles.yaml');
+    process.env.PGUM_AUDIT_FILE = path.join(dir, 'audit.jsonl');
+    delete process.env.PGUM_PROFILE;
+    process.env.DB_NAME = 'app';
+    auditService.setCommand('create-user');
+  });
+
+  after(() => {
+    Object.keys(saved).forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    log = [];
+    const respond = async (database, text, params) => {
+      log.push({ database, text: text.trim(), params });
+      if (database === 'b' && /^DROP OWNED/.test(text)) throw new Error('cannot drop objects owned by bob');
+      if (/to_regclass/.test(text)) return { rows: [{ installed: true }] };
+      if (/FROM pgum_audit\.changes/.test(text)) return { rows: [{ id: 1, timestamp: new Date('2026-01-02T03:04:05Z') }] };
+      return { rows: [] };
+    };
+
+    mock.method(pg.Pool.prototype, 'query', async (text, params) => respond('app', text, params));
+    mock.method(pg.Pool.prototype, 'connect', async () => ({ query: async (text, params) => respond('app', text, params), release: () => {} }));
+    mock.method(pg.Client.prototype, 'connect', async () => {});
+    mock.method(pg.Client.prototype, 'query', async function (text, params) { return respond(this.database, text, params); });
+    mock.method(pg.Client.prototype, 'end', async () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const statements = () => log.map(entry => entry.text.split(/\s+/).slice(0, 2).join(' '));
+  const insertParams = () => log.find(entry => entry.text.startsWith('INSERT INTO pgum_audit.changes')).params;
+
+  it('inserts the audit row in the transaction of the change, with redacted SQL', async () => {
+    const result = await auditService.track('create-user', { user: 'alice' }, async () => {
+      await db.query("CREATE ROLE alice WITH LOGIN PASSWORD 'secret';");
+      return { success: true };
+    });
+
+    assert.deepEqual(result, { success: true });
+    assert.deepEqual(statements().filter(statement => !statement.startsWith('SELECT')), [
+      'BEGIN;',
+      'CREATE ROLE',
+      'INSERT INTO',
+      'COMMIT;'
+    ]);
+
+    const [, , , command, action, targets, sql, success, message] = insertParams();
+    assert.equal(command, 'create-user');
+    assert.equal(action, 'create-user');
+    assert.equal(targets, '{"user":"alice"}');
+    assert.deepEqual(sql, ["CREATE ROLE alice WITH LOGIN PASSWORD '********';"]);
+    assert.equal(success, true);
+    assert.equal(message, null);
+  });
+
+  it('records an operation that reports a failure as unsuccessful', async () => {
+    await auditService.track('grant-read-permissions', { role: 'app_read' }, async () => ({ success: false, message: 'Schema sales: permission denied' }));
+
+    const params = insertParams();
+    assert.equal(params[7], false);
+    assert.equal(params[8], 'Schema sales: permission denied');
+  });
+
+  it('rolls the change back without an audit row when the operation throws', async () => {
+    await assert.rejects(auditService.track('drop-role', { role: 'old' }, async () => {
+      await db.query('DROP ROLE old;');
+      throw new Error('role "old" cannot be dropped');
+    }), /cannot be dropped/);
+
+    assert.deepEqual(statements().filter(statement => !statement.startsWith('SELECT')), ['BEGIN;', 'DROP ROLE', 'ROLLBACK;']);
+  });
+
+  it('records each database of an operation that fails partway in its own row', async () => {
+    const result = await dependencyService.dropOwned('bob', ['a', 'b', 'c']);
+    assert.equal(result.success, false);
+
+    const rows = log.filter(entry => entry.text.startsWith('INSERT INTO pgum_audit.changes'))
+      .map(({ database, params }) => ({ database, targets: JSON.parse(params[5]), sql: params[6], success: params[7], message: params[8] }));
+    assert.deepEqual(rows, [
+      { database: 'app', targets: { role: 'bob', databases: ['a', 'b', 'c'], database: 'a' }, sql: ['\\connect a', 'DROP OWNED BY bob;'], success: true, message: null },
+      { database: 'app', targets: { role: 'bob', databases: ['a', 'b', 'c'], database: 'c' }, sql: ['\\connect c', 'DROP OWNED BY bob;'], success: true, message: null },
+      {
+        database: 'app',
+        targets: { role: 'bob', databases: ['a', 'b', 'c'] },
+        sql: ['\\connect a', '\\connect app', '\\connect b', 'DROP OWNED BY bob;', '\\connect app', '\\connect c', '\\connect app'],
+        success: false,
+        message: 'Dropping objects and privileges of bob failed in: b'
+      }
+    ]);
+
+    // The rows are inserted in the transaction of the connected database, before each commit
+    assert.deepEqual(log.filter(entry => /^(BEGIN|COMMIT|ROLLBACK|INSERT)/.test(entry.text))
+      .map(entry => `${entry.database}: ${entry.text.split(/\s+/)[0]}`), [
+      'app: BEGIN;',
+      'a: BEGIN;',
+      'app: INSERT',
+      'a: COMMIT;',
+      'b: BEGIN;',
+      'b: ROLLBACK;',
+      'c: BEGIN;',
+      'app: INSERT',
+      'c: COMMIT;',
+      'app: INSERT',
+      'app: COMMIT;'
+    ]);
+  });
+
+  it('filters the audit table by role, command and time', async () => {
+    const since = new Date('2026-01-01T00:00:00Z');
+    const changes = await auditService.readChanges({ role: 'app_read', command: 'grant-read-permissions', since, limit: 10 });
+
+    const { text, params } = log[log.length - 1];
+    assert.match(text, /WHERE changed_at >= \$1 AND \(command = \$2 OR action = \$2\) AND \(targets->>'role' = \$3 OR .*jsonb_build_array\(\$3::text\)\)/);
+    assert.match(text, /ORDER BY id DESC LIMIT \$4\) changes ORDER BY id;$/);
+    assert.deepEqual(params, [since, 'grant-read-permissions', 'app_read', 10]);
+    assert.deepEqual(changes, [{ id: 1, timestamp: '2026-01-02T03:04:05.000Z' }]);
+  });
+});
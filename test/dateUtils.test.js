@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDuration, parseExpiry, addDays } = require('../src/utils/dateUtils');
+
+describe('dateUtils.parseExpiry', () => {
+  it('accepts ISO dates and date-times', () => {
+    assert.equal(parseExpiry('2025-12-31').toISOString(), '2025-12-31T00:00:00.000Z');
+    assert.equal(parseExpiry('2025-12-31T23:59:59Z').toISOString(), '2025-12-31T23:59:59.000Z');
+    assert.equal(parseExpiry('2025-12-31T10:00:00.5+02:00').toISOString(), '2025-12-31T08:00:00.500Z');
+    assert.ok(parseExpiry(' 2025-12-31 10:00 ') instanceof Date);
+  });
+
+  it('accepts "never" and "infinity" for no expiry', () => {
+    assert.equal(parseExpiry('never'), Infinity);
+    assert.equal(parseExpiry('Infinity'), Infinity);
+  });
+
+  it('rejects values that are not ISO dates', () => {
+    ['1', 'March', '12/31/2025', '2025-1-1', 'tomorrow', '2025-12-31T25:00', ''].forEach(value => {
+      assert.equal(parseExpiry(value), null, value);
+    });
+  });
+
+  it('rejects days that do not exist in the month', () => {
+    assert.equal(parseExpiry('2025-02-30'), null);
+    assert.equal(parseExpiry('2025-13-01'), null);
+    assert.ok(parseExpiry('2024-02-29') instanceof Date);
+  });
+});
+
+describe('dateUtils.parseDuration', () => {
+  it('reads days and weeks', () => {
+    assert.equal(parseDuration('90d'), 90);
+    assert.equal(parseDuration('12w'), 84);
+    assert.equal(parseDuration('30'), 30);
+    assert.equal(parseDuration('3 months'), null);
+  });
+
+  it('adds days to a date', () => {
+    assert.equal(addDays(14, new Date('2025-01-01T00:00:00Z')).toISOString(), '2025-01-15T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/services/db');
+
+// In dry-run mode, transactions record their statements without connecting to a server
+describe('onTransactionEnd', () => {
+  before(() => {
+    db.enableDryRun();
+  });
+
+  it('runs the callback at once outside of a transaction', () => {
+    const calls = [];
+    db.onTransactionEnd(committed => calls.push(committed));
+    assert.deepEqual(calls, [true]);
+  });
+
+  it('waits for the outermost COMMIT', async () => {
+    const calls = [];
+    await db.transaction(async () => {
+      await db.transaction(async () => {
+        db.onTransactionEnd(committed => calls.push(committed));
+      });
+      assert.deepEqual(calls, []);
+    });
+    assert.deepEqual(calls, [true]);
+  });
+
+  it('reports a rollback with its error', async () => {
+    const calls = [];
+    await assert.rejects(db.transaction(async () => {
+      db.onTransactionEnd((committed, err) => calls.push([committed, err.message]));
+      throw new Error('boom');
+    }), /boom/);
+    assert.deepEqual(calls, [[false, 'boom']]);
+  });
+
+  it('reports the rollback to a savepoint without waiting for the outer transaction', async () => {
+    const calls = [];
+    await db.transaction(async () => {
+      db.onTransactionEnd(committed => calls.push(['outer', committed]));
+      await db.transaction(async () => {
+        db.onTransactionEnd(committed => calls.push(['inner', committed]));
+        throw new Error('inner failure');
+      }).catch(() => {});
+      assert.deepEqual(calls, [['inner', false]]);
+    });
+    assert.deepEqual(calls, [['inner', false], ['outer', true]]);
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../src/services/db');
+const dependencyService = require('../src/services/dependencyService');
+const roleService = require('../src/services/roleService');
+const userService = require('../src/services/userService');
+const { flattenDependencies, clearRoleDependencies } = require('../src/commands/dependencyCommands');
+
+describe('dependencyService', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgum-test-'));
+  const saved = process.env.PGUM_AUDIT_FILE;
+  let statements;
+
+  before(() => {
+    process.env.PGUM_AUDIT_FILE = path.join(dir, 'audit.jsonl');
+  });
+
+  after(() => {
+    if (saved === undefined) delete process.env.PGUM_AUDIT_FILE;
+    else process.env.PGUM_AUDIT_FILE = saved;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    statements = [];
+    let database = 'app';
+
+    mock.method(db, 'getConnectionInfo', () => ({ database: 'app' }));
+    mock.method(db, 'withDatabase', async (name, fn) => {
+      if (name === 'locked') throw new Error(`permission denied for database ${name}`);
+      const previous = database;
+      database = name;
+      try {
+        return await fn();
+      } finally {
+        database = previous;
+      }
+    });
+    mock.method(db, 'transaction', (fn) => fn());
+    mock.method(db, 'query', async (text, params) => {
+      if (/to_regclass/.test(text)) return { rows: [{ installed: false }] };
+      if (/FROM pg_database\s+WHERE datallowconn/.test(text)) return { rows: [{ database: 'app' }, { database: 'locked' }, { database: 'reports' }] };
+      if (/SELECT datname, oid FROM pg_database/.test(text)) return { rows: [{ datname: 'app', oid: 1 }, { datname: 'reports', oid: 2 }] };
+      if (/FROM pg_shdepend/.test(text)) {
+        const objects = {
+          0: [{ dependency: 'owner', object: 'database reports' }],
+          1: [],
+          2: [{ dependency: 'owner', object: 'table daily' }, { dependency: 'privilege', object: 'schema public' }]
+        };
+        return { rows: objects[params[1]] };
+      }
+      statements.push(`${database}: ${text}`);
+      if (database === 'reports' && /^DROP OWNED/.test(text)) throw new Error('cannot drop objects owned by app');
+      return { rows: [] };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('lists the dependencies of a role in every database, and the ones it could not inspect', async () => {
+    const dependencies = await dependencyService.getRoleDependencies('app');
+
+    assert.deepEqual(dependencies, [
+      { database: '(cluster)', shared: true, objects: [{ dependency: 'owner', object: 'database reports' }] },
+      { database: 'app', objects: [] },
+      { database: 'locked', objects: [], error: 'permission denied for database locked' },
+      {
+        database: 'reports',
+        objects: [{ dependency: 'owner', object: 'table daily' }, { dependency: 'privilege', object: 'schema public' }]
+      }
+    ]);
+  });
+
+  it('flattens the dependencies into one row per object for machine-readable output', async () => {
+    const rows = flattenDependencies(await dependencyService.getRoleDependencies('app'));
+
+    assert.deepEqual(rows, [
+      { database: '(cluster)', dependency: 'owner', object: 'database reports' },
+      { database: 'locked', dependency: null, object: null, error: 'permission denied for database locked' },
+      { database: 'reports', dependency: 'owner', object: 'table daily' },
+      { database: 'reports', dependency: 'privilege', object: 'schema public' }
+    ]);
+  });
+
+  it('reassigns owned objects in each database', async () => {
+    const result = await dependencyService.reassignOwned('app', 'app_owner', ['app', 'reports']);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(statements, [
+      'app: REASSIGN OWNED BY app TO app_owner;',
+      'reports: REASSIGN OWNED BY app TO app_owner;'
+    ]);
+  });
+
+  it('keeps dropping owned objects in the other databases after a failure', async () => {
+    const result = await dependencyService.dropOwned('app', ['reports', 'app']);
+
+    assert.equal(result.success, false);
+    assert.equal(result.message, 'Dropping objects and privileges of app failed in: reports');
+    assert.deepEqual(result.results, [
+      { database: 'reports', success: false, error: 'cannot drop objects owned by app' },
+      { database: 'app', success: true }
+    ]);
+  });
+});
+
+describe('clearRoleDependencies', () => {
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    mock.method(db, 'getConnectionInfo', () => ({ database: 'app' }));
+    mock.method(roleService, 'listRoles', async () => [{ rolename: 'app_owner' }]);
+    mock.method(userService, 'listUsers', async () => [{ username: 'bob' }]);
+    mock.method(dependencyService, 'reassignOwned', async (rolename, successor, databases) => {
+      calls.push(['reassign', successor, databases]);
+      return { success: true, message: 'reassigned', results: [] };
+    });
+    mock.method(dependencyService, 'dropOwned', async (rolename, databases) => {
+      calls.push(['drop', databases]);
+      return { success: true, message: 'dropped', results: [] };
+    });
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('drops privileges on shared objects, such as CONNECT on a database', async () => {
+    mock.method(dependencyService, 'getRoleDependencies', async () => [
+      { database: '(cluster)', shared: true, objects: [{ dependency: 'privilege', object: 'database reports' }] },
+      { database: 'app', objects: [] }
+    ]);
+
+    assert.equal(await clearRoleDependencies('bob', { reassignTo: 'app_owner' }), true);
+    assert.deepEqual(calls, [['reassign', 'app_owner', ['app']], ['drop', ['app']]]);
+  });
+
+  it('has nothing to do for a role without dependencies', async () => {
+    mock.method(dependencyService, 'getRoleDependencies', async () => [
+      { database: '(cluster)', shared: true, objects: [] },
+      { database: 'app', objects: [] }
+    ]);
+
+    assert.equal(await clearRoleDependencies('bob', { reassignTo: 'app_owner' }), true);
+    assert.deepEqual(calls, []);
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../src/services/db');
+const { readImportFile, validateEntries } = require('../src/services/importService');
+
+describe('importService.readImportFile', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgum-test-'));
+  const writeFile = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('normalizes CSV headers and numbers rows as in the file', () => {
+    const file = writeFile('users.csv', [
+      '\uFEFFUser Name,Roles,Password,Valid-Until,expires_in',
+      ' alice ,app_read;app_write,,2027-01-01,',
+      'bob,app_read | reporting,generate,,90d'
+    ].join('\n'));
+
+    assert.deepEqual(readImportFile(file), [
+      { row: 2, username: 'alice', roles: ['app_read', 'app_write'], password: '', validUntil: '2027-01-01', expiresIn: '' },
+      { row: 3, username: 'bob', roles: ['app_read', 'reporting'], password: 'generate', validUntil: '', expiresIn: '90d' }
+    ]);
+  });
+
+  it('reads a JSON array, accepting "user" and roles given as a list', () => {
+    const file = writeFile('users.json', JSON.stringify([
+      { user: 'carol', roles: ['app_read'], validUntil: 'never' },
+      { username: 'dave', roles: 'app_read reporting', password: 'S3cret-Passw0rd', expiresIn: '2w' }
+    ]));
+
+    assert.deepEqual(readImportFile(file), [
+      { row: 1, username: 'carol', roles: ['app_read'], password: '', validUntil: 'never', expiresIn: '' },
+      { row: 2, username: 'dave', roles: ['app_read', 'reporting'], password: 'S3cret-Passw0rd', validUntil: '', expiresIn: '2w' }
+    ]);
+  });
+
+  it('rejects a JSON file that is not an array', () => {
+    const file = writeFile('object.json', '{"username": "alice"}');
+
+    assert.throws(() => readImportFile(file), /must contain a JSON array of users/);
+    assert.throws(() => readImportFile(path.join(dir, 'missing.csv')), /Cannot read import file/);
+  });
+});
+
+describe('importService.validateEntries', () => {
+  const entry = (fields) => ({ row: 2, username: 'alice', roles: [], password: '', validUntil: '', expiresIn: '', ...fields });
+
+  beforeEach(() => {
+    mock.method(db, 'query', async () => ({
+      rows: [
+        { rolname: 'postgres', rolcanlogin: true },
+        { rolname: 'app_read', rolcanlogin: false }
+      ]
+    }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('reports invalid names, duplicates and unknown roles', async () => {
+    const results = await validateEntries([
+      entry({ username: '' }),
+      entry({ username: 'pg_monitor2' }),
+      entry({ username: 'postgres' }),
+      entry({ username: 'alice', roles: ['app_read', 'missing'] }),
+      entry({ username: 'alice' })
+    ]);
+
+    assert.deepEqual(results.map(result => result.errors), [
+      ['username is empty'],
+      ['reserved prefix (pg_ or rds_)'],
+      ['a user or role with this name already exists'],
+      ['unknown role(s): missing'],
+      ['listed more than once in the file']
+    ]);
+  });
+
+  it('resolves the expiry of each entry, falling back to the default', async () => {
+    const defaultExpiry = new Date('2027-06-01T00:00:00Z');
+    const now = Date.now();
+    const [fromDate, fromDuration, never, fallback] = await validateEntries([
+      entry({ username: 'a', validUntil: '2027-01-01T00:00:00Z' }),
+      entry({ username: 'b', expiresIn: '2w' }),
+      entry({ username: 'c', validUntil: 'never' }),
+      entry({ username: 'd' })
+    ], { validUntil: defaultExpiry });
+
+    assert.equal(fromDate.validUntil.toISOString(), '2027-01-01T00:00:00.000Z');
+    const days = (fromDuration.validUntil.getTime() - now) / (24 * 60 * 60 * 1000);
+    assert.ok(days >= 14 && days < 14.01, `${days} days`);
+    assert.equal(never.validUntil, Infinity);
+    assert.equal(fallback.validUntil, defaultExpiry);
+  });
+
+  it('reports invalid and conflicting expiry values', async () => {
+    const results = await validateEntries([
+      entry({ username: 'a', validUntil: 'someday' }),
+      entry({ username: 'b', expiresIn: '3 months' }),
+      entry({ username: 'c', validUntil: '2027-01-01', expiresIn: '30d' })
+    ]);
+
+    assert.deepEqual(results.map(result => result.errors), [
+      ['invalid valid_until date: someday'],
+      ['invalid expires_in duration: 3 months'],
+      ['use either valid_until or expires_in, not both']
+    ]);
+    assert.deepEqual(results.map(result => result.validUntil), [undefined, undefined, undefined]);
+  });
+
+  it('checks passwords given in the file, and generates empty or "generate" ones', async () => {
+    const rules = { minLength: 12, minClasses: 3 };
+    const results = await validateEntries([
+      entry({ username: 'alice', password: 'short' }),
+      entry({ username: 'bob', password: 'Tangerine-Orbit-42' }),
+      entry({ username: 'carol', password: 'GENERATE' }),
+      entry({ username: 'dave', password: '' })
+    ], { passwordRules: rules });
+
+    assert.match(results[0].errors[0], /^password rejected: At least 12 characters \(has 5\); At least 3 of/);
+    assert.deepEqual(results.slice(1).map(result => result.errors), [[], [], []]);
+    assert.deepEqual(results.map(result => result.generate), [false, false, true, true]);
+
+    const unchecked = await validateEntries([entry({ username: 'alice', password: 'short' })]);
+    assert.deepEqual(unchecked[0].errors, []);
+  });
+});
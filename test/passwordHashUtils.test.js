@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { saslprep, scramSha256Verifier, md5Verifier, encryptPassword } = require('../src/utils/passwordHashUtils');
+
+// Split a verifier into its iterations, salt, StoredKey and ServerKey
+const parseVerifier = (verifier) => {
+  const [, iterations, salt, storedKey, serverKey] = verifier.match(/^SCRAM-SHA-256\$(\d+):([^$]+)\$([^:]+):(.+)$/);
+  return { iterations: Number(iterations), salt, storedKey, serverKey };
+};
+
+describe('passwordHashUtils.scramSha256Verifier', () => {
+  it('matches the RFC 7677 example', () => {
+    const verifier = scramSha256Verifier('pencil', { salt: Buffer.from('W22ZaJ0SNY7soEsUEjb6gQ==', 'base64') });
+
+    assert.deepEqual(parseVerifier(verifier), {
+      iterations: 4096,
+      salt: 'W22ZaJ0SNY7soEsUEjb6gQ==',
+      storedKey: 'WG5d8oPm3OtcPnkdi4Uo7BkeZkBFzpcXkuLmtbsT4qY=',
+      serverKey: 'wfPLwcE6nTWhTAmQ7tl2KeoiWGPlZqQxSrmfPwDl2dU='
+    });
+  });
+
+  it('matches a verifier produced by PostgreSQL for a password that needs SASLprep', () => {
+    const expected = 'SCRAM-SHA-256$4096:x0yw1OHe7xPi1sW8cUd6ZQ==$wKG7d3R0mZ99CWtm+pf/oHa8XbJ76NRmOj5BMqCKIEA=:P+8ClNfzF9WslKvH4WDq93UQjeNhDjR+Aqq1pKd/wpk=';
+
+    const verifier = scramSha256Verifier('I\u00ADX\u00A0y\u2168', { salt: Buffer.from('x0yw1OHe7xPi1sW8cUd6ZQ==', 'base64') });
+
+    assert.equal(verifier, expected);
+  });
+
+  it('uses the given iterations and a random 16-byte salt', () => {
+    const first = parseVerifier(scramSha256Verifier('pencil', { iterations: 10000 }));
+    const second = parseVerifier(scramSha256Verifier('pencil', { iterations: 10000 }));
+
+    assert.equal(first.iterations, 10000);
+    assert.equal(Buffer.from(first.salt, 'base64').length, 16);
+    assert.notEqual(first.salt, second.salt);
+  });
+});
+
+describe('passwordHashUtils.md5Verifier', () => {
+  it('matches a verifier produced by PostgreSQL', () => {
+    // CREATE ROLE rv_md5 PASSWORD 'pencil' with password_encryption = md5
+    assert.equal(md5Verifier('pencil', 'rv_md5'), 'md56bb0445ede0b29498fb2f7706232e642');
+  });
+});
+
+describe('passwordHashUtils.encryptPassword', () => {
+  it('rejects an unknown method', () => {
+    assert.throws(() => encryptPassword('pencil', 'app', 'crypt'), /Unknown password encryption method: crypt/);
+  });
+});
+
+describe('passwordHashUtils.saslprep', () => {
+  it('leaves ASCII passwords unchanged', () => {
+    assert.equal(saslprep('user'), 'user');
+    assert.equal(saslprep(' p\tw '), ' p\tw ');
+  });
+
+  it('maps the RFC 4013 examples', () => {
+    assert.equal(saslprep('I\u00ADX'), 'IX');
+    assert.equal(saslprep('\u00AA'), 'a');
+    assert.equal(saslprep('\u2168'), 'IX');
+  });
+
+  it('maps non-ASCII spaces to a space and applies NFKC', () => {
+    assert.equal(saslprep('a\u00A0b\u3000c'), 'a b c');
+    assert.equal(saslprep('e\u0301te\u0301'), '\u00E9t\u00E9');
+  });
+
+  it('uses prohibited and badly mixed bidirectional passwords unchanged', () => {
+    // Without the fallback, U+00AA and U+FE8E would be mapped to "a" and U+0627
+    assert.equal(saslprep('\u00AA\u0007'), '\u00AA\u0007');
+    assert.equal(saslprep('\uFE8E1'), '\uFE8E1');
+    assert.equal(saslprep('\uFE8Ea\u0628'), '\uFE8Ea\u0628');
+  });
+
+  it('accepts right-to-left passwords that start and end with a right-to-left character', () => {
+    assert.equal(saslprep('\u06271\u0628'), '\u06271\u0628');
+    assert.equal(saslprep('\uFE8E1\u0628'), '\u06271\u0628');
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CHARACTER_CLASSES, validatePolicy, estimateEntropy, generatePassword } = require('../src/utils/passwordUtils');
+
+// Passwords are random, so each property is checked on a batch of them
+const generateMany = (policy, count = 200) => Array.from({ length: count }, () => generatePassword(policy));
+
+describe('passwordUtils.generatePassword', () => {
+  it('uses 16 characters with every class by default', () => {
+    generateMany({}).forEach(password => {
+      assert.equal(password.length, 16);
+      Object.values(CHARACTER_CLASSES).forEach(chars => {
+        assert.ok([...password].some(char => chars.includes(char)), `${password} lacks one of ${chars}`);
+      });
+    });
+  });
+
+  it('includes every class of the policy even in the shortest password', () => {
+    generateMany({ length: 8, classes: ['lower', 'upper', 'digit', 'special'] }).forEach(password => {
+      assert.equal(password.length, 8);
+      assert.match(password, /[a-z]/);
+      assert.match(password, /[A-Z]/);
+      assert.match(password, /[0-9]/);
+      assert.match(password, /[!#%*+\-.=?@^_~]/);
+    });
+  });
+
+  it('only uses the classes of the policy', () => {
+    generateMany({ length: 24, classes: ['lower', 'digit'] }).forEach(password => {
+      assert.match(password, /^[a-z0-9]{24}$/);
+    });
+  });
+
+  it('leaves out ambiguous characters and URL-unsafe specials when asked', () => {
+    const passwords = generateMany({ length: 32, excludeAmbiguous: true, urlSafe: true }).join('');
+
+    assert.doesNotMatch(passwords, /[Il1O0o]/);
+    assert.match(passwords, /^[A-Za-z0-9\-._~]+$/);
+  });
+
+  it('generates passphrases with the number of words of the policy', () => {
+    generateMany({ mode: 'passphrase', words: 4 }).forEach(passphrase => {
+      assert.match(passphrase, /^[a-z]+(-[a-z]+){3}$/);
+    });
+    generateMany({ mode: 'passphrase', words: 5, separator: ' ', capitalize: true }).forEach(passphrase => {
+      const words = passphrase.split(' ');
+      assert.equal(words.length, 5);
+      words.forEach(word => assert.match(word, /^[A-Z][a-z]*$/));
+    });
+  });
+});
+
+describe('passwordUtils passphrase dictionaries', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgum-test-'));
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('reads one word per line, ignoring blank lines, duplicates and non-words', () => {
+    const words = Array.from({ length: 120 }, (value, index) => `word${String.fromCharCode(97 + (index % 26))}${String.fromCharCode(97 + Math.floor(index / 26))}`);
+    const dictionary = path.join(dir, 'words.txt');
+    fs.writeFileSync(dictionary, [...words, '', 'worda a', 'not-a-word', words[0]].join('\r\n'));
+
+    const policy = { mode: 'passphrase', words: 3, dictionary };
+    generateMany(policy, 50).forEach(passphrase => {
+      passphrase.split('-').forEach(word => assert.ok(words.includes(word), `${word} is not in the dictionary`));
+    });
+    assert.equal(estimateEntropy(policy), Math.floor(3 * Math.log2(120)));
+  });
+
+  it('rejects a dictionary with fewer than 100 words', () => {
+    const dictionary = path.join(dir, 'short.txt');
+    fs.writeFileSync(dictionary, 'alpha\nbravo\ncharlie\n');
+
+    assert.throws(() => generatePassword({ mode: 'passphrase', dictionary }), /needs at least 100 distinct words/);
+  });
+});
+
+describe('passwordUtils.validatePolicy', () => {
+  it('rejects policies that cannot be used', () => {
+    assert.throws(() => validatePolicy({ length: 6 }), /at least 8 characters/);
+    assert.throws(() => validatePolicy({ classes: [] }), /at least one character class/);
+    assert.throws(() => validatePolicy({ classes: ['emoji'] }), /Unknown character class: emoji/);
+    assert.throws(() => validatePolicy({ mode: 'pin' }), /Unknown password policy mode: pin/);
+    assert.throws(() => validatePolicy({ mode: 'passphrase', words: 2 }), /at least 3 words/);
+  });
+
+  it('estimates the entropy from the pool size', () => {
+    assert.equal(estimateEntropy({ length: 10, classes: ['digit'] }), Math.floor(10 * Math.log2(10)));
+    assert.equal(estimateEntropy({ length: 16, classes: ['lower', 'upper'] }), Math.floor(16 * Math.log2(52)));
+  });
+});
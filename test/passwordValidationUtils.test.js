@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validatePassword, describeFailedRules, isBreachedPassword } = require('../src/utils/passwordValidationUtils');
+
+const sha1 = (password) => crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+
+// Names of the rules a password failed
+const failedRules = (password, options) =>
+  validatePassword(password, options).filter(result => !result.passed).map(result => result.rule);
+
+describe('passwordValidationUtils.validatePassword', () => {
+  it('passes a long password with several character classes', () => {
+    assert.deepEqual(failedRules('Tangerine-Orbit-42', { username: 'app' }), []);
+  });
+
+  it('checks the length and the number of character classes', () => {
+    assert.deepEqual(failedRules('Short1!'), ['minLength']);
+    assert.deepEqual(failedRules('onlylowercaseletters'), ['minClasses']);
+    assert.deepEqual(failedRules('onlylowercaseletters', { rules: { minClasses: 1 } }), []);
+  });
+
+  it('checks the required character classes', () => {
+    const results = validatePassword('NoSpecialChars42', { rules: { requiredClasses: ['digit', 'special'] } });
+
+    assert.deepEqual(results.filter(result => result.rule === 'requiredClasses').map(result => result.passed), [true, false]);
+    assert.throws(() => validatePassword('x', { rules: { requiredClasses: ['emoji'] } }), /Unknown character class in requiredClasses: emoji/);
+  });
+
+  it('rejects a password containing the user name, in any case', () => {
+    assert.deepEqual(failedRules('Reporting-Tool-2024', { username: 'REPORTING' }), ['notUsername']);
+    assert.deepEqual(failedRules('Reporting-Tool-2024', { username: 'reporting', rules: { notUsername: false } }), []);
+  });
+
+  it('rejects common passwords and their variations', () => {
+    ['P@ssw0rd12345', 'Summer2024!!!', '!!Dragon1234'].forEach(password => {
+      assert.deepEqual(failedRules(password, { rules: { minClasses: 1 } }), ['commonPasswords'], password);
+    });
+    assert.deepEqual(failedRules('P@ssw0rd12345', { rules: { commonPasswords: false } }), []);
+  });
+
+  it('describes the failed rules, or returns null', () => {
+    assert.equal(describeFailedRules(validatePassword('Tangerine-Orbit-42')), null);
+    assert.equal(describeFailedRules(validatePassword('Short1!')), '✗ At least 12 characters (has 7)');
+  });
+});
+
+describe('passwordValidationUtils.isBreachedPassword', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgum-test-'));
+  const passwords = Array.from({ length: 200 }, (_, index) => `breached-${index}`);
+  const file = path.join(dir, 'hashes.txt');
+  let sorted;
+
+  before(() => {
+    // Sorted by hash with counts, as in the Have I Been Pwned downloads
+    sorted = passwords.map(password => ({ password, hash: sha1(password) }))
+      .sort((a, b) => (a.hash < b.hash ? -1 : 1));
+    fs.writeFileSync(file, sorted.map((entry, index) => `${entry.hash}:${index + 1}\r\n`).join(''));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('finds the first and the last line', () => {
+    assert.equal(isBreachedPassword(sorted[0].password, file), true);
+    assert.equal(isBreachedPassword(sorted[sorted.length - 1].password, file), true);
+  });
+
+  it('finds every password of the file', () => {
+    passwords.forEach(password => assert.equal(isBreachedPassword(password, file), true, password));
+  });
+
+  it('does not find a missing hash', () => {
+    ['not-breached', 'Tangerine-Orbit-42', ''].forEach(password => {
+      assert.equal(isBreachedPassword(password, file), false, password);
+    });
+  });
+
+  it('reads a file without a trailing line break and lowercase hashes', () => {
+    const single = path.join(dir, 'single.txt');
+    fs.writeFileSync(single, sha1('only').toLowerCase());
+
+    assert.equal(isBreachedPassword('only', single), true);
+    assert.equal(isBreachedPassword('other', single), false);
+  });
+
+  it('rejects a line longer than the maximum line length', () => {
+    const invalid = path.join(dir, 'invalid.txt');
+    fs.writeFileSync(invalid, `${'0'.repeat(40)}:1\n${'A'.repeat(4000)}\n${'F'.repeat(40)}:1\n`);
+
+    assert.throws(() => isBreachedPassword('password', invalid), /Line longer than 512 characters in breached-hash file/);
+  });
+
+  it('reports a file that cannot be opened', () => {
+    assert.throws(() => isBreachedPassword('password', path.join(dir, 'missing.txt')), /Cannot open breached-hash file/);
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pg = require('pg');
+const db = require('../src/services/db');
+const permissionService = require('../src/services/permissionService');
+
+describe('permissionService column permissions', () => {
+  let queries;
+
+  beforeEach(() => {
+    queries = [];
+    mock.method(db, 'query', async (text) => {
+      queries.push(text);
+      return { rows: [] };
+    });
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('rejects an unknown privilege before granting', async () => {
+    await assert.rejects(
+      permissionService.grantColumnPermissions('alice', 'app', 'public', 'users', ['id'], ['DELETE']),
+      /DELETE cannot be granted on columns/
+    );
+    assert.deepEqual(queries, []);
+  });
+
+  it('rejects an unknown privilege before revoking', async () => {
+    const injected = 'SELECT (ID) ON TABLE T FROM X; DROP TABLE T; --';
+    await assert.rejects(
+      permissionService.revokeColumnPermissions('alice', 'app', 'public', 'users', ['id'], [injected]),
+      /cannot be revoked on columns \(allowed: SELECT, INSERT, UPDATE, REFERENCES\)/
+    );
+    assert.deepEqual(queries, []);
+  });
+});
+
+// --database runs the change on a client of that database while the audit row goes to the connected one
+describe('permissionService in another database with the audit table installed', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgum-test-'));
+  const saved = {};
+  let log;
+  let insertError;
+
+  before(() => {
+    ['PGUM_PROFILES_FILE', 'PGUM_PROFILE', 'PGUM_AUDIT_FILE', 'DB_NAME'].forEach(name => {
+      saved[name] = process.env[name];
+    });
+    process.env.PGUM_PROFILES_FILE = path.join(dir, 'profiles.yaml');
+    process.env.PGUM_AUDIT_FILE = path.join(dir, 'audit.jsonl');
+    delete process.env.PGUM_PROFILE;
+    process.env.DB_NAME = 'main';
+  });
+
+  after(() => {
+    Object.keys(saved).forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    log = [];
+    insertError = null;
+
+    const respond = async (database, text) => {
+      log.push(`${database}: ${text.trim().split(/\s+/).slice(0, 2).join(' ')}`);
+      if (/^INSERT INTO pgum_audit/.test(text) && insertError) {
+        throw insertError;
+      }
+      return { rows: /to_regclass/.test(text) ? [{ installed: true }] : [] };
+    };
+
+    mock.method(pg.Pool.prototype, 'query', async (text) => respond('main', text));
+    mock.method(pg.Pool.prototype, 'connect', async () => ({ query: async (text) => respond('main', text), release: () => {} }));
+    mock.method(pg.Client.prototype, 'connect', async () => {});
+    mock.method(pg.Client.prototype, 'query', async function (text) { return respond(this.database, text); });
+    mock.method(pg.Client.prototype, 'end', async () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('inserts the audit row before the change is committed', async () => {
+    await permissionService.revokeColumnPermissions('alice', 'other', 'public', 'users', ['id'], ['SELECT']);
+
+    assert.deepEqual(log.filter(entry => !/: SELECT/.test(entry)), [
+      'main: BEGIN;',
+      'other: BEGIN;',
+      'other: REVOKE SELECT',
+      'main: INSERT INTO',
+      'other: COMMIT;',
+      'main: COMMIT;'
+    ]);
+  });
+
+  it('rolls the change back when the audit row cannot be inserted', async () => {
+    insertError = new Error('permission denied for table changes');
+
+    await assert.rejects(
+      permissionService.revokeColumnPermissions('alice', 'other', 'public', 'users', ['id'], ['SELECT']),
+      /permission denied for table changes/
+    );
+
+    assert.ok(!log.includes('other: COMMIT;'));
+    assert.ok(log.includes('other: ROLLBACK;'));
+    assert.ok(log.includes('main: ROLLBACK;'));
+  });
+});
@@ -0,0 +1,260 @@
+const { describe, it, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dependencyService = require('../src/services/dependencyService');
+const { loadDesiredState, getSchemaAccess, computePlan, planOwnedObjects } = require('../src/services/planService');
+
+// Live state as returned by readCurrentState
+const currentState = () => ({
+  currentUser: 'admin',
+  users: {
+    admin: { isSuperuser: false, roles: [] },
+    postgres: { isSuperuser: true, roles: [] },
+    alice: { isSuperuser: false, roles: ['app_read'] }
+  },
+  roles: {
+    app_read: { isSuperuser: false, access: { public: 'read' } },
+    app_write: { isSuperuser: false, access: { public: 'write', sales: 'write' } },
+    rds_superuser: { isSuperuser: true, access: {} }
+  }
+});
+
+const summarize = (actions) => actions.map(({ action, target, details }) =>
+  [action, target, details.schema || details.role].filter(Boolean).join(' '));
+
+describe('planService.computePlan', () => {
+  it('creates what is missing and leaves what already matches', () => {
+    const desired = {
+      roles: [
+        { name: 'app_read', grants: [{ schema: 'public', access: 'read' }] },
+        { name: 'reporting', grants: [{ schema: 'reports', access: 'read' }] }
+      ],
+      users: [
+        { name: 'alice', roles: ['app_read'] },
+        { name: 'bob', roles: ['reporting'] }
+      ]
+    };
+
+    const actions = computePlan(desired, currentState(), { database: 'app' });
+
+    assert.deepEqual(summarize(actions), [
+      'create-role reporting',
+      'create-user bob',
+      'grant-access reporting reports',
+      'grant-membership bob reporting'
+    ]);
+    assert.deepEqual(actions[2].details, { schema: 'reports', database: 'app', access: 'read' });
+  });
+
+  it('upgrades read access to write', () => {
+    const desired = { roles: [{ name: 'app_read', grants: [{ schema: 'public', access: 'write' }] }], users: [] };
+
+    const actions = computePlan(desired, currentState(), { database: 'app' });
+
+    assert.deepEqual(actions, [{
+      action: 'change-access',
+      target: 'app_read',
+      details: { schema: 'public', database: 'app', from: 'read', access: 'write' }
+    }]);
+  });
+
+  it('downgrades write access to read', () => {
+    const desired = {
+      roles: [{ name: 'app_write', grants: [{ schema: 'public', access: 'read' }, { schema: 'sales', access: 'write' }] }],
+      users: []
+    };
+
+    const actions = computePlan(desired, currentState(), { database: 'app' });
+
+    assert.deepEqual(actions, [{
+      action: 'change-access',
+      target: 'app_write',
+      details: { schema: 'public', database: 'app', from: 'write', access: 'read' }
+    }]);
+  });
+
+  it('ignores undeclared grants, memberships and roles unless pruning', () => {
+    const desired = { roles: [{ name: 'app_write', grants: [{ schema: 'public', access: 'write' }] }], users: [{ name: 'alice', roles: [] }] };
+
+    assert.deepEqual(computePlan(desired, currentState()), []);
+  });
+
+  it('never prunes the connected user or superusers', () => {
+    const desired = { roles: [{ name: 'app_write', grants: [{ schema: 'public', access: 'write' }] }], users: [] };
+
+    const actions = computePlan(desired, currentState(), { prune: true, database: 'app' });
+
+    assert.deepEqual(summarize(actions), [
+      'revoke-access app_write sales',
+      'revoke-access app_read public',
+      'drop-user alice',
+      'drop-role app_read'
+    ]);
+    assert.equal(actions[1].details.dropping, true);
+    assert.equal(actions[0].details.dropping, undefined);
+  });
+
+  it('rejects a declared role that exists as a login user, and the reverse', () => {
+    const desired = {
+      roles: [{ name: 'alice', grants: [] }],
+      users: [{ name: 'app_read', roles: [] }]
+    };
+
+    assert.throws(() => computePlan(desired, currentState()), (err) => {
+      assert.match(err.message, /alice is declared as a role but exists as a login user/);
+      assert.match(err.message, /app_read is declared as a user but exists as a role without login/);
+      return true;
+    });
+  });
+
+  it('rejects a membership in a role that is neither declared nor existing', () => {
+    const desired = { roles: [], users: [{ name: 'carol', roles: ['app_read', 'missing'] }] };
+
+    assert.throws(() => computePlan(desired, currentState()), /User carol is a member of unknown role missing/);
+  });
+});
+
+describe('planService.loadDesiredState', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgum-test-'));
+  const writeState = (content) => {
+    const file = path.join(dir, `state-${Date.now()}-${Math.random()}.yaml`);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('parses roles, grants and users', () => {
+    const file = writeState([
+      'database: app',
+      'roles:',
+      '  - name: app_read',
+      '    grants:',
+      '      - { schema: public, access: read }',
+      'users:',
+      '  - name: alice',
+      '    roles: [app_read]'
+    ].join('\n'));
+
+    assert.deepEqual(loadDesiredState(file), {
+      database: 'app',
+      roles: [{ name: 'app_read', grants: [{ schema: 'public', access: 'read' }] }],
+      users: [{ name: 'alice', roles: ['app_read'] }]
+    });
+  });
+
+  it('rejects a name declared both as a user and as a role', () => {
+    const file = writeState('roles:\n  - name: app\nusers:\n  - name: app\n');
+
+    assert.throws(() => loadDesiredState(file), /app is declared both as a user and as a role/);
+  });
+
+  it('rejects an unknown access level', () => {
+    const file = writeState('roles:\n  - name: app\n    grants:\n      - { schema: public, access: admin }\n');
+
+    assert.throws(() => loadDesiredState(file), /roles\.app\.grants\[0\]: access must be one of read, write/);
+  });
+});
+
+describe('planService.getSchemaAccess', () => {
+  it('derives read and write access from table and default privileges', () => {
+    const access = getSchemaAccess('app', {
+      tablePermissions: [
+        { table_schema: 'public', privilege_type: 'SELECT', grantor: 'postgres' },
+        { table_schema: 'sales', privilege_type: 'SELECT', grantor: 'postgres' },
+        { table_schema: 'sales', privilege_type: 'INSERT', grantor: 'postgres' }
+      ],
+      defaultPrivileges: [
+        { schema_name: 'reports', object_type: 'TABLES', privilege_type: 'SELECT', grantor: 'postgres' },
+        { schema_name: 'reports', object_type: 'SEQUENCES', privilege_type: 'UPDATE', grantor: 'postgres' }
+      ]
+    });
+
+    assert.deepEqual(access, { public: 'read', sales: 'write', reports: 'read' });
+  });
+
+  it('ignores privileges the role holds as the owner of the objects', () => {
+    const access = getSchemaAccess('app', {
+      tablePermissions: [
+        { table_schema: 'own', privilege_type: 'INSERT', grantor: 'app' },
+        { table_schema: 'public', privilege_type: 'SELECT', grantor: 'postgres' }
+      ],
+      defaultPrivileges: [
+        { schema_name: 'own', object_type: 'TABLES', privilege_type: 'DELETE', grantor: 'app' }
+      ]
+    });
+
+    assert.deepEqual(access, { public: 'read' });
+  });
+});
+
+describe('planService.planOwnedObjects', () => {
+  // What getRoleDependencies reports for each role
+  const dependencies = {
+    alice: [
+      { database: '(cluster)', shared: true, objects: [{ dependency: 'privilege', object: 'database app' }] },
+      { database: 'app', objects: [] }
+    ],
+    app_read: [
+      { database: '(cluster)', shared: true, objects: [] },
+      { database: 'app', objects: [{ dependency: 'privilege', object: 'schema public' }] },
+      { database: 'reports', objects: [{ dependency: 'owner', object: 'table daily' }] }
+    ]
+  };
+
+  const pruning = () => [
+    { action: 'revoke-access', target: 'app_read', details: { schema: 'public', database: 'app', from: 'read', dropping: true } },
+    { action: 'drop-user', target: 'alice', details: {} },
+    { action: 'drop-role', target: 'app_read', details: {} }
+  ];
+
+  beforeEach(() => {
+    mock.method(dependencyService, 'getRoleDependencies', async (rolename) => dependencies[rolename]);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('refuses to drop a role that owns objects without a successor', async () => {
+    await assert.rejects(
+      planOwnedObjects(pruning(), { database: 'app', knownRoles: ['alice', 'app_read', 'admin'] }),
+      /app_read owns 1 object\(s\) \(table daily\)\. Pass --reassign-to <role>/
+    );
+  });
+
+  it('reassigns owned objects and drops privileges before dropping', async () => {
+    const actions = await planOwnedObjects(pruning(), { reassignTo: 'admin', database: 'app', knownRoles: ['alice', 'app_read', 'admin'] });
+
+    assert.deepEqual(actions.map(({ action, target, details }) => [action, target, details.databases]), [
+      ['revoke-access', 'app_read', undefined],
+      ['reassign-owned', 'app_read', ['app', 'reports']],
+      ['drop-owned', 'alice', ['app']],
+      ['drop-owned', 'app_read', ['app', 'reports']],
+      ['drop-user', 'alice', undefined],
+      ['drop-role', 'app_read', undefined]
+    ]);
+    assert.equal(actions[1].details.successor, 'admin');
+  });
+
+  it('rejects a successor that does not exist or is being dropped', async () => {
+    await assert.rejects(
+      planOwnedObjects(pruning(), { reassignTo: 'nobody', database: 'app', knownRoles: ['alice', 'app_read'] }),
+      /nobody cannot take over owned objects: no such user or role/
+    );
+    await assert.rejects(
+      planOwnedObjects(pruning(), { reassignTo: 'alice', database: 'app', knownRoles: ['alice', 'app_read'] }),
+      /alice cannot take over owned objects, since it is about to be dropped/
+    );
+  });
+
+  it('refuses when a database could not be inspected', async () => {
+    dependencies.alice.push({ database: 'locked', objects: [], error: 'permission denied for database locked' });
+
+    await assert.rejects(
+      planOwnedObjects(pruning(), { reassignTo: 'admin', database: 'app', knownRoles: ['alice', 'app_read', 'admin'] }),
+      /Cannot check what alice owns in locked: permission denied/
+    );
+    dependencies.alice.pop();
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const profileService = require('../src/services/profileService');
+
+describe('profileService', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgum-test-'));
+  const saved = {};
+
+  beforeEach(() => {
+    ['PGUM_PROFILES_FILE', 'PGUM_PROFILE', 'DB_HOST', 'DB_NAME'].forEach(name => {
+      if (!(name in saved)) saved[name] = process.env[name];
+    });
+    process.env.PGUM_PROFILES_FILE = path.join(dir, `profiles-${Date.now()}-${Math.random()}.yaml`);
+    delete process.env.PGUM_PROFILE;
+    process.env.DB_HOST = 'env-host';
+    process.env.DB_NAME = 'env-db';
+  });
+
+  after(() => {
+    Object.keys(saved).forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('does not make the first profile the default', () => {
+    profileService.addProfile('prod', { host: 'prod-host', database: 'app', environment: 'production' });
+
+    assert.equal(profileService.listProfiles()[0].is_default, false);
+    const connection = profileService.resolveConnection();
+    assert.equal(connection.name, null);
+    assert.equal(connection.host, 'env-host');
+  });
+
+  it('uses the profile made the default with --default', () => {
+    profileService.addProfile('prod', { host: 'prod-host', database: 'app' });
+    profileService.addProfile('staging', { host: 'staging-host', database: 'app' }, true);
+    profileService.addProfile('dev', { host: 'dev-host', database: 'app' });
+
+    assert.deepEqual(profileService.listProfiles().filter(profile => profile.is_default).map(profile => profile.name), ['staging']);
+    assert.equal(profileService.resolveConnection().host, 'staging-host');
+    assert.equal(profileService.resolveConnection('dev').host, 'dev-host');
+  });
+
+  it('falls back to .env once the default profile is removed', () => {
+    profileService.addProfile('staging', { host: 'staging-host', database: 'app' }, true);
+    profileService.removeProfile('staging');
+
+    assert.equal(profileService.resolveConnection().host, 'env-host');
+  });
+
+  it('creates the profiles file readable by the current user only', () => {
+    profileService.addProfile('dev', { host: 'dev-host', database: 'app', password: 'secret' });
+
+    assert.equal(fs.statSync(process.env.PGUM_PROFILES_FILE).mode & 0o777, 0o600);
+    assert.equal(profileService.listProfiles()[0].has_password, true);
+    assert.equal(profileService.listProfiles()[0].password, undefined);
+  });
+
+  it('accepts every environment spelling that shows the production banner', () => {
+    ['prod', 'production'].forEach(environment => {
+      assert.ok(profileService.ENVIRONMENTS.includes(environment));
+      assert.equal(profileService.isProductionProfile({ environment }), true);
+    });
+    assert.equal(profileService.isProductionProfile({ environment: 'staging' }), false);
+  });
+});
@@ -0,0 +1,214 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const hashicorpVaultBackend = require('../src/services/secretBackends/hashicorpVaultBackend');
+const awsSecretsManagerBackend = require('../src/services/secretBackends/awsSecretsManagerBackend');
+
+const CONTEXT = { prefix: 'pg-user-manager/test', metadata: { source: 'test' } };
+
+// Start a mock HTTP server on a free local port; handler(request, body) returns { status, body }
+const startServer = async (handler) => {
+  const server = http.createServer((request, response) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const { status, body } = handler(request, Buffer.concat(chunks).toString('utf8'));
+      response.writeHead(status, { 'content-type': 'application/json' });
+      response.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+// Set environment variables for the duration of the tests of a suite
+const useEnvironment = (variables) => {
+  const saved = {};
+  before(() => {
+    Object.keys(variables).forEach(name => {
+      saved[name] = process.env[name];
+      process.env[name] = variables[name];
+    });
+  });
+  after(() => {
+    Object.keys(variables).forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  });
+};
+
+describe('hashicorp-vault backend', () => {
+  useEnvironment({ VAULT_TOKEN: 'test-token' });
+
+  let mock;
+  let secrets;
+  let requests;
+
+  before(async () => {
+    // KV version 2 engine: every write adds a version of the secret
+    mock = await startServer((request, body) => {
+      requests.push({ method: request.method, url: request.url, headers: request.headers, body: JSON.parse(body) });
+      if (request.headers['x-vault-token'] !== 'test-token') {
+        return { status: 403, body: { errors: ['permission denied'] } };
+      }
+      const versions = secrets.get(request.url) || [];
+      versions.push(JSON.parse(body).data);
+      secrets.set(request.url, versions);
+      return { status: 200, body: { data: { version: versions.length, created_time: new Date().toISOString() } } };
+    });
+  });
+
+  after(() => mock.server.close());
+
+  beforeEach(() => {
+    secrets = new Map();
+    requests = [];
+  });
+
+  it('writes each user to <mount>/data/<prefix>/<username>', async () => {
+    const results = await hashicorpVaultBackend.saveCredentials({ address: mock.url, mount: 'kv' },
+      [{ username: 'app', password: 'first' }], CONTEXT);
+
+    assert.deepEqual(results, [{ username: 'app', success: true, secret: 'kv/pg-user-manager/test/app', version: 1 }]);
+    assert.equal(requests[0].method, 'POST');
+    assert.equal(requests[0].url, '/v1/kv/data/pg-user-manager/test/app');
+    assert.deepEqual(requests[0].body, { data: { username: 'app', password: 'first', source: 'test' } });
+  });
+
+  it('adds a version when the password of a user is updated', async () => {
+    const settings = { address: `${mock.url}/` };
+    await hashicorpVaultBackend.saveCredentials(settings, [{ username: 'app', password: 'first' }], CONTEXT);
+    const results = await hashicorpVaultBackend.saveCredentials(settings, [{ username: 'app', password: 'second' }], CONTEXT);
+
+    assert.equal(results[0].version, 2);
+    const versions = secrets.get('/v1/secret/data/pg-user-manager/test/app');
+    assert.deepEqual(versions.map(version => version.password), ['first', 'second']);
+  });
+
+  it('encodes user names in the secret path and sends the namespace', async () => {
+    await hashicorpVaultBackend.saveCredentials({ address: mock.url, namespace: 'team-a' },
+      [{ username: 'sales eu', password: 'x' }], CONTEXT);
+
+    assert.equal(requests[0].url, '/v1/secret/data/pg-user-manager/test/sales%20eu');
+    assert.equal(requests[0].headers['x-vault-namespace'], 'team-a');
+  });
+
+  it('reports error responses per user without stopping', async () => {
+    process.env.VAULT_TOKEN = 'wrong-token';
+    try {
+      const results = await hashicorpVaultBackend.saveCredentials({ address: mock.url },
+        [{ username: 'a', password: 'x' }, { username: 'b', password: 'y' }], CONTEXT);
+
+      assert.deepEqual(results, [
+        { username: 'a', success: false, error: 'Vault returned 403: permission denied' },
+        { username: 'b', success: false, error: 'Vault returned 403: permission denied' }
+      ]);
+    } finally {
+      process.env.VAULT_TOKEN = 'test-token';
+    }
+  });
+});
+
+describe('aws-secrets-manager backend', () => {
+  useEnvironment({ AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE', AWS_SECRET_ACCESS_KEY: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY' });
+
+  let mock;
+  let secrets;
+  let requests;
+  let failWith;
+
+  before(async () => {
+    mock = await startServer((request, body) => {
+      const action = request.headers['x-amz-target'].split('.').pop();
+      const params = JSON.parse(body);
+      requests.push({ action, headers: request.headers, params });
+
+      if (failWith) return failWith;
+      if (action === 'PutSecretValue') {
+        if (!secrets.has(params.SecretId)) {
+          return { status: 400, body: { __type: 'ResourceNotFoundException', message: "Secrets Manager can't find the specified secret." } };
+        }
+        secrets.get(params.SecretId).push(params.SecretString);
+        return { status: 200, body: { Name: params.SecretId, VersionId: params.ClientRequestToken } };
+      }
+      if (action === 'CreateSecret') {
+        secrets.set(params.Name, [params.SecretString]);
+        return { status: 200, body: { Name: params.Name, VersionId: params.ClientRequestToken } };
+      }
+      return { status: 400, body: { __type: 'com.amazonaws#UnknownOperationException', message: action } };
+    });
+  });
+
+  after(() => mock.server.close());
+
+  beforeEach(() => {
+    secrets = new Map();
+    requests = [];
+    failWith = null;
+  });
+
+  it('signs requests as in the AWS Signature Version 4 test suite (post-vanilla)', () => {
+    const authorization = awsSecretsManagerBackend.signRequest(
+      { host: 'example.amazonaws.com', 'x-amz-date': '20150830T123600Z' },
+      '',
+      {
+        service: 'service',
+        region: 'us-east-1',
+        credentials: { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY' },
+        pathname: '/',
+        amzDate: '20150830T123600Z'
+      }
+    );
+
+    assert.equal(authorization, 'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, ' +
+      'SignedHeaders=host;x-amz-date, Signature=5da7c1a2acd57cee7505fc6676e4e544621c30862966e37dddb68e92efbe5d6b');
+  });
+
+  it('creates the secret when PutSecretValue finds none', async () => {
+    const results = await awsSecretsManagerBackend.saveCredentials({ region: 'eu-west-1', endpoint: mock.url },
+      [{ username: 'app', password: 'first' }], CONTEXT);
+
+    assert.deepEqual(requests.map(request => request.action), ['PutSecretValue', 'CreateSecret']);
+    assert.equal(results[0].success, true);
+    assert.equal(results[0].secret, 'pg-user-manager/test/app');
+    assert.equal(results[0].version, requests[1].params.ClientRequestToken);
+    assert.deepEqual(JSON.parse(secrets.get('pg-user-manager/test/app')[0]), { username: 'app', password: 'first', source: 'test' });
+    assert.match(requests[1].params.Description, /of app/);
+  });
+
+  it('adds a version to an existing secret', async () => {
+    const settings = { region: 'eu-west-1', endpoint: mock.url };
+    await awsSecretsManagerBackend.saveCredentials(settings, [{ username: 'app', password: 'first' }], CONTEXT);
+    requests = [];
+    await awsSecretsManagerBackend.saveCredentials(settings, [{ username: 'app', password: 'second' }], CONTEXT);
+
+    assert.deepEqual(requests.map(request => request.action), ['PutSecretValue']);
+    assert.deepEqual(secrets.get('pg-user-manager/test/app').map(value => JSON.parse(value).password), ['first', 'second']);
+  });
+
+  it('sends signed requests for the region and service', async () => {
+    await awsSecretsManagerBackend.saveCredentials({ region: 'eu-west-1', endpoint: mock.url },
+      [{ username: 'app', password: 'x' }], CONTEXT);
+
+    const { headers } = requests[0];
+    assert.equal(headers['content-type'], 'application/x-amz-json-1.1');
+    assert.match(headers['x-amz-date'], /^\d{8}T\d{6}Z$/);
+    assert.match(headers.authorization, new RegExp(
+      '^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/\\d{8}/eu-west-1/secretsmanager/aws4_request, ' +
+      'SignedHeaders=content-type;host;x-amz-date;x-amz-target, Signature=[0-9a-f]{64}$'));
+  });
+
+  it('reports error responses per user', async () => {
+    failWith = { status: 400, body: { __type: 'com.amazonaws.secretsmanager#AccessDeniedException', Message: 'not allowed' } };
+    const denied = await awsSecretsManagerBackend.saveCredentials({ region: 'eu-west-1', endpoint: mock.url },
+      [{ username: 'app', password: 'x' }], CONTEXT);
+    assert.deepEqual(denied, [{ username: 'app', success: false, error: 'AWS Secrets Manager returned AccessDeniedException: not allowed' }]);
+    assert.deepEqual(requests.map(request => request.action), ['PutSecretValue']);
+
+    failWith = { status: 500, body: 'upstream failure' };
+    const failed = await awsSecretsManagerBackend.saveCredentials({ region: 'eu-west-1', endpoint: mock.url },
+      [{ username: 'app', password: 'x' }], CONTEXT);
+    assert.deepEqual(failed, [{ username: 'app', success: false, error: 'AWS Secrets Manager returned Internal Server Error: 500' }]);
+  });
+});
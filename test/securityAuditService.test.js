@@ -0,0 +1,126 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/services/db');
+const dependencyService = require('../src/services/dependencyService');
+const {
+  compareSeverity,
+  atOrAbove,
+  checkRoleAttributes,
+  checkLoginRoles,
+  runSecurityAudit
+} = require('../src/services/securityAuditService');
+
+// A row of readRoles with every attribute off
+const role = (rolname, attributes = {}) => ({
+  rolname,
+  is_bootstrap: false,
+  rolsuper: false,
+  rolcanlogin: false,
+  rolcreaterole: false,
+  rolbypassrls: false,
+  rolreplication: false,
+  has_password: true,
+  no_expiry: false,
+  ...attributes
+});
+
+const summarize = (findings) => findings.map(finding => `${finding.severity} ${finding.check} ${finding.object}`);
+
+describe('securityAuditService.checkRoleAttributes', () => {
+  it('maps superusers to a severity by login and bootstrap role', () => {
+    const findings = checkRoleAttributes([
+      role('postgres', { rolsuper: true, is_bootstrap: true, rolcanlogin: true }),
+      role('dba', { rolsuper: true, rolcanlogin: true, rolbypassrls: true, rolcreaterole: true }),
+      role('admins', { rolsuper: true })
+    ]);
+
+    assert.deepEqual(summarize(findings), [
+      'low superuser postgres',
+      'high superuser dba',
+      'medium superuser admins'
+    ]);
+  });
+
+  it('reports BYPASSRLS, CREATEROLE and REPLICATION of other roles', () => {
+    const findings = checkRoleAttributes([
+      role('app', { rolbypassrls: true, rolcreaterole: true, rolreplication: true }),
+      role('reader')
+    ]);
+
+    assert.deepEqual(summarize(findings), [
+      'high bypassrls app',
+      'medium createrole app',
+      'medium replication app'
+    ]);
+  });
+});
+
+describe('securityAuditService.checkLoginRoles', () => {
+  it('reports login roles without a password or without expiry', () => {
+    const findings = checkLoginRoles([
+      role('nopass', { rolcanlogin: true, has_password: false, no_expiry: true }),
+      role('forever', { rolcanlogin: true, no_expiry: true }),
+      role('unknown', { rolcanlogin: true, has_password: null }),
+      role('group', { no_expiry: true })
+    ]);
+
+    assert.deepEqual(summarize(findings), [
+      'medium no-password nopass',
+      'low no-expiry forever'
+    ]);
+  });
+});
+
+describe('securityAuditService severity threshold', () => {
+  const findings = ['low', 'medium', 'high', 'critical'].map(severity => ({ severity, check: severity, object: 'x' }));
+
+  it('orders severities from low to critical', () => {
+    assert.ok(compareSeverity('critical', 'high') > 0);
+    assert.ok(compareSeverity('low', 'medium') < 0);
+    assert.equal(compareSeverity('high', 'high'), 0);
+  });
+
+  it('keeps the findings at or above the threshold', () => {
+    assert.deepEqual(atOrAbove(findings, 'high').map(finding => finding.severity), ['high', 'critical']);
+    assert.deepEqual(atOrAbove(findings, 'critical').map(finding => finding.severity), ['critical']);
+    assert.equal(atOrAbove(findings, 'low').length, 4);
+    assert.deepEqual(atOrAbove(findings.slice(0, 2), 'high'), []);
+  });
+});
+
+describe('securityAuditService.runSecurityAudit', () => {
+  beforeEach(() => {
+    mock.method(db, 'query', async (text) => {
+      if (/has_table_privilege\('pg_catalog.pg_authid'/.test(text)) return { rows: [{ allowed: false }] };
+      if (/FROM pg_roles r\s+WHERE/.test(text)) {
+        return { rows: [role('app', { rolcanlogin: true, has_password: null, no_expiry: true }), role('etl', { rolbypassrls: true })] };
+      }
+      if (/pg_has_role/.test(text)) return { rows: [{ rolname: 'loader', predefined: 'pg_execute_server_program' }] };
+      if (/FROM pg_database d/.test(text)) return { rows: [] };
+      if (/public_create/.test(text)) return { rows: [{ public_create: true }] };
+      throw new Error(`Unexpected query: ${text}`);
+    });
+    mock.method(dependencyService, 'listDatabases', async () => ['app', 'locked']);
+    mock.method(db, 'withDatabase', async (database, fn) => {
+      if (database === 'locked') throw new Error('permission denied for database locked');
+      return fn();
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('returns the findings most severe first, and the skipped checks', async () => {
+    const { findings, skipped } = await runSecurityAudit();
+
+    assert.deepEqual(summarize(findings), [
+      'critical pg_execute_server_program loader',
+      'high bypassrls etl',
+      'high public-schema-create app.public',
+      'low no-expiry app'
+    ]);
+    assert.deepEqual(skipped, [
+      { check: 'public-schema-create', database: 'locked', reason: 'permission denied for database locked' },
+      { check: 'no-password', database: null, reason: 'needs SELECT on pg_authid (superuser)' }
+    ]);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { quoteIdent, quoteLiteral, interpolateParams, redactPasswords, checkSqlExpression } = require('../src/utils/sqlUtils');
+
+describe('quoteIdent', () => {
+  it('leaves plain lowercase identifiers unquoted', () => {
+    assert.equal(quoteIdent('app_user'), 'app_user');
+    assert.equal(quoteIdent('_tmp$1'), '_tmp$1');
+  });
+
+  it('quotes identifiers with uppercase letters or punctuation', () => {
+    assert.equal(quoteIdent('Sales-EU'), '"Sales-EU"');
+    assert.equal(quoteIdent('Reporting'), '"Reporting"');
+    assert.equal(quoteIdent('1st_schema'), '"1st_schema"');
+  });
+
+  it('doubles embedded double quotes', () => {
+    assert.equal(quoteIdent('a"b'), '"a""b"');
+    assert.equal(quoteIdent('x"; DROP ROLE postgres; --'), '"x""; DROP ROLE postgres; --"');
+  });
+
+  it('quotes reserved keywords', () => {
+    assert.equal(quoteIdent('user'), '"user"');
+    assert.equal(quoteIdent('select'), '"select"');
+  });
+
+  it('quotes unicode names, as quote_ident() does', () => {
+    assert.equal(quoteIdent('ventas_españa'), '"ventas_españa"');
+    assert.equal(quoteIdent('販売'), '"販売"');
+  });
+
+  it('rejects empty names, null characters and non-strings', () => {
+    assert.throws(() => quoteIdent(''), /cannot be empty/);
+    assert.throws(() => quoteIdent('a\0b'), /null characters/);
+    assert.throws(() => quoteIdent(42), /expected a string/);
+  });
+});
+
+describe('quoteLiteral', () => {
+  it('single-quotes plain values', () => {
+    assert.equal(quoteLiteral('secret'), "'secret'");
+    assert.equal(quoteLiteral(''), "''");
+  });
+
+  it('doubles embedded single quotes', () => {
+    assert.equal(quoteLiteral("o'brien"), "'o''brien'");
+    assert.equal(quoteLiteral("x'; DROP ROLE postgres; --"), "'x''; DROP ROLE postgres; --'");
+  });
+
+  it('uses E\'\' syntax and doubles backslashes when the value contains one', () => {
+    assert.equal(quoteLiteral('a\\b'), "E'a\\\\b'");
+    assert.equal(quoteLiteral("it's\\"), "E'it''s\\\\'");
+  });
+
+  it('keeps unicode characters', () => {
+    assert.equal(quoteLiteral('contraseña'), "'contraseña'");
+  });
+
+  it('rejects null characters and non-strings', () => {
+    assert.throws(() => quoteLiteral('a\0b'), /null characters/);
+    assert.throws(() => quoteLiteral(null), /expected a string/);
+  });
+});
+
+describe('interpolateParams', () => {
+  it('inlines parameters as literals', () => {
+    assert.equal(
+      interpolateParams('SELECT $1, $2, $3, $4', ["o'brien", 3, null, true]),
+      "SELECT 'o''brien', 3, NULL, true"
+    );
+  });
+
+  it('leaves parameters without a value in place', () => {
+    assert.equal(interpolateParams('SELECT $1, $2', ['a']), "SELECT 'a', $2");
+  });
+});
+
+describe('redactPasswords', () => {
+  it('hides password literals', () => {
+    assert.equal(
+      redactPasswords("CREATE ROLE app WITH LOGIN PASSWORD 'secret' VALID UNTIL 'infinity'"),
+      "CREATE ROLE app WITH LOGIN PASSWORD '********' VALID UNTIL 'infinity'"
+    );
+  });
+
+  it('hides passwords with quotes and backslashes', () => {
+    assert.equal(redactPasswords(`ALTER ROLE app PASSWORD ${quoteLiteral("o'brien")}`), "ALTER ROLE app PASSWORD '********'");
+    assert.equal(redactPasswords(`ALTER ROLE app PASSWORD ${quoteLiteral("it's\\x")};`), "ALTER ROLE app PASSWORD '********';");
+  });
+
+  it('matches the keyword in any case and leaves other statements unchanged', () => {
+    assert.equal(redactPasswords("alter role app password 'x'"), "alter role app password '********'");
+    assert.equal(redactPasswords('GRANT USAGE ON SCHEMA app TO app'), 'GRANT USAGE ON SCHEMA app TO app');
+  });
+});
+
+describe('checkSqlExpression', () => {
+  it('accepts expressions with balanced parentheses', () => {
+    assert.equal(checkSqlExpression("tenant_id = current_setting('app.tenant_id')::int"), null);
+    assert.equal(checkSqlExpression('(owner = current_user) OR (shared AND NOT archived)'), null);
+  });
+
+  it('ignores semicolons and parentheses inside strings, quoted identifiers and comments', () => {
+    assert.equal(checkSqlExpression("note <> ';)' AND \"odd;(name\" IS NOT NULL"), null);
+    assert.equal(checkSqlExpression("note <> 'it''s; ('"), null);
+    assert.equal(checkSqlExpression("note <> E'\\'; ('"), null);
+    assert.equal(checkSqlExpression('note <> $x$ ); $x$ AND note <> $$;$$'), null);
+    assert.equal(checkSqlExpression('true -- ; )\n AND /* ; /* ( */ ) */ false'), null);
+  });
+
+  it('rejects semicolons outside quotes', () => {
+    assert.match(checkSqlExpression('true; DROP TABLE accounts'), /semicolons/);
+    assert.match(checkSqlExpression("note = 'a'; DROP TABLE accounts; --"), /semicolons/);
+    assert.match(checkSqlExpression("note = E'\\''; DROP TABLE accounts; --'"), /semicolons/);
+  });
+
+  it('rejects unbalanced parentheses', () => {
+    assert.match(checkSqlExpression('true) WITH CHECK (true'), /unbalanced/);
+    assert.match(checkSqlExpression('(true'), /unbalanced/);
+    assert.match(checkSqlExpression('true)'), /unbalanced/);
+  });
+
+  it('rejects unterminated strings and comments', () => {
+    assert.match(checkSqlExpression("note = 'abc"), /unterminated/);
+    assert.match(checkSqlExpression('note = $$abc'), /unterminated/);
+    assert.match(checkSqlExpression('true /* ) '), /unterminated comment/);
+  });
+});
@@ -0,0 +1,164 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../src/services/db');
+const vaultService = require('../src/services/vaultService');
+
+describe('vaultService', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgum-test-'));
+  const saved = {};
+  const passphrase = 'correct horse battery staple';
+  let vaultFile;
+
+  beforeEach(() => {
+    ['PGUM_VAULT_FILE', 'PGUM_PROFILES_FILE', 'PGUM_PROFILE', 'DB_HOST', 'DB_NAME'].forEach(name => {
+      if (!(name in saved)) saved[name] = process.env[name];
+    });
+    vaultFile = path.join(dir, `vault-${Date.now()}-${Math.random()}.enc`);
+    process.env.PGUM_VAULT_FILE = vaultFile;
+    process.env.PGUM_PROFILES_FILE = path.join(dir, 'profiles.yaml');
+    delete process.env.PGUM_PROFILE;
+    process.env.DB_HOST = 'db.example.com';
+    process.env.DB_NAME = 'shop';
+  });
+
+  after(() => {
+    Object.keys(saved).forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('encrypts the credentials and decrypts them with the passphrase', () => {
+    vaultService.addCredentials(passphrase, [{ username: 'app', password: 's3cret-Password' }], 'create-user');
+    vaultService.addCredentials(passphrase, [{ username: 'app', password: 'n3w-Password' }], 'change-password');
+
+    const raw = fs.readFileSync(vaultFile, 'utf8');
+    assert.equal(raw.includes('s3cret-Password'), false);
+    assert.equal(JSON.parse(raw).cipher, 'aes-256-gcm');
+    assert.equal(fs.statSync(vaultFile).mode & 0o777, 0o600);
+
+    const entries = vaultService.getEntries(passphrase, 'app');
+    assert.deepEqual(entries.map(entry => entry.password), ['s3cret-Password', 'n3w-Password']);
+    assert.equal(entries[0].source, 'create-user');
+    assert.equal(entries[0].host, 'db.example.com');
+    assert.equal(entries[0].database, 'shop');
+  });
+
+  it('only returns the entries saved through the active connection', (t) => {
+    let connection;
+    t.mock.method(db, 'getConnectionInfo', () => connection);
+    const connect = (name, host) => {
+      connection = { name, host, port: 5432, database: 'shop' };
+    };
+
+    connect('prod', 'prod.example.com');
+    vaultService.addCredentials(passphrase, [{ username: 'app', password: 'prod-Password' }]);
+    connect('staging', 'staging.example.com');
+    vaultService.addCredentials(passphrase, [{ username: 'app', password: 'staging-Password' }]);
+
+    connect('prod', 'prod.example.com');
+    assert.deepEqual(vaultService.getConnectionEntries(passphrase, 'app').map(entry => entry.password), ['prod-Password']);
+    connect('staging', 'other.example.com');
+    assert.deepEqual(vaultService.getConnectionEntries(passphrase, 'app'), []);
+  });
+
+  it('rejects a wrong passphrase', () => {
+    vaultService.addCredentials(passphrase, [{ username: 'app', password: 's3cret-Password' }]);
+
+    assert.throws(() => vaultService.getEntries('wrong passphrase'), /Cannot open the vault: wrong passphrase or corrupted file/);
+  });
+
+  it('rejects a vault whose data was tampered with', () => {
+    vaultService.addCredentials(passphrase, [{ username: 'app', password: 's3cret-Password' }]);
+    const file = JSON.parse(fs.readFileSync(vaultFile, 'utf8'));
+    const data = Buffer.from(file.data, 'base64');
+    data[0] ^= 1;
+    fs.writeFileSync(vaultFile, JSON.stringify({ ...file, data: data.toString('base64') }));
+
+    assert.throws(() => vaultService.getEntries(passphrase), /wrong passphrase or corrupted file/);
+  });
+
+  it('leaves the previous vault in place when it cannot be written', () => {
+    vaultService.addCredentials(passphrase, [{ username: 'app', password: 's3cret-Password' }]);
+    const before = fs.readFileSync(vaultFile, 'utf8');
+
+    // The new vault is written to a temporary file first, then renamed over the old one
+    const tempPath = `${vaultFile}.${process.pid}.tmp`;
+    fs.mkdirSync(tempPath);
+    try {
+      assert.throws(() => vaultService.addCredentials(passphrase, [{ username: 'other', password: 'x' }]));
+    } finally {
+      fs.rmdirSync(tempPath);
+    }
+
+    assert.equal(fs.readFileSync(vaultFile, 'utf8'), before);
+    assert.deepEqual(vaultService.getEntries(passphrase).map(entry => entry.username), ['app']);
+    assert.deepEqual(fs.readdirSync(dir).filter(name => name.endsWith('.tmp')), []);
+  });
+
+  it('purges by user, keeping the latest entry of each user when asked', () => {
+    vaultService.addCredentials(passphrase, [{ username: 'app', password: 'one' }, { username: 'etl', password: 'two' }]);
+    vaultService.addCredentials(passphrase, [{ username: 'app', password: 'three' }]);
+
+    assert.equal(vaultService.purge(passphrase, { keepLatest: true }).removed, 1);
+    assert.deepEqual(vaultService.getEntries(passphrase).map(entry => entry.password), ['two', 'three']);
+
+    const result = vaultService.purge(passphrase, { username: 'etl' });
+    assert.equal(result.message, 'Removed 1 entry from the vault');
+    assert.deepEqual(vaultService.listUsers(passphrase).map(user => user.username), ['app']);
+  });
+
+  it('purges the entries saved before a date', () => {
+    vaultService.addCredentials(passphrase, [{ username: 'app', password: 'one' }]);
+
+    assert.equal(vaultService.purge(passphrase, { before: new Date('2000-01-01') }).removed, 0);
+    assert.equal(vaultService.purge(passphrase, { before: new Date(Date.now() + 60000) }).removed, 1);
+    assert.deepEqual(vaultService.getEntries(passphrase), []);
+  });
+
+  it('migrates the legacy credential files and overwrites them before deleting them', () => {
+    const baseDir = fs.mkdtempSync(path.join(dir, 'cwd-'));
+    const legacyDir = path.join(baseDir, 'credentials');
+    fs.mkdirSync(legacyDir);
+    const legacyFile = path.join(legacyDir, 'user_app.csv');
+    const plaintext = 'Username,Password\napp,Legacy-Passw0rd\n';
+    fs.writeFileSync(legacyFile, plaintext);
+    fs.writeFileSync(path.join(legacyDir, 'notes.txt'), 'not a credential file');
+
+    // A second link to the file shows what is left in its blocks once it is deleted
+    const link = path.join(baseDir, 'link.csv');
+    fs.linkSync(legacyFile, link);
+
+    const files = vaultService.findLegacyFiles(baseDir);
+    assert.deepEqual(files, [legacyFile]);
+
+    const result = vaultService.migrateLegacyFiles(passphrase, files);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.results, [{ file: legacyFile, users: 1, success: true }]);
+    assert.equal(fs.existsSync(legacyFile), false);
+    assert.equal(fs.statSync(link).size, plaintext.length);
+    assert.equal(fs.readFileSync(link, 'utf8').includes('Legacy-Passw0rd'), false);
+
+    const [entry] = vaultService.getEntries(passphrase, 'app');
+    assert.equal(entry.password, 'Legacy-Passw0rd');
+    assert.equal(entry.source, 'migrated from user_app.csv');
+  });
+
+  it('keeps a legacy file it cannot import', () => {
+    const baseDir = fs.mkdtempSync(path.join(dir, 'cwd-'));
+    fs.mkdirSync(path.join(baseDir, 'credentials'));
+    const legacyFile = path.join(baseDir, 'credentials', 'import_bad.csv');
+    fs.writeFileSync(legacyFile, 'Name,Secret\napp,x\n');
+
+    const result = vaultService.migrateLegacyFiles(passphrase, [legacyFile]);
+
+    assert.equal(result.success, false);
+    assert.equal(result.results[0].error, 'missing Username or Password column');
+    assert.equal(fs.existsSync(legacyFile), true);
+  });
+});